@@ -19,6 +19,7 @@ const rewardsRoutes = require("./routes/rewardsRoutes");
 const profileRoutes = require("./routes/profileRoutes");
 const riderLiveLocationRoutes = require("./routes/riderLiveLocationRoutes");
 const stripeRoutes = require("./routes/stripeRoutes");
+const realtimeRoutes = require("./routes/realtimeRoutes");
 
 const app = express();
 
@@ -68,6 +69,7 @@ app.use("/api/v1/documents", documentRoutes);
 app.use("/api/v1/rewards", rewardsRoutes);
 app.use("/api/v1/riders/location", riderLiveLocationRoutes);
 app.use("/api/v1/stripe", stripeRoutes);
+app.use("/api/v1/realtime", realtimeRoutes);
 
 // Serve uploaded files statically
 app.use("/uploads", express.static(path.join(__dirname, "uploads")));
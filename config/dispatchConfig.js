@@ -0,0 +1,129 @@
+/**
+ * Dispatch strategy configuration
+ *
+ * A strategy decides how many drivers see a ride request at once and how long
+ * each wave of offers stays open:
+ *   - sequential: nearest driver first, one at a time (cascade)
+ *   - batched:    waves of `batchSize` drivers, nearest first
+ *   - broadcast:  every matched driver at once
+ *
+ * Rules pick a strategy per vehicle type and/or region (first match wins).
+ * They can be overridden with DISPATCH_RULES as a JSON array, e.g.
+ *   [{"vehicleType":"SUV","strategy":"batched"},
+ *    {"region":{"lat":51.28,"lng":-0.08,"radiusKm":5},"strategy":"sequential"}]
+ */
+
+const { calculateDistance } = require("../utils/geo");
+
+const DISPATCH_STRATEGIES = {
+  sequential: {
+    batchSize: 1,
+    offerWindowSeconds:
+      parseInt(process.env.DISPATCH_SEQUENTIAL_OFFER_SECONDS) || 20,
+  },
+  batched: {
+    batchSize: parseInt(process.env.DISPATCH_BATCH_SIZE) || 3,
+    offerWindowSeconds:
+      parseInt(process.env.DISPATCH_BATCHED_OFFER_SECONDS) || 25,
+  },
+  broadcast: {
+    batchSize: Infinity,
+    offerWindowSeconds:
+      parseInt(process.env.DISPATCH_BROADCAST_OFFER_SECONDS) || 30,
+  },
+};
+
+const DEFAULT_STRATEGY = DISPATCH_STRATEGIES[process.env.DISPATCH_DEFAULT_STRATEGY]
+  ? process.env.DISPATCH_DEFAULT_STRATEGY
+  : "broadcast";
+
+function loadDispatchRules() {
+  if (!process.env.DISPATCH_RULES) return [];
+
+  try {
+    const rules = JSON.parse(process.env.DISPATCH_RULES);
+    return Array.isArray(rules)
+      ? rules.filter((rule) => DISPATCH_STRATEGIES[rule.strategy])
+      : [];
+  } catch (error) {
+    console.error("Invalid DISPATCH_RULES, falling back to defaults:", error.message);
+    return [];
+  }
+}
+
+const DISPATCH_RULES = loadDispatchRules();
+
+function ruleMatches(rule, ride) {
+  if (rule.vehicleType && rule.vehicleType !== ride.vehicleType) {
+    return false;
+  }
+
+  if (rule.region) {
+    const lat = parseFloat(ride.pickup?.lat);
+    const lng = parseFloat(ride.pickup?.lng);
+    if (isNaN(lat) || isNaN(lng)) return false;
+
+    const distance = calculateDistance(
+      lat,
+      lng,
+      rule.region.lat,
+      rule.region.lng,
+    );
+    if (distance > rule.region.radiusKm) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Resolve the dispatch strategy for a ride
+ * @param {Object} ride - Ride (or fare estimate) with vehicleType and pickup
+ * @returns {Object} { name, batchSize, offerWindowSeconds }
+ */
+function resolveDispatchStrategy(ride) {
+  const rule = DISPATCH_RULES.find((r) => ruleMatches(r, ride));
+  const name = rule ? rule.strategy : DEFAULT_STRATEGY;
+
+  return { name, ...DISPATCH_STRATEGIES[name] };
+}
+
+/**
+ * Get a strategy by name (falls back to the default strategy)
+ * @param {string} name - Strategy name
+ * @returns {Object} { name, batchSize, offerWindowSeconds }
+ */
+function getDispatchStrategy(name) {
+  const strategyName = DISPATCH_STRATEGIES[name] ? name : DEFAULT_STRATEGY;
+  return { name: strategyName, ...DISPATCH_STRATEGIES[strategyName] };
+}
+
+/**
+ * Driver scoring defaults
+ *
+ * Candidates are ranked by a weighted score instead of raw distance. Weights
+ * are relative (they don't need to add up to 100) and admins can change them
+ * at runtime through /api/v1/admin/dispatch/scoring-weights.
+ */
+const DEFAULT_SCORING_WEIGHTS = {
+  distance: 40, // Closer to pickup
+  rating: 20, // Higher driver rating
+  acceptanceRate: 15, // Accepts most of the offers they receive
+  idleTime: 10, // Longest wait since last completed ride
+  heading: 10, // Already moving toward pickup
+  locationFreshness: 5, // Recent GPS fix
+};
+
+const SCORING_LIMITS = {
+  acceptanceLookbackDays: parseInt(process.env.DISPATCH_ACCEPTANCE_LOOKBACK_DAYS) || 7,
+  maxIdleMinutes: parseInt(process.env.DISPATCH_MAX_IDLE_MINUTES) || 60, // Idle score caps here
+  maxLocationAgeSeconds: 5 * 60, // Matches the live location cutoff used for matching
+  minHeadingSpeed: 5, // km/h - below this the heading is treated as unknown
+};
+
+module.exports = {
+  DISPATCH_STRATEGIES,
+  resolveDispatchStrategy,
+  getDispatchStrategy,
+  DEFAULT_SCORING_WEIGHTS,
+  SCORING_LIMITS,
+};
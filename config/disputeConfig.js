@@ -0,0 +1,53 @@
+/**
+ * Card dispute (chargeback) configuration
+ *
+ * Stripe reports disputes through charge.dispute.* webhooks. When the
+ * disputed ride's driver gives back their share is a policy choice:
+ *   - "lost":    only once the dispute is lost (default)
+ *   - "created": as soon as it opens, returned if the dispute is won
+ *   - "never":   the platform absorbs every chargeback
+ */
+
+const DISPUTE_STATUSES = [
+  "warning_needs_response", // Inquiry - no funds withdrawn yet
+  "warning_under_review",
+  "warning_closed",
+  "needs_response",
+  "under_review",
+  "won",
+  "lost",
+];
+
+const CLOSED_DISPUTE_STATUSES = ["warning_closed", "won", "lost"];
+
+const DISPUTE_CLAWBACK_POLICIES = ["lost", "created", "never"];
+
+const DISPUTE_CONFIG = {
+  driverClawback: DISPUTE_CLAWBACK_POLICIES.includes(process.env.DISPUTE_DRIVER_CLAWBACK)
+    ? process.env.DISPUTE_DRIVER_CLAWBACK
+    : "lost",
+};
+
+// Text evidence fields admins may set directly (Stripe's dispute evidence API)
+const DISPUTE_TEXT_EVIDENCE_FIELDS = [
+  "access_activity_log",
+  "billing_address",
+  "cancellation_policy_disclosure",
+  "cancellation_rebuttal",
+  "customer_email_address",
+  "customer_name",
+  "duplicate_charge_explanation",
+  "product_description",
+  "refund_policy_disclosure",
+  "refund_refusal_explanation",
+  "service_date",
+  "uncategorized_text",
+];
+
+module.exports = {
+  DISPUTE_STATUSES,
+  CLOSED_DISPUTE_STATUSES,
+  DISPUTE_CLAWBACK_POLICIES,
+  DISPUTE_CONFIG,
+  DISPUTE_TEXT_EVIDENCE_FIELDS,
+};
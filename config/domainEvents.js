@@ -0,0 +1,20 @@
+/**
+ * Domain events
+ *
+ * Things that happened, published on the in-process event bus
+ * (services/eventBus.js) by whoever made the change. Subscribers such as
+ * socketService react to them instead of polling Mongo. Payloads:
+ *   ride.status_changed      { rideId, status, previousStatus }
+ *   driver.location_changed  { driverId, latitude, longitude, heading, speed, timestamp }
+ *   driver.status_changed    { driverId, status }
+ *   wallet.changed           { userId, balance, change, entryType }
+ */
+
+const DOMAIN_EVENTS = {
+  RIDE_STATUS_CHANGED: "ride.status_changed",
+  DRIVER_LOCATION_CHANGED: "driver.location_changed",
+  DRIVER_STATUS_CHANGED: "driver.status_changed",
+  WALLET_CHANGED: "wallet.changed",
+};
+
+module.exports = { DOMAIN_EVENTS };
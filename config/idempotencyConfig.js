@@ -0,0 +1,21 @@
+/**
+ * Idempotency key configuration
+ *
+ * Money-moving endpoints accept an `Idempotency-Key` header. The first
+ * response for a key is stored and replayed to any retry with the same key
+ * and payload; reusing a key with a different payload is rejected.
+ */
+
+const IDEMPOTENCY_CONFIG = {
+  header: "Idempotency-Key",
+  // How long a key is remembered before it can be reused
+  ttlHours: parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24,
+  maxKeyLength: 255,
+  // How long a request may hold a key before a retry can take it over.
+  // Must outlast the slowest handler (Stripe calls time out after 80s)
+  lockSeconds: parseInt(process.env.IDEMPOTENCY_KEY_LOCK_SECONDS) || 120,
+  // Reject money-moving requests that don't send a key
+  required: process.env.IDEMPOTENCY_KEY_REQUIRED === "true",
+};
+
+module.exports = { IDEMPOTENCY_CONFIG };
@@ -0,0 +1,137 @@
+/**
+ * Ledger configuration
+ *
+ * Every money movement is a balanced journal entry (debits = credits) between
+ * ledger accounts. Per-user accounts carry the owner's ID in the code:
+ *   rider_wallet:<userId>       what the platform owes a rider (Wallet.balance)
+ *   rider_receivable:<userId>   fares a rider still owes (unpaid card/wallet)
+ *   driver_available:<driverId> earnings a driver can withdraw
+ *   driver_pending:<driverId>   ride earnings still on hold
+ *   driver_payout_in_transit:<driverId>
+ *                               payouts requested but not yet settled
+ *   driver_cash_owed:<driverId> commission on cash fares the driver still owes
+ *
+ * Amounts are stored in minor units (pence) so entries balance exactly.
+ */
+
+// Normal balance side per account type: liabilities/revenue/equity grow with
+// credits, assets/expenses grow with debits
+const ACCOUNT_TYPES = {
+  asset: "debit",
+  expense: "debit",
+  liability: "credit",
+  revenue: "credit",
+  equity: "credit",
+};
+
+// Per-owner account kinds
+const OWNER_ACCOUNTS = {
+  rider_wallet: { type: "liability", owner: "User" },
+  rider_receivable: { type: "asset", owner: "User" },
+  driver_available: { type: "liability", owner: "Driver" },
+  driver_pending: { type: "liability", owner: "Driver" },
+  driver_payout_in_transit: { type: "liability", owner: "Driver" },
+  driver_cash_owed: { type: "asset", owner: "Driver" },
+};
+
+// Platform-wide accounts
+const PLATFORM_ACCOUNTS = {
+  stripe_clearing: "asset", // Funds held at / paid out through Stripe
+  platform_revenue: "revenue", // Commission and cancellation fees
+  driver_incentives: "expense", // Completion bonuses paid to drivers
+  manual_adjustments: "expense", // Credits granted without a payment
+  opening_balance: "equity", // Balances that existed before the ledger
+  cash_remittances: "asset", // Cash commission handed in by drivers
+  chargebacks: "expense", // Disputed card payments Stripe took back, less driver clawbacks
+};
+
+const ENTRY_TYPES = [
+  "ride_charge", // Rider pays a fare; commission and driver earning split out
+  "tip",
+  "refund",
+  "topup",
+  "payout_requested", // Driver available -> payout in transit
+  "payout",
+  "payout_failed", // Failed/cancelled payout returned to available
+  "adjustment",
+  "opening_balance",
+  "cancellation_fee", // Fee captured from a card hold when a ride is cancelled
+  "cash_settlement", // Cash commission owed netted against driver earnings
+  "cash_remittance", // Driver pays cash commission owed directly
+  "earnings_release", // Held ride earnings mature: driver pending -> available
+  "earnings_reversal", // Held ride earnings clawed back after a refund or chargeback
+  "chargeback", // Stripe withdraws a disputed payment
+  "chargeback_reversal", // Dispute won - the funds come back
+  "earnings_clawback", // Driver's share of a chargeback taken from available earnings
+  "earnings_reinstated", // Clawed-back earnings returned after a won dispute
+];
+
+// Wallet.transactions type shown to riders for each entry type
+const WALLET_TRANSACTION_TYPES = {
+  ride_charge: "ride",
+  tip: "tip",
+  refund: "refund",
+  topup: "topup",
+  adjustment: "adjustment",
+};
+
+const DEFAULT_LEDGER_CURRENCY = "GBP";
+
+// Error code when a debit would overdraw a wallet or driver balance
+const INSUFFICIENT_FUNDS = "INSUFFICIENT_FUNDS";
+
+// Driver.earnings field mirroring each driver account
+const DRIVER_BALANCE_FIELDS = {
+  driver_available: "availableBalance",
+  driver_pending: "pendingBalance",
+  driver_payout_in_transit: "payoutInTransit",
+  driver_cash_owed: "cashOwed",
+};
+
+// Cash commission a driver may owe before they're kept offline (pounds).
+// Admins can override it at runtime (PaymentSettings.cashDebtLimit)
+const DEFAULT_CASH_DEBT_LIMIT = parseFloat(process.env.CASH_DEBT_LIMIT) || 50;
+
+// Error code when a driver owes more cash commission than the limit
+const CASH_DEBT_LIMIT_EXCEEDED = "CASH_DEBT_LIMIT_EXCEEDED";
+
+// Bounds on a single card-funded wallet top-up (pounds)
+const WALLET_TOPUP_LIMITS = {
+  min: parseFloat(process.env.WALLET_TOPUP_MIN) || 1,
+  max: parseFloat(process.env.WALLET_TOPUP_MAX) || 500,
+};
+
+// Card rides hold the estimated fare plus a buffer at booking, so a longer
+// trip can still be captured from the same authorization
+const CARD_HOLD_CONFIG = {
+  bufferPercent: parseFloat(process.env.CARD_HOLD_BUFFER_PERCENT) || 25,
+  minBuffer: parseFloat(process.env.CARD_HOLD_MIN_BUFFER) || 5, // pounds
+};
+
+// Card and wallet ride earnings sit in the driver's pending balance for
+// `holdDays` before they can be withdrawn, so a refund or chargeback can still
+// be taken back from them. Cash rides aren't held - the driver has the money.
+// 0 makes earnings available immediately.
+const EARNINGS_HOLD_CONFIG = {
+  holdDays: process.env.EARNINGS_HOLD_DAYS
+    ? parseFloat(process.env.EARNINGS_HOLD_DAYS)
+    : 3,
+  releaseIntervalMinutes: parseInt(process.env.EARNINGS_HOLD_RELEASE_MINUTES) || 15,
+  batchSize: 100,
+};
+
+module.exports = {
+  ACCOUNT_TYPES,
+  OWNER_ACCOUNTS,
+  PLATFORM_ACCOUNTS,
+  ENTRY_TYPES,
+  WALLET_TRANSACTION_TYPES,
+  DRIVER_BALANCE_FIELDS,
+  DEFAULT_LEDGER_CURRENCY,
+  INSUFFICIENT_FUNDS,
+  DEFAULT_CASH_DEBT_LIMIT,
+  CASH_DEBT_LIMIT_EXCEEDED,
+  WALLET_TOPUP_LIMITS,
+  CARD_HOLD_CONFIG,
+  EARNINGS_HOLD_CONFIG,
+};
@@ -0,0 +1,25 @@
+/**
+ * Automatic driver payout configuration
+ *
+ * Drivers can opt into a payout schedule (Driver.payoutSchedule). A background
+ * job claims drivers whose next run is due, nets any cash commission owed and
+ * pays out their whole available balance if it reaches their minimum.
+ * Runs happen at `runHourUtc` on the scheduled day:
+ *   - daily:   every day
+ *   - weekly:  on `weeklyDay` (0 = Sunday ... 6 = Saturday)
+ *   - monthly: on `monthlyDay` (1-28)
+ */
+
+const PAYOUT_INTERVALS = ["daily", "weekly", "monthly"];
+
+const PAYOUT_SCHEDULE_CONFIG = {
+  pollIntervalMinutes: parseInt(process.env.PAYOUT_SCHEDULE_POLL_MINUTES) || 15,
+  batchSize: parseInt(process.env.PAYOUT_SCHEDULE_BATCH_SIZE) || 50,
+  runHourUtc: process.env.PAYOUT_SCHEDULE_RUN_HOUR_UTC
+    ? parseInt(process.env.PAYOUT_SCHEDULE_RUN_HOUR_UTC)
+    : 6, // 0-23
+  defaultMinimumAmount: parseFloat(process.env.PAYOUT_SCHEDULE_MIN_AMOUNT) || 10, // pounds
+  lockSeconds: 300,
+};
+
+module.exports = { PAYOUT_INTERVALS, PAYOUT_SCHEDULE_CONFIG };
@@ -0,0 +1,66 @@
+/**
+ * Pricing defaults
+ *
+ * Live fares come from PricingRule documents managed through
+ * /api/v1/admin/pricing-rules. These values seed version 1 of each vehicle
+ * type's rule on a fresh database (they were the old hard-coded FARE_CONFIG).
+ */
+
+const PRICED_VEHICLE_TYPES = ["sedan", "SUV", "electric"];
+
+const DEFAULT_PRICING = {
+  sedan: {
+    baseFare: 3.0,
+    perMileRate: 1.5,
+    perMinuteRate: 0.25,
+    minimumFare: 8.0,
+    taxRate: 0.2, // 20% VAT
+  },
+  SUV: {
+    baseFare: 4.0,
+    perMileRate: 2.0,
+    perMinuteRate: 0.35,
+    minimumFare: 10.0,
+    taxRate: 0.2,
+  },
+  electric: {
+    baseFare: 3.5,
+    perMileRate: 1.75,
+    perMinuteRate: 0.3,
+    minimumFare: 9.0,
+    taxRate: 0.2,
+  },
+};
+
+const DEFAULT_CURRENCY = "GBP";
+
+/**
+ * Surge pricing
+ *
+ * Multipliers are computed per grid cell from open ride requests vs. online
+ * drivers. The policy values are defaults for the admin-managed SurgePolicy
+ * (/api/v1/admin/surge/policy); cell size and recompute interval are deploy-time
+ * settings because changing them invalidates existing cells.
+ */
+const DEFAULT_SURGE_POLICY = {
+  enabled: true,
+  maxMultiplier: 2.5, // Hard cap
+  sensitivity: 0.5, // Multiplier added per extra request per driver
+  smoothingFactor: 0.3, // Weight of the newest reading (0-1)
+  confirmationThreshold: 1.5, // Above this, riders must confirm before booking
+};
+
+const SURGE_CONFIG = {
+  cellSizeDegrees: parseFloat(process.env.SURGE_CELL_SIZE_DEGREES) || 0.02, // ~2km
+  recomputeSeconds: parseInt(process.env.SURGE_RECOMPUTE_SECONDS) || 60,
+  demandWindowMinutes: 15, // Only recent open requests count as demand
+  supplyWindowMinutes: 5, // Matches the live location cutoff used for matching
+};
+
+module.exports = {
+  PRICED_VEHICLE_TYPES,
+  DEFAULT_PRICING,
+  DEFAULT_CURRENCY,
+  DEFAULT_SURGE_POLICY,
+  SURGE_CONFIG,
+};
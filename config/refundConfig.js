@@ -0,0 +1,55 @@
+/**
+ * Refund configuration
+ *
+ * Every refund carries one reason from this taxonomy, so refunds can be
+ * reported on consistently. `stripeReason` is what Stripe is told for card
+ * refunds (duplicate, fraudulent or requested_by_customer).
+ */
+
+const REFUND_REASONS = {
+  fare_adjustment: {
+    label: "Fare adjusted (overcharge, longer route)",
+    stripeReason: "requested_by_customer",
+  },
+  driver_no_show: {
+    label: "Driver didn't arrive",
+    stripeReason: "requested_by_customer",
+  },
+  ride_not_completed: {
+    label: "Ride didn't reach the destination",
+    stripeReason: "requested_by_customer",
+  },
+  service_quality: {
+    label: "Vehicle or driver quality complaint",
+    stripeReason: "requested_by_customer",
+  },
+  safety_incident: {
+    label: "Safety incident",
+    stripeReason: "requested_by_customer",
+  },
+  duplicate_charge: {
+    label: "Charged more than once",
+    stripeReason: "duplicate",
+  },
+  fraudulent: {
+    label: "Fraudulent payment",
+    stripeReason: "fraudulent",
+  },
+  goodwill: {
+    label: "Goodwill gesture",
+    stripeReason: "requested_by_customer",
+  },
+  other: {
+    label: "Other (see note)",
+    stripeReason: "requested_by_customer",
+  },
+};
+
+// Stripe's own reasons, which POST /api/v1/stripe/refund took before the
+// taxonomy above existed ("fraudulent" is in both)
+const LEGACY_REFUND_REASONS = {
+  requested_by_customer: "other",
+  duplicate: "duplicate_charge",
+};
+
+module.exports = { REFUND_REASONS, LEGACY_REFUND_REASONS };
@@ -0,0 +1,24 @@
+/**
+ * Routing configuration
+ *
+ * Road distance and travel time come from a routing server (OSRM or
+ * Valhalla) when one is configured, otherwise from a local estimate: the
+ * straight line stretched to approximate the road network. Results are cached
+ * by rounded coordinates. Local estimates standing in for a failed server
+ * are only cached briefly, so fares go back to real routes once it recovers.
+ */
+
+const ROUTING_CONFIG = {
+  provider: (process.env.ROUTING_PROVIDER || "local").toLowerCase(), // local | osrm | valhalla
+  baseUrl: (process.env.ROUTING_BASE_URL || "").replace(/\/+$/, ""),
+  timeoutMs: parseInt(process.env.ROUTING_TIMEOUT_MS) || 3000,
+  cacheSeconds: parseInt(process.env.ROUTING_CACHE_SECONDS) || 600,
+  fallbackCacheSeconds: parseInt(process.env.ROUTING_FALLBACK_CACHE_SECONDS) || 30,
+  cacheMaxEntries: 5000,
+  coordinatePrecision: 4, // ~11m - nearby requests share cache entries
+  // Local estimate: straight line stretched to approximate the road network
+  localDetourFactor: 1.3,
+  localAverageSpeedKmh: 30,
+};
+
+module.exports = { ROUTING_CONFIG };
@@ -0,0 +1,68 @@
+/**
+ * Service area defaults
+ *
+ * Service areas are stored in Mongo (models/ServiceArea) and managed through
+ * /api/v1/admin/service-areas. The Surrey polygon below is only used to create
+ * the first area when the collection is empty, so a fresh install keeps
+ * serving Surrey without any admin setup.
+ */
+
+const DEFAULT_SERVICE_AREA = {
+  name: "Surrey",
+  description: "Approximate boundary of Surrey, UK",
+  geometry: {
+    type: "Polygon",
+    coordinates: [
+      [
+        [-0.7647820542412376, 51.23981446058468],
+        [-0.7875715012305591, 51.3374427274924],
+        [-0.6234890626433867, 51.38724570115019],
+        [-0.5528255976095124, 51.44765326621072],
+        [-0.4912946943742895, 51.4369998383697],
+        [-0.4730633156372619, 51.460434099370985],
+        [-0.4969920002292554, 51.49591764082311],
+        [-0.41599643381312035, 51.48302961671584],
+        [-0.4034623609311154, 51.447536045839286],
+        [-0.35446553057650476, 51.40490731265197],
+        [-0.3350946905903527, 51.35227709578001],
+        [-0.27242432621378043, 51.39205851269867],
+        [-0.23596156893145803, 51.37214590110136],
+        [-0.18810419974732895, 51.34279330808303],
+        [-0.12999168002420447, 51.315737863375745],
+        [-0.05478725214481983, 51.348487158103154],
+        [0.005236573648232934, 51.30684028123139],
+        [0.08385939444977453, 51.320372623128776],
+        [0.10095132645901117, 51.230557277238916],
+        [0.07471019312615113, 51.14568596968138],
+        [-0.09279059902101494, 51.11922959976991],
+        [-0.13840415849489318, 51.15779247389932],
+        [-0.20107452358979572, 51.16493836684967],
+        [-0.2990681842990739, 51.12204640044169],
+        [-0.47454520463912786, 51.0991543868395],
+        [-0.6885988502547775, 51.033302729867955],
+        [-0.7375956806094166, 51.09059298445487],
+        [-0.7803726437674072, 51.11666890149371],
+        [-0.8088591650132173, 51.1567073053445],
+        [-0.8452124718280913, 51.192817893194615],
+        [-0.7647820542412376, 51.23981446058468],
+      ],
+    ],
+  },
+};
+
+// Error code returned when pickup/dropoff (or a driver going online) is outside every active area
+const OUTSIDE_SERVICE_AREA = "OUTSIDE_SERVICE_AREA";
+
+// Error code returned when a driver tries to go online without a known position
+const LOCATION_REQUIRED = "LOCATION_REQUIRED";
+
+// A driver going online without sending coordinates is checked against their
+// last GPS fix, if it's at most this old
+const ONLINE_LOCATION_MAX_AGE_SECONDS = 5 * 60;
+
+module.exports = {
+  DEFAULT_SERVICE_AREA,
+  OUTSIDE_SERVICE_AREA,
+  LOCATION_REQUIRED,
+  ONLINE_LOCATION_MAX_AGE_SECONDS,
+};
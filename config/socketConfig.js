@@ -0,0 +1,57 @@
+/**
+ * Socket.IO configuration
+ *
+ * With the default "memory" adapter everything stays in this process, which
+ * is fine for a single instance (and for tests). Set SOCKET_ADAPTER=redis to
+ * run several API instances behind a load balancer: emits are fanned out via
+ * Redis pub/sub, presence lives in Redis, and short Redis leases make sure
+ * only one instance sends a given reminder.
+ */
+
+const os = require("os");
+
+const SOCKET_ADAPTERS = ["memory", "redis"];
+
+const SOCKET_CONFIG = {
+  adapter: SOCKET_ADAPTERS.includes(process.env.SOCKET_ADAPTER)
+    ? process.env.SOCKET_ADAPTER
+    : "memory",
+  redisUrl: process.env.REDIS_URL || "redis://localhost:6379",
+  keyPrefix: "socket:",
+  // Identifies this instance as a lease owner; must differ between instances
+  instanceId: process.env.SOCKET_INSTANCE_ID || `${os.hostname()}:${process.pid}`,
+  // A socket drops out of presence if its instance stops refreshing it
+  presenceTtlSeconds: 90,
+  presenceHeartbeatSeconds: 30,
+  // An online driver without a location update for this long is reminded,
+  // and reminded again every locationStaleSeconds while it stays that way
+  locationReminderSeconds: 120,
+  locationStaleSeconds: 300,
+  // Outbox of reliable events per user, replayed on "resume" after a
+  // reconnect; the oldest events are dropped beyond these limits
+  outboxMaxEventsPerUser: 200,
+  outboxRetentionHours: 24,
+};
+
+// Events a client must not miss: recorded with a per-user sequence number
+// and replayed if the app was offline when they were sent
+const RELIABLE_SOCKET_EVENTS = [
+  "ride_request",
+  "ride_taken",
+  "driver_assigned",
+  "driver_arrived",
+  "ride_status_change",
+  "ride_status_update",
+  "ride_searching",
+  "ride_assigned",
+  "ride_accepted",
+  "ride_started",
+  "ride_completed",
+  "ride_cancelled",
+  "ride_no_drivers",
+  "ride_scheduled",
+  "payment_processed",
+  "tip_received",
+];
+
+module.exports = { SOCKET_ADAPTERS, SOCKET_CONFIG, RELIABLE_SOCKET_EVENTS };
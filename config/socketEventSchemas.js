@@ -0,0 +1,540 @@
+/**
+ * Socket.IO event contracts
+ *
+ * JSON Schema (draft-07) for the first argument of every event clients send
+ * (INBOUND) and every event the server emits (OUTBOUND). Inbound payloads are
+ * validated before their handler runs; outbound ones are checked outside
+ * production (see services/socketContractService.js). The whole catalogue is
+ * served at GET /api/v1/realtime/schema.
+ *
+ * Bump an event's version when its payload changes incompatibly, and
+ * SOCKET_SCHEMA_VERSION whenever any event is added, changed or removed.
+ * Reliable events (RELIABLE_SOCKET_EVENTS) also carry `seq`, and `replayed`
+ * when sent again on "resume".
+ */
+
+const SOCKET_SCHEMA_VERSION = "1.0.1";
+
+// -------------------------------------------------------------------
+// Building blocks
+// -------------------------------------------------------------------
+
+const objectId = { type: "string", pattern: "^[a-fA-F0-9]{24}$" };
+const latitude = { type: "number", minimum: -90, maximum: 90 };
+const longitude = { type: "number", minimum: -180, maximum: 180 };
+const heading = { type: "number", minimum: 0, maximum: 360 };
+const speed = { type: "number", minimum: 0 };
+// As devices send them: -1 (or anything out of range) means unknown and is
+// stored as 0, rather than losing the whole location
+const reportedHeading = { type: "number" };
+const reportedSpeed = { type: "number" };
+// Dates arrive as ISO strings once serialized
+const timestamp = { type: "string" };
+const message = { type: "string" };
+const anyObject = { type: "object" };
+const point = {
+  type: "object",
+  properties: { latitude, longitude, address: { type: "string" } },
+};
+
+function object(properties, required = [], options = {}) {
+  return { type: "object", properties, required, ...options };
+}
+
+function contract(description, schema, version = 1) {
+  return { version, description, schema };
+}
+
+// Payload of events that take no arguments
+const noPayload = { type: ["object", "null"] };
+
+// Inbound payloads: only the listed properties reach the handler
+function strict(properties, required = []) {
+  return object(properties, required, { additionalProperties: false });
+}
+
+// -------------------------------------------------------------------
+// Shared payloads
+// -------------------------------------------------------------------
+
+// driver_location_update - one shape whichever method sends it
+const driverLocationUpdate = object(
+  {
+    driverId: objectId,
+    latitude,
+    longitude,
+    heading,
+    speed,
+    timestamp,
+    rideId: objectId,
+    driverName: { type: "string" },
+    vehicleType: { type: "string" },
+    vehicleNumber: { type: ["string", "null"] },
+    // Nearby-driver updates: km from the rider and minutes away
+    distance: { type: "number" },
+    eta: { type: "number" },
+    // Rider's driver on the way: km and minutes to pickup
+    distanceToPickup: { type: ["number", "null"] },
+    etaToPickup: { type: ["number", "null"] },
+    // Deprecated: kept for older app builds
+    id: objectId,
+    location: anyObject,
+    driver: anyObject,
+  },
+  ["driverId", "latitude", "longitude", "heading", "speed", "timestamp"],
+);
+
+const rideStatusPayload = object(
+  {
+    rideId: objectId,
+    status: { type: "string" },
+    driver: { type: ["object", "string", "null"] },
+    pickup: { type: ["object", "null"] },
+    dropoff: { type: ["object", "null"] },
+  },
+  ["rideId", "status"],
+);
+
+const errorPayload = object({ message, code: { type: "string" }, timestamp }, ["message"]);
+
+const subscriptionResult = object(
+  { success: { type: "boolean" }, message, timestamp },
+  ["success"],
+);
+
+// Admin notifications about a driver or rider
+const adminNotice = object(
+  {
+    driverId: objectId,
+    riderId: objectId,
+    driverName: { type: "string" },
+    message,
+    timestamp,
+  },
+  ["timestamp"],
+);
+
+const documentNotice = object(
+  {
+    driverId: objectId,
+    documentType: { type: "string" },
+    message,
+    timestamp,
+  },
+  ["driverId", "documentType", "timestamp"],
+);
+
+// { <key>: data, timestamp } wrappers used by wallet, rewards and referrals
+function wrapped(key) {
+  return object({ [key]: {}, timestamp }, [key, "timestamp"]);
+}
+
+// -------------------------------------------------------------------
+// Client -> server
+// -------------------------------------------------------------------
+
+const dashboardSubscription = strict(
+  {
+    userId: {
+      anyOf: [
+        objectId,
+        object({ _id: objectId }, ["_id"]),
+        object({ id: objectId }, ["id"]),
+      ],
+    },
+    userType: { type: "string", enum: ["driver", "rider"] },
+    latitude,
+    longitude,
+  },
+  ["userId", "userType"],
+);
+
+const INBOUND_EVENTS = {
+  ping_server: contract(
+    "Application-level heartbeat; answered with pong_server",
+    { type: ["object", "null"], properties: { timestamp: { type: ["number", "string"] } } },
+  ),
+  reconnect_attempt: contract("Logged only", noPayload),
+  subscribe_dashboard: contract(
+    "Join the driver or rider dashboard rooms and get the initial dashboard",
+    dashboardSubscription,
+  ),
+  subscribe_to_dashboard: contract("Alias of subscribe_dashboard", dashboardSubscription),
+  unsubscribe_dashboard: contract("Leave the dashboard rooms (userId)", objectId),
+  update_location: contract(
+    "Driver location update",
+    strict(
+      {
+        latitude,
+        longitude,
+        heading: reportedHeading,
+        speed: reportedSpeed,
+        accuracy: { type: "number", minimum: 0 },
+        timestamp: { type: ["number", "string"] },
+      },
+      ["latitude", "longitude"],
+    ),
+  ),
+  update_rider_location: contract(
+    "Rider location, used to pick nearby drivers for the dashboard",
+    strict(
+      {
+        latitude,
+        longitude,
+        accuracy: { type: "number", minimum: 0 },
+        timestamp: { type: ["number", "string"] },
+      },
+      ["latitude", "longitude"],
+    ),
+  ),
+  ride_request_response: contract(
+    "Driver's answer to a ride_request (logged; accept/reject go through REST)",
+    object({ rideId: objectId, accepted: { type: "boolean" } }),
+  ),
+  rider_subscribe_driver: contract(
+    "Follow the location of the driver on your ride",
+    strict({ driverId: objectId }, ["driverId"]),
+  ),
+  rider_unsubscribe_driver: contract(
+    "Stop following a driver's location",
+    strict({ driverId: objectId }, ["driverId"]),
+  ),
+  subscribe_ride: contract(
+    "Status updates of a ride you are part of",
+    strict({ rideId: objectId }, ["rideId"]),
+  ),
+  unsubscribe_ride: contract("Stop a ride's status updates", strict({ rideId: objectId }, ["rideId"])),
+  subscribe_wallet: contract("Your wallet updates (userId)", objectId),
+  unsubscribe_wallet: contract("Stop wallet updates (userId)", objectId),
+  subscribe_ride_history: contract("Your ride history updates (userId)", objectId),
+  unsubscribe_ride_history: contract("Stop ride history updates (userId)", objectId),
+  subscribe_earnings: contract("Your earnings updates (userId)", objectId),
+  unsubscribe_earnings: contract("Stop earnings updates (userId)", objectId),
+  subscribe_rewards: contract("Your rewards updates (userId)", objectId),
+  unsubscribe_rewards: contract("Stop rewards updates (userId)", objectId),
+  subscribe_analytics: contract("Live analytics (active admins only)", noPayload),
+  unsubscribe_analytics: contract("Stop live analytics", noPayload),
+  resume: contract(
+    "After reconnecting: replay reliable events newer than lastSeq (or than the last ack)",
+    { type: ["object", "null"], properties: { lastSeq: { type: "integer", minimum: 0 } }, additionalProperties: false },
+  ),
+  ack: contract(
+    "Acknowledge reliable events up to and including seq",
+    strict({ seq: { type: "integer", minimum: 0 } }, ["seq"]),
+  ),
+};
+
+// -------------------------------------------------------------------
+// Server -> client
+// -------------------------------------------------------------------
+
+const OUTBOUND_EVENTS = {
+  // Connection
+  connection_success: contract(
+    "Authenticated; schemaVersion is SOCKET_SCHEMA_VERSION",
+    object(
+      { message, userId: objectId, socketId: { type: "string" }, schemaVersion: { type: "string" }, timestamp },
+      ["userId", "socketId", "timestamp"],
+    ),
+  ),
+  connection_error: contract("Authentication failed; the socket is disconnected", errorPayload),
+  pong_server: contract(
+    "Reply to ping_server",
+    object({ timestamp, received: { type: ["number", "string", "null"] } }, ["timestamp"]),
+  ),
+  validation_error: contract(
+    "An inbound payload didn't match its schema; the event was ignored",
+    object(
+      {
+        event: { type: "string" },
+        message,
+        code: { type: "string" },
+        errors: { type: "array", items: object({ path: { type: "string" }, message }) },
+        timestamp,
+      },
+      ["event", "message", "code", "errors"],
+    ),
+  ),
+
+  // Subscriptions
+  subscription_error: contract(
+    "A subscription was refused or incomplete",
+    object({ event: { type: "string" }, message, code: { type: "string" }, timestamp }, ["message"]),
+  ),
+  dashboard_subscribed: contract(
+    "Result of subscribe_dashboard",
+    object({ success: { type: "boolean" }, userId: {}, userType: { type: "string" }, message, timestamp }, ["success"]),
+  ),
+  driver_subscription_success: contract(
+    "Result of rider_subscribe_driver",
+    object({ message, driverId: objectId, timestamp }, ["driverId"]),
+  ),
+  driver_unsubscription_success: contract(
+    "Result of rider_unsubscribe_driver",
+    object({ message, driverId: objectId, timestamp }, ["driverId"]),
+  ),
+  ride_subscription_success: contract(
+    "Result of subscribe_ride",
+    object({ message, rideId: objectId, timestamp }, ["rideId"]),
+  ),
+  analytics_subscribed: contract("Result of subscribe_analytics", subscriptionResult),
+  resume_complete: contract(
+    "Replay after resume finished; reload over REST when complete is false",
+    object(
+      {
+        fromSeq: { type: "integer" },
+        latestSeq: { type: "integer" },
+        replayed: { type: "integer" },
+        complete: { type: "boolean" },
+        timestamp,
+      },
+      ["fromSeq", "latestSeq", "replayed", "complete"],
+    ),
+  ),
+  resume_error: contract("resume failed", errorPayload),
+  ack_error: contract("ack failed", errorPayload),
+
+  // Locations
+  location_update_success: contract("update_location stored", object({ message, timestamp })),
+  location_update_error: contract("update_location failed", errorPayload),
+  rider_location_update_success: contract(
+    "update_rider_location stored",
+    object({ message, nearbyDriversCount: { type: "integer" }, timestamp }),
+  ),
+  rider_location_update_error: contract("update_rider_location failed", errorPayload),
+  driver_location_update: contract(
+    "A driver's position: to the driver's followers, the rider of their ride, and nearby riders",
+    driverLocationUpdate,
+    2,
+  ),
+  driver_tracking_started: contract(
+    "The rider now follows their driver's location",
+    object({ driverId: objectId, message, timestamp }, ["driverId"]),
+  ),
+  location_reminder: contract(
+    "Online driver hasn't sent a location recently",
+    object(
+      { type: { type: "string" }, message, requiresAction: { type: "boolean" }, lastLocationAge: { type: ["number", "null"] }, timestamp },
+      ["type", "message"],
+    ),
+  ),
+  location_update: contract(
+    "A saved location was added, updated or deleted",
+    object({ action: { type: "string" }, location: anyObject, locationId: objectId, timestamp }, ["action"]),
+  ),
+
+  // Ride lifecycle
+  ride_request: contract(
+    "Offer of a ride to a driver",
+    object(
+      {
+        rideId: objectId,
+        riderId: objectId,
+        riderName: { type: "string" },
+        pickup: point,
+        dropoff: point,
+        distance: { type: "number" },
+        fare: { type: "number" },
+        estimatedFare: { type: "number" },
+        vehicleType: { type: "string" },
+        expiresAt: timestamp,
+        timeLeft: { type: "integer" },
+        timestamp,
+      },
+      ["rideId", "pickup", "dropoff", "expiresAt", "timestamp"],
+    ),
+  ),
+  ride_taken: contract("The offered ride went to another driver", object({ rideId: objectId }, ["rideId"])),
+  driver_assigned: contract(
+    "A driver is on the way",
+    object(
+      {
+        rideId: objectId,
+        driver: object({ id: objectId, name: { type: "string" }, rating: { type: "number" }, vehicle: anyObject }, ["id"]),
+        estimatedPickupTime: {},
+      },
+      ["rideId", "driver"],
+    ),
+  ),
+  driver_arrived: contract(
+    "The driver is at the pickup",
+    object({ id: objectId, driverId: objectId, message, timestamp }, ["id"]),
+  ),
+  ride_status_change: contract("A ride's status changed (ride subscribers)", rideStatusPayload),
+  ride_searching: contract("Looking for a driver", rideStatusPayload),
+  ride_assigned: contract("A driver was assigned", rideStatusPayload),
+  ride_accepted: contract("The driver accepted", rideStatusPayload),
+  ride_no_drivers: contract("No driver was found", rideStatusPayload),
+  ride_scheduled: contract("The ride was scheduled", rideStatusPayload),
+  ride_status_update: contract(
+    "Status change without a dedicated event, or live ride state (driver location, ETAs, fare) on the ride status room",
+    { anyOf: [rideStatusPayload, object({ rideId: objectId, status: { type: "string" }, route: anyObject }, ["rideId", "status"])] },
+  ),
+  active_ride_update: contract(
+    "Live state of an active ride",
+    object({ rideId: objectId, status: { type: "string" }, lastUpdated: timestamp }, ["rideId", "status"]),
+  ),
+  ride_started: contract(
+    "The rider was picked up",
+    object({ rideId: objectId, driverId: objectId, driverName: { type: "string" }, message, timestamp }, ["rideId"]),
+  ),
+  ride_completed: contract(
+    "The ride finished",
+    object({ rideId: objectId, fare: { type: ["number", "null"] }, paymentMethod: { type: "string" }, message, timestamp }),
+  ),
+  ride_cancelled: contract(
+    "The ride was cancelled",
+    object({ rideId: objectId, reason: { type: ["string", "null"] }, cancellationFee: { type: "number" } }, ["rideId"]),
+  ),
+  ride_accepted_success: contract(
+    "To the driver: ride accepted, head to pickup",
+    object({ id: objectId, status: { type: "string" }, rider: anyObject, pickup: anyObject, dropoff: anyObject, message }, ["id"]),
+  ),
+  ride_driver_rejected: contract(
+    "To the rider: a driver declined, still searching",
+    object({ id: objectId, message, reason: { type: "string" }, timestamp }, ["id"]),
+  ),
+  ride_completed_success: contract(
+    "To the driver: ride completed with earnings",
+    object({ id: objectId, status: { type: "string" }, earnings: anyObject }, ["id"]),
+  ),
+  ride_status_initial: contract(
+    "Live updates enabled for a ride",
+    object({ id: objectId, message }, ["id"]),
+  ),
+  ride_history_update: contract("Ride history changed", object({ timestamp }, ["timestamp"])),
+  payment_processed: contract(
+    "Ride payment taken",
+    object({ id: objectId, amount: { type: "number" }, method: { type: "string" }, status: { type: "string" }, message, timestamp }, ["id", "amount"]),
+  ),
+  tip_received: contract(
+    "To the driver: a rider tipped",
+    object({ id: objectId, message, timestamp }, ["id"]),
+  ),
+  rating_submitted: contract("Your rating was saved", object({ id: objectId, message, timestamp }, ["id"])),
+  rider_rating: contract("To the driver: a rider rated you", object({ id: objectId, message }, ["id"])),
+  push_notification: contract(
+    "In-app notification",
+    object({ title: { type: "string" }, message, type: { type: "string" }, timestamp }, ["title", "message"]),
+  ),
+
+  // Dashboards
+  dashboard_initial: contract("Driver dashboard on subscribe", anyObject),
+  dashboard_update: contract(
+    "Driver dashboard change",
+    object({ updateType: { type: "string" }, data: {}, timestamp }, ["updateType", "timestamp"]),
+  ),
+  rider_dashboard_initial: contract("Rider dashboard on subscribe", anyObject),
+  rider_dashboard_update: contract(
+    "Rider dashboard change",
+    object({ updateType: { type: "string" }, data: {}, timestamp }, ["updateType", "timestamp"]),
+  ),
+  account_status: contract(
+    "Dashboard notice of an account (de)activation",
+    object({ activeStatus: { type: "string" }, message }, ["activeStatus"]),
+  ),
+
+  // Account
+  profile_update: contract("Profile changed", object({ timestamp }, ["timestamp"])),
+  settings_update: contract("Settings changed", wrapped("settings")),
+  payment_method_update: contract(
+    "A payment method was added or deleted",
+    object({ action: { type: "string" }, timestamp }, ["action"]),
+  ),
+  account_activated: contract(
+    "Your account was activated",
+    object({ userType: { type: "string" }, activeStatus: { type: "string" }, message, timestamp }, ["userType", "activeStatus"]),
+  ),
+  account_deactivated: contract(
+    "Your account was deactivated",
+    object({ userType: { type: "string" }, activeStatus: { type: "string" }, message, timestamp }, ["userType", "activeStatus"]),
+  ),
+  driver_approved: contract(
+    "Your driver account was approved",
+    object({ driverId: objectId, status: { type: "string" }, message, timestamp }, ["driverId", "status"]),
+  ),
+  driver_rejected: contract(
+    "Your driver application was rejected",
+    object({ driverId: objectId, status: { type: "string" }, rejectionMessage: { type: "string" }, timestamp }, ["driverId", "status"]),
+  ),
+  document_verified: contract("One of your documents was verified", documentNotice),
+  document_rejected: contract("One of your documents was rejected", documentNotice),
+  document_missing: contract("A required document is missing", documentNotice),
+  admin_message: contract("Message from an admin", object({ driverId: objectId, message }, ["message"])),
+
+  // Money
+  earnings_update: contract("Driver earnings changed", object({ timestamp }, ["timestamp"])),
+  wallet_update: contract(
+    "Wallet balance changed",
+    object({ wallet: object({ balance: { type: "number" } }, ["balance"]), timestamp }, ["wallet", "timestamp"]),
+  ),
+  wallet_spending: contract("Money left the wallet", wrapped("spending")),
+  wallet_transaction: contract("New wallet transaction", wrapped("transaction")),
+  low_wallet_balance: contract("Wallet balance is low", wrapped("alert")),
+
+  // Rewards
+  reward_earned: contract(
+    "Reward points earned",
+    object({ points: { type: ["number", "null"] }, message, timestamp }, ["timestamp"]),
+  ),
+  points_earned: contract("Reward points earned (rewards room)", wrapped("points")),
+  rewards_balance_update: contract("Points balance changed", wrapped("balance")),
+  rewards_tier_upgrade: contract("Moved up a tier", wrapped("tier")),
+  rewards_expiring_soon: contract("Points about to expire", wrapped("expiring")),
+  rewards_new_available: contract("New rewards to redeem", wrapped("rewards")),
+  rewards_redemption_success: contract("Reward redeemed", wrapped("redemption")),
+  reward_redemption_failed: contract("Reward redemption failed", wrapped("failure")),
+  new_reward_added: contract("A reward was added to the catalogue", wrapped("reward")),
+  reward_updated: contract("A catalogue reward changed", wrapped("reward")),
+  reward_removed: contract(
+    "A reward was removed from the catalogue",
+    object({ rewardId: objectId, timestamp }, ["rewardId", "timestamp"]),
+  ),
+  referral_info_update: contract("Referral details changed", wrapped("referral")),
+  referral_points_earned: contract("Points earned from a referral", wrapped("referralPoints")),
+  referral_code_used: contract("Someone used your referral code", wrapped("referralUsed")),
+
+  // Admin
+  admin_driver_status_update: contract(
+    "A driver went online, offline or busy",
+    object({ driverId: objectId, status: { type: "string" }, driverInfo: anyObject, updatedAt: timestamp }, ["driverId", "status"]),
+  ),
+  admin_ride_update: contract(
+    "A ride changed",
+    object({ rideId: objectId, status: { type: "string" }, updatedAt: timestamp }, ["rideId", "status"]),
+  ),
+  admin_dispute_update: contract(
+    "A card dispute opened or changed",
+    object({ disputeId: objectId, status: { type: "string" }, amount: { type: "number" }, timestamp }, ["disputeId", "status"]),
+  ),
+  admin_driver_approved: contract("A driver was approved", adminNotice),
+  admin_driver_rejected: contract("A driver was rejected", adminNotice),
+  admin_driver_activated: contract("A driver was activated", adminNotice),
+  admin_driver_deactivated: contract("A driver was deactivated", adminNotice),
+  admin_rider_activated: contract("A rider was activated", adminNotice),
+  admin_rider_deactivated: contract("A rider was deactivated", adminNotice),
+  admin_document_verified: contract("A driver document was verified", documentNotice),
+  admin_document_rejected: contract("A driver document was rejected", documentNotice),
+  admin_document_missing_marked: contract("A driver document was marked missing", documentNotice),
+  document_reuploaded: contract("A driver re-uploaded a document", documentNotice),
+  admin_ride_completed: contract(
+    "A ride was completed",
+    object({ id: objectId, status: { type: "string" }, finalFare: { type: "number" }, timestamp }, ["id"]),
+  ),
+  admin_tip_received: contract("A rider tipped a driver", object({ id: objectId, message, timestamp }, ["id"])),
+  admin_rating_received: contract("A rider rated a driver", object({ id: objectId, timestamp }, ["id"])),
+  analytics_update: contract(
+    "Analytics data changed (analytics subscribers)",
+    object({ updateType: { type: "string" }, data: {}, timestamp }, ["updateType", "timestamp"]),
+  ),
+  analytics_realtime_event: contract(
+    "Something analytics counts happened",
+    object({ eventType: { type: "string" }, data: {}, timestamp }, ["eventType", "timestamp"]),
+  ),
+  analytics_refresh_needed: contract(
+    "Reload the analytics dashboard",
+    object({ reason: { type: "string" }, timestamp }, ["reason", "timestamp"]),
+  ),
+};
+
+module.exports = { SOCKET_SCHEMA_VERSION, INBOUND_EVENTS, OUTBOUND_EVENTS };
@@ -11,6 +11,9 @@ const PaymentMethod = require("../models/PaymentMethod");
 const SavedLocation = require("../models/SavedLocation");
 const RewardTransaction = require("../models/RewardTransaction");
 const Wallet = require("../models/Wallet");
+const RideOffer = require("../models/RideOffer");
+const ServiceArea = require("../models/ServiceArea");
+const PricingRule = require("../models/PricingRule");
 const { sendSuccess, sendError } = require("../utils/responseHelper");
 const { auditLoggers } = require("../middlewares/audit");
 const { getRideId, getUserId, getDriverId, getRiderId, getFlexibleId } = require("../utils/flexibleParams");
@@ -18,6 +21,21 @@ const { driverPhotoUpload } = require("../config/multerConfig");
 const bcrypt = require("bcryptjs");
 const notificationService = require("../services/notificationService");
 const socketService = require("../services/socketService");
+const driverScoringService = require("../services/driverScoringService");
+const serviceAreaService = require("../services/serviceAreaService");
+const pricingService = require("../services/pricingService");
+const surgeService = require("../services/surgeService");
+const rideTrackService = require("../services/rideTrackService");
+const ledgerService = require("../services/ledgerService");
+const cashSettlementService = require("../services/cashSettlementService");
+const scheduledPayoutService = require("../services/scheduledPayoutService");
+const disputeService = require("../services/disputeService");
+const refundService = require("../services/refundService");
+const { REFUND_REASONS } = require("../config/refundConfig");
+const Dispute = require("../models/Dispute");
+const { PRICED_VEHICLE_TYPES } = require("../config/pricingConfig");
+const eventBus = require("../services/eventBus");
+const { DOMAIN_EVENTS } = require("../config/domainEvents");
 
 // Document Status Transition Validation Helper
 const validateStatusTransition = (currentStatus, action, document) => {
@@ -137,7 +155,11 @@ exports.approveDriver = async (req, res, next) => {
 
     driver.isApproved = "approved";
     driver.verificationStatus = "verified";
-    driver.status = "online"; // Set to online when approved
+    // Set to online when approved, if their last position is in service
+    const previousStatus = driver.status;
+    driver.status = (await serviceAreaService.checkDriverCanGoOnline(driver._id))
+      ? "offline"
+      : "online";
 
     // Clear rejection data on approval
     driver.rejectionMessage = undefined;
@@ -145,6 +167,12 @@ exports.approveDriver = async (req, res, next) => {
     driver.rejectedBy = undefined;
 
     await driver.save();
+    if (previousStatus !== driver.status) {
+      eventBus.publish(DOMAIN_EVENTS.DRIVER_STATUS_CHANGED, {
+        driverId: driver._id,
+        status: driver.status,
+      });
+    }
 
     // Set user isVerified to true for admin verification
     const user = await User.findByIdAndUpdate(driver.user, {
@@ -250,6 +278,7 @@ exports.rejectDriver = async (req, res, next) => {
     }
 
     // Update rejection details
+    const previousStatus = driver.status;
     driver.isApproved = "rejected";
     driver.status = "offline"; // Set to offline for rejected drivers
     driver.verificationStatus = "unverified"; // Reset verification
@@ -259,6 +288,12 @@ exports.rejectDriver = async (req, res, next) => {
     driver.rejectedBy = req.user.id;
 
     await driver.save();
+    if (previousStatus !== driver.status) {
+      eventBus.publish(DOMAIN_EVENTS.DRIVER_STATUS_CHANGED, {
+        driverId: driver._id,
+        status: driver.status,
+      });
+    }
 
     // Get user for notifications
     const user = await User.findById(driver.user);
@@ -332,6 +367,7 @@ exports.rejectDriverCustom = async (req, res, next) => {
     }
 
     // Update rejection details
+    const previousStatus = driver.status;
     driver.isApproved = "rejected";
     driver.status = "offline"; // Set to offline for rejected drivers
     driver.verificationStatus = "unverified"; // Reset verification
@@ -341,6 +377,12 @@ exports.rejectDriverCustom = async (req, res, next) => {
     driver.rejectedBy = req.user.id;
 
     await driver.save();
+    if (previousStatus !== driver.status) {
+      eventBus.publish(DOMAIN_EVENTS.DRIVER_STATUS_CHANGED, {
+        driverId: driver._id,
+        status: driver.status,
+      });
+    }
 
     // Get user for notifications
     const user = await User.findById(driver.user);
@@ -2315,6 +2357,12 @@ exports.manageDriverStatus = async (req, res) => {
       { status: newStatus },
       { new: true }
     ).populate("user", "fullName email phone");
+    if (targetDriver.status !== newStatus) {
+      eventBus.publish(DOMAIN_EVENTS.DRIVER_STATUS_CHANGED, {
+        driverId: targetDriver._id,
+        status: newStatus,
+      });
+    }
 
     const message =
       action === "suspend"
@@ -2918,13 +2966,844 @@ exports.getRideDetails = async (req, res) => {
       return sendError(res, "Ride not found", 404);
     }
 
-    sendSuccess(res, { ride }, "Ride details retrieved successfully", 200);
+    // Every driver the ride was offered to, with the score that ranked them
+    const offers = await RideOffer.find({ ride: ride._id })
+      .populate({
+        path: "driver",
+        select: "user vehicle rating",
+        populate: { path: "user", select: "fullName phone" },
+      })
+      .sort({ createdAt: 1, position: 1 });
+
+    const dispatchCandidates = offers.map((offer) => ({
+      driver: offer.driver,
+      position: offer.position,
+      strategy: offer.strategy,
+      distance: offer.distance,
+      eta: offer.eta,
+      score: offer.score,
+      scoreBreakdown: offer.scoreBreakdown,
+      outcome: offer.outcome,
+      offeredAt: offer.offeredAt,
+      respondedAt: offer.respondedAt,
+    }));
+
+    sendSuccess(
+      res,
+      { ride, dispatchCandidates },
+      "Ride details retrieved successfully",
+      200
+    );
   } catch (err) {
     console.error("Get ride details error:", err);
     sendError(res, "Failed to retrieve ride details", 500);
   }
 };
 
+// Get the recorded route of a ride for playback (downsampled polyline)
+exports.getRideTrack = async (req, res) => {
+  try {
+    const { rideId } = req.params;
+
+    const ride = await Ride.findById(rideId).select("+trail");
+    if (!ride) {
+      return sendError(res, "Ride not found", 404);
+    }
+
+    const track = await rideTrackService.getPlaybackPolyline(ride);
+
+    sendSuccess(
+      res,
+      {
+        rideId: ride._id,
+        status: ride.status,
+        pickup: ride.pickup,
+        dropoff: ride.dropoff,
+        ...track,
+        actualDistance: ride.actualDistance, // miles, as billed
+        actualDistanceSource: ride.actualDistanceSource,
+        statusTimeline: rideTrackService.getStatusTimeline(ride),
+      },
+      "Ride track retrieved successfully",
+      200
+    );
+  } catch (err) {
+    console.error("Get ride track error:", err);
+    sendError(res, "Failed to retrieve ride track", 500);
+  }
+};
+
+// Get driver scoring weights used for dispatch
+exports.getDispatchScoringWeights = async (req, res) => {
+  try {
+    const weights = await driverScoringService.getWeights();
+
+    sendSuccess(
+      res,
+      { weights },
+      "Dispatch scoring weights retrieved successfully",
+      200
+    );
+  } catch (err) {
+    console.error("Get dispatch scoring weights error:", err);
+    sendError(res, "Failed to retrieve dispatch scoring weights", 500);
+  }
+};
+
+// Update driver scoring weights used for dispatch
+exports.updateDispatchScoringWeights = async (req, res) => {
+  try {
+    const updates = req.body?.weights || req.body || {};
+
+    if (Object.keys(updates).length === 0) {
+      return sendError(res, "No scoring weights provided", 400);
+    }
+
+    const weights = await driverScoringService.updateWeights(
+      updates,
+      req.user.id
+    );
+
+    sendSuccess(
+      res,
+      { weights },
+      "Dispatch scoring weights updated successfully",
+      200
+    );
+  } catch (err) {
+    console.error("Update dispatch scoring weights error:", err);
+    sendError(
+      res,
+      err.statusCode ? err.message : "Failed to update dispatch scoring weights",
+      err.statusCode || 500
+    );
+  }
+};
+
+// =============================================
+// SERVICE AREAS
+// =============================================
+
+// List service areas
+exports.getServiceAreas = async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.isActive !== undefined) {
+      query.isActive = req.query.isActive === "true";
+    }
+
+    const serviceAreas = await ServiceArea.find(query).sort({ name: 1 });
+
+    sendSuccess(
+      res,
+      { serviceAreas },
+      "Service areas retrieved successfully",
+      200
+    );
+  } catch (err) {
+    console.error("Get service areas error:", err);
+    sendError(res, "Failed to retrieve service areas", 500);
+  }
+};
+
+// Get a single service area
+exports.getServiceArea = async (req, res) => {
+  try {
+    const serviceArea = await ServiceArea.findById(req.params.id);
+
+    if (!serviceArea) {
+      return sendError(res, "Service area not found", 404);
+    }
+
+    sendSuccess(
+      res,
+      { serviceArea },
+      "Service area retrieved successfully",
+      200
+    );
+  } catch (err) {
+    console.error("Get service area error:", err);
+    sendError(res, "Failed to retrieve service area", 500);
+  }
+};
+
+// Create a service area from a GeoJSON Polygon/MultiPolygon
+exports.createServiceArea = async (req, res) => {
+  try {
+    const { name, description, isActive } = req.body;
+
+    if (!name || !req.body.geometry) {
+      return sendError(res, "Name and geometry are required", 400);
+    }
+
+    const { geometry, error } = serviceAreaService.parseGeometry(
+      req.body.geometry
+    );
+    if (error) {
+      return sendError(res, error, 400);
+    }
+
+    const existing = await ServiceArea.findOne({ name: name.trim() });
+    if (existing) {
+      return sendError(res, "A service area with this name already exists", 409);
+    }
+
+    const serviceArea = await ServiceArea.create({
+      name,
+      description,
+      isActive: isActive === undefined ? true : isActive === true || isActive === "true",
+      geometry,
+      createdBy: req.user.id,
+      updatedBy: req.user.id,
+    });
+
+    sendSuccess(
+      res,
+      { serviceArea },
+      "Service area created successfully",
+      201
+    );
+  } catch (err) {
+    console.error("Create service area error:", err);
+    // 2dsphere index rejects self-intersecting or otherwise invalid shapes
+    if (err.code === 16755) {
+      return sendError(res, "Geometry is not a valid polygon", 400);
+    }
+    sendError(res, "Failed to create service area", 500);
+  }
+};
+
+// Update a service area (name, description, active flag and/or geometry)
+exports.updateServiceArea = async (req, res) => {
+  try {
+    const serviceArea = await ServiceArea.findById(req.params.id);
+
+    if (!serviceArea) {
+      return sendError(res, "Service area not found", 404);
+    }
+
+    const { name, description, isActive } = req.body;
+
+    if (req.body.geometry !== undefined) {
+      const { geometry, error } = serviceAreaService.parseGeometry(
+        req.body.geometry
+      );
+      if (error) {
+        return sendError(res, error, 400);
+      }
+      serviceArea.geometry = geometry;
+    }
+
+    if (name !== undefined) {
+      const duplicate = await ServiceArea.findOne({
+        name: name.trim(),
+        _id: { $ne: serviceArea._id },
+      });
+      if (duplicate) {
+        return sendError(res, "A service area with this name already exists", 409);
+      }
+      serviceArea.name = name;
+    }
+    if (description !== undefined) serviceArea.description = description;
+    if (isActive !== undefined) {
+      serviceArea.isActive = isActive === true || isActive === "true";
+    }
+    serviceArea.updatedBy = req.user.id;
+
+    await serviceArea.save();
+
+    sendSuccess(
+      res,
+      { serviceArea },
+      "Service area updated successfully",
+      200
+    );
+  } catch (err) {
+    console.error("Update service area error:", err);
+    if (err.code === 16755) {
+      return sendError(res, "Geometry is not a valid polygon", 400);
+    }
+    sendError(res, "Failed to update service area", 500);
+  }
+};
+
+// Delete a service area
+exports.deleteServiceArea = async (req, res) => {
+  try {
+    const serviceArea = await ServiceArea.findByIdAndDelete(req.params.id);
+
+    if (!serviceArea) {
+      return sendError(res, "Service area not found", 404);
+    }
+
+    sendSuccess(
+      res,
+      { serviceArea },
+      "Service area deleted successfully",
+      200
+    );
+  } catch (err) {
+    console.error("Delete service area error:", err);
+    sendError(res, "Failed to delete service area", 500);
+  }
+};
+
+// =============================================
+// PRICING RULES
+// =============================================
+
+// List pricing rule versions
+exports.getPricingRules = async (req, res) => {
+  try {
+    const { vehicleType, serviceArea, status } = req.query;
+
+    const query = {};
+    if (vehicleType) query.vehicleType = vehicleType;
+    if (status) query.status = status;
+    if (serviceArea) {
+      query.serviceArea = serviceArea === "default" ? null : serviceArea;
+    }
+
+    const pricingRules = await PricingRule.find(query)
+      .populate("serviceArea", "name")
+      .sort({ vehicleType: 1, serviceArea: 1, version: -1 });
+
+    // Rules currently used for new fares (catch-all rules, per vehicle type)
+    const inEffect = {};
+    for (const type of PRICED_VEHICLE_TYPES) {
+      const rule = await pricingService.getRuleInEffect(type);
+      inEffect[type] = rule ? { ruleId: rule._id, version: rule.version } : null;
+    }
+
+    sendSuccess(
+      res,
+      { pricingRules, inEffect },
+      "Pricing rules retrieved successfully",
+      200
+    );
+  } catch (err) {
+    console.error("Get pricing rules error:", err);
+    sendError(res, "Failed to retrieve pricing rules", 500);
+  }
+};
+
+// Create a new (draft) pricing rule version
+exports.createPricingRule = async (req, res) => {
+  try {
+    const pricingRule = await pricingService.createRule(req.body, req.user.id);
+
+    sendSuccess(
+      res,
+      { pricingRule },
+      "Pricing rule created as draft. Preview and activate it to apply.",
+      201
+    );
+  } catch (err) {
+    console.error("Create pricing rule error:", err);
+    sendError(
+      res,
+      err.statusCode ? err.message : "Failed to create pricing rule",
+      err.statusCode || 500
+    );
+  }
+};
+
+// Preview a pricing rule version on a sample trip against the rule in effect
+exports.previewPricingRule = async (req, res) => {
+  try {
+    const pricingRule = await PricingRule.findById(req.params.id).lean();
+    if (!pricingRule) {
+      return sendError(res, "Pricing rule not found", 404);
+    }
+
+    const distanceMiles = parseFloat(req.body.distanceMiles);
+    const durationMinutes = parseFloat(req.body.durationMinutes);
+    if (isNaN(distanceMiles) || isNaN(durationMinutes)) {
+      return sendError(
+        res,
+        "distanceMiles and durationMinutes are required numbers",
+        400
+      );
+    }
+
+    const point =
+      req.body.pickupLat && req.body.pickupLng
+        ? { lat: req.body.pickupLat, lng: req.body.pickupLng }
+        : null;
+    const currentRule = await pricingService.resolveRule(
+      pricingRule.vehicleType,
+      point
+    );
+
+    // Surge is left out so the two versions compare like for like
+    const trip = { distanceMiles, durationMinutes, surgeMultiplier: 1 };
+
+    sendSuccess(
+      res,
+      {
+        trip,
+        proposed: pricingService.priceTrip(pricingRule, trip),
+        current: pricingService.priceTrip(currentRule, trip),
+      },
+      "Pricing rule preview calculated successfully",
+      200
+    );
+  } catch (err) {
+    console.error("Preview pricing rule error:", err);
+    sendError(res, "Failed to preview pricing rule", 500);
+  }
+};
+
+// Activate a draft pricing rule version
+exports.activatePricingRule = async (req, res) => {
+  try {
+    const pricingRule = await pricingService.activateRule(
+      req.params.id,
+      req.user.id
+    );
+
+    sendSuccess(
+      res,
+      { pricingRule },
+      "Pricing rule activated successfully",
+      200
+    );
+  } catch (err) {
+    console.error("Activate pricing rule error:", err);
+    sendError(
+      res,
+      err.statusCode ? err.message : "Failed to activate pricing rule",
+      err.statusCode || 500
+    );
+  }
+};
+
+// =============================================
+// SURGE PRICING
+// =============================================
+
+// Get the surge policy
+exports.getSurgePolicy = async (req, res) => {
+  try {
+    const policy = await surgeService.getPolicy();
+
+    sendSuccess(res, { policy }, "Surge policy retrieved successfully", 200);
+  } catch (err) {
+    console.error("Get surge policy error:", err);
+    sendError(res, "Failed to retrieve surge policy", 500);
+  }
+};
+
+// Update the surge policy (cap, sensitivity, smoothing, confirmation threshold)
+exports.updateSurgePolicy = async (req, res) => {
+  try {
+    if (!req.body || Object.keys(req.body).length === 0) {
+      return sendError(res, "No surge policy fields provided", 400);
+    }
+
+    const policy = await surgeService.updatePolicy(req.body, req.user.id);
+
+    sendSuccess(res, { policy }, "Surge policy updated successfully", 200);
+  } catch (err) {
+    console.error("Update surge policy error:", err);
+    sendError(
+      res,
+      err.statusCode ? err.message : "Failed to update surge policy",
+      err.statusCode || 500
+    );
+  }
+};
+
+// Get current surge zones (cells with demand or a decaying multiplier)
+exports.getSurgeZones = async (req, res) => {
+  try {
+    const zones = await surgeService.getZones();
+
+    sendSuccess(res, { zones }, "Surge zones retrieved successfully", 200);
+  } catch (err) {
+    console.error("Get surge zones error:", err);
+    sendError(res, "Failed to retrieve surge zones", 500);
+  }
+};
+
+// =============================================
+// LEDGER
+// =============================================
+
+// Compare wallet and driver balances with the journal (read-only)
+exports.verifyLedger = async (req, res) => {
+  try {
+    const report = await ledgerService.reconcile();
+
+    sendSuccess(
+      res,
+      { report },
+      report.mismatches.length === 0
+        ? "Ledger balances verified"
+        : `Found ${report.mismatches.length} balance mismatch(es)`,
+      200
+    );
+  } catch (err) {
+    console.error("Verify ledger error:", err);
+    sendError(res, "Failed to verify ledger", 500);
+  }
+};
+
+// Recompute every balance from the journal and overwrite what doesn't match
+exports.rebuildLedger = async (req, res) => {
+  try {
+    const report = await ledgerService.reconcile({ apply: true });
+
+    sendSuccess(
+      res,
+      { report },
+      report.applied
+        ? `Rebuilt ${report.mismatches.length} balance(s) from the ledger`
+        : "All balances already match the ledger",
+      200
+    );
+  } catch (err) {
+    console.error("Rebuild ledger error:", err);
+    sendError(res, "Failed to rebuild ledger balances", 500);
+  }
+};
+
+// Get journal entries for one ledger account (e.g. rider_wallet:<userId>)
+exports.getLedgerAccountEntries = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    const { account, entries, total } = await ledgerService.getAccountEntries(
+      req.params.code,
+      { page, limit }
+    );
+
+    sendSuccess(
+      res,
+      {
+        account,
+        entries,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          itemsPerPage: limit,
+        },
+      },
+      "Ledger entries retrieved successfully",
+      200
+    );
+  } catch (err) {
+    console.error("Get ledger entries error:", err);
+    sendError(
+      res,
+      err.statusCode ? err.message : "Failed to retrieve ledger entries",
+      err.statusCode || 500
+    );
+  }
+};
+
+// =============================================
+// CASH SETTLEMENT
+// =============================================
+
+// Get the cash commission a driver may owe before they're kept offline
+exports.getCashDebtLimit = async (req, res) => {
+  try {
+    const debtLimit = await cashSettlementService.getDebtLimit();
+
+    sendSuccess(res, { debtLimit }, "Cash debt limit retrieved successfully", 200);
+  } catch (err) {
+    console.error("Get cash debt limit error:", err);
+    sendError(res, "Failed to retrieve cash debt limit", 500);
+  }
+};
+
+// Update the cash debt limit
+exports.updateCashDebtLimit = async (req, res) => {
+  try {
+    const debtLimit = await cashSettlementService.updateDebtLimit(
+      req.body?.debtLimit,
+      req.user.id
+    );
+
+    sendSuccess(res, { debtLimit }, "Cash debt limit updated successfully", 200);
+  } catch (err) {
+    console.error("Update cash debt limit error:", err);
+    sendError(
+      res,
+      err.statusCode ? err.message : "Failed to update cash debt limit",
+      err.statusCode || 500
+    );
+  }
+};
+
+// Get a driver's cash collected and commission owed
+exports.getDriverCashSummary = async (req, res) => {
+  try {
+    const driver = await Driver.findById(req.params.driverId).populate(
+      "user",
+      "fullName email"
+    );
+    if (!driver) {
+      return sendError(res, "Driver not found", 404);
+    }
+
+    const summary = await cashSettlementService.getSummary(driver);
+
+    sendSuccess(
+      res,
+      {
+        driver: { id: driver._id, name: driver.user?.fullName || "Unknown" },
+        cash: summary,
+      },
+      "Driver cash summary retrieved successfully",
+      200
+    );
+  } catch (err) {
+    console.error("Get driver cash summary error:", err);
+    sendError(res, "Failed to retrieve driver cash summary", 500);
+  }
+};
+
+// Record cash commission a driver paid in directly
+exports.recordDriverCashRemittance = async (req, res) => {
+  try {
+    const { amount, note } = req.body || {};
+
+    const summary = await cashSettlementService.recordRemittance(
+      req.params.driverId,
+      amount,
+      { note, createdBy: req.user.id }
+    );
+
+    sendSuccess(res, { cash: summary }, "Cash remittance recorded successfully", 200);
+  } catch (err) {
+    console.error("Record cash remittance error:", err);
+    sendError(
+      res,
+      err.statusCode ? err.message : "Failed to record cash remittance",
+      err.statusCode || 500
+    );
+  }
+};
+
+// =============================================
+// PAYOUT RUNS
+// =============================================
+
+// List scheduled payout runs with their totals
+exports.getPayoutRuns = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const { runs, total } = await scheduledPayoutService.getRuns({ page, limit });
+    const totalPages = Math.ceil(total / limit);
+
+    sendSuccess(
+      res,
+      {
+        runs,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalRecords: total,
+          hasNext: page < totalPages,
+          hasPrev: page > 1,
+        },
+      },
+      "Payout runs retrieved successfully",
+      200
+    );
+  } catch (err) {
+    console.error("Get payout runs error:", err);
+    sendError(res, "Failed to retrieve payout runs", 500);
+  }
+};
+
+// Get one payout run with the outcome for each driver
+exports.getPayoutRun = async (req, res) => {
+  try {
+    const run = await scheduledPayoutService.getRun(req.params.runId);
+    if (!run) {
+      return sendError(res, "Payout run not found", 404);
+    }
+
+    sendSuccess(res, { run }, "Payout run retrieved successfully", 200);
+  } catch (err) {
+    console.error("Get payout run error:", err);
+    sendError(res, "Failed to retrieve payout run", 500);
+  }
+};
+
+// =============================================
+// RIDE REFUNDS
+// =============================================
+
+// Get every refund made against a ride's payment
+exports.getRideRefunds = async (req, res) => {
+  try {
+    const history = await refundService.getRideRefunds(req.params.rideId);
+    if (!history) {
+      return sendError(res, "Ride not found", 404);
+    }
+
+    sendSuccess(
+      res,
+      {
+        ...history,
+        reasons: Object.entries(REFUND_REASONS).map(([code, { label }]) => ({
+          code,
+          label,
+        })),
+      },
+      "Ride refunds retrieved successfully",
+      200
+    );
+  } catch (err) {
+    console.error("Get ride refunds error:", err);
+    sendError(res, "Failed to retrieve ride refunds", 500);
+  }
+};
+
+// Refund part or all of a ride's payment (card back to the card, wallet back to the wallet)
+exports.refundRide = async (req, res) => {
+  try {
+    const payment = await Payment.findOne({ ride: req.params.rideId });
+    if (!payment) {
+      return sendError(res, "No payment found for this ride", 404);
+    }
+
+    const { amount, reason, note } = req.body || {};
+    const { refund, payment: updated } = await refundService.refundPayment(
+      payment._id,
+      { amount, reason, note },
+      {
+        userId: req.user.id,
+        ipAddress: req.ip || req.connection.remoteAddress,
+        userAgent: req.get("User-Agent") || "Unknown",
+      }
+    );
+
+    sendSuccess(
+      res,
+      {
+        refund,
+        refundedAmount: updated.refundedAmount,
+        remainingAmount:
+          Math.round((updated.amount - updated.refundedAmount) * 100) / 100,
+        paymentStatus: updated.status,
+      },
+      "Refund processed successfully",
+      200
+    );
+  } catch (err) {
+    console.error("Refund ride error:", err);
+    sendError(
+      res,
+      err.statusCode ? err.message : "Failed to process refund",
+      err.statusCode || 500,
+      err.code
+    );
+  }
+};
+
+// =============================================
+// DISPUTES
+// =============================================
+
+// List card disputes (chargebacks and inquiries)
+exports.getDisputes = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const { disputes, total } = await disputeService.getDisputes({
+      page,
+      limit,
+      status: req.query.status,
+    });
+    const totalPages = Math.ceil(total / limit);
+
+    sendSuccess(
+      res,
+      {
+        disputes,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalRecords: total,
+          hasNext: page < totalPages,
+          hasPrev: page > 1,
+        },
+      },
+      "Disputes retrieved successfully",
+      200
+    );
+  } catch (err) {
+    console.error("Get disputes error:", err);
+    sendError(res, "Failed to retrieve disputes", 500);
+  }
+};
+
+// Get a dispute with the evidence the ride's records would provide
+exports.getDispute = async (req, res) => {
+  try {
+    const dispute = await Dispute.findById(req.params.disputeId);
+    if (!dispute) {
+      return sendError(res, "Dispute not found", 404);
+    }
+
+    const suggestedEvidence = await disputeService.buildEvidence(dispute);
+    await dispute.populate([
+      { path: "rider", select: "fullName email" },
+      { path: "payment", select: "amount status paymentMethod stripeChargeId" },
+      { path: "ride", select: "status pickup dropoff fare startTime endTime" },
+    ]);
+
+    sendSuccess(
+      res,
+      { dispute, suggestedEvidence },
+      "Dispute retrieved successfully",
+      200
+    );
+  } catch (err) {
+    console.error("Get dispute error:", err);
+    sendError(res, "Failed to retrieve dispute", 500);
+  }
+};
+
+// Send evidence for a dispute to Stripe (submit: true sends it for review)
+exports.submitDisputeEvidence = async (req, res) => {
+  try {
+    const { messages, notes, evidence, submit } = req.body || {};
+
+    const dispute = await disputeService.submitEvidence(
+      req.params.disputeId,
+      { messages, notes, evidence, submit },
+      req.user.id
+    );
+
+    sendSuccess(
+      res,
+      { dispute },
+      dispute.evidence.submitted
+        ? "Dispute evidence submitted successfully"
+        : "Dispute evidence saved successfully",
+      200
+    );
+  } catch (err) {
+    console.error("Submit dispute evidence error:", err);
+    sendError(
+      res,
+      err.statusCode ? err.message : "Failed to submit dispute evidence",
+      err.statusCode || 500
+    );
+  }
+};
+
 // Get admin active status history
 exports.getAdminActiveHistory = async (req, res) => {
   try {
@@ -14,6 +14,10 @@ const {
   verifyToken,
 } = require("../utils/jwt");
 const notificationService = require("../services/notificationService");
+const cashSettlementService = require("../services/cashSettlementService");
+const serviceAreaService = require("../services/serviceAreaService");
+const eventBus = require("../services/eventBus");
+const { DOMAIN_EVENTS } = require("../config/domainEvents");
 
 // ================= SIGNUP =================
 exports.signup = async (req, res) => {
@@ -547,13 +551,25 @@ exports.login = async (req, res) => {
       const driver = await Driver.findOne({ user: user._id });
       if (!driver) return sendError(res, "Driver profile not found", 404);
 
-      // Set status based on approval
-      const newStatus = driver.isApproved === "approved" ? "online" : "offline";
+      // Set status based on approval, cash commission owed and whether the
+      // driver's last known position is inside a service area
+      const { overLimit } = await cashSettlementService.getSummary(driver);
+      const canGoOnline =
+        driver.isApproved === "approved" &&
+        !overLimit &&
+        !(await serviceAreaService.checkDriverCanGoOnline(driver._id));
+      const newStatus = canGoOnline ? "online" : "offline";
       const updatedDriver = await Driver.findOneAndUpdate(
         { user: user._id },
         { status: newStatus },
         { new: true }
       );
+      if (driver.status !== newStatus) {
+        eventBus.publish(DOMAIN_EVENTS.DRIVER_STATUS_CHANGED, {
+          driverId: driver._id,
+          status: newStatus,
+        });
+      }
       profileData = updatedDriver;
     } else if (user.role === "admin" || user.role === "superadmin" || user.role === "subadmin") {
       const admin = await Admin.findOneAndUpdate(
@@ -856,6 +872,10 @@ exports.logoutDriver = async (req, res) => {
   try {
     const { driverId } = req.params;
     await Driver.findByIdAndUpdate(driverId, { status: "offline" });
+    eventBus.publish(DOMAIN_EVENTS.DRIVER_STATUS_CHANGED, {
+      driverId,
+      status: "offline",
+    });
     sendSuccess(res, null, "Driver logged out successfully", 200);
   } catch (err) {
     console.error("Logout driver error:", err);
@@ -3,8 +3,15 @@ const Ride = require("../models/Ride");
 const LiveLocation = require("../models/LiveLocation");
 const User = require("../models/User");
 const { sendSuccess, sendError } = require("../utils/responseHelper");
+const serviceAreaService = require("../services/serviceAreaService");
+const rideTrackService = require("../services/rideTrackService");
+const cashSettlementService = require("../services/cashSettlementService");
+const earningsHoldService = require("../services/earningsHoldService");
+const eventBus = require("../services/eventBus");
+const { DOMAIN_EVENTS } = require("../config/domainEvents");
 const path = require("path");
 const fs = require("fs");
+const { calculateDistance } = require("../utils/geo");
 
 // Document Status Transition Validation Helper
 const validateStatusTransition = (currentStatus, action, document) => {
@@ -81,83 +88,6 @@ const validateStatusTransition = (currentStatus, action, document) => {
   return { valid: true };
 };
 
-// Surrey boundary coordinates (approximate polygon for Surrey, UK)
-const SURREY_BOUNDARY = {
-  type: "Polygon",
-  coordinates: [
-    [
-      [-0.7647820542412376, 51.23981446058468],
-      [-0.7875715012305591, 51.3374427274924],
-      [-0.6234890626433867, 51.38724570115019],
-      [-0.5528255976095124, 51.44765326621072],
-      [-0.4912946943742895, 51.4369998383697],
-      [-0.4730633156372619, 51.460434099370985],
-      [-0.4969920002292554, 51.49591764082311],
-      [-0.41599643381312035, 51.48302961671584],
-      [-0.4034623609311154, 51.447536045839286],
-      [-0.35446553057650476, 51.40490731265197],
-      [-0.3350946905903527, 51.35227709578001],
-      [-0.27242432621378043, 51.39205851269867],
-      [-0.23596156893145803, 51.37214590110136],
-      [-0.18810419974732895, 51.34279330808303],
-      [-0.12999168002420447, 51.315737863375745],
-      [-0.05478725214481983, 51.348487158103154],
-      [0.005236573648232934, 51.30684028123139],
-      [0.08385939444977453, 51.320372623128776],
-      [0.10095132645901117, 51.230557277238916],
-      [0.07471019312615113, 51.14568596968138],
-      [-0.09279059902101494, 51.11922959976991],
-      [-0.13840415849489318, 51.15779247389932],
-      [-0.20107452358979572, 51.16493836684967],
-      [-0.2990681842990739, 51.12204640044169],
-      [-0.47454520463912786, 51.0991543868395],
-      [-0.6885988502547775, 51.033302729867955],
-      [-0.7375956806094166, 51.09059298445487],
-      [-0.7803726437674072, 51.11666890149371],
-      [-0.8088591650132173, 51.1567073053445],
-      [-0.8452124718280913, 51.192817893194615],
-      [-0.7647820542412376, 51.23981446058468],
-      [74.43945717928972, 31.48625965811391],
-      [74.43745247486578, 31.4863339860257],
-      [74.41326528017328, 31.485033239039396],
-      [74.40829709964137, 31.48882393695139],
-      [74.41069402884509, 31.497259546636712],
-      [74.42097903415561, 31.502053012186792],
-      [74.43993656513115, 31.496702150972723],
-      [74.43950075982167, 31.486296822077165],
-    ],
-  ],
-};
-
-// Haversine formula to calculate distance between two points
-function calculateDistance(lat1, lon1, lat2, lon2) {
-  const R = 6371; // Earth's radius in kilometers
-  const dLat = ((lat2 - lat1) * Math.PI) / 180;
-  const dLon = ((lon2 - lon1) * Math.PI) / 180;
-  const a =
-    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-    Math.cos((lat1 * Math.PI) / 180) *
-      Math.cos((lat2 * Math.PI) / 180) *
-      Math.sin(dLon / 2) *
-      Math.sin(dLon / 2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  return R * c; // Distance in kilometers
-}
-
-// Check if a point is inside Surrey boundary (simple bounding box check)
-function isInSurrey(lat, lon) {
-  const bounds = SURREY_BOUNDARY.coordinates[0];
-  const lats = bounds.map((coord) => coord[1]);
-  const lons = bounds.map((coord) => coord[0]);
-
-  const minLat = Math.min(...lats);
-  const maxLat = Math.max(...lats);
-  const minLon = Math.min(...lons);
-  const maxLon = Math.max(...lons);
-
-  return lat >= minLat && lat <= maxLat && lon >= minLon && lon <= maxLon;
-}
-
 // Upload driver photo
 exports.uploadPhoto = async (req, res) => {
   try {
@@ -319,6 +249,31 @@ exports.updateStatus = async (req, res) => {
       );
     }
 
+    if (status !== "offline") {
+      const currentDriver = await Driver.findOne({ user: req.user.id });
+      if (currentDriver) {
+        // Drivers can only go online from inside an active service area
+        if (status === "online") {
+          const refusal = await serviceAreaService.checkDriverCanGoOnline(
+            currentDriver._id,
+            { latitude, longitude }
+          );
+          if (refusal) {
+            return sendError(res, refusal.message, 400, refusal.code);
+          }
+        }
+
+        // Drivers owing too much cash commission stay offline (and can't
+        // mark themselves busy) until it's settled
+        try {
+          await cashSettlementService.assertCanGoOnline(currentDriver);
+        } catch (debtError) {
+          if (!debtError.statusCode) throw debtError;
+          return sendError(res, debtError.message, debtError.statusCode, debtError.code);
+        }
+      }
+    }
+
     const driver = await Driver.findOneAndUpdate(
       { user: req.user.id },
       { status },
@@ -329,7 +284,6 @@ exports.updateStatus = async (req, res) => {
       return sendError(res, "Driver profile not found", 404);
     }
 
-    let locationWarning = null;
     let locationSaved = false;
 
     // If going online and location is provided, create/update location
@@ -372,12 +326,22 @@ exports.updateStatus = async (req, res) => {
         lng: locationResult.longitude
       });
       locationSaved = true;
-    } else if (status === "online" && (!latitude || !longitude)) {
-      // Driver going online without location - they won't appear in rider searches!
-      console.log("DEBUG [updateStatus]: WARNING - Driver going online WITHOUT location. Driver will NOT appear in rider searches!");
-      locationWarning = "You are online but your location was not sent. You will NOT appear in rider searches until you send your location. Please ensure GPS is enabled and call POST /api/v1/drivers/location with your coordinates.";
+
+      eventBus.publish(DOMAIN_EVENTS.DRIVER_LOCATION_CHANGED, {
+        driverId: driver._id,
+        latitude: lat,
+        longitude: lng,
+        heading: locationData.heading,
+        speed: locationData.speed,
+        timestamp: locationData.timestamp,
+      });
     }
 
+    eventBus.publish(DOMAIN_EVENTS.DRIVER_STATUS_CHANGED, {
+      driverId: driver._id,
+      status,
+    });
+
     // Real-time notification for status update
     const socketService = require("../services/socketService");
     socketService.notifyDriverStatusUpdate(driver._id.toString(), status);
@@ -395,19 +359,14 @@ exports.updateStatus = async (req, res) => {
     // Notify admins about driver status change
     await socketService.notifyAdminDriverStatusUpdate(driver, status);
 
-    // Include warning in response if driver went online without location
     const responseData = { driver };
     if (status === "online") {
       responseData.locationSaved = locationSaved;
-      responseData.isVisible = locationSaved; // Whether driver is visible to riders
-    }
-    if (locationWarning) {
-      responseData.warning = locationWarning;
-      responseData.requiresLocation = true;
-      responseData.locationEndpoint = "POST /api/v1/drivers/location";
+      // Going online needs a recent location, so an online driver is visible
+      responseData.isVisible = true;
     }
 
-    sendSuccess(res, responseData, locationWarning || "Status updated successfully", 200);
+    sendSuccess(res, responseData, "Status updated successfully", 200);
   } catch (error) {
     console.error("Update status error:", error);
     sendError(res, "Failed to update status", 500);
@@ -771,6 +730,9 @@ exports.getDashboard = async (req, res) => {
       ? req.user.fullName.split(" ")[0]
       : "Driver";
 
+    // Active service areas for the map overlay
+    const serviceAreas = await serviceAreaService.getActiveAreas();
+
     const dashboardData = {
       driver: {
         name: req.user.fullName,
@@ -812,7 +774,8 @@ exports.getDashboard = async (req, res) => {
         nearbyDrivers: nearbyDrivers,
         hotZones: hotZones,
         nearbyRideRequests: nearbyRideRequests,
-        surreyBoundary: SURREY_BOUNDARY,
+        serviceAreas,
+        surreyBoundary: serviceAreas[0]?.geometry || null, // Kept for older app builds
       },
     };
 
@@ -861,11 +824,6 @@ async function getNearbyDriversForDriver(
         continue;
       }
 
-      // Check if driver is within Surrey boundary
-      if (!isInSurrey(location.latitude, location.longitude)) {
-        continue;
-      }
-
       // Calculate distance
       const distance = calculateDistance(
         driverLat,
@@ -1039,6 +997,18 @@ exports.getEarningsReport = async (req, res) => {
       generatedAt: new Date().toISOString(),
     };
 
+    // When each held ride's earnings become available to withdraw
+    const driver = await Driver.findOne({ user: req.user.id }).select("earnings");
+    if (driver) {
+      const hold = await earningsHoldService.getSchedule(driver._id);
+      response.balances = {
+        availableBalance: driver.earnings?.availableBalance || 0,
+        pendingBalance: driver.earnings?.pendingBalance || 0,
+        payoutInTransit: driver.earnings?.payoutInTransit || 0,
+      };
+      response.earningsHold = hold;
+    }
+
     sendSuccess(res, response, "Earnings report generated successfully", 200);
   } catch (error) {
     console.error("Get earnings report error:", error);
@@ -1266,19 +1236,6 @@ exports.updateLocation = async (req, res) => {
       return sendError(res, "Invalid latitude or longitude coordinates", 400);
     }
 
-    // Validate Surrey boundary (warn but don't reject for now - testing purposes)
-    const inSurrey = isInSurrey(latitude, longitude);
-    if (!inSurrey) {
-      console.log("DEBUG [updateLocation]: WARNING - Location is outside Surrey boundary:", {
-        latitude,
-        longitude,
-        driverId: req.user.id
-      });
-      // For testing: Allow location updates outside Surrey but log warning
-      // In production, uncomment the following:
-      // return sendError(res, "Location must be within Surrey boundary", 400);
-    }
-
     // Optional validations
     if (heading !== undefined && (heading < 0 || heading > 360)) {
       return sendError(res, "Heading must be between 0 and 360 degrees", 400);
@@ -1378,32 +1335,24 @@ exports.updateLocation = async (req, res) => {
 
     console.log("User update result:", userUpdateResult);
 
-    // Real-time WebSocket notifications for location updates
-    const socketService = require("../services/socketService");
-
-    // Notify nearby riders about driver location update
-    await socketService.notifyNearbyRidersAboutDriverUpdate(
-      driver._id.toString(),
-      {
-        latitude: parseFloat(latitude),
-        longitude: parseFloat(longitude),
-        heading: heading ? parseFloat(heading) : 0,
-        speed: speed ? parseFloat(speed) : 0,
-        timestamp: timestamp ? new Date(timestamp) : new Date(),
+    // Keep the trail of an in-progress ride for fare calculation
+    if (activeRide && activeRide.status === "in_progress") {
+      try {
+        await rideTrackService.recordSample(driver._id, locationData, activeRide);
+      } catch (trackError) {
+        console.error("Error recording ride track:", trackError);
       }
-    );
+    }
 
-    // Notify subscribers of active rides about location updates
-    await socketService.notifyRideSubscribersAboutDriverLocation(
-      driver._id.toString(),
-      {
-        latitude: parseFloat(latitude),
-        longitude: parseFloat(longitude),
-        heading: heading ? parseFloat(heading) : 0,
-        speed: speed ? parseFloat(speed) : 0,
-        timestamp: timestamp ? new Date(timestamp) : new Date(),
-      }
-    );
+    // Nearby riders, ride subscribers and ETAs are updated by socketService
+    eventBus.publish(DOMAIN_EVENTS.DRIVER_LOCATION_CHANGED, {
+      driverId: driver._id,
+      latitude: locationData.latitude,
+      longitude: locationData.longitude,
+      heading: locationData.heading,
+      speed: locationData.speed,
+      timestamp: locationData.timestamp,
+    });
 
     // Response format as per BACKEND_CHANGES_REQUIRED.md specification
     sendSuccess(
@@ -1,6 +1,9 @@
 const Driver = require("../models/Driver");
 const Ride = require("../models/Ride");
 const stripeService = require("../services/stripeService");
+const payoutService = require("../services/payoutService");
+const cashSettlementService = require("../services/cashSettlementService");
+const scheduledPayoutService = require("../services/scheduledPayoutService");
 const { sendSuccess, sendError } = require("../utils/responseHelper");
 
 /**
@@ -76,6 +79,8 @@ exports.getEarnings = async (req, res) => {
       0
     );
 
+    const cash = await cashSettlementService.getSummary(driver);
+
     const response = {
       totalEarnings: {
         amount: totalEarnings + totalTips + totalBonuses,
@@ -86,6 +91,15 @@ exports.getEarnings = async (req, res) => {
       },
       availableBalance: driver.earnings.availableBalance || 0,
       pendingBalance: driver.earnings.pendingBalance || 0,
+      // Requested payouts Stripe hasn't settled yet
+      payoutInTransit: driver.earnings.payoutInTransit || 0,
+      // Commission owed on cash rides, deducted from the next payout
+      cash: {
+        collected: cash.cashCollected,
+        commissionOwed: cash.cashOwed,
+        debtLimit: cash.debtLimit,
+        overLimit: cash.overLimit,
+      },
       totalPaidOut: driver.earnings.totalPaidOut || 0,
       lastPayoutAt: driver.earnings.lastPayoutAt,
       periodBreakdown: {
@@ -127,7 +141,7 @@ exports.requestPayout = async (req, res) => {
       return sendError(res, "Invalid payout amount", 400);
     }
 
-    const driver = await Driver.findOne({ user: req.user.id });
+    let driver = await Driver.findOne({ user: req.user.id });
 
     if (!driver) {
       return sendError(res, "Driver profile not found", 404);
@@ -150,6 +164,11 @@ exports.requestPayout = async (req, res) => {
       );
     }
 
+    // Cash commission owed comes out of earnings before anything is paid out
+    ({ driver } = await cashSettlementService.settleAgainstEarnings(driver._id, {
+      createdBy: req.user.id,
+    }));
+
     // Check available balance
     if (driver.earnings.availableBalance < amount) {
       return sendError(
@@ -162,116 +181,71 @@ exports.requestPayout = async (req, res) => {
       );
     }
 
-    // Create payout via Stripe
-    const payout = await stripeService.createPayout(
-      driver.stripeConnectAccountId,
-      amount,
-      driver.earnings.currency
-    );
-
-    // Update driver earnings
-    driver.earnings.availableBalance -= amount;
-    driver.earnings.pendingBalance += amount; // Move to pending until payout completes
-    await driver.save();
+    // Held in pending until Stripe reports the payout paid or failed
+    const payout = await payoutService.createPayout(driver, parseFloat(amount), {
+      requestedBy: req.user.id,
+      source: "driver_request",
+    });
 
     sendSuccess(
       res,
       {
-        payoutId: payout.id,
-        amount: payout.amount / 100,
+        payoutId: payout._id,
+        stripePayoutId: payout.stripePayoutId,
+        amount: payout.amount,
         currency: payout.currency,
         status: payout.status,
-        expectedArrival: payout.arrival_date
-          ? new Date(payout.arrival_date * 1000)
-          : null,
+        expectedArrival: payout.expectedArrivalAt || null,
       },
       "Payout requested successfully",
       200
     );
   } catch (error) {
     console.error("Request payout error:", error);
-    sendError(res, error.message || "Failed to request payout", 500);
-  }
-};
-
-/**
- * Process earnings after ride completion (Internal - called after ride completion)
- * This should be called from rideController after ride completion
- */
-exports.processRideEarnings = async (driverId, ride) => {
-  try {
-    const driver = await Driver.findById(driverId);
-    if (!driver) {
-      console.error("Driver not found for earnings processing:", driverId);
-      return;
-    }
-
-    const earnings = ride.driverEarnings || 0;
-    const tips = ride.tips || 0;
-    const bonuses = ride.bonuses || 0;
-    const totalEarnings = earnings + tips + bonuses;
-
-    // Initialize earnings object if not exists
-    if (!driver.earnings) {
-      driver.earnings = {
-        totalEarned: 0,
-        availableBalance: 0,
-        pendingBalance: 0,
-        totalPaidOut: 0,
-        currency: "gbp",
-      };
-    }
-
-    // Update driver earnings
-    driver.earnings.totalEarned += totalEarnings;
-    driver.earnings.availableBalance += totalEarnings;
-
-    await driver.save();
-
-    console.log(
-      `Processed earnings for driver ${driverId}: ${stripeService.formatAmount(
-        totalEarnings,
-        driver.earnings.currency
-      )}`
+    sendError(
+      res,
+      error.message || "Failed to request payout",
+      error.statusCode || 500
     );
-  } catch (error) {
-    console.error("Process ride earnings error:", error);
   }
 };
 
 /**
- * Get payout history (Admin only)
- * GET /api/v1/drivers/:driverId/payouts
+ * Get driver payout history
+ * GET /api/v1/drivers/earnings/payouts
  */
 exports.getPayoutHistory = async (req, res) => {
   try {
-    const { driverId } = req.params;
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
 
-    const driver = await Driver.findById(driverId);
+    const driver = await Driver.findOne({ user: req.user.id });
 
     if (!driver) {
-      return sendError(res, "Driver not found", 404);
+      return sendError(res, "Driver profile not found", 404);
     }
 
-    if (!driver.stripeConnectAccountId) {
-      return sendSuccess(
-        res,
-        { payouts: [] },
-        "No payout history available",
-        200
-      );
-    }
+    const { payouts, total } = await payoutService.getDriverPayouts(driver._id, {
+      page,
+      limit,
+      status: req.query.status,
+    });
 
-    // Get payout history from Stripe
-    // Note: This requires additional Stripe API call
-    // For now, returning basic info
     sendSuccess(
       res,
       {
+        payouts,
+        pendingBalance: driver.earnings.pendingBalance || 0,
+        payoutInTransit: driver.earnings.payoutInTransit || 0,
         totalPaidOut: driver.earnings.totalPaidOut || 0,
         lastPayoutAt: driver.earnings.lastPayoutAt,
         currency: driver.earnings.currency || "gbp",
-        stripeAccountId: driver.stripeConnectAccountId,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          itemsPerPage: limit,
+        },
       },
       "Payout history retrieved successfully",
       200
@@ -282,6 +256,62 @@ exports.getPayoutHistory = async (req, res) => {
   }
 };
 
+/**
+ * Get driver's automatic payout schedule
+ * GET /api/v1/drivers/earnings/payout-schedule
+ */
+exports.getPayoutSchedule = async (req, res) => {
+  try {
+    const driver = await Driver.findOne({ user: req.user.id });
+
+    if (!driver) {
+      return sendError(res, "Driver profile not found", 404);
+    }
+
+    sendSuccess(
+      res,
+      { schedule: scheduledPayoutService.getSchedule(driver) },
+      "Payout schedule retrieved successfully",
+      200
+    );
+  } catch (error) {
+    console.error("Get payout schedule error:", error);
+    sendError(res, "Failed to retrieve payout schedule", 500);
+  }
+};
+
+/**
+ * Update driver's automatic payout schedule
+ * PUT /api/v1/drivers/earnings/payout-schedule
+ */
+exports.updatePayoutSchedule = async (req, res) => {
+  try {
+    const driver = await Driver.findOne({ user: req.user.id });
+
+    if (!driver) {
+      return sendError(res, "Driver profile not found", 404);
+    }
+
+    const { enabled, interval, weeklyDay, monthlyDay, minimumAmount } = req.body;
+    const schedule = await scheduledPayoutService.updateSchedule(driver, {
+      enabled,
+      interval,
+      weeklyDay,
+      monthlyDay,
+      minimumAmount,
+    });
+
+    sendSuccess(res, { schedule }, "Payout schedule updated successfully", 200);
+  } catch (error) {
+    console.error("Update payout schedule error:", error);
+    sendError(
+      res,
+      error.statusCode ? error.message : "Failed to update payout schedule",
+      error.statusCode || 500
+    );
+  }
+};
+
 /**
  * Admin: Process manual payout to driver
  * POST /api/v1/admin/drivers/:driverId/payout
@@ -309,6 +339,11 @@ exports.adminProcessPayout = async (req, res) => {
       return sendError(res, "Driver has not completed Stripe onboarding", 400);
     }
 
+    // Cash commission owed comes out of earnings before anything is paid out
+    ({ driver } = await cashSettlementService.settleAgainstEarnings(driver._id, {
+      createdBy: req.user.id,
+    }));
+
     // Check available balance
     if (driver.earnings.availableBalance < amount) {
       return sendError(
@@ -321,24 +356,18 @@ exports.adminProcessPayout = async (req, res) => {
       );
     }
 
-    // Create payout via Stripe
-    const payout = await stripeService.createPayout(
-      driver.stripeConnectAccountId,
-      amount,
-      driver.earnings.currency
-    );
-
-    // Update driver earnings
-    driver.earnings.availableBalance -= amount;
-    driver.earnings.totalPaidOut += amount;
-    driver.earnings.lastPayoutAt = new Date();
-    await driver.save();
+    // Held in pending until Stripe reports the payout paid or failed
+    const payout = await payoutService.createPayout(driver, parseFloat(amount), {
+      requestedBy: req.user.id,
+      source: "admin",
+    });
 
     sendSuccess(
       res,
       {
-        payoutId: payout.id,
-        amount: payout.amount / 100,
+        payoutId: payout._id,
+        stripePayoutId: payout.stripePayoutId,
+        amount: payout.amount,
         currency: payout.currency,
         status: payout.status,
         driver: {
@@ -351,7 +380,11 @@ exports.adminProcessPayout = async (req, res) => {
     );
   } catch (error) {
     console.error("Admin process payout error:", error);
-    sendError(res, error.message || "Failed to process payout", 500);
+    sendError(
+      res,
+      error.message || "Failed to process payout",
+      error.statusCode || 500
+    );
   }
 };
 
@@ -1,6 +1,7 @@
 const LiveLocation = require("../models/LiveLocation");
 const Driver = require("../models/Driver");
-const socketService = require("../services/socketService");
+const eventBus = require("../services/eventBus");
+const { DOMAIN_EVENTS } = require("../config/domainEvents");
 
 exports.updateLocation = async (req, res, next) => {
   try {
@@ -90,22 +91,17 @@ exports.updateLocation = async (req, res, next) => {
       timestamp: location.timestamp
     });
 
-    // Notify nearby riders about driver location update
-    socketService.notifyNearbyRidersAboutDriverUpdate(req.user._id, {
-      latitude: lat,
-      longitude: lng,
-      heading: heading ? parseFloat(heading) : 0,
-      speed: speed ? parseFloat(speed) : 0,
-    });
-
-    // Notify subscribers of active rides about driver location update
-    socketService.notifyRideSubscribersAboutDriverLocation(req.user._id, {
-      latitude: lat,
-      longitude: lng,
-      heading: heading ? parseFloat(heading) : 0,
-      speed: speed ? parseFloat(speed) : 0,
-      timestamp: location.timestamp,
-    });
+    // Nearby riders and ride subscribers are updated by socketService
+    if (driver) {
+      eventBus.publish(DOMAIN_EVENTS.DRIVER_LOCATION_CHANGED, {
+        driverId: driver._id,
+        latitude: lat,
+        longitude: lng,
+        heading: location.heading,
+        speed: location.speed,
+        timestamp: location.timestamp,
+      });
+    }
 
     res.status(200).json({ success: true, location });
   } catch (err) {
@@ -0,0 +1,12 @@
+const socketContractService = require("../services/socketContractService");
+const { sendSuccess, sendError } = require("../utils/responseHelper");
+
+// Socket.IO event catalogue: JSON Schema of every inbound and outbound event
+exports.getSchema = async (req, res) => {
+  try {
+    sendSuccess(res, socketContractService.getCatalogue(), "Realtime event schema retrieved successfully");
+  } catch (error) {
+    console.error("Get realtime schema error:", error);
+    sendError(res, "Failed to get realtime event schema", 500);
+  }
+};
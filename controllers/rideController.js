@@ -8,187 +8,85 @@ const { sendSuccess, sendError } = require("../utils/responseHelper");
 const rideRequestManager = require("../utils/rideRequestManager");
 const socketService = require("../services/socketService");
 const notificationService = require("../services/notificationService");
-const driverPayoutController = require("../controllers/driverPayoutController");
+const driverScoringService = require("../services/driverScoringService");
+const serviceAreaService = require("../services/serviceAreaService");
+const pricingService = require("../services/pricingService");
+const surgeService = require("../services/surgeService");
+const routingService = require("../services/routingService");
+const rideTrackService = require("../services/rideTrackService");
+const ledgerService = require("../services/ledgerService");
+const ridePaymentService = require("../services/ridePaymentService");
+const earningsHoldService = require("../services/earningsHoldService");
+const cashSettlementService = require("../services/cashSettlementService");
+const eventBus = require("../services/eventBus");
+const { OUTSIDE_SERVICE_AREA } = require("../config/serviceAreaConfig");
+const { INSUFFICIENT_FUNDS } = require("../config/ledgerConfig");
+const { DOMAIN_EVENTS } = require("../config/domainEvents");
 const { transformRide, transformRides } = require("../utils/transformRide");
 const { getRideId, getUserId, getDriverId, getRiderId } = require("../utils/flexibleParams");
+const { encodePolyline } = require("../utils/polyline");
+const {
+  resolveDispatchStrategy,
+  getDispatchStrategy,
+} = require("../config/dispatchConfig");
 const crypto = require("crypto");
-
-// Surrey boundary coordinates (approximate polygon for Surrey, UK)
-const SURREY_BOUNDARY = {
-  type: "Polygon",
-  coordinates: [
-    [
-      [-0.7647820542412376, 51.23981446058468],
-      [-0.7875715012305591, 51.3374427274924],
-      [-0.6234890626433867, 51.38724570115019],
-      [-0.5528255976095124, 51.44765326621072],
-      [-0.4912946943742895, 51.4369998383697],
-      [-0.4730633156372619, 51.460434099370985],
-      [-0.4969920002292554, 51.49591764082311],
-      [-0.41599643381312035, 51.48302961671584],
-      [-0.4034623609311154, 51.447536045839286],
-      [-0.35446553057650476, 51.40490731265197],
-      [-0.3350946905903527, 51.35227709578001],
-      [-0.27242432621378043, 51.39205851269867],
-      [-0.23596156893145803, 51.37214590110136],
-      [-0.18810419974732895, 51.34279330808303],
-      [-0.12999168002420447, 51.315737863375745],
-      [-0.05478725214481983, 51.348487158103154],
-      [0.005236573648232934, 51.30684028123139],
-      [0.08385939444977453, 51.320372623128776],
-      [0.10095132645901117, 51.230557277238916],
-      [0.07471019312615113, 51.14568596968138],
-      [-0.09279059902101494, 51.11922959976991],
-      [-0.13840415849489318, 51.15779247389932],
-      [-0.20107452358979572, 51.16493836684967],
-      [-0.2990681842990739, 51.12204640044169],
-      [-0.47454520463912786, 51.0991543868395],
-      [-0.6885988502547775, 51.033302729867955],
-      [-0.7375956806094166, 51.09059298445487],
-      [-0.7803726437674072, 51.11666890149371],
-      [-0.8088591650132173, 51.1567073053445],
-      [-0.8452124718280913, 51.192817893194615],
-      [-0.7647820542412376, 51.23981446058468],
-      [74.43945717928972, 31.48625965811391],
-      [74.43745247486578, 31.4863339860257],
-      [74.41326528017328, 31.485033239039396],
-      [74.40829709964137, 31.48882393695139],
-      [74.41069402884509, 31.497259546636712],
-      [74.42097903415561, 31.502053012186792],
-      [74.43993656513115, 31.496702150972723],
-      [74.43950075982167, 31.486296822077165],
-    ],
-  ],
-};
-
-// Haversine formula to calculate distance between two points
-function calculateDistance(lat1, lon1, lat2, lon2) {
-  const R = 6371; // Earth's radius in kilometers
-  const dLat = ((lat2 - lat1) * Math.PI) / 180;
-  const dLon = ((lon2 - lon1) * Math.PI) / 180;
-  const a =
-    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-    Math.cos((lat1 * Math.PI) / 180) *
-      Math.cos((lat2 * Math.PI) / 180) *
-      Math.sin(dLon / 2) *
-      Math.sin(dLon / 2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  return R * c; // Distance in kilometers
-}
-
-// Check if a point is inside Surrey boundary (simple bounding box check)
-function isInSurrey(lat, lon) {
-  const bounds = SURREY_BOUNDARY.coordinates[0];
-  const lats = bounds.map((coord) => coord[1]);
-  const lons = bounds.map((coord) => coord[0]);
-
-  const minLat = Math.min(...lats);
-  const maxLat = Math.max(...lats);
-  const minLon = Math.min(...lons);
-  const maxLon = Math.max(...lons);
-
-  return lat >= minLat && lat <= maxLat && lon >= minLon && lon <= maxLon;
+const mongoose = require("mongoose");
+const { calculateDistance } = require("../utils/geo");
+
+// Check pickup and dropoff against the active service areas
+// Returns { label, lat, lng } for the first point outside, or null
+function findTripPointOutsideService(pickup, dropoff) {
+  return serviceAreaService.findPointOutsideService([
+    { label: "Pickup", lat: pickup.lat, lng: pickup.lng },
+    { label: "Dropoff", lat: dropoff.lat, lng: dropoff.lng },
+  ]);
 }
 
-// Calculate estimated time to reach (distance / average speed)
-function calculateETA(distanceKm, speedKmh = 30) {
-  if (distanceKm <= 0) return 0;
-  const timeHours = distanceKm / speedKmh;
-  return Math.round(timeHours * 60); // Return minutes
+// Calculate estimated time to reach a point by road (minutes)
+async function calculateETA(from, to) {
+  const route = await routingService.getRoute(from, to);
+  return route.durationMinutes;
 }
 
-// Fare calculation configuration
-const FARE_CONFIG = {
-  baseFare: {
-    sedan: 3.0,
-    SUV: 4.0,
-    electric: 3.5,
-  },
-  perMileRate: {
-    sedan: 1.5,
-    SUV: 2.0,
-    electric: 1.75,
-  },
-  perMinuteRate: {
-    sedan: 0.25,
-    SUV: 0.35,
-    electric: 0.3,
-  },
-  taxRate: 0.2, // 20% VAT
-  minimumFare: {
-    sedan: 8.0,
-    SUV: 10.0,
-    electric: 9.0,
-  },
-};
-
-// Calculate surge multiplier based on demand (simplified)
-function calculateSurgeMultiplier(
-  hour,
-  dayOfWeek,
-  availableDrivers,
-  requestedDrivers = 1,
-) {
-  let multiplier = 1.0;
-
-  // Peak hours: 7-9 AM and 5-7 PM on weekdays
-  const isPeakHour =
-    dayOfWeek >= 1 &&
-    dayOfWeek <= 5 &&
-    ((hour >= 7 && hour <= 9) || (hour >= 17 && hour <= 19));
-
-  if (isPeakHour) {
-    multiplier *= 1.3; // 30% surge during peak hours
-  }
-
-  // High demand: fewer drivers than requests
-  if (availableDrivers < requestedDrivers * 2) {
-    multiplier *= 1.2; // Additional 20% surge
-  }
-
-  return Math.round(multiplier * 10) / 10; // Round to 1 decimal place
-}
-
-// Calculate fare breakdown
-function calculateFare(
+// Calculate fare breakdown using the pricing rule and surge in effect at pickup
+// options.ruleId / options.surgeMultiplier price with what the ride was booked on
+// options.distanceKm prices a measured distance instead of the routed one
+async function calculateFare(
   pickupLat,
   pickupLng,
   dropoffLat,
   dropoffLng,
   vehicleType,
-  durationMinutes = 15,
+  durationMinutes = null,
+  options = {},
 ) {
-  const distanceKm = calculateDistance(
-    pickupLat,
-    pickupLng,
-    dropoffLat,
-    dropoffLng,
-  );
+  // Road distance and duration; known values (e.g. the measured trip) win
+  let distanceKm = options.distanceKm ?? null;
+  if (distanceKm == null || durationMinutes == null) {
+    const route = await routingService.getRoute(
+      { lat: pickupLat, lng: pickupLng },
+      { lat: dropoffLat, lng: dropoffLng },
+    );
+    if (distanceKm == null) distanceKm = route.distanceKm;
+    if (durationMinutes == null) durationMinutes = route.durationMinutes;
+  }
   const distanceMiles = distanceKm * 0.621371; // Convert to miles
 
-  const config = FARE_CONFIG;
-
-  // Base calculations
-  const baseFare = config.baseFare[vehicleType];
-  const distanceFare = distanceMiles * config.perMileRate[vehicleType];
-  const timeFare = durationMinutes * config.perMinuteRate[vehicleType];
-
-  // Calculate current time for surge pricing
-  const now = new Date();
-  const surgeMultiplier = calculateSurgeMultiplier(
-    now.getHours(),
-    now.getDay(),
-    10, // Assume 10 drivers available for now
-    1,
+  const rule = await pricingService.resolveRule(
+    vehicleType,
+    { lat: pickupLat, lng: pickupLng },
+    options.ruleId,
   );
 
-  // Apply surge multiplier
-  const subtotal = (baseFare + distanceFare + timeFare) * surgeMultiplier;
-  const tax = subtotal * config.taxRate;
-  const total = subtotal + tax;
+  const surgeMultiplier =
+    options.surgeMultiplier ??
+    (await surgeService.getMultiplier(pickupLat, pickupLng));
 
-  // Apply minimum fare
-  const finalTotal = Math.max(total, config.minimumFare[vehicleType]);
+  const { fareBreakdown, currency, pricing } = pricingService.priceTrip(rule, {
+    distanceMiles,
+    durationMinutes,
+    surgeMultiplier,
+  });
 
   return {
     distance: {
@@ -199,16 +97,9 @@ function calculateFare(
       minutes: durationMinutes,
       formatted: `${durationMinutes} min`,
     },
-    fareBreakdown: {
-      baseFare: Math.round(baseFare * 100) / 100,
-      distanceFare: Math.round(distanceFare * 100) / 100,
-      timeFare: Math.round(timeFare * 100) / 100,
-      surgeMultiplier,
-      subtotal: Math.round(subtotal * 100) / 100,
-      tax: Math.round(tax * 100) / 100,
-      total: Math.round(finalTotal * 100) / 100,
-    },
-    currency: "GBP",
+    fareBreakdown,
+    currency,
+    pricing,
   };
 }
 
@@ -395,8 +286,22 @@ exports.getFareEstimate = async (req, res) => {
       );
     }
 
+    // Both ends of the trip must be inside an active service area
+    const outsidePoint = await findTripPointOutsideService(
+      { lat: pickupLatNum, lng: pickupLngNum },
+      { lat: dropoffLatNum, lng: dropoffLngNum },
+    );
+    if (outsidePoint) {
+      return sendError(
+        res,
+        `${outsidePoint.label} location is outside our service area`,
+        400,
+        OUTSIDE_SERVICE_AREA,
+      );
+    }
+
     // Calculate fare
-    const fareCalculation = calculateFare(
+    const fareCalculation = await calculateFare(
       pickupLatNum,
       pickupLngNum,
       dropoffLatNum,
@@ -418,6 +323,13 @@ exports.getFareEstimate = async (req, res) => {
       vehicleType,
     );
 
+    // Riders confirm surges above their threshold before booking
+    const surgeMultiplier = fareCalculation.fareBreakdown.surgeMultiplier;
+    const surgeConfirmation = await surgeService.getConfirmationRequirement(
+      req.user.id,
+      surgeMultiplier,
+    );
+
     // Generate estimate ID and save to database
     const estimateId = generateEstimateId();
     const expiresAt = new Date(Date.now() + 10 * 60 * 1000); // 10 minutes
@@ -440,6 +352,8 @@ exports.getFareEstimate = async (req, res) => {
       duration: fareCalculation.duration,
       fareBreakdown: fareCalculation.fareBreakdown,
       currency: fareCalculation.currency,
+      pricingRule: fareCalculation.pricing.ruleId,
+      pricingVersion: fareCalculation.pricing.version,
       driverAvailability: {
         count: availableDrivers,
         estimatedPickupTime,
@@ -474,6 +388,12 @@ exports.getFareEstimate = async (req, res) => {
               } available`
             : "No drivers available right now",
       },
+      surge: {
+        multiplier: surgeMultiplier,
+        isSurging: surgeMultiplier > 1,
+        requiresConfirmation: surgeConfirmation.requiresConfirmation,
+        confirmationThreshold: surgeConfirmation.threshold,
+      },
       expiresAt,
       validFor: "10 minutes",
     };
@@ -515,6 +435,8 @@ exports.bookRide = async (req, res) => {
     const scheduledTime = req.body.scheduledTime || req.query.scheduledTime; // Optional: for future bookings
     const specialInstructions =
       req.body.specialInstructions || req.query.specialInstructions; // Optional
+    const surgeConfirmed =
+      String(req.body.surgeConfirmed ?? req.query.surgeConfirmed) === "true"; // Rider accepted the surge price
 
     // CRITICAL: Extract driverId for targeted ride requests (BACKEND_REQUIREMENTS.md)
     // When driverId is provided, the ride request should ONLY be sent to that specific driver
@@ -683,7 +605,7 @@ exports.bookRide = async (req, res) => {
       }
 
       // Calculate fare on the fly
-      const fareCalculation = calculateFare(
+      const fareCalculation = await calculateFare(
         pickupLatNum,
         pickupLngNum,
         dropoffLatNum,
@@ -708,6 +630,8 @@ exports.bookRide = async (req, res) => {
         duration: fareCalculation.duration,
         fareBreakdown: fareCalculation.fareBreakdown,
         currency: fareCalculation.currency,
+        pricingRule: fareCalculation.pricing.ruleId,
+        pricingVersion: fareCalculation.pricing.version,
       };
 
       console.log(
@@ -736,6 +660,60 @@ exports.bookRide = async (req, res) => {
       }
     }
 
+    // Re-check the service area - areas may have changed since the estimate
+    if (fareEstimate) {
+      const outsidePoint = await findTripPointOutsideService(
+        fareEstimate.pickup,
+        fareEstimate.dropoff,
+      );
+      if (outsidePoint) {
+        return sendError(
+          res,
+          `${outsidePoint.label} location is outside our service area`,
+          400,
+          OUTSIDE_SERVICE_AREA,
+        );
+      }
+    }
+
+    // Surges above the rider's threshold need an explicit confirmation
+    if (fareEstimate && !surgeConfirmed) {
+      const surgeMultiplier = fareEstimate.fareBreakdown.surgeMultiplier || 1;
+      const { requiresConfirmation } =
+        await surgeService.getConfirmationRequirement(req.user.id, surgeMultiplier);
+
+      if (requiresConfirmation) {
+        return sendError(
+          res,
+          `Surge pricing (${surgeMultiplier}x) is in effect. Resend with surgeConfirmed=true to accept the higher fare.`,
+          409,
+          "SURGE_CONFIRMATION_REQUIRED",
+        );
+      }
+    }
+
+    // Verify the target driver exists and is available before the fare is
+    // held or the ride created, so a rejected request leaves neither behind
+    let targetDriver = null;
+    if (!scheduledTime && targetDriverId) {
+      targetDriver = await Driver.findById(targetDriverId).populate(
+        "user",
+        "fullName phone",
+      );
+
+      if (!targetDriver) {
+        return sendError(res, "Selected driver not found", 404);
+      }
+
+      if (targetDriver.status !== "online") {
+        return sendError(res, "Selected driver is not available", 400);
+      }
+
+      if (targetDriver.isApproved !== "approved") {
+        return sendError(res, "Selected driver is not approved", 400);
+      }
+    }
+
     // Create ride
     const rideData = {
       rider: req.user.id,
@@ -758,6 +736,9 @@ exports.bookRide = async (req, res) => {
       rideData.estimatedFare = fareEstimate.fareBreakdown.total;
       rideData.estimatedDistance = fareEstimate.distance.miles;
       rideData.estimatedDuration = fareEstimate.duration.minutes;
+      rideData.pricingRule = fareEstimate.pricingRule;
+      rideData.pricingVersion = fareEstimate.pricingVersion;
+      rideData.surgeMultiplier = fareEstimate.fareBreakdown.surgeMultiplier || 1;
 
       // Mark estimate as used (only if it's a database document)
       if (fareEstimate.save) {
@@ -766,7 +747,30 @@ exports.bookRide = async (req, res) => {
       }
     }
 
-    const ride = await Ride.create(rideData);
+    // Card rides hold the fare on the rider's saved card before dispatch
+    rideData._id = new mongoose.Types.ObjectId();
+    let cardHold = null;
+    if (paymentMethod === "card") {
+      try {
+        cardHold = await ridePaymentService.authorizeRide({
+          ...rideData,
+          rider: req.user.id,
+        });
+      } catch (holdError) {
+        if (!holdError.statusCode) throw holdError;
+        return sendError(res, holdError.message, holdError.statusCode, holdError.code);
+      }
+    }
+
+    let ride;
+    try {
+      ride = await Ride.create(rideData);
+    } catch (createError) {
+      if (cardHold) {
+        await ridePaymentService.cancelHold(cardHold);
+      }
+      throw createError;
+    }
 
     // Notify admins about new ride booking
     await socketService.notifyAdminRideUpdate(ride);
@@ -802,24 +806,6 @@ exports.bookRide = async (req, res) => {
         `🎯 [TARGETED REQUEST] Sending ride request ONLY to driver: ${targetDriverId}`,
       );
 
-      // Verify the target driver exists and is available
-      const targetDriver = await Driver.findById(targetDriverId).populate(
-        "user",
-        "fullName phone",
-      );
-
-      if (!targetDriver) {
-        return sendError(res, "Selected driver not found", 404);
-      }
-
-      if (targetDriver.status !== "online") {
-        return sendError(res, "Selected driver is not available", 400);
-      }
-
-      if (targetDriver.isApproved !== "approved") {
-        return sendError(res, "Selected driver is not approved", 400);
-      }
-
       // Get driver's current location for ETA calculation
       const driverLocation = await LiveLocation.findOne({
         driver: targetDriverId,
@@ -835,7 +821,10 @@ exports.bookRide = async (req, res) => {
           parseFloat(fareEstimate.pickup.lat),
           parseFloat(fareEstimate.pickup.lng),
         );
-        driverEta = calculateETA(driverDistance, driverLocation.speed || 30);
+        driverEta = await calculateETA(
+          { lat: driverLocation.latitude, lng: driverLocation.longitude },
+          fareEstimate.pickup,
+        );
       }
 
       // Populate ride with rider info for notification
@@ -844,21 +833,21 @@ exports.bookRide = async (req, res) => {
       // Get the driver's User ID (not Driver ID) for socket notification
       const driverUserId = targetDriver.user._id.toString();
 
-      // Send ride request ONLY to this specific driver
-      socketService.notifyRideRequest(targetDriverId, {
-        ...ride.toObject(),
-        id: ride._id,
-        riderId: ride.rider._id,
-        riderName: ride.rider?.fullName || "Unknown Rider",
-        pickup: ride.pickup,
-        dropoff: ride.dropoff,
-        fare: ride.estimatedFare,
-        distance: driverDistance ? Math.round(driverDistance * 10) / 10 : null,
-        eta: driverEta,
-        vehicleType: ride.vehicleType,
-        estimatedDistance: ride.estimatedDistance,
-        expiresAt: new Date(Date.now() + 30000), // 30 seconds expiry
-      });
+      // Send ride request ONLY to this specific driver (a one-driver cascade;
+      // expiry is handled by the offer sweeper)
+      const [targetOffer] = await rideRequestManager.startRideRequest(
+        ride._id,
+        [
+          {
+            driverId: targetDriver._id,
+            distance: driverDistance
+              ? Math.round(driverDistance * 10) / 10
+              : null,
+            eta: driverEta,
+          },
+        ],
+        getDispatchStrategy("sequential"),
+      );
 
       console.log(
         `✅ [TARGETED REQUEST] Ride request sent ONLY to driver ${targetDriverId} (User: ${driverUserId})`,
@@ -876,9 +865,6 @@ exports.bookRide = async (req, res) => {
         message: `Ride request sent to ${targetDriver.user?.fullName || "selected driver"}. Waiting for response...`,
       });
 
-      // Start timer for this single driver (60 seconds as per spec)
-      rideRequestManager.startRideRequest(ride._id, [targetDriverId]);
-
       const response = {
         id: ride._id,
         status: ride.status,
@@ -893,7 +879,7 @@ exports.bookRide = async (req, res) => {
           eta: driverEta,
         },
         message: `Ride request sent to ${targetDriver.user?.fullName || "selected driver"}. Waiting for response...`,
-        expiresAt: new Date(Date.now() + 30000), // 30 seconds expiry
+        expiresAt: targetOffer?.expiresAt || null,
       };
 
       if (fareEstimate) {
@@ -917,10 +903,16 @@ exports.bookRide = async (req, res) => {
       availableDrivers = assignmentResult.availableDrivers || [];
 
       if (assignedDriver) {
+        const previousStatus = ride.status;
         ride.driver = assignedDriver._id;
         ride.status = "assigned";
         ride.estimatedPickupTime = estimatedPickupTime;
         await ride.save();
+        eventBus.publish(DOMAIN_EVENTS.RIDE_STATUS_CHANGED, {
+          rideId: ride._id,
+          status: ride.status,
+          previousStatus,
+        });
 
         // Notify rider about driver assignment
         socketService.notifyDriverAssigned(req.user.id, assignedDriver, ride);
@@ -932,47 +924,7 @@ exports.bookRide = async (req, res) => {
           ride,
         );
       } else if (availableDrivers.length > 0) {
-        // Start ride request timer for available drivers
-        rideRequestManager.startRideRequest(
-          ride._id,
-          availableDrivers.map((d) => d.driver._id),
-        );
-
-        // Send ride request notifications to all available drivers
-        // First, populate the ride with rider information for complete notification data
-        await ride.populate("rider", "fullName phone profilePicture");
-
-        availableDrivers.forEach((driverInfo) => {
-          // Pass the complete ride object with rider info
-          socketService.notifyRideRequest(driverInfo.driver._id.toString(), {
-            ...ride.toObject(),
-            riderName: ride.rider?.fullName || "Unknown Rider",
-            distance: driverInfo.distance,
-            eta: driverInfo.eta,
-          });
-
-          // Send real-time dashboard update for nearby ride requests
-          socketService.notifyNearbyRideRequests(
-            driverInfo.driver._id.toString(),
-            [
-              {
-                id: ride._id,
-                pickupLocation: ride.pickup,
-                dropoffLocation: ride.dropoff,
-                estimatedFare: ride.estimatedFare,
-                vehicleType: ride.vehicleType,
-                distance: driverInfo.distance,
-                estimatedTimeToPickup: driverInfo.eta,
-                expiresAt: new Date(Date.now() + 30 * 1000), // 30 seconds expiry
-                timeLeft: 30,
-                createdAt: ride.createdAt,
-              },
-            ],
-          );
-        });
-
-        // Notify rider that we're searching for drivers
-        socketService.notifyRideStatus(req.user.id, "searching", ride);
+        await offerRideToDrivers(ride, availableDrivers);
       } else {
         // No drivers available - notify rider
         socketService.notifyRideStatus(req.user.id, "no_drivers", {
@@ -1115,23 +1067,6 @@ async function countAvailableDrivers(pickupLat, pickupLng, vehicleType) {
         continue;
       }
 
-      // Check Surrey boundary (disabled for testing)
-      const inBoundary = isInSurrey(location.latitude, location.longitude);
-      if (!inBoundary) {
-        console.log(
-          "DEBUG [countAvailableDrivers]: Driver outside Surrey boundary (allowing for testing):",
-          {
-            driverId: location.driver._id,
-            lat: location.latitude,
-            lng: location.longitude,
-          },
-        );
-        // For testing: Allow drivers outside boundary
-        // In production, uncomment the following:
-        // filteredOut.outsideBoundary++;
-        // continue;
-      }
-
       // Check distance (within 10km)
       const distance = calculateDistance(
         pickupLat,
@@ -1170,7 +1105,7 @@ async function calculateEstimatedPickupTime(pickupLat, pickupLng, vehicleType) {
       timestamp: { $gte: fiveMinutesAgo },
     }).populate("driver");
 
-    const etas = [];
+    const nearbyDrivers = [];
 
     for (const location of recentLocations) {
       if (
@@ -1183,15 +1118,6 @@ async function calculateEstimatedPickupTime(pickupLat, pickupLng, vehicleType) {
         continue;
       }
 
-      // Check Surrey boundary (disabled for testing)
-      const inBoundary = isInSurrey(location.latitude, location.longitude);
-      if (!inBoundary) {
-        console.log(
-          "DEBUG [calculateEstimatedPickupTime]: Driver outside Surrey (allowing for testing)",
-        );
-        // For production, uncomment: continue;
-      }
-
       const distance = calculateDistance(
         pickupLat,
         pickupLng,
@@ -1199,12 +1125,24 @@ async function calculateEstimatedPickupTime(pickupLat, pickupLng, vehicleType) {
         location.longitude,
       );
       if (distance <= 10) {
-        const eta = calculateETA(distance, location.speed || 30);
-        etas.push(eta);
+        nearbyDrivers.push({
+          distance,
+          point: { lat: location.latitude, lng: location.longitude },
+        });
       }
     }
 
-    if (etas.length === 0) return 15; // Default 15 minutes
+    if (nearbyDrivers.length === 0) return 15; // Default 15 minutes
+
+    // Road ETAs for the nearest few drivers (one routing matrix request)
+    const candidates = nearbyDrivers
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, 5);
+    const routes = await routingService.getRoutesTo(
+      candidates.map((candidate) => candidate.point),
+      { lat: pickupLat, lng: pickupLng },
+    );
+    const etas = routes.map((route) => route.durationMinutes);
 
     // Return average of closest 3 drivers
     const sortedEtas = etas.sort((a, b) => a - b);
@@ -1220,8 +1158,11 @@ async function calculateEstimatedPickupTime(pickupLat, pickupLng, vehicleType) {
 }
 
 // Helper function to assign driver to ride
-async function assignDriverToRide(rideId, fareEstimate) {
+// fareEstimate only needs pickup and vehicleType, so a Ride document works too.
+// options.radiusKm widens the search (used by scheduled ride retries)
+async function assignDriverToRide(rideId, fareEstimate, options = {}) {
   try {
+    const radiusKm = options.radiusKm || 10;
     const fiveMinutesAgo = new Date(Date.now() - 5 * 60 * 1000);
 
     const recentLocations = await LiveLocation.find({
@@ -1241,15 +1182,6 @@ async function assignDriverToRide(rideId, fareEstimate) {
         continue;
       }
 
-      // Check Surrey boundary (disabled for testing)
-      const inBoundary = isInSurrey(location.latitude, location.longitude);
-      if (!inBoundary) {
-        console.log(
-          "DEBUG [getAvailableDriversForRide]: Driver outside Surrey (allowing for testing)",
-        );
-        // For production, uncomment: continue;
-      }
-
       const distance = calculateDistance(
         fareEstimate.pickup.lat,
         fareEstimate.pickup.lng,
@@ -1257,23 +1189,44 @@ async function assignDriverToRide(rideId, fareEstimate) {
         location.longitude,
       );
 
-      if (distance <= 10) {
-        const eta = calculateETA(distance, location.speed || 30);
+      if (distance <= radiusKm) {
         availableDrivers.push({
           driver: location.driver,
           distance,
-          eta,
           location,
         });
       }
     }
 
+    // Road ETAs for every matched driver in one routing matrix request
+    const routes = await routingService.getRoutesTo(
+      availableDrivers.map((driverInfo) => ({
+        lat: driverInfo.location.latitude,
+        lng: driverInfo.location.longitude,
+      })),
+      fareEstimate.pickup,
+    );
+    availableDrivers.forEach((driverInfo, index) => {
+      driverInfo.eta = routes[index].durationMinutes;
+    });
+
     // Sort by distance and ETA
     availableDrivers.sort((a, b) => {
       if (a.distance !== b.distance) return a.distance - b.distance;
       return a.eta - b.eta;
     });
 
+    // Re-rank by dispatch score; keep the distance order if scoring fails
+    try {
+      await driverScoringService.scoreCandidates(
+        availableDrivers,
+        fareEstimate.pickup,
+        { radiusKm },
+      );
+    } catch (scoringError) {
+      console.error("Driver scoring failed, using distance order:", scoringError);
+    }
+
     if (availableDrivers.length === 0) {
       return { driver: null, estimatedPickupTime: null, availableDrivers: [] };
     }
@@ -1291,6 +1244,36 @@ async function assignDriverToRide(rideId, fareEstimate) {
   }
 }
 
+// Helper function to send a ride request to the matched drivers
+// The dispatch strategy for the ride decides who hears about it first
+// Shared by bookRide and the scheduled ride dispatcher
+async function offerRideToDrivers(ride, availableDrivers) {
+  const riderId = ride.rider._id
+    ? ride.rider._id.toString()
+    : ride.rider.toString();
+
+  const strategy = resolveDispatchStrategy(ride);
+
+  // Drivers are already sorted by dispatch score, which is the cascade order
+  await rideRequestManager.startRideRequest(
+    ride._id,
+    availableDrivers.map((driverInfo) => ({
+      driverId: driverInfo.driver._id,
+      distance: driverInfo.distance,
+      eta: driverInfo.eta,
+      score: driverInfo.score,
+      scoreBreakdown: driverInfo.scoreBreakdown,
+    })),
+    strategy,
+  );
+
+  // Populate the ride with rider information for complete notification data
+  await ride.populate("rider", "fullName phone profilePicture");
+
+  // Notify rider that we're searching for drivers
+  socketService.notifyRideStatus(riderId, "searching", ride);
+}
+
 // Accept ride request
 exports.acceptRide = async (req, res) => {
   try {
@@ -1333,10 +1316,10 @@ exports.acceptRide = async (req, res) => {
         );
         driverDistanceToPickup = Math.round(driverDistanceToPickup * 10) / 10; // Round to 1 decimal
 
-        // Calculate ETA based on distance and speed (default 30 km/h if no speed)
-        driverEtaToPickup = calculateETA(
-          driverDistanceToPickup,
-          driverLiveLocation.speed || 30,
+        // Calculate ETA by road
+        driverEtaToPickup = await calculateETA(
+          { lat: driverLiveLocation.latitude, lng: driverLiveLocation.longitude },
+          ride.pickup,
         );
       }
     }
@@ -1434,14 +1417,14 @@ exports.acceptRide = async (req, res) => {
       socketService.notifyUser(
         ride.rider._id.toString(),
         "driver_location_update",
-        {
-          id: ride._id,
-          driverId: ride.driver._id,
-          location: driverLocation,
+        socketService.buildDriverLocationUpdate(ride.driver._id, driverLiveLocation, {
+          rideId: ride._id.toString(),
           distanceToPickup: driverDistanceToPickup,
           etaToPickup: driverEtaToPickup,
-          timestamp: new Date(),
-        },
+          // Older app builds read these
+          id: ride._id,
+          location: driverLocation,
+        }),
       );
     }
 
@@ -1556,7 +1539,11 @@ exports.acceptRide = async (req, res) => {
     sendSuccess(res, response, "Ride accepted successfully", 200);
   } catch (error) {
     console.error("Accept ride error:", error);
-    sendError(res, error.message || "Failed to accept ride", 500);
+    sendError(
+      res,
+      error.message || "Failed to accept ride",
+      error.statusCode || 500,
+    );
   }
 };
 
@@ -1621,7 +1608,11 @@ exports.rejectRide = async (req, res) => {
     sendSuccess(res, null, "Ride request rejected", 200);
   } catch (error) {
     console.error("Reject ride error:", error);
-    sendError(res, error.message || "Failed to reject ride", 500);
+    sendError(
+      res,
+      error.message || "Failed to reject ride",
+      error.statusCode || 500,
+    );
   }
 };
 
@@ -1648,8 +1639,14 @@ exports.markDriverArrived = async (req, res) => {
     }
 
     // Update ride status to arrived
+    const previousStatus = ride.status;
     ride.status = "arrived";
     await ride.save();
+    eventBus.publish(DOMAIN_EVENTS.RIDE_STATUS_CHANGED, {
+      rideId: ride._id,
+      status: ride.status,
+      previousStatus,
+    });
 
     // Send notification to rider about driver arrival
     socketService.notifyUser(ride.rider.toString(), "driver_arrived", {
@@ -1665,9 +1662,6 @@ exports.markDriverArrived = async (req, res) => {
     // Notify admins
     await socketService.notifyAdminRideUpdate(ride);
 
-    // Trigger immediate active ride update for real-time tracking
-    socketService.sendActiveRideUpdate(ride._id.toString());
-
     // Format ride response
     const formattedRide = formatRideResponse(ride);
     sendSuccess(
@@ -1704,10 +1698,16 @@ exports.startRide = async (req, res) => {
       return sendError(res, "Ride cannot be started in current status", 400);
     }
 
+    const previousStatus = ride.status;
     ride.status = "in_progress";
     ride.startTime = new Date();
     ride.actualPickupTime = new Date();
     await ride.save();
+    eventBus.publish(DOMAIN_EVENTS.RIDE_STATUS_CHANGED, {
+      rideId: ride._id,
+      status: ride.status,
+      previousStatus,
+    });
 
     // Send notification to rider about ride start
     socketService.notifyRideStatus(ride.rider.toString(), "in_progress", ride);
@@ -1717,9 +1717,6 @@ exports.startRide = async (req, res) => {
 
     await socketService.notifyAdminRideUpdate(ride);
 
-    // Trigger immediate active ride update for real-time tracking
-    socketService.sendActiveRideUpdate(ride._id.toString());
-
     // CRITICAL FIX: Format ride response with both coordinate formats
     const formattedRide = formatRideResponse(ride);
     sendSuccess(res, { ride: formattedRide }, "Ride started successfully", 200);
@@ -1735,8 +1732,6 @@ exports.completeRide = async (req, res) => {
     console.log("Complete ride req.body:", req.body);
     console.log("Complete ride req.headers:", req.headers);
 
-    const { actualDistance, actualDuration } = req.body || {};
-
     let ride = await Ride.findById(getRideId(req)).populate({
       path: "driver",
       populate: { path: "user", select: "fullName" },
@@ -1764,23 +1759,36 @@ exports.completeRide = async (req, res) => {
       return sendError(res, "Ride cannot be completed in current status", 400);
     }
 
-    // Calculate final fare
+    // Calculate final fare from the recorded GPS trail (client-reported
+    // distance/duration are ignored)
+    const endTime = new Date();
     let finalFare = ride.estimatedFare || 0;
 
-    // Adjust fare based on actual distance/duration if provided
-    if (actualDistance && actualDuration) {
-      const fareCalculation = calculateFare(
+    try {
+      const trip = await rideTrackService.measureTrip(ride, endTime);
+      const fareCalculation = await calculateFare(
         ride.pickup.lat,
         ride.pickup.lng,
         ride.dropoff.lat,
         ride.dropoff.lng,
         ride.vehicleType,
-        actualDuration,
+        trip.durationMinutes,
+        // Price with the version and surge the ride was booked on
+        {
+          ruleId: ride.pricingRule,
+          surgeMultiplier: ride.surgeMultiplier || 1,
+          distanceKm: trip.distanceKm,
+        },
       );
       finalFare = fareCalculation.fareBreakdown.total;
 
-      ride.actualDistance = actualDistance;
-      ride.actualDuration = actualDuration;
+      ride.actualDistance = trip.distanceMiles;
+      ride.actualDuration = trip.durationMinutes;
+      ride.actualDistanceSource = trip.source;
+      ride.trail = trip.trail;
+    } catch (fareError) {
+      // Keep the quoted fare rather than failing the completion
+      console.error("Error measuring trip, charging estimated fare:", fareError);
     }
 
     // Calculate earnings breakdown
@@ -1793,17 +1801,75 @@ exports.completeRide = async (req, res) => {
     // Tips would be added by rider after ride completion (separate API)
     const tips = 0; // Will be updated via separate API
 
-    ride.status = "completed";
-    ride.endTime = new Date();
+    ride.endTime = endTime;
     ride.fare = finalFare;
     ride.platformCommission = platformCommission;
     ride.driverEarnings = driverEarnings + bonuses; // Include bonuses in driver earnings
     ride.bonuses = bonuses;
     ride.tips = tips;
-    await ride.save();
 
     let paymentStatus = "pending";
 
+    // Charge the rider and split the fare through the ledger
+    let paidFrom = "receivable";
+    if (ride.paymentMethod === "wallet") {
+      paidFrom = "wallet";
+    } else if (ride.paymentMethod === "card") {
+      // Capture the final fare from the booking hold (or charge the card
+      // directly if the hold has lapsed)
+      try {
+        const { paid } = await ridePaymentService.captureRideFare(ride, finalFare);
+        if (paid) {
+          paidFrom = "card";
+        }
+      } catch (captureError) {
+        // Outcome unknown or another completion is charging: leave the ride
+        // in progress so the completion is retried, never double-charged
+        if (["PAYMENT_IN_PROGRESS", "PAYMENT_UNCONFIRMED"].includes(captureError.code)) {
+          return sendError(res, captureError.message, captureError.statusCode, captureError.code);
+        }
+        console.error(`Card payment failed for ride ${ride._id}:`, captureError);
+      }
+
+      if (paidFrom !== "card") {
+        console.warn(`Ride ${ride._id} completed but the card could not be charged`);
+      }
+    } else if (ride.paymentMethod === "cash") {
+      // Cash payments are collected by the driver upon ride completion
+      paidFrom = "cash";
+    }
+
+    try {
+      await earningsHoldService.recordRideEarnings(ride, paidFrom);
+    } catch (chargeError) {
+      if (chargeError.code !== INSUFFICIENT_FUNDS) throw chargeError;
+      // Not enough in the wallet - the rider owes the fare instead
+      paidFrom = "receivable";
+      await earningsHoldService.recordRideEarnings(ride, paidFrom);
+    }
+
+    // Only marked completed once the charge is posted, so a failure above
+    // leaves the ride in progress and the driver can retry the completion
+    const previousStatus = ride.status;
+    ride.status = "completed";
+    await ride.save();
+    eventBus.publish(DOMAIN_EVENTS.RIDE_STATUS_CHANGED, {
+      rideId: ride._id,
+      status: ride.status,
+      previousStatus,
+    });
+
+    // The commission this ride booked may put the driver over the cash
+    // debt limit - they stay offline until it's settled
+    let heldOffline = false;
+    if (paidFrom === "cash") {
+      try {
+        heldOffline = await cashSettlementService.enforceDebtLimit(ride.driver._id);
+      } catch (debtError) {
+        console.error(`Failed to check cash debt limit for driver ${ride.driver._id}:`, debtError);
+      }
+    }
+
     // Notify admins about ride completion
     await socketService.notifyAdminRideUpdate(ride);
 
@@ -1819,77 +1885,35 @@ exports.completeRide = async (req, res) => {
       duration: ride.actualDuration || ride.estimatedDuration,
     });
 
-    // Process payment based on method
-    if (ride.paymentMethod === "wallet") {
-      const wallet = await Wallet.findOne({ user: ride.rider });
-      if (wallet && wallet.balance >= finalFare) {
-        wallet.balance -= finalFare;
-        const rideTransaction = {
-          type: "ride",
-          amount: finalFare,
-          payment: null, // Will be updated after payment creation
-          ride: ride._id,
-          description: "Ride payment",
-        };
-        wallet.transactions.push(rideTransaction);
-        await wallet.save();
-        paymentStatus = "paid";
+    if (paidFrom === "receivable") {
+      paymentStatus = "failed";
+    } else {
+      paymentStatus = "paid";
+    }
 
-        // Emit real-time wallet spending notification
-        socketService.notifyWalletSpending(ride.rider.toString(), {
-          amount: finalFare,
-          type: "ride_payment",
-          id: ride._id,
-          description: "Ride payment",
-          newBalance: wallet.balance,
-        });
+    if (paidFrom === "wallet") {
+      const wallet = await Wallet.findOne({ user: ride.rider });
 
-        // Check for low balance alert
-        if (wallet.balance < 10) {
-          // Alert when balance drops below £10
-          socketService.notifyLowWalletBalance(ride.rider.toString(), {
-            balance: wallet.balance,
-            threshold: 10,
-            message: `Your wallet balance is low: £${wallet.balance.toFixed(
-              2,
-            )}`,
-          });
-        }
+      // Emit real-time wallet spending notification
+      socketService.notifyWalletSpending(ride.rider.toString(), {
+        amount: finalFare,
+        type: "ride_payment",
+        id: ride._id,
+        description: "Ride payment",
+        newBalance: wallet.balance,
+      });
 
-        // Emit real-time wallet update
-        socketService.notifyWalletUpdate(ride.rider.toString(), {
-          _id: wallet._id,
+      // Check for low balance alert
+      if (wallet.balance < 10) {
+        // Alert when balance drops below £10
+        socketService.notifyLowWalletBalance(ride.rider.toString(), {
           balance: wallet.balance,
-          currency: wallet.currency,
-          transactions: wallet.transactions,
-          updatedAt: wallet.updatedAt,
+          threshold: 10,
+          message: `Your wallet balance is low: £${wallet.balance.toFixed(
+            2,
+          )}`,
         });
-      } else {
-        paymentStatus = "failed";
-      }
-    } else if (ride.paymentMethod === "card") {
-      // For card payments via Stripe
-      // Note: Payment should have been created during ride booking with payment intent
-      // Here we just verify the payment was successful
-      const existingPayment = await Payment.findOne({
-        ride: ride._id,
-        paymentMethod: "card",
-        status: "paid",
-      });
-
-      if (existingPayment) {
-        paymentStatus = "paid";
-      } else {
-        // If no existing payment, mark as pending
-        // This should be handled by frontend before ride completion
-        paymentStatus = "pending";
-        console.warn(
-          `Ride ${ride._id} completed with card payment but no paid payment record found`,
-        );
       }
-    } else if (ride.paymentMethod === "cash") {
-      // Cash payments are marked as paid upon ride completion
-      paymentStatus = "paid";
     }
 
     // Create Payment record (or update existing for card payments)
@@ -1917,7 +1941,7 @@ exports.completeRide = async (req, res) => {
     }
 
     // Update the wallet transaction with payment._id if payment was successful
-    if (paymentStatus === "paid") {
+    if (paidFrom === "wallet") {
       const wallet = await Wallet.findOne({ user: ride.rider });
       if (wallet && wallet.transactions.length > 0) {
         wallet.transactions[wallet.transactions.length - 1].payment =
@@ -1987,7 +2011,8 @@ exports.completeRide = async (req, res) => {
         },
         message:
           "Ride completed successfully! Earnings have been added to your account.",
-        nextStatus: "available", // Driver becomes available for new rides
+        // Driver becomes available for new rides, unless over the cash debt limit
+        nextStatus: heldOffline ? "offline" : "available",
       },
     );
 
@@ -2029,9 +2054,6 @@ exports.completeRide = async (req, res) => {
       ).toFixed(2)}`,
     });
 
-    // Process driver earnings for Stripe Connect payouts
-    await driverPayoutController.processRideEarnings(ride.driver._id, ride);
-
     // 5. Update rider dashboard with completed ride
     socketService.notifyRiderDashboardUpdate(
       ride.rider.toString(),
@@ -2100,9 +2122,6 @@ exports.completeRide = async (req, res) => {
       message: `Ride ${ride._id} completed successfully`,
     });
 
-    // 7. Stop real-time active ride updates since ride is completed
-    socketService.stopActiveRideUpdates(ride._id.toString());
-
     // Send email notification to rider
     try {
       await notificationService.sendRideCompletedNotification(ride.rider, ride);
@@ -2202,29 +2221,24 @@ exports.getRideStatus = async (req, res) => {
       const currentTime = new Date();
       const timeElapsed = (currentTime - ride.startTime) / (1000 * 60); // minutes
 
-      // Calculate real-time fare
+      // Calculate real-time fare with the pricing version the ride was booked on
+      const pricingRule = await pricingService.resolveRule(
+        ride.vehicleType,
+        ride.pickup,
+        ride.pricingRule,
+      );
       const baseFare = ride.estimatedFare || 0;
-      const timeFare =
-        timeElapsed * FARE_CONFIG.perMinuteRate[ride.vehicleType];
+      const timeFare = timeElapsed * pricingRule.perMinuteRate;
       const distanceFare =
         (ride.actualDistance || ride.estimatedDistance || 0) *
-        FARE_CONFIG.perMileRate[ride.vehicleType];
+        pricingRule.perMileRate;
 
-      // Apply current surge multiplier
-      const now = new Date();
-      const surgeMultiplier = calculateSurgeMultiplier(
-        now.getHours(),
-        now.getDay(),
-        10, // Assume 10 drivers available
-        1,
-      );
+      // Apply the surge the rider accepted at booking
+      const surgeMultiplier = ride.surgeMultiplier || 1;
 
       const subtotal = (baseFare + distanceFare + timeFare) * surgeMultiplier;
-      const tax = subtotal * FARE_CONFIG.taxRate;
-      currentFare = Math.max(
-        subtotal + tax,
-        FARE_CONFIG.minimumFare[ride.vehicleType],
-      );
+      const tax = subtotal * pricingRule.taxRate;
+      currentFare = Math.max(subtotal + tax, pricingRule.minimumFare);
 
       fareBreakdown = {
         baseFare: Math.round(baseFare * 100) / 100,
@@ -2242,32 +2256,17 @@ exports.getRideStatus = async (req, res) => {
     let dropoffEta = null;
 
     if (ride.status === "assigned" && driverLocation && ride.pickup) {
-      const distanceToPickup = calculateDistance(
-        driverLocation.lat,
-        driverLocation.lng,
-        ride.pickup.lat,
-        ride.pickup.lng,
-      );
-      pickupEta = calculateETA(distanceToPickup, driverLocation.speed || 30);
+      pickupEta = await calculateETA(driverLocation, ride.pickup);
     }
 
     if (ride.status === "in_progress" && driverLocation && ride.dropoff) {
-      const distanceToDropoff = calculateDistance(
-        driverLocation.lat,
-        driverLocation.lng,
-        ride.dropoff.lat,
-        ride.dropoff.lng,
-      );
-      dropoffEta = calculateETA(distanceToDropoff, driverLocation.speed || 30);
+      dropoffEta = await calculateETA(driverLocation, ride.dropoff);
     }
 
     // Generate simplified route polyline (straight line for now)
     let routePolyline = null;
     if (ride.pickup && ride.dropoff) {
-      // Simple encoded polyline (just start and end points)
-      const startPoint = encodePoint(ride.pickup.lat, ride.pickup.lng);
-      const endPoint = encodePoint(ride.dropoff.lat, ride.dropoff.lng);
-      routePolyline = startPoint + endPoint;
+      routePolyline = encodePolyline([ride.pickup, ride.dropoff]);
     }
 
     // Calculate remaining distance
@@ -2473,10 +2472,10 @@ exports.getDriverLocation = async (req, res) => {
       );
       distanceToTarget = Math.round(distanceToTarget * 10) / 10; // Round to 1 decimal (km)
 
-      // Calculate ETA based on distance and speed
-      etaToTarget = calculateETA(
-        distanceToTarget,
-        driverLiveLocation.speed || 30,
+      // Calculate ETA by road
+      etaToTarget = await calculateETA(
+        { lat: driverLiveLocation.latitude, lng: driverLiveLocation.longitude },
+        targetLocation,
       );
     }
 
@@ -2515,6 +2514,47 @@ exports.getDriverLocation = async (req, res) => {
   }
 };
 
+// Get the GPS trail of a ride for route playback (rider or driver of the ride)
+exports.getRideTrack = async (req, res) => {
+  try {
+    const ride = await Ride.findById(getRideId(req))
+      .select("+trail")
+      .populate({ path: "driver", select: "user" });
+
+    if (!ride) {
+      return sendError(res, "Ride not found", 404);
+    }
+
+    const isRider = ride.rider.toString() === req.user.id;
+    const isDriver = ride.driver?.user?.toString() === req.user.id;
+
+    if (!isRider && !isDriver) {
+      return sendError(res, "You are not authorized to view this ride", 403);
+    }
+
+    const { points, distanceKm, sampleCount } = await rideTrackService.getTrail(ride);
+
+    sendSuccess(
+      res,
+      {
+        rideId: ride._id,
+        status: ride.status,
+        pickup: ride.pickup,
+        dropoff: ride.dropoff,
+        points,
+        sampleCount,
+        distanceKm,
+        statusTimeline: rideTrackService.getStatusTimeline(ride),
+      },
+      "Ride track retrieved successfully",
+      200,
+    );
+  } catch (error) {
+    console.error("Get ride track error:", error);
+    sendError(res, "Failed to retrieve ride track", 500);
+  }
+};
+
 // Get active ride for rider
 exports.getActiveRide = async (req, res) => {
   try {
@@ -2611,13 +2651,7 @@ exports.getActiveRide = async (req, res) => {
       driverLocation &&
       activeRide.pickup
     ) {
-      const distanceToPickup = calculateDistance(
-        driverLocation.lat,
-        driverLocation.lng,
-        activeRide.pickup.lat,
-        activeRide.pickup.lng,
-      );
-      pickupEta = calculateETA(distanceToPickup, driverLocation.speed || 30);
+      pickupEta = await calculateETA(driverLocation, activeRide.pickup);
     }
 
     if (
@@ -2625,13 +2659,7 @@ exports.getActiveRide = async (req, res) => {
       driverLocation &&
       activeRide.dropoff
     ) {
-      const distanceToDropoff = calculateDistance(
-        driverLocation.lat,
-        driverLocation.lng,
-        activeRide.dropoff.lat,
-        activeRide.dropoff.lng,
-      );
-      dropoffEta = calculateETA(distanceToDropoff, driverLocation.speed || 30);
+      dropoffEta = await calculateETA(driverLocation, activeRide.dropoff);
     }
 
     const response = {
@@ -2744,43 +2772,53 @@ exports.cancelRide = async (req, res) => {
       refundAmount = Math.max(0, ride.fare - cancellationFee);
     }
 
+    // Card rides: release the booking hold, keeping the cancellation fee
+    if (ride.paymentMethod === "card") {
+      try {
+        await ridePaymentService.releaseRideHold(ride, cancellationFee);
+      } catch (holdError) {
+        console.error(`Failed to release card hold for ride ${ride._id}:`, holdError);
+      }
+    }
+
     // Process refund if applicable
     if (refundAmount > 0) {
-      const wallet = await Wallet.findOne({ user: ride.rider });
+      const { duplicate } = await ledgerService.recordRefund(ride.rider, refundAmount, {
+        to: "wallet",
+        ride: ride._id,
+        reference: `refund:cancel:${ride._id}`,
+        description: "Ride cancellation refund",
+      });
+      const wallet = duplicate ? null : await Wallet.findOne({ user: ride.rider });
       if (wallet) {
-        wallet.balance += refundAmount;
-        const refundTransaction = {
-          type: "refund",
-          amount: refundAmount,
-          ride: ride._id,
-          description: "Ride cancellation refund",
-        };
-        wallet.transactions.push(refundTransaction);
-        await wallet.save();
+        const refundTransaction = wallet.transactions[wallet.transactions.length - 1];
 
         // Emit real-time wallet transaction notification
         socketService.notifyWalletTransaction(ride.rider.toString(), {
-          ...refundTransaction,
-          _id: wallet.transactions[wallet.transactions.length - 1]._id,
+          type: refundTransaction.type,
+          amount: refundTransaction.amount,
+          ride: refundTransaction.ride,
+          description: refundTransaction.description,
+          _id: refundTransaction._id,
           timestamp: new Date(),
         });
-
-        // Emit real-time wallet update
-        socketService.notifyWalletUpdate(ride.rider.toString(), {
-          _id: wallet._id,
-          balance: wallet.balance,
-          currency: wallet.currency,
-          transactions: wallet.transactions,
-          updatedAt: wallet.updatedAt,
-        });
       }
     }
 
+    const previousStatus = ride.status;
     ride.status = "cancelled";
     ride.cancellationReason = cancellationReason;
     ride.cancellationFee = cancellationFee;
     ride.refundAmount = refundAmount;
     await ride.save();
+    eventBus.publish(DOMAIN_EVENTS.RIDE_STATUS_CHANGED, {
+      rideId: ride._id,
+      status: ride.status,
+      previousStatus,
+    });
+
+    // Withdraw any offers drivers are still looking at
+    await rideRequestManager.cancelRideRequest(ride._id);
 
     // Notify analytics subscribers about ride cancellation (real-time dashboard update)
     socketService.notifyRealtimeAnalyticsEvent("ride_cancelled", {
@@ -2792,9 +2830,6 @@ exports.cancelRide = async (req, res) => {
       cancellationFee: cancellationFee,
     });
 
-    // Stop real-time active ride updates since ride is cancelled
-    socketService.stopActiveRideUpdates(ride._id.toString());
-
     // Send notification to both rider and driver (if assigned) about cancellation
     socketService.notifyRideCancelled(
       ride.rider.toString(),
@@ -2920,27 +2955,26 @@ exports.addTip = async (req, res) => {
       return sendError(res, "Tip has already been added to this ride", 400);
     }
 
-    // Check wallet balance
-    const wallet = await Wallet.findOne({ user: riderId });
-    if (!wallet || wallet.balance < tipAmount) {
-      return sendError(res, "Insufficient wallet balance for tip", 400);
+    // Move the tip from the rider's wallet to the driver
+    try {
+      await ledgerService.recordTip(ride, tipAmount);
+    } catch (tipError) {
+      if (tipError.code === INSUFFICIENT_FUNDS) {
+        return sendError(res, "Insufficient wallet balance for tip", 400);
+      }
+      throw tipError;
     }
 
-    // Deduct from wallet
-    wallet.balance -= tipAmount;
-    const tipTransaction = {
-      type: "tip",
-      amount: tipAmount,
-      ride: rideId,
-      description: `Tip for ride ${rideId}`,
-    };
-    wallet.transactions.push(tipTransaction);
-    await wallet.save();
+    const wallet = await Wallet.findOne({ user: riderId });
+    const tipTransaction = wallet.transactions[wallet.transactions.length - 1];
 
     // Emit real-time transaction notification
     socketService.notifyWalletTransaction(riderId, {
-      ...tipTransaction,
-      _id: wallet.transactions[wallet.transactions.length - 1]._id,
+      type: tipTransaction.type,
+      amount: tipTransaction.amount,
+      ride: tipTransaction.ride,
+      description: tipTransaction.description,
+      _id: tipTransaction._id,
       timestamp: new Date(),
     });
 
@@ -2963,15 +2997,6 @@ exports.addTip = async (req, res) => {
       });
     }
 
-    // Emit real-time wallet update
-    socketService.notifyWalletUpdate(riderId, {
-      _id: wallet._id,
-      balance: wallet.balance,
-      currency: wallet.currency,
-      transactions: wallet.transactions,
-      updatedAt: wallet.updatedAt,
-    });
-
     // Update ride with tip
     ride.tips = tipAmount;
     ride.driverEarnings += tipAmount; // Add tip to driver earnings
@@ -3249,26 +3274,5 @@ async function updateDriverRating(driverId) {
   }
 }
 
-// Helper function to encode a point for Google Maps polyline (simplified)
-function encodePoint(lat, lng) {
-  // Simplified encoding - in production, use proper Google Maps encoding
-  const latInt = Math.round(lat * 1e5);
-  const lngInt = Math.round(lng * 1e5);
-
-  return (
-    String.fromCharCode(
-      (latInt & 0x1f) | 0x20,
-      ((latInt >> 5) & 0x1f) | 0x20,
-      ((latInt >> 10) & 0x1f) | 0x20,
-      ((latInt >> 15) & 0x1f) | 0x20,
-      ((latInt >> 20) & 0x1f) | 0x20,
-    ) +
-    String.fromCharCode(
-      (lngInt & 0x1f) | 0x20,
-      ((lngInt >> 5) & 0x1f) | 0x20,
-      ((lngInt >> 10) & 0x1f) | 0x20,
-      ((lngInt >> 15) & 0x1f) | 0x20,
-      ((lngInt >> 20) & 0x1f) | 0x20,
-    )
-  );
-}
+exports.assignDriverToRide = assignDriverToRide;
+exports.offerRideToDrivers = offerRideToDrivers;
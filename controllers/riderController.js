@@ -1,92 +1,20 @@
 const Ride = require("../models/Ride");
 const Wallet = require("../models/Wallet");
-const Payment = require("../models/Payment");
 const Rider = require("../models/Rider");
 const Driver = require("../models/Driver");
 const LiveLocation = require("../models/LiveLocation");
 const ActiveStatusHistory = require("../models/ActiveStatusHistory");
 const User = require("../models/User");
 const { sendSuccess, sendError } = require("../utils/responseHelper");
+const serviceAreaService = require("../services/serviceAreaService");
+const pricingService = require("../services/pricingService");
+const surgeService = require("../services/surgeService");
+const routingService = require("../services/routingService");
 const socketService = require("../services/socketService");
+const walletTopUpService = require("../services/walletTopUpService");
 const path = require("path");
 const fs = require("fs");
-
-// Surrey boundary coordinates (approximate polygon for Surrey, UK)
-const SURREY_BOUNDARY = {
-  type: "Polygon",
-  coordinates: [
-    [
-      [-0.7647820542412376, 51.23981446058468],
-      [-0.7875715012305591, 51.3374427274924],
-      [-0.6234890626433867, 51.38724570115019],
-      [-0.5528255976095124, 51.44765326621072],
-      [-0.4912946943742895, 51.4369998383697],
-      [-0.4730633156372619, 51.460434099370985],
-      [-0.4969920002292554, 51.49591764082311],
-      [-0.41599643381312035, 51.48302961671584],
-      [-0.4034623609311154, 51.447536045839286],
-      [-0.35446553057650476, 51.40490731265197],
-      [-0.3350946905903527, 51.35227709578001],
-      [-0.27242432621378043, 51.39205851269867],
-      [-0.23596156893145803, 51.37214590110136],
-      [-0.18810419974732895, 51.34279330808303],
-      [-0.12999168002420447, 51.315737863375745],
-      [-0.05478725214481983, 51.348487158103154],
-      [0.005236573648232934, 51.30684028123139],
-      [0.08385939444977453, 51.320372623128776],
-      [0.10095132645901117, 51.230557277238916],
-      [0.07471019312615113, 51.14568596968138],
-      [-0.09279059902101494, 51.11922959976991],
-      [-0.13840415849489318, 51.15779247389932],
-      [-0.20107452358979572, 51.16493836684967],
-      [-0.2990681842990739, 51.12204640044169],
-      [-0.47454520463912786, 51.0991543868395],
-      [-0.6885988502547775, 51.033302729867955],
-      [-0.7375956806094166, 51.09059298445487],
-      [-0.7803726437674072, 51.11666890149371],
-      [-0.8088591650132173, 51.1567073053445],
-      [-0.8452124718280913, 51.192817893194615],
-      [-0.7647820542412376, 51.23981446058468],
-      [74.43945717928972, 31.48625965811391],
-      [74.43745247486578, 31.4863339860257],
-      [74.41326528017328, 31.485033239039396],
-      [74.40829709964137, 31.48882393695139],
-      [74.41069402884509, 31.497259546636712],
-      [74.42097903415561, 31.502053012186792],
-      [74.43993656513115, 31.496702150972723],
-      [74.43950075982167, 31.486296822077165],
-    ],
-  ],
-};
-
-// Haversine formula to calculate distance between two points
-function calculateDistance(lat1, lon1, lat2, lon2) {
-  const R = 6371; // Earth's radius in kilometers
-  const dLat = ((lat2 - lat1) * Math.PI) / 180;
-  const dLon = ((lon2 - lon1) * Math.PI) / 180;
-  const a =
-    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-    Math.cos((lat1 * Math.PI) / 180) *
-      Math.cos((lat2 * Math.PI) / 180) *
-      Math.sin(dLon / 2) *
-      Math.sin(dLon / 2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  return R * c; // Distance in kilometers
-}
-
-// Check if a point is inside Surrey boundary (simple bounding box check)
-function isInSurrey(lat, lon) {
-  const bounds = SURREY_BOUNDARY.coordinates[0];
-  const lats = bounds.map((coord) => coord[1]);
-  const lons = bounds.map((coord) => coord[0]);
-
-  const minLat = Math.min(...lats);
-  const maxLat = Math.max(...lats);
-  const minLon = Math.min(...lons);
-  const maxLon = Math.max(...lons);
-
-  return lat >= minLat && lat <= maxLat && lon >= minLon && lon <= maxLon;
-}
+const { calculateDistance } = require("../utils/geo");
 
 // Calculate estimated time to reach (distance / average speed)
 function calculateETA(distanceKm, speedKmh = 30) {
@@ -350,68 +278,45 @@ exports.getRideHistory = async (req, res) => {
 // followed by POST /api/v1/stripe/confirm-payment
 exports.topUpWallet = async (req, res) => {
   try {
-    const { amount, paymentMethod = "manual" } = req.body;
-    const numAmount = parseFloat(amount);
-    if (!numAmount || numAmount <= 0 || isNaN(numAmount)) {
-      return sendError(res, "Invalid amount", 400);
-    }
-
-    // For card payments, redirect to Stripe integration
-    if (paymentMethod === "card" || paymentMethod === "stripe") {
-      return sendError(
-        res,
-        "For card payments, please use the Stripe payment API: POST /api/v1/stripe/create-payment-intent",
-        400
-      );
-    }
-
-    let wallet = await Wallet.findOne({ user: req.user.id });
-    if (!wallet) {
-      wallet = await Wallet.create({ user: req.user.id });
-    }
+    const { amount, currency, paymentMethodId } = req.body || {};
+
+    // Nothing is credited here unless a saved card is charged successfully;
+    // otherwise the client confirms the returned PaymentIntent and the wallet
+    // is credited on confirm-payment or the payment_intent.succeeded webhook
+    const { payment, clientSecret, credited } = await walletTopUpService.createTopUp(
+      req.user.id,
+      { amount, currency, paymentMethodId }
+    );
 
-    wallet.balance += numAmount;
-    await wallet.save();
+    const wallet = await Wallet.findOne({ user: req.user.id });
 
-    // Emit real-time wallet update
-    socketService.notifyWalletUpdate(req.user.id, {
-      _id: wallet._id,
-      balance: wallet.balance,
-      currency: wallet.currency,
-      transactions: wallet.transactions,
-      updatedAt: wallet.updatedAt,
-    });
-
-    // Create a Payment record for wallet top-up
-    const payment = await Payment.create({
-      rider: req.user.id,
-      amount: numAmount,
-      status: "paid",
-      paymentMethod: paymentMethod === "manual" ? "cash" : paymentMethod,
-      description: `Manual wallet top-up (${paymentMethod})`,
-    });
-
-    // Add transaction to wallet
-    const newTransaction = {
-      type: "topup",
-      amount: numAmount,
-      payment: payment._id,
-      description: `Wallet top-up via ${paymentMethod}`,
+    const topUp = {
+      paymentId: payment._id,
+      paymentIntentId: payment.stripePaymentIntentId,
+      clientSecret,
+      amount: payment.amount,
+      currency: payment.currency,
+      status: credited ? "paid" : payment.status,
+      requiresAction: !credited,
     };
-    wallet.transactions.push(newTransaction);
-    await wallet.save();
 
-    // Emit real-time transaction notification
-    socketService.notifyWalletTransaction(req.user.id, {
-      ...newTransaction,
-      _id: wallet.transactions[wallet.transactions.length - 1]._id,
-      timestamp: new Date(),
-    });
+    if (credited) {
+      return sendSuccess(res, { topUp, wallet }, "Wallet topped up successfully", 200);
+    }
 
-    sendSuccess(res, { wallet, payment }, "Wallet topped up successfully", 200);
+    sendSuccess(
+      res,
+      { topUp, wallet },
+      "Top-up created. Confirm the payment to credit your wallet",
+      201
+    );
   } catch (err) {
     console.error("Top-up wallet error:", err);
-    sendError(res, "Failed to top up wallet", 500);
+    sendError(
+      res,
+      err.statusCode ? err.message : "Failed to top up wallet",
+      err.statusCode || 500
+    );
   }
 };
 
@@ -530,6 +435,9 @@ exports.getDashboard = async (req, res) => {
       ? req.user.fullName.split(" ")[0]
       : "User";
 
+    // Active service areas for the map overlay
+    const serviceAreas = await serviceAreaService.getActiveAreas();
+
     const dashboardData = {
       welcomeMessage: `Welcome back, ${firstName}!`,
       stats: {
@@ -547,7 +455,8 @@ exports.getDashboard = async (req, res) => {
       },
       nearbyDrivers,
       mapConfig: {
-        surreyBoundary: SURREY_BOUNDARY,
+        serviceAreas,
+        surreyBoundary: serviceAreas[0]?.geometry || null, // Kept for older app builds
         userLocation: {
           latitude: userLat,
           longitude: userLon,
@@ -827,8 +736,30 @@ exports.getAvailableDrivers = async (req, res) => {
       vehicleType
     );
 
+    // Pricing rule per vehicle type in effect at the rider's location
+    const pricingRules = {};
+    for (const driver of nearbyDrivers) {
+      const type = pricingService.normalizeVehicleType(driver.vehicleType);
+      if (!pricingRules[type]) {
+        pricingRules[type] = await pricingService.resolveRule(type, {
+          lat: userLat,
+          lng: userLon,
+        });
+      }
+    }
+
+    // Priced like a fare estimate: road distance, duration and current surge
+    const surgeMultiplier = await surgeService.getMultiplier(userLat, userLon);
+    const routes = await routingService.getRoutesTo(
+      nearbyDrivers.map((driver) => ({
+        lat: driver.location.latitude,
+        lng: driver.location.longitude,
+      })),
+      { lat: userLat, lng: userLon }
+    );
+
     // Format response as per BACKEND_REQUIREMENTS.md specification
-    const formattedDrivers = nearbyDrivers.map(driver => ({
+    const formattedDrivers = nearbyDrivers.map((driver, index) => ({
       id: driver.driverId,
       name: driver.driverName,
       rating: driver.rating || 4.5,
@@ -839,7 +770,11 @@ exports.getAvailableDrivers = async (req, res) => {
         longitude: driver.location.longitude
       },
       distance: Math.round(driver.distance * 1000), // Convert km to meters as per spec
-      estimatedFare: calculateEstimatedFare(driver.distance, driver.vehicleType)
+      estimatedFare: calculateEstimatedFare(
+        routes[index],
+        pricingRules[pricingService.normalizeVehicleType(driver.vehicleType)],
+        surgeMultiplier
+      )
     }));
 
     sendSuccess(
@@ -856,39 +791,15 @@ exports.getAvailableDrivers = async (req, res) => {
   }
 };
 
-// Helper function to calculate estimated fare
-function calculateEstimatedFare(distanceKm, vehicleType = "sedan") {
-  const baseFares = {
-    sedan: 5.00,
-    suv: 7.00,
-    electric: 6.00,
-    hatchback: 4.50,
-    coupe: 6.50,
-    convertible: 8.00,
-    wagon: 6.00,
-    pickup: 7.50,
-    van: 8.50,
-    motorcycle: 3.50
-  };
-  
-  const perKmRates = {
-    sedan: 1.50,
-    suv: 2.00,
-    electric: 1.75,
-    hatchback: 1.25,
-    coupe: 1.75,
-    convertible: 2.25,
-    wagon: 1.75,
-    pickup: 2.00,
-    van: 2.50,
-    motorcycle: 1.00
-  };
-
-  const baseFare = baseFares[vehicleType] || baseFares.sedan;
-  const perKmRate = perKmRates[vehicleType] || perKmRates.sedan;
-  
-  const totalFare = baseFare + (distanceKm * perKmRate);
-  return parseFloat(totalFare.toFixed(2));
+// Helper function to calculate estimated fare from the active pricing rule,
+// with the same inputs as a fare estimate
+function calculateEstimatedFare(route, pricingRule, surgeMultiplier) {
+  const { fareBreakdown } = pricingService.priceTrip(pricingRule, {
+    distanceMiles: route.distanceKm * 0.621371,
+    durationMinutes: route.durationMinutes,
+    surgeMultiplier,
+  });
+  return fareBreakdown.total;
 }
 
 /**
@@ -1067,20 +978,6 @@ async function getNearbyDrivers(userLat, userLon, maxDistanceKm = 5, vehicleType
         continue;
       }
 
-      // Check if driver is within Surrey boundary (disabled for testing)
-      const inBoundary = isInSurrey(location.latitude, location.longitude);
-      if (!inBoundary) {
-        console.log("DEBUG [getNearbyDrivers]: Driver outside Surrey boundary (allowing for testing):", {
-          driverId: location.driver._id,
-          lat: location.latitude,
-          lng: location.longitude
-        });
-        // For testing: Allow drivers outside boundary
-        // In production, uncomment the following:
-        // filteredOut.outsideBoundary++;
-        // continue;
-      }
-
       // Calculate distance
       const distance = calculateDistance(
         userLat,
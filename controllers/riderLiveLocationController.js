@@ -1,6 +1,7 @@
 const RiderLiveLocation = require("../models/RiderLiveLocation");
 const Rider = require("../models/Rider");
 const { sendSuccess, sendError } = require("../utils/responseHelper");
+const { calculateDistance } = require("../utils/geo");
 
 /**
  * Update rider's live location
@@ -214,18 +215,3 @@ exports.getNearbyRiders = async (req, res) => {
     sendError(res, "Failed to retrieve nearby riders", 500);
   }
 };
-
-// Haversine formula to calculate distance between two points
-function calculateDistance(lat1, lon1, lat2, lon2) {
-  const R = 6371; // Earth's radius in kilometers
-  const dLat = ((lat2 - lat1) * Math.PI) / 180;
-  const dLon = ((lon2 - lon1) * Math.PI) / 180;
-  const a =
-    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-    Math.cos((lat1 * Math.PI) / 180) *
-      Math.cos((lat2 * Math.PI) / 180) *
-      Math.sin(dLon / 2) *
-      Math.sin(dLon / 2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  return R * c; // Distance in kilometers
-}
@@ -1,10 +1,14 @@
 const stripeService = require("../services/stripeService");
+const walletTopUpService = require("../services/walletTopUpService");
+const cashSettlementService = require("../services/cashSettlementService");
+const payoutService = require("../services/payoutService");
+const disputeService = require("../services/disputeService");
+const refundService = require("../services/refundService");
 const Payment = require("../models/Payment");
 const PaymentMethod = require("../models/PaymentMethod");
 const Rider = require("../models/Rider");
 const Driver = require("../models/Driver");
 const User = require("../models/User");
-const Wallet = require("../models/Wallet");
 const Ride = require("../models/Ride");
 
 /**
@@ -186,27 +190,10 @@ exports.confirmPayment = async (req, res, next) => {
 
       await payment.save();
 
-      // If it's a wallet top-up, add funds to wallet
-      if (!payment.ride && payment.metadata?.get("purpose") === "wallet_topup") {
-        let wallet = await Wallet.findOne({ user: req.user._id });
-
-        if (!wallet) {
-          wallet = await Wallet.create({
-            user: req.user._id,
-            balance: 0,
-          });
-        }
-
-        wallet.balance += payment.amount;
-        wallet.transactions.push({
-          type: "credit",
-          amount: payment.amount,
-          description: "Wallet top-up via Stripe",
-          balanceAfter: wallet.balance,
-          paymentId: payment._id,
-        });
-
-        await wallet.save();
+      // If it's a wallet top-up, add funds to wallet (once per payment, even
+      // if the client confirms twice or the webhook got there first)
+      if (walletTopUpService.isTopUp(payment)) {
+        await walletTopUpService.completeTopUp(payment, paymentIntent);
       }
 
       // If it's a ride payment, update ride status
@@ -518,11 +505,13 @@ exports.setDefaultPaymentMethod = async (req, res, next) => {
 
 /**
  * Create a refund for a payment
+ * Can be partial and repeated until the whole payment is refunded; wallet-paid
+ * rides are refunded to the wallet
  * POST /api/v1/stripe/refund
  */
 exports.createRefund = async (req, res, next) => {
   try {
-    const { paymentId, amount, reason } = req.body;
+    const { paymentId, amount, reason, note } = req.body;
 
     if (!paymentId) {
       return res.status(400).json({
@@ -531,73 +520,30 @@ exports.createRefund = async (req, res, next) => {
       });
     }
 
-    // Find payment
-    const payment = await Payment.findById(paymentId);
-
-    if (!payment) {
-      return res.status(404).json({
-        success: false,
-        message: "Payment not found",
-      });
-    }
-
-    // Check if payment can be refunded
-    if (!payment.canBeRefunded()) {
-      return res.status(400).json({
-        success: false,
-        message: "This payment cannot be refunded",
-      });
-    }
-
-    // Validate refund amount
-    const refundAmount = amount || payment.amount;
-    if (refundAmount > payment.amount) {
-      return res.status(400).json({
-        success: false,
-        message: "Refund amount cannot exceed payment amount",
-      });
-    }
-
-    // Create refund in Stripe
-    const refund = await stripeService.createRefund(
-      payment.stripePaymentIntentId,
-      refundAmount,
-      reason
-    );
-
-    // Update payment record
-    payment.status = "refunded";
-    payment.stripeRefundId = refund.id;
-    payment.refundDetails = {
-      refundedAmount: refundAmount,
-      refundReason: reason || "Requested by customer",
-      refundedAt: new Date(),
-    };
-    await payment.save();
-
-    // If payment was for wallet top-up, deduct from wallet
-    if (!payment.ride) {
-      const wallet = await Wallet.findOne({ user: payment.rider });
-      if (wallet && wallet.balance >= refundAmount) {
-        wallet.balance -= refundAmount;
-        wallet.transactions.push({
-          type: "debit",
-          amount: refundAmount,
-          description: `Refund for payment ${payment._id}`,
-          balanceAfter: wallet.balance,
-          paymentId: payment._id,
-        });
-        await wallet.save();
+    const { refund, payment } = await refundService.refundPayment(
+      paymentId,
+      { amount, reason, note },
+      {
+        userId: req.user.id,
+        ipAddress: req.ip || req.connection.remoteAddress,
+        userAgent: req.get("User-Agent") || "Unknown",
       }
-    }
+    );
 
     res.status(200).json({
       success: true,
       message: "Refund processed successfully",
       data: {
-        refundId: refund.id,
-        amount: refundAmount,
+        // The Stripe refund ID, as before; wallet refunds have none
+        refundId: refund.stripeRefundId || null,
+        internalRefundId: refund._id,
+        amount: refund.amount,
+        reason: refund.reason,
+        destination: refund.destination,
         status: refund.status,
+        refundedAmount: payment.refundedAmount,
+        remainingAmount: Math.round((payment.amount - payment.refundedAmount) * 100) / 100,
+        paymentStatus: payment.status,
       },
     });
   } catch (error) {
@@ -775,7 +721,7 @@ exports.createDriverPayout = async (req, res, next) => {
     }
 
     // Find driver
-    const driver = await Driver.findById(driverId);
+    let driver = await Driver.findById(driverId);
 
     if (!driver) {
       return res.status(404).json({
@@ -798,6 +744,11 @@ exports.createDriverPayout = async (req, res, next) => {
       });
     }
 
+    // Cash commission owed comes out of earnings before anything is paid out
+    ({ driver } = await cashSettlementService.settleAgainstEarnings(driver._id, {
+      createdBy: req.user._id,
+    }));
+
     // Check available balance
     if (driver.earnings.availableBalance < amount) {
       return res.status(400).json({
@@ -806,25 +757,19 @@ exports.createDriverPayout = async (req, res, next) => {
       });
     }
 
-    // Create payout
-    const payout = await stripeService.createPayout(
-      driver.stripeConnectAccountId,
-      amount,
-      driver.earnings.currency
-    );
-
-    // Update driver earnings
-    driver.earnings.availableBalance -= amount;
-    driver.earnings.totalPaidOut += amount;
-    driver.earnings.lastPayoutAt = new Date();
-    await driver.save();
+    // Held in pending until Stripe reports the payout paid or failed
+    const payout = await payoutService.createPayout(driver, parseFloat(amount), {
+      requestedBy: req.user._id,
+      source: "admin",
+    });
 
     res.status(200).json({
       success: true,
       message: "Payout created successfully",
       data: {
-        payoutId: payout.id,
-        amount: payout.amount / 100,
+        payoutId: payout._id,
+        stripePayoutId: payout.stripePayoutId,
+        amount: payout.amount,
         currency: payout.currency,
         status: payout.status,
       },
@@ -874,16 +819,21 @@ exports.handleWebhook = async (req, res, next) => {
         await handleChargeRefunded(event.data.object);
         break;
 
+      case "charge.dispute.created":
+      case "charge.dispute.updated":
+      case "charge.dispute.closed":
+        await disputeService.handleDisputeEvent(event.data.object);
+        break;
+
       case "account.updated":
         await handleAccountUpdated(event.data.object);
         break;
 
       case "payout.paid":
-        console.log("Payout paid:", event.data.object.id);
-        break;
-
       case "payout.failed":
-        console.log("Payout failed:", event.data.object.id);
+      case "payout.canceled":
+      case "payout.updated":
+        await payoutService.handlePayoutEvent(event.data.object);
         break;
 
       default:
@@ -906,11 +856,26 @@ exports.handleWebhook = async (req, res, next) => {
 
 async function handlePaymentIntentSucceeded(paymentIntent) {
   try {
-    const payment = await Payment.findOne({
-      stripePaymentIntentId: paymentIntent.id,
-    });
+    // Saved-card top-ups can succeed before the intent ID is stored, so fall
+    // back to the payment ID carried in the intent metadata
+    const payment =
+      (await Payment.findOne({ stripePaymentIntentId: paymentIntent.id })) ||
+      (paymentIntent.metadata?.paymentId
+        ? await Payment.findById(paymentIntent.metadata.paymentId)
+        : null);
+
+    if (!payment) return;
+
+    if (walletTopUpService.isTopUp(payment)) {
+      // Credits the wallet unless confirm-payment already did
+      const { credited } = await walletTopUpService.completeTopUp(payment, paymentIntent);
+      if (credited) {
+        console.log(`Wallet top-up ${payment._id} credited via webhook`);
+      }
+      return;
+    }
 
-    if (payment && payment.status !== "paid") {
+    if (payment.status !== "paid") {
       payment.status = "paid";
       payment.stripeChargeId = paymentIntent.latest_charge;
       await payment.save();
@@ -946,7 +911,8 @@ async function handleChargeRefunded(charge) {
       stripeChargeId: charge.id,
     });
 
-    if (payment) {
+    // Fires for partial refunds too - only a fully refunded charge changes status
+    if (payment && charge.refunded && payment.status !== "refunded") {
       payment.status = "refunded";
       await payment.save();
 
@@ -194,6 +194,96 @@ const auditLoggers = {
   deleteDriver: auditLogger("DELETE_DRIVER", "driver", (req) => ({
     details: { driverId: req.params.driverId },
   })),
+
+  // System configuration
+  updateDispatchSettings: auditLogger(
+    "CONFIGURATION_CHANGE",
+    "system",
+    (req, resData) => ({
+      details: { setting: "dispatch_scoring_weights", body: req.body },
+      newValues: resData?.data?.weights || {},
+    })
+  ),
+
+  manageServiceArea: auditLogger(
+    "CONFIGURATION_CHANGE",
+    "system",
+    (req, resData) => ({
+      details: {
+        setting: "service_area",
+        method: req.method,
+        serviceAreaId: req.params.id,
+        name: req.body?.name,
+      },
+      newValues: resData?.data?.serviceArea || {},
+    })
+  ),
+
+  managePricingRule: auditLogger(
+    "CONFIGURATION_CHANGE",
+    "system",
+    (req, resData) => ({
+      details: {
+        setting: "pricing_rule",
+        method: req.method,
+        pricingRuleId: req.params.id,
+        vehicleType: req.body?.vehicleType,
+      },
+      newValues: resData?.data?.pricingRule || {},
+    })
+  ),
+
+  updateSurgePolicy: auditLogger(
+    "CONFIGURATION_CHANGE",
+    "system",
+    (req, resData) => ({
+      details: { setting: "surge_policy", body: req.body },
+      newValues: resData?.data?.policy || {},
+    })
+  ),
+
+  updateCashDebtLimit: auditLogger(
+    "CONFIGURATION_CHANGE",
+    "system",
+    (req, resData) => ({
+      details: { setting: "cash_debt_limit", body: req.body },
+      newValues: { debtLimit: resData?.data?.debtLimit },
+    })
+  ),
+
+  recordCashRemittance: auditLogger(
+    "RECORD_CASH_REMITTANCE",
+    "driver",
+    (req, resData) => ({
+      details: {
+        driverId: req.params.driverId,
+        amount: req.body?.amount,
+        note: req.body?.note,
+      },
+      newValues: resData?.data?.cash || {},
+    })
+  ),
+
+  submitDisputeEvidence: auditLogger(
+    "SUBMIT_DISPUTE_EVIDENCE",
+    "payment",
+    (req, resData) => ({
+      details: {
+        disputeId: req.params.disputeId,
+        submit: req.body?.submit,
+        notes: req.body?.notes,
+      },
+      newValues: resData?.data?.dispute?.evidence || {},
+    })
+  ),
+
+  rebuildLedger: auditLogger("REBUILD_LEDGER", "payment", (req, resData) => ({
+    details: {
+      mismatches: resData?.data?.report?.mismatches?.length || 0,
+      trialBalance: resData?.data?.report?.trialBalance,
+    },
+    newValues: { mismatches: resData?.data?.report?.mismatches || [] },
+  })),
 };
 
 module.exports = {
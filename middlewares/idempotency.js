@@ -0,0 +1,187 @@
+const crypto = require("crypto");
+const IdempotencyKey = require("../models/IdempotencyKey");
+const { IDEMPOTENCY_CONFIG } = require("../config/idempotencyConfig");
+const { sendError } = require("../utils/responseHelper");
+
+// JSON with sorted object keys so the same payload always hashes the same
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(",")}]`;
+  }
+  if (value && typeof value === "object" && !(value instanceof Date)) {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value) ?? "null";
+};
+
+const hashRequest = (req, path) =>
+  crypto
+    .createHash("sha256")
+    .update(
+      stableStringify({
+        method: req.method,
+        path,
+        query: req.query || {},
+        body: req.body || {},
+      })
+    )
+    .digest("hex");
+
+/**
+ * Middleware to make a money-moving endpoint safe to retry
+ *
+ * Must run after auth and body parsing. The first response for an
+ * Idempotency-Key is stored and replayed on retry; a retry with a different
+ * payload gets 422 and one that arrives while the original is still running
+ * gets 409 - including after the client gave up waiting, until the handler
+ * responds. A key still processing once its lease (lockSeconds) has run out
+ * belongs to a request that died with the server, and the next retry takes
+ * it over. Server errors (5xx) aren't stored so the client can retry them.
+ * @returns {Function} Express middleware
+ */
+const idempotency = () => {
+  return async (req, res, next) => {
+    const key = req.get(IDEMPOTENCY_CONFIG.header);
+
+    if (!key) {
+      if (IDEMPOTENCY_CONFIG.required) {
+        return sendError(
+          res,
+          `${IDEMPOTENCY_CONFIG.header} header is required`,
+          400,
+          "IDEMPOTENCY_KEY_REQUIRED"
+        );
+      }
+      return next();
+    }
+
+    if (key.length > IDEMPOTENCY_CONFIG.maxKeyLength) {
+      return sendError(
+        res,
+        `${IDEMPOTENCY_CONFIG.header} must be at most ${IDEMPOTENCY_CONFIG.maxKeyLength} characters`,
+        400,
+        "IDEMPOTENCY_KEY_INVALID"
+      );
+    }
+
+    if (!req.user || !req.user.id) {
+      return sendError(res, "Authorization token missing", 401);
+    }
+
+    const path = req.originalUrl.split("?")[0];
+    const requestHash = hashRequest(req, path);
+
+    // Only the request holding this lease may settle the key
+    const lockedUntil = new Date(Date.now() + IDEMPOTENCY_CONFIG.lockSeconds * 1000);
+
+    let record;
+    try {
+      record = await IdempotencyKey.create({
+        key,
+        user: req.user.id,
+        method: req.method,
+        path,
+        requestHash,
+        lockedUntil,
+        expiresAt: new Date(
+          Date.now() + IDEMPOTENCY_CONFIG.ttlHours * 60 * 60 * 1000
+        ),
+      });
+    } catch (error) {
+      if (error.code !== 11000) {
+        console.error("Idempotency key error:", error);
+        return sendError(res, "Failed to process request", 500);
+      }
+
+      const existing = await IdempotencyKey.findOne({ user: req.user.id, key });
+      if (!existing) {
+        // Expired between the insert and the lookup - let the client retry
+        return sendError(res, "Please retry the request", 409, "IDEMPOTENCY_KEY_IN_PROGRESS");
+      }
+
+      if (existing.requestHash !== requestHash) {
+        return sendError(
+          res,
+          `${IDEMPOTENCY_CONFIG.header} was already used for a different request`,
+          422,
+          "IDEMPOTENCY_KEY_REUSED"
+        );
+      }
+
+      if (existing.status === "completed") {
+        res.set("Idempotent-Replayed", "true");
+        return res.status(existing.responseStatus).json(existing.responseBody);
+      }
+
+      // The lease ran out without a response: take the key over, unless
+      // another retry got there first
+      if (!existing.lockedUntil || existing.lockedUntil <= new Date()) {
+        record = await IdempotencyKey.findOneAndUpdate(
+          {
+            _id: existing._id,
+            status: "processing",
+            lockedUntil: existing.lockedUntil ?? null,
+          },
+          { $set: { lockedUntil } },
+          { new: true }
+        );
+      }
+
+      if (!record) {
+        return sendError(
+          res,
+          "A request with this idempotency key is still being processed",
+          409,
+          "IDEMPOTENCY_KEY_IN_PROGRESS"
+        );
+      }
+    }
+
+    // Settle the key once the handler has produced its response. A client
+    // that disconnects doesn't free it: the handler is still running, and a
+    // retry must get 409 rather than run the request a second time.
+    let settled = false;
+    const settle = async (responseBody) => {
+      if (settled) return;
+      settled = true;
+      try {
+        // Nothing reliable to replay: free the key so the client can retry
+        if (responseBody === undefined || res.statusCode >= 500) {
+          await IdempotencyKey.deleteOne({ _id: record._id, lockedUntil });
+          return;
+        }
+
+        await IdempotencyKey.updateOne(
+          { _id: record._id, lockedUntil },
+          {
+            $set: {
+              status: "completed",
+              responseStatus: res.statusCode,
+              responseBody,
+            },
+          }
+        );
+      } catch (error) {
+        console.error("Failed to store idempotent response:", error);
+      }
+    };
+
+    // Capture the response so it can be replayed
+    const originalJson = res.json;
+    res.json = function (data) {
+      // Plain JSON copy - the handler may have passed Mongoose documents
+      settle(data === undefined ? null : JSON.parse(JSON.stringify(data)));
+      return originalJson.call(this, data);
+    };
+
+    // Responses sent without res.json can't be replayed
+    res.on("finish", () => settle(undefined));
+
+    next();
+  };
+};
+
+module.exports = idempotency;
@@ -44,6 +44,9 @@ const auditLogSchema = new mongoose.Schema(
         // Payment management
         "PROCESS_REFUND",
         "UPDATE_PAYMENT_STATUS",
+        "REBUILD_LEDGER",
+        "RECORD_CASH_REMITTANCE",
+        "SUBMIT_DISPUTE_EVIDENCE",
 
         // User activation management
         "USER_ACTIVATED",
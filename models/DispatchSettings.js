@@ -0,0 +1,25 @@
+const mongoose = require("mongoose");
+
+// Admin-managed dispatch settings (a single document with key "default")
+const dispatchSettingsSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      default: "default",
+      unique: true,
+    },
+    // Relative weights for driver scoring (see config/dispatchConfig.js)
+    scoringWeights: {
+      distance: { type: Number, min: 0 },
+      rating: { type: Number, min: 0 },
+      acceptanceRate: { type: Number, min: 0 },
+      idleTime: { type: Number, min: 0 },
+      heading: { type: Number, min: 0 },
+      locationFreshness: { type: Number, min: 0 },
+    },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("DispatchSettings", dispatchSettingsSchema);
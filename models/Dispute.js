@@ -0,0 +1,38 @@
+const mongoose = require("mongoose");
+const { DISPUTE_STATUSES } = require("../config/disputeConfig");
+
+// A card dispute (chargeback or inquiry) raised with Stripe; status follows
+// the charge.dispute.* webhooks
+const disputeSchema = new mongoose.Schema(
+  {
+    stripeDisputeId: { type: String, required: true, unique: true },
+    stripeChargeId: { type: String, required: true },
+    stripePaymentIntentId: { type: String },
+    payment: { type: mongoose.Schema.Types.ObjectId, ref: "Payment" },
+    ride: { type: mongoose.Schema.Types.ObjectId, ref: "Ride" },
+    rider: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    driver: { type: mongoose.Schema.Types.ObjectId, ref: "Driver" },
+    amount: { type: Number, required: true }, // Major units (pounds)
+    currency: { type: String, default: "gbp" },
+    reason: { type: String }, // Stripe reason, e.g. fraudulent, product_not_received
+    status: { type: String, enum: DISPUTE_STATUSES, required: true },
+    evidenceDueBy: { type: Date },
+    fundsWithdrawn: { type: Boolean, default: false },
+    clawedBackAmount: { type: Number, default: 0 }, // Taken from the driver's earnings
+    evidence: {
+      fields: { type: mongoose.Schema.Types.Mixed }, // As last sent to Stripe
+      updatedAt: { type: Date },
+      updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      submitted: { type: Boolean, default: false },
+      submittedAt: { type: Date },
+    },
+    closedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+disputeSchema.index({ status: 1, evidenceDueBy: 1 });
+disputeSchema.index({ ride: 1 });
+disputeSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model("Dispute", disputeSchema);
@@ -352,13 +352,33 @@ const driverSchema = new mongoose.Schema(
     earnings: {
       totalEarned: { type: Number, default: 0 },
       availableBalance: { type: Number, default: 0 },
-      pendingBalance: { type: Number, default: 0 },
+      pendingBalance: { type: Number, default: 0 }, // Ride earnings on hold
+      payoutInTransit: { type: Number, default: 0 }, // Requested payouts not settled yet
+      cashOwed: { type: Number, default: 0 }, // Commission owed on cash fares
+      cashCollected: { type: Number, default: 0 }, // Lifetime cash fares taken
       totalPaidOut: { type: Number, default: 0 },
       lastPayoutAt: Date,
       currency: { type: String, default: "gbp" },
     },
+    // Automatic payouts (see config/payoutConfig.js)
+    payoutSchedule: {
+      enabled: { type: Boolean, default: false },
+      interval: {
+        type: String,
+        enum: ["daily", "weekly", "monthly"],
+        default: "weekly",
+      },
+      weeklyDay: { type: Number, min: 0, max: 6, default: 1 }, // 0 = Sunday
+      monthlyDay: { type: Number, min: 1, max: 28, default: 1 },
+      minimumAmount: { type: Number, min: 0 }, // Falls back to the config default
+      nextRunAt: { type: Date },
+      lastRunAt: { type: Date },
+      lockedUntil: { type: Date }, // Claim lease so only one process pays a driver
+    },
   },
   { timestamps: true }
 );
 
+driverSchema.index({ "payoutSchedule.enabled": 1, "payoutSchedule.nextRunAt": 1 });
+
 module.exports = mongoose.model("Driver", driverSchema);
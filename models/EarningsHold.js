@@ -0,0 +1,43 @@
+const mongoose = require("mongoose");
+
+// A ride's driver earnings waiting in the pending balance until releaseAt
+// (see EARNINGS_HOLD_CONFIG); refunds and chargebacks before then are taken
+// back out of it
+const earningsHoldSchema = new mongoose.Schema(
+  {
+    driver: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Driver",
+      required: true,
+    },
+    ride: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Ride",
+      required: true,
+      unique: true,
+    },
+    amount: { type: Number, required: true }, // Held at completion (pounds)
+    reversedAmount: { type: Number, default: 0 }, // Taken back so far
+    releaseAt: { type: Date, required: true },
+    status: {
+      type: String,
+      enum: ["held", "released", "reversed"],
+      default: "held",
+    },
+    releasedAt: { type: Date },
+    reversals: [
+      {
+        amount: { type: Number, required: true },
+        reason: { type: String },
+        reference: { type: String },
+        createdAt: { type: Date, default: Date.now },
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+earningsHoldSchema.index({ status: 1, releaseAt: 1 });
+earningsHoldSchema.index({ driver: 1, status: 1, releaseAt: 1 });
+
+module.exports = mongoose.model("EarningsHold", earningsHoldSchema);
@@ -48,6 +48,9 @@ const fareEstimateSchema = new mongoose.Schema(
       type: String,
       default: "GBP",
     },
+    // Pricing rule version that produced this estimate (null = built-in defaults)
+    pricingRule: { type: mongoose.Schema.Types.ObjectId, ref: "PricingRule" },
+    pricingVersion: { type: Number },
     driverAvailability: {
       count: { type: Number, required: true },
       estimatedPickupTime: { type: Number, required: true }, // minutes
@@ -0,0 +1,34 @@
+const mongoose = require("mongoose");
+
+// Stored outcome of a request made with an Idempotency-Key header
+const idempotencyKeySchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    method: { type: String, required: true },
+    path: { type: String, required: true },
+    // SHA-256 of method, path and body - a retry must match it exactly
+    requestHash: { type: String, required: true },
+    status: {
+      type: String,
+      enum: ["processing", "completed"],
+      default: "processing",
+    },
+    // Lease of the request processing the key; a retry may take over a
+    // "processing" key once it has passed (the server died mid-request)
+    lockedUntil: { type: Date },
+    responseStatus: { type: Number },
+    responseBody: { type: mongoose.Schema.Types.Mixed },
+    expiresAt: {
+      type: Date,
+      required: true,
+      index: { expires: 0 }, // TTL index for automatic deletion
+    },
+  },
+  { timestamps: true }
+);
+
+// Keys are scoped per user so two clients can't collide
+idempotencyKeySchema.index({ user: 1, key: 1 }, { unique: true });
+
+module.exports = mongoose.model("IdempotencyKey", idempotencyKeySchema);
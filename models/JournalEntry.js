@@ -0,0 +1,47 @@
+const mongoose = require("mongoose");
+const { ENTRY_TYPES } = require("../config/ledgerConfig");
+
+// One side of a journal entry (amounts in minor units, e.g. pence)
+const journalLineSchema = new mongoose.Schema(
+  {
+    account: { type: String, required: true }, // Ledger account code
+    debit: { type: Number, default: 0, min: 0 },
+    credit: { type: Number, default: 0, min: 0 },
+  },
+  { _id: false }
+);
+
+// Balanced money movement - immutable once written
+const journalEntrySchema = new mongoose.Schema(
+  {
+    type: { type: String, enum: ENTRY_TYPES, required: true },
+    // Unique per movement (e.g. "ride_charge:<rideId>") so retries can't post twice
+    reference: { type: String, required: true, unique: true },
+    lines: {
+      type: [journalLineSchema],
+      validate: {
+        validator: (lines) => {
+          const debits = lines.reduce((sum, line) => sum + line.debit, 0);
+          const credits = lines.reduce((sum, line) => sum + line.credit, 0);
+          return lines.length >= 2 && debits === credits && debits > 0;
+        },
+        message: "Journal entry must have at least two lines and balance",
+      },
+    },
+    currency: { type: String, default: "GBP" },
+    description: { type: String },
+    ride: { type: mongoose.Schema.Types.ObjectId, ref: "Ride" },
+    payment: { type: mongoose.Schema.Types.ObjectId, ref: "Payment" },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User" }, // Rider involved
+    driver: { type: mongoose.Schema.Types.ObjectId, ref: "Driver" },
+    metadata: { type: mongoose.Schema.Types.Mixed },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+journalEntrySchema.index({ "lines.account": 1, createdAt: -1 });
+journalEntrySchema.index({ ride: 1 });
+journalEntrySchema.index({ driver: 1, type: 1 });
+
+module.exports = mongoose.model("JournalEntry", journalEntrySchema);
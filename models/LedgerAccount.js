@@ -0,0 +1,20 @@
+const mongoose = require("mongoose");
+
+// Running balance of a ledger account, maintained with every journal entry
+const ledgerAccountSchema = new mongoose.Schema(
+  {
+    code: { type: String, required: true, unique: true }, // e.g. "rider_wallet:<userId>"
+    type: {
+      type: String,
+      enum: ["asset", "liability", "revenue", "expense", "equity"],
+      required: true,
+    },
+    // Signed on the account's normal side, in minor units (pence)
+    balance: { type: Number, default: 0 },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    driver: { type: mongoose.Schema.Types.ObjectId, ref: "Driver" },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("LedgerAccount", ledgerAccountSchema);
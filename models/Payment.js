@@ -1,4 +1,24 @@
 const mongoose = require("mongoose");
+const { REFUND_REASONS } = require("../config/refundConfig");
+
+// One (possibly partial) refund of a payment
+const refundSchema = new mongoose.Schema(
+  {
+    amount: { type: Number, required: true }, // Major units (pounds)
+    reason: { type: String, enum: Object.keys(REFUND_REASONS), required: true },
+    note: { type: String },
+    destination: { type: String, enum: ["card", "wallet"], required: true },
+    status: {
+      type: String,
+      enum: ["pending", "succeeded", "failed"],
+      default: "pending",
+    },
+    stripeRefundId: { type: String },
+    failureReason: { type: String },
+    refundedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
 
 const paymentSchema = new mongoose.Schema(
   {
@@ -21,7 +41,9 @@ const paymentSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ["pending", "paid", "refunded", "failed", "canceled"],
+      // "authorized": card hold placed at booking, not yet captured
+      // "capturing": a ride completion has claimed the hold to capture it
+      enum: ["pending", "authorized", "capturing", "paid", "refunded", "failed", "canceled"],
       default: "pending",
     },
     paymentMethod: {
@@ -52,7 +74,10 @@ const paymentSchema = new mongoose.Schema(
       expiryMonth: Number,
       expiryYear: Number,
     },
-    // Refund details
+    // Refunds so far; status becomes "refunded" once they add up to the amount
+    refunds: [refundSchema],
+    refundedAmount: { type: Number, default: 0 },
+    // Single refund recorded before refunds[] existed
     refundDetails: {
       refundedAmount: Number,
       refundReason: String,
@@ -65,6 +90,9 @@ const paymentSchema = new mongoose.Schema(
     },
     failureReason: String,
     description: String,
+    // Set while (and after) the rider disputes the charge with their bank
+    dispute: { type: mongoose.Schema.Types.ObjectId, ref: "Dispute" },
+    disputeStatus: String,
   },
   { timestamps: true }
 );
@@ -73,6 +101,7 @@ paymentSchema.index({ rider: 1 });
 paymentSchema.index({ driver: 1 });
 paymentSchema.index({ ride: 1 }, { unique: true, sparse: true });
 paymentSchema.index({ stripePaymentIntentId: 1 });
+paymentSchema.index({ stripeChargeId: 1 });
 paymentSchema.index({ status: 1 });
 paymentSchema.index({ createdAt: -1 });
 
@@ -98,8 +127,11 @@ paymentSchema.methods.isSuccessful = function () {
 paymentSchema.methods.canBeRefunded = function () {
   return (
     this.status === "paid" &&
-    this.paymentMethod === "card" &&
-    this.stripePaymentIntentId
+    (this.paymentMethod === "wallet" ||
+      (this.paymentMethod === "card" && !!this.stripePaymentIntentId)) &&
+    (this.refundedAmount || 0) < this.amount &&
+    // An open or lost dispute already returns the money to the rider
+    !(this.dispute && !["won", "warning_closed"].includes(this.disputeStatus))
   );
 };
 
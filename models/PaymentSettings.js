@@ -0,0 +1,18 @@
+const mongoose = require("mongoose");
+
+// Admin-managed payment settings (a single document with key "default")
+const paymentSettingsSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      default: "default",
+      unique: true,
+    },
+    // Cash commission a driver may owe before they can't go online (pounds)
+    cashDebtLimit: { type: Number, min: 0 },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("PaymentSettings", paymentSettingsSchema);
@@ -0,0 +1,43 @@
+const mongoose = require("mongoose");
+
+// Driver payout to their bank through Stripe Connect; status follows the
+// payout.* webhooks
+const payoutSchema = new mongoose.Schema(
+  {
+    driver: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Driver",
+      required: true,
+    },
+    stripePayoutId: { type: String, unique: true, sparse: true }, // Set once Stripe accepts it
+    stripeAccountId: { type: String, required: true },
+    stripeTransferId: { type: String }, // Platform -> Connect account transfer funding it
+    stripeTransferReversalId: { type: String }, // Set once a failed payout's funds are back
+    amount: { type: Number, required: true }, // Major units (pounds)
+    currency: { type: String, default: "gbp" },
+    status: {
+      type: String,
+      // requested: recorded, Stripe payout not created yet
+      enum: ["requested", "pending", "in_transit", "paid", "failed", "canceled"],
+      default: "requested",
+    },
+    source: {
+      type: String,
+      enum: ["driver_request", "admin", "schedule"],
+      default: "driver_request",
+    },
+    requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    run: { type: mongoose.Schema.Types.ObjectId, ref: "PayoutRun" }, // Scheduled payouts only
+    expectedArrivalAt: { type: Date },
+    paidAt: { type: Date },
+    failedAt: { type: Date },
+    failureCode: { type: String },
+    failureMessage: { type: String },
+  },
+  { timestamps: true }
+);
+
+payoutSchema.index({ driver: 1, createdAt: -1 });
+payoutSchema.index({ status: 1 });
+
+module.exports = mongoose.model("Payout", payoutSchema);
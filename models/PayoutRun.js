@@ -0,0 +1,45 @@
+const mongoose = require("mongoose");
+
+// Outcome for one driver in a scheduled payout run
+const payoutRunResultSchema = new mongoose.Schema(
+  {
+    driver: { type: mongoose.Schema.Types.ObjectId, ref: "Driver", required: true },
+    status: {
+      type: String,
+      enum: ["succeeded", "failed", "skipped"],
+      required: true,
+    },
+    amount: { type: Number, default: 0 }, // Paid out (pounds)
+    cashSettled: { type: Number, default: 0 }, // Cash commission netted first
+    payout: { type: mongoose.Schema.Types.ObjectId, ref: "Payout" },
+    reason: { type: String }, // Why it failed or was skipped
+  },
+  { _id: false }
+);
+
+// One pass of the automatic payout job
+const payoutRunSchema = new mongoose.Schema(
+  {
+    status: {
+      type: String,
+      enum: ["running", "completed", "failed"],
+      default: "running",
+    },
+    startedAt: { type: Date, default: Date.now },
+    finishedAt: { type: Date },
+    summary: {
+      drivers: { type: Number, default: 0 },
+      succeeded: { type: Number, default: 0 },
+      failed: { type: Number, default: 0 },
+      skipped: { type: Number, default: 0 },
+      totalAmount: { type: Number, default: 0 },
+    },
+    results: [payoutRunResultSchema],
+    error: { type: String }, // Set when the run itself stopped early
+  },
+  { timestamps: true }
+);
+
+payoutRunSchema.index({ startedAt: -1 });
+
+module.exports = mongoose.model("PayoutRun", payoutRunSchema);
@@ -0,0 +1,48 @@
+const mongoose = require("mongoose");
+
+// One version of the fare table for a vehicle type (optionally per service area)
+const pricingRuleSchema = new mongoose.Schema(
+  {
+    vehicleType: {
+      type: String,
+      enum: ["sedan", "SUV", "electric"],
+      required: true,
+    },
+    // null = applies to every service area without its own rule
+    serviceArea: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ServiceArea",
+      default: null,
+    },
+    version: { type: Number, required: true }, // Increments per vehicleType + serviceArea
+    baseFare: { type: Number, required: true, min: 0 },
+    perMileRate: { type: Number, required: true, min: 0 },
+    perMinuteRate: { type: Number, required: true, min: 0 },
+    minimumFare: { type: Number, required: true, min: 0 },
+    taxRate: { type: Number, required: true, min: 0, max: 1 }, // 0.2 = 20%
+    currency: { type: String, default: "GBP" },
+    effectiveFrom: { type: Date, required: true },
+    status: {
+      type: String,
+      enum: [
+        "draft", // Created, can be previewed
+        "active", // Used for fares from effectiveFrom onwards
+      ],
+      default: "draft",
+    },
+    notes: { type: String },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    activatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    activatedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+pricingRuleSchema.index(
+  { vehicleType: 1, serviceArea: 1, version: 1 },
+  { unique: true }
+);
+// Index for resolving the rule in effect
+pricingRuleSchema.index({ vehicleType: 1, status: 1, effectiveFrom: -1 });
+
+module.exports = mongoose.model("PricingRule", pricingRuleSchema);
@@ -38,17 +38,50 @@ const rideSchema = new mongoose.Schema(
       ],
       default: "pending",
     },
+    // When each status was entered (appended by the hooks below)
+    statusHistory: [
+      {
+        _id: false,
+        status: { type: String },
+        at: { type: Date },
+      },
+    ],
     scheduledTime: { type: Date },
+    // Dispatch bookkeeping for scheduled rides (driven by scheduledRideService)
+    scheduledDispatch: {
+      attempts: { type: Number },
+      searchRadiusKm: { type: Number }, // km, widened on every retry
+      lastAttemptAt: { type: Date },
+      nextAttemptAt: { type: Date },
+      lockedUntil: { type: Date }, // Claim lease so only one process dispatches a ride
+    },
     estimatedPickupTime: { type: Number }, // minutes
     actualPickupTime: { type: Date },
     startTime: { type: Date },
     endTime: { type: Date },
     fare: { type: Number, default: 0 },
     estimatedFare: { type: Number },
+    pricingRule: { type: mongoose.Schema.Types.ObjectId, ref: "PricingRule" }, // Version the fare was quoted with
+    pricingVersion: { type: Number },
+    surgeMultiplier: { type: Number, default: 1 }, // Surge accepted at booking
     estimatedDistance: { type: Number }, // miles
     estimatedDuration: { type: Number }, // minutes
-    actualDistance: { type: Number },
-    actualDuration: { type: Number },
+    actualDistance: { type: Number }, // miles, measured from the GPS trail
+    actualDuration: { type: Number }, // minutes, startTime to completion
+    actualDistanceSource: { type: String, enum: ["gps", "route"] }, // "route" when the trail was unusable
+    // Filtered GPS trail the final fare was priced on (kept for disputes)
+    // Not selected by default so ride lists stay small; use .select("+trail")
+    trail: {
+      type: [
+        {
+          _id: false,
+          lat: { type: Number },
+          lng: { type: Number },
+          recordedAt: { type: Date },
+        },
+      ],
+      select: false,
+    },
     // Earnings breakdown
     tips: { type: Number, default: 0 }, // Tips received from rider
     bonuses: { type: Number, default: 0 }, // Bonuses earned
@@ -61,6 +94,9 @@ const rideSchema = new mongoose.Schema(
     },
     specialInstructions: { type: String },
     cancellationReason: { type: String },
+    // Card dispute raised against the ride's payment, if any
+    dispute: { type: mongoose.Schema.Types.ObjectId, ref: "Dispute" },
+    disputeStatus: { type: String },
     rating: {
       riderRating: { type: Number, min: 1, max: 5 },
       driverRating: { type: Number, min: 1, max: 5 },
@@ -71,7 +107,29 @@ const rideSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+// Record status transitions made through save()
+rideSchema.pre("save", function () {
+  if (this.isNew || this.isModified("status")) {
+    this.statusHistory.push({ status: this.status, at: new Date() });
+  }
+});
+
+// ...and through atomic updates (claims, sweeps, scheduled dispatch)
+rideSchema.pre(["findOneAndUpdate", "updateOne", "updateMany"], function () {
+  const update = this.getUpdate();
+  if (!update || Array.isArray(update)) return;
+
+  const status = update.$set?.status ?? update.status;
+  if (!status) return;
+
+  update.$push = {
+    ...update.$push,
+    statusHistory: { status, at: new Date() },
+  };
+});
+
 rideSchema.index({ rider: 1 });
 rideSchema.index({ driver: 1 });
+rideSchema.index({ status: 1, scheduledTime: 1 });
 
 module.exports = mongoose.model("Ride", rideSchema);
@@ -0,0 +1,51 @@
+const mongoose = require("mongoose");
+
+const rideOfferSchema = new mongoose.Schema(
+  {
+    ride: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Ride",
+      required: true,
+    },
+    driver: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Driver",
+      required: true,
+    },
+    position: { type: Number, default: 1 }, // Order in the driver queue (1 = first)
+    strategy: {
+      type: String,
+      enum: ["sequential", "batched", "broadcast"],
+      default: "broadcast",
+    },
+    offerWindowSeconds: { type: Number, default: 30 },
+    distance: { type: Number }, // km from driver to pickup when matched
+    eta: { type: Number }, // minutes
+    score: { type: Number }, // 0-100 dispatch score (driverScoringService)
+    scoreBreakdown: { type: mongoose.Schema.Types.Mixed }, // Per-factor value/score/weight
+    offeredAt: { type: Date }, // Set when the offer is actually sent
+    expiresAt: { type: Date },
+    outcome: {
+      type: String,
+      enum: [
+        "queued", // Waiting for an earlier wave to finish (cascade)
+        "pending", // Waiting for the driver to respond
+        "accepted", // Driver accepted the ride
+        "rejected", // Driver rejected the ride
+        "expired", // Driver did not respond in time
+        "taken", // Another driver accepted first
+        "cancelled", // Ride cancelled or re-offered before the driver responded
+      ],
+      default: "pending",
+    },
+    respondedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+// Index for the expiry sweeper
+rideOfferSchema.index({ outcome: 1, expiresAt: 1 });
+rideOfferSchema.index({ ride: 1, outcome: 1 });
+rideOfferSchema.index({ driver: 1, outcome: 1 });
+
+module.exports = mongoose.model("RideOffer", rideOfferSchema);
@@ -0,0 +1,31 @@
+const mongoose = require("mongoose");
+
+// One GPS sample from the driver while a ride is in progress
+// Stored in a time-series collection (MongoDB 5+), bucketed per ride
+const rideTrackSchema = new mongoose.Schema(
+  {
+    recordedAt: { type: Date, required: true },
+    ride: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Ride",
+      required: true,
+    },
+    driver: { type: mongoose.Schema.Types.ObjectId, ref: "Driver" },
+    latitude: { type: Number, required: true },
+    longitude: { type: Number, required: true },
+    speed: { type: Number }, // km/h as reported by the device
+    heading: { type: Number },
+  },
+  {
+    timeseries: {
+      timeField: "recordedAt",
+      metaField: "ride",
+      granularity: "seconds",
+    },
+    versionKey: false,
+  }
+);
+
+rideTrackSchema.index({ ride: 1, recordedAt: 1 });
+
+module.exports = mongoose.model("RideTrack", rideTrackSchema);
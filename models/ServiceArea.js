@@ -0,0 +1,30 @@
+const mongoose = require("mongoose");
+
+const serviceAreaSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, unique: true, trim: true },
+    description: { type: String },
+    isActive: { type: Boolean, default: true },
+    // GeoJSON Polygon or MultiPolygon ([longitude, latitude] pairs)
+    geometry: {
+      type: {
+        type: String,
+        enum: ["Polygon", "MultiPolygon"],
+        required: true,
+      },
+      coordinates: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true,
+      },
+    },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+// 2dsphere index validates the geometry on save and backs point-in-polygon lookups
+serviceAreaSchema.index({ geometry: "2dsphere" });
+serviceAreaSchema.index({ isActive: 1 });
+
+module.exports = mongoose.model("ServiceArea", serviceAreaSchema);
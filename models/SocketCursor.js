@@ -0,0 +1,20 @@
+const mongoose = require("mongoose");
+
+// Per-user position in the socket event stream
+const socketCursorSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      unique: true,
+    },
+    // Sequence number of the newest event recorded for the user
+    lastSeq: { type: Number, default: 0 },
+    // Highest sequence number the user's apps have acknowledged
+    ackedSeq: { type: Number, default: 0 },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("SocketCursor", socketCursorSchema);
@@ -0,0 +1,21 @@
+const mongoose = require("mongoose");
+
+// A socket event kept for replay until it's pruned or expires
+const socketOutboxEventSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    seq: { type: Number, required: true },
+    event: { type: String, required: true },
+    payload: { type: mongoose.Schema.Types.Mixed },
+    expiresAt: {
+      type: Date,
+      required: true,
+      index: { expires: 0 }, // TTL index for automatic deletion
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+socketOutboxEventSchema.index({ user: 1, seq: 1 }, { unique: true });
+
+module.exports = mongoose.model("SocketOutboxEvent", socketOutboxEventSchema);
@@ -0,0 +1,23 @@
+const mongoose = require("mongoose");
+
+// Admin-managed surge policy (a single document with key "default")
+const surgePolicySchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      default: "default",
+      unique: true,
+    },
+    enabled: { type: Boolean },
+    maxMultiplier: { type: Number, min: 1 },
+    sensitivity: { type: Number, min: 0 },
+    smoothingFactor: { type: Number, min: 0, max: 1 },
+    confirmationThreshold: { type: Number, min: 1 },
+    // Lease so only one server instance recomputes surge per interval
+    lastComputedAt: { type: Date },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("SurgePolicy", surgePolicySchema);
@@ -0,0 +1,20 @@
+const mongoose = require("mongoose");
+
+// Current surge state for one grid cell (see SURGE_CONFIG.cellSizeDegrees)
+const surgeZoneSchema = new mongoose.Schema(
+  {
+    cellId: { type: String, required: true, unique: true }, // "<latIndex>:<lngIndex>"
+    center: {
+      lat: { type: Number },
+      lng: { type: Number },
+    },
+    demand: { type: Number, default: 0 }, // Open ride requests in the cell
+    supply: { type: Number, default: 0 }, // Online drivers in the cell
+    rawMultiplier: { type: Number, default: 1 }, // Latest reading before smoothing
+    multiplier: { type: Number, default: 1 }, // Smoothed and capped value used for fares
+    computedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("SurgeZone", surgeZoneSchema);
@@ -8,11 +8,11 @@ const walletSchema = new mongoose.Schema(
       required: true,
       unique: true,
     },
-    balance: { type: Number, default: 0 },
+    balance: { type: Number, default: 0 }, // Projection of the rider_wallet ledger account
     currency: { type: String, default: "GBP" },
     transactions: [
       {
-        type: { type: String, enum: ["ride", "topup", "refund", "tip"] },
+        type: { type: String, enum: ["ride", "topup", "refund", "tip", "adjustment"] },
         amount: Number,
         payment: { type: mongoose.Schema.Types.ObjectId, ref: "Payment" },
         ride: { type: mongoose.Schema.Types.ObjectId, ref: "Ride" },
@@ -6,6 +6,7 @@ const auth = require("../middlewares/auth");
 const checkPermission = require("../middlewares/permission");
 const { checkRole } = require("../middlewares/permission");
 const { auditLoggers } = require("../middlewares/audit");
+const idempotency = require("../middlewares/idempotency");
 
 const adminController = require("../controllers/adminController");
 
@@ -204,6 +205,191 @@ router.get(
   checkRole("admin", "superadmin", "subadmin"),
   adminController.getRideDetails
 );
+router.get(
+  "/rides/:rideId/track",
+  checkRole("admin", "superadmin", "subadmin"),
+  adminController.getRideTrack
+);
+
+// Ride refunds - each refund is audited by the refund service itself
+router.get(
+  "/rides/:rideId/refunds",
+  checkRole("admin", "superadmin", "subadmin"),
+  adminController.getRideRefunds
+);
+router.post(
+  "/rides/:rideId/refunds",
+  parseFormData,
+  checkRole("admin", "superadmin"),
+  idempotency(),
+  adminController.refundRide
+);
+
+// Dispatch settings - driver scoring weights
+router.get(
+  "/dispatch/scoring-weights",
+  checkRole("admin", "superadmin", "subadmin"),
+  adminController.getDispatchScoringWeights
+);
+router.put(
+  "/dispatch/scoring-weights",
+  parseFormData,
+  checkRole("admin", "superadmin"),
+  auditLoggers.updateDispatchSettings,
+  adminController.updateDispatchScoringWeights
+);
+
+// Service areas - geofenced zones where rides are offered
+router.get(
+  "/service-areas",
+  checkRole("admin", "superadmin", "subadmin"),
+  adminController.getServiceAreas
+);
+router.get(
+  "/service-areas/:id",
+  checkRole("admin", "superadmin", "subadmin"),
+  adminController.getServiceArea
+);
+router.post(
+  "/service-areas",
+  parseFormData,
+  checkRole("admin", "superadmin"),
+  auditLoggers.manageServiceArea,
+  adminController.createServiceArea
+);
+router.put(
+  "/service-areas/:id",
+  parseFormData,
+  checkRole("admin", "superadmin"),
+  auditLoggers.manageServiceArea,
+  adminController.updateServiceArea
+);
+router.delete(
+  "/service-areas/:id",
+  checkRole("admin", "superadmin"),
+  auditLoggers.manageServiceArea,
+  adminController.deleteServiceArea
+);
+
+// Pricing rules - versioned fare tables
+router.get(
+  "/pricing-rules",
+  checkRole("admin", "superadmin", "subadmin"),
+  adminController.getPricingRules
+);
+router.post(
+  "/pricing-rules",
+  parseFormData,
+  checkRole("admin", "superadmin"),
+  auditLoggers.managePricingRule,
+  adminController.createPricingRule
+);
+router.post(
+  "/pricing-rules/:id/preview",
+  parseFormData,
+  checkRole("admin", "superadmin", "subadmin"),
+  adminController.previewPricingRule
+);
+router.put(
+  "/pricing-rules/:id/activate",
+  checkRole("admin", "superadmin"),
+  auditLoggers.managePricingRule,
+  adminController.activatePricingRule
+);
+
+// Surge pricing
+router.get(
+  "/surge/policy",
+  checkRole("admin", "superadmin", "subadmin"),
+  adminController.getSurgePolicy
+);
+router.put(
+  "/surge/policy",
+  parseFormData,
+  checkRole("admin", "superadmin"),
+  auditLoggers.updateSurgePolicy,
+  adminController.updateSurgePolicy
+);
+router.get(
+  "/surge/zones",
+  checkRole("admin", "superadmin", "subadmin"),
+  adminController.getSurgeZones
+);
+
+// Ledger - verify and rebuild balance projections from the journal
+router.get(
+  "/ledger/verify",
+  checkRole("admin", "superadmin", "subadmin"),
+  adminController.verifyLedger
+);
+router.post(
+  "/ledger/rebuild",
+  checkRole("admin", "superadmin"),
+  auditLoggers.rebuildLedger,
+  adminController.rebuildLedger
+);
+router.get(
+  "/ledger/accounts/:code/entries",
+  checkRole("admin", "superadmin", "subadmin"),
+  adminController.getLedgerAccountEntries
+);
+
+// Cash settlement - commission owed on cash rides
+router.get(
+  "/cash/debt-limit",
+  checkRole("admin", "superadmin", "subadmin"),
+  adminController.getCashDebtLimit
+);
+router.put(
+  "/cash/debt-limit",
+  parseFormData,
+  checkRole("admin", "superadmin"),
+  auditLoggers.updateCashDebtLimit,
+  adminController.updateCashDebtLimit
+);
+router.get(
+  "/drivers/:driverId/cash",
+  checkRole("admin", "superadmin", "subadmin"),
+  adminController.getDriverCashSummary
+);
+router.post(
+  "/drivers/:driverId/cash/remittances",
+  parseFormData,
+  checkRole("admin", "superadmin"),
+  auditLoggers.recordCashRemittance,
+  adminController.recordDriverCashRemittance
+);
+
+// Scheduled payout runs
+router.get(
+  "/payouts/runs",
+  checkRole("admin", "superadmin", "subadmin"),
+  adminController.getPayoutRuns
+);
+router.get(
+  "/payouts/runs/:runId",
+  checkRole("admin", "superadmin", "subadmin"),
+  adminController.getPayoutRun
+);
+
+// Card disputes (chargebacks) and evidence sent to Stripe
+router.get(
+  "/disputes",
+  checkRole("admin", "superadmin", "subadmin"),
+  adminController.getDisputes
+);
+router.get(
+  "/disputes/:disputeId",
+  checkRole("admin", "superadmin", "subadmin"),
+  adminController.getDispute
+);
+router.post(
+  "/disputes/:disputeId/evidence",
+  parseFormData,
+  checkRole("admin", "superadmin"),
+  auditLoggers.submitDisputeEvidence,
+  adminController.submitDisputeEvidence
+);
 
 // Active status history - must come before :id routes
 router.get(
@@ -3,6 +3,7 @@ const router = express.Router();
 
 const auth = require("../middlewares/auth");
 const checkPermission = require("../middlewares/permission");
+const idempotency = require("../middlewares/idempotency");
 const multer = require("multer");
 const { sendError } = require("../utils/responseHelper");
 const { driverPhotoUpload } = require("../config/multerConfig");
@@ -139,13 +140,34 @@ router.get(
   driverPayoutController.getEarnings
 );
 
+router.get(
+  "/earnings/payouts",
+  checkPermission("view_earnings"),
+  driverPayoutController.getPayoutHistory
+);
+
 router.post(
   "/earnings/payout",
   checkPermission("request_payout"),
   parseFormData,
+  idempotency(),
   driverPayoutController.requestPayout
 );
 
+// Automatic payout schedule
+router.get(
+  "/earnings/payout-schedule",
+  checkPermission("view_earnings"),
+  driverPayoutController.getPayoutSchedule
+);
+
+router.put(
+  "/earnings/payout-schedule",
+  checkPermission("request_payout"),
+  parseFormData,
+  driverPayoutController.updatePayoutSchedule
+);
+
 // Driver stats
 router.get(
   "/stats",
@@ -213,11 +235,13 @@ router.put(
 router.post(
   "/rides/:id/complete",
   checkPermission("complete_ride"),
+  idempotency(),
   rideController.completeRide
 );
 router.post(
   "/rides/:rideId/complete",
   checkPermission("complete_ride"),
+  idempotency(),
   rideController.completeRide
 ); // Alias
 
@@ -0,0 +1,9 @@
+const express = require("express");
+const router = express.Router();
+
+const realtimeController = require("../controllers/realtimeController");
+
+// Public: describes the socket API, holds no user data
+router.get("/schema", realtimeController.getSchema);
+
+module.exports = router;
@@ -3,6 +3,7 @@ const router = express.Router();
 
 const auth = require("../middlewares/auth");
 const checkPermission = require("../middlewares/permission");
+const idempotency = require("../middlewares/idempotency");
 const { formDataParser } = require("../config/multerConfig");
 
 const rideController = require("../controllers/rideController");
@@ -71,6 +72,11 @@ router.get(
   checkPermission("view_ride_status"),
   rideController.getDriverLocation
 );
+router.get(
+  "/:id/track",
+  checkPermission("view_ride_status"),
+  rideController.getRideTrack
+);
 router.put(
   "/:id/cancel",
   formDataParser.none(), // Parse form-data fields
@@ -95,16 +101,17 @@ router.put("/:rideId/start", checkPermission("start_ride"), rideController.start
 router.patch("/:id/start", checkPermission("start_ride"), rideController.startRide); // PATCH alias
 router.patch("/:rideId/start", checkPermission("start_ride"), rideController.startRide); // PATCH alias
 
-router.put("/:id/complete", checkPermission("complete_ride"), rideController.completeRide);
-router.put("/:rideId/complete", checkPermission("complete_ride"), rideController.completeRide); // Alias
-router.patch("/:id/complete", checkPermission("complete_ride"), rideController.completeRide); // PATCH alias
-router.patch("/:rideId/complete", checkPermission("complete_ride"), rideController.completeRide); // PATCH alias
+router.put("/:id/complete", checkPermission("complete_ride"), idempotency(), rideController.completeRide);
+router.put("/:rideId/complete", checkPermission("complete_ride"), idempotency(), rideController.completeRide); // Alias
+router.patch("/:id/complete", checkPermission("complete_ride"), idempotency(), rideController.completeRide); // PATCH alias
+router.patch("/:rideId/complete", checkPermission("complete_ride"), idempotency(), rideController.completeRide); // PATCH alias
 
 // Tip system
 router.post(
   "/:id/tip",
   formDataParser.none(), // Parse form-data fields
   checkPermission("add_tip"),
+  idempotency(),
   rideController.addTip
 );
 
@@ -4,6 +4,7 @@ const multer = require("multer");
 const { sendError } = require("../utils/responseHelper");
 const auth = require("../middlewares/auth");
 const checkPermission = require("../middlewares/permission");
+const idempotency = require("../middlewares/idempotency");
 const { riderPhotoUpload } = require("../config/multerConfig");
 const riderController = require("../controllers/riderController");
 const adminController = require("../controllers/adminController");
@@ -35,6 +36,7 @@ router.post(
   "/wallet/topup",
   multer().none(),
   checkPermission("topup_wallet"),
+  idempotency(),
   riderController.topUpWallet
 );
 
@@ -3,6 +3,7 @@ const router = express.Router();
 
 const auth = require("../middlewares/auth");
 const rbac = require("../middlewares/rbac");
+const idempotency = require("../middlewares/idempotency");
 
 const stripeController = require("../controllers/stripeController");
 
@@ -28,7 +29,12 @@ router.post(
 );
 
 // Confirm payment after successful payment
-router.post("/confirm-payment", rbac("rider"), stripeController.confirmPayment);
+router.post(
+  "/confirm-payment",
+  rbac("rider"),
+  idempotency(),
+  stripeController.confirmPayment
+);
 
 // Get payment intent status
 router.get(
@@ -74,7 +80,12 @@ router.put(
 // ============================================
 
 // Create a refund
-router.post("/refund", rbac("admin"), stripeController.createRefund);
+router.post(
+  "/refund",
+  rbac("admin"),
+  idempotency(),
+  stripeController.createRefund
+);
 
 // ============================================
 // STRIPE CONNECT (Driver Payouts)
@@ -105,6 +116,7 @@ router.get(
 router.post(
   "/connect/payout",
   rbac("admin"),
+  idempotency(),
   stripeController.createDriverPayout
 );
 
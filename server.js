@@ -4,6 +4,15 @@ const mongoose = require("mongoose");
 const http = require("http");
 const socketIo = require("socket.io");
 const socketService = require("./services/socketService");
+const { createSocketAdapter } = require("./services/socketAdapter");
+const scheduledRideService = require("./services/scheduledRideService");
+const serviceAreaService = require("./services/serviceAreaService");
+const pricingService = require("./services/pricingService");
+const surgeService = require("./services/surgeService");
+const scheduledPayoutService = require("./services/scheduledPayoutService");
+const earningsHoldService = require("./services/earningsHoldService");
+const ledgerService = require("./services/ledgerService");
+const rideRequestManager = require("./utils/rideRequestManager");
 
 const PORT = process.env.PORT || 5000;
 
@@ -26,10 +35,14 @@ const io = socketIo(server, {
   connectTimeout: 45000,
 });
 
+// Presence, ride job leases and (with Redis) cross-instance emits
+const socketAdapter = createSocketAdapter();
+
 // Initialize socket service
-socketService.initialize(io);
+socketService.initialize(io, socketAdapter);
 console.log("\n" + "=".repeat(60));
 console.log("🚀 [WEBSOCKET SERVER INITIALIZED]");
+console.log(`   Adapter: ${socketAdapter.name}`);
 console.log("   Ping Interval: 25 seconds");
 console.log("   Ping Timeout: 60 seconds");
 console.log("   Transports: websocket, polling");
@@ -43,13 +56,33 @@ app.set("io", io);
 // Connect to MongoDB and start server
 mongoose
   .connect(process.env.MONGO_URI)
-  .then(() => {
+  .then(async () => {
     console.log("MongoDB Connected");
+
+    // Attach the shared adapter before accepting connections, so no socket
+    // joins rooms that only exist on this instance
+    await socketAdapter.attach(io);
+
     server.listen(PORT, "0.0.0.0", () => {
       console.log(`Server running on port ${PORT}`);
     });
+
+    // Background workers keep their state in Mongo, so start after connecting
+    rideRequestManager.start();
+    scheduledRideService.start();
+    surgeService.start();
+    earningsHoldService.start();
+    scheduledPayoutService.start();
+
+    // Seed the default service area and pricing on a fresh database, and
+    // bring balances (and payouts in flight) from before the ledger's
+    // current layout into it
+    serviceAreaService.ensureDefaultArea();
+    pricingService.ensureDefaultRules();
+    ledgerService.ensureOpeningBalances();
+    ledgerService.ensurePayoutsInTransit();
   })
   .catch((err) => {
-    console.error("MongoDB connection error:", err);
+    console.error("Startup error (MongoDB or socket adapter):", err);
     process.exit(1);
   });
@@ -0,0 +1,178 @@
+const Driver = require("../models/Driver");
+const PaymentSettings = require("../models/PaymentSettings");
+const ledgerService = require("./ledgerService");
+const socketService = require("./socketService");
+const eventBus = require("./eventBus");
+const { DOMAIN_EVENTS } = require("../config/domainEvents");
+const {
+  DEFAULT_CASH_DEBT_LIMIT,
+  CASH_DEBT_LIMIT_EXCEEDED,
+} = require("../config/ledgerConfig");
+
+function cashError(message, statusCode = 400, code = null) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (code) error.code = code;
+  return error;
+}
+
+/**
+ * Cash Settlement Service - Commission owed on cash rides
+ *
+ * A driver keeps the whole fare on a cash ride, so the platform's commission
+ * is booked as a debt (driver_cash_owed in the ledger, mirrored on
+ * Driver.earnings.cashOwed). The debt is netted against card/wallet earnings
+ * before every payout, or paid in directly and recorded by an admin. Drivers
+ * owing more than the admin-set limit are kept offline, and taken offline by
+ * the cash ride that puts them over it.
+ */
+class CashSettlementService {
+  /**
+   * Get the active cash debt limit (admin override on top of the default)
+   * @returns {Promise<number>} Limit in pounds
+   */
+  async getDebtLimit() {
+    const settings = await PaymentSettings.findOne({ key: "default" }).lean();
+    return typeof settings?.cashDebtLimit === "number"
+      ? settings.cashDebtLimit
+      : DEFAULT_CASH_DEBT_LIMIT;
+  }
+
+  /**
+   * Update the cash debt limit
+   * @param {number} limit - New limit in pounds
+   * @param {string} adminId - Admin user making the change
+   * @returns {Promise<number>} Active limit after the update
+   */
+  async updateDebtLimit(limit, adminId) {
+    const value = Number(limit);
+    if (limit === "" || limit === null || limit === undefined || isNaN(value) || value < 0) {
+      throw cashError("Cash debt limit must be a non-negative number");
+    }
+
+    await PaymentSettings.findOneAndUpdate(
+      { key: "default" },
+      { $set: { cashDebtLimit: value, updatedBy: adminId } },
+      { upsert: true, new: true, setDefaultsOnInsert: true },
+    );
+
+    return value;
+  }
+
+  /**
+   * Cash position of a driver
+   * @param {Object} driver - Driver document (earnings loaded)
+   * @returns {Promise<Object>} { cashCollected, cashOwed, availableBalance, debtLimit, overLimit }
+   */
+  async getSummary(driver) {
+    const debtLimit = await this.getDebtLimit();
+    const cashOwed = driver.earnings?.cashOwed || 0;
+
+    return {
+      cashCollected: driver.earnings?.cashCollected || 0,
+      cashOwed,
+      availableBalance: driver.earnings?.availableBalance || 0,
+      debtLimit,
+      overLimit: cashOwed > debtLimit,
+    };
+  }
+
+  /**
+   * Throw if a driver owes too much cash commission to go online
+   * @param {Object} driver - Driver document (earnings loaded)
+   */
+  async assertCanGoOnline(driver) {
+    const { cashOwed, debtLimit, overLimit } = await this.getSummary(driver);
+    if (overLimit) {
+      throw cashError(
+        `You owe £${cashOwed.toFixed(2)} in cash commission (limit £${debtLimit.toFixed(2)}). Please settle it before going online.`,
+        403,
+        CASH_DEBT_LIMIT_EXCEEDED,
+      );
+    }
+  }
+
+  /**
+   * Take a driver offline once a cash ride puts them over the debt limit
+   * @param {string} driverId - Driver ID
+   * @returns {Promise<boolean>} Whether the driver was taken offline
+   */
+  async enforceDebtLimit(driverId) {
+    const driver = await Driver.findById(driverId);
+    if (!driver) return false;
+
+    const { cashOwed, debtLimit, overLimit } = await this.getSummary(driver);
+    if (!overLimit) return false;
+
+    const updated = await Driver.findOneAndUpdate(
+      { _id: driver._id, status: { $in: ["online", "busy"] } },
+      { status: "offline" },
+      { new: true },
+    );
+    if (!updated) return false;
+
+    eventBus.publish(DOMAIN_EVENTS.DRIVER_STATUS_CHANGED, {
+      driverId: driver._id,
+      status: "offline",
+    });
+    await socketService.notifyDriverDashboardUpdate(
+      driver._id.toString(),
+      {
+        status: "offline",
+        code: CASH_DEBT_LIMIT_EXCEEDED,
+        message: `You owe £${cashOwed.toFixed(2)} in cash commission (limit £${debtLimit.toFixed(2)}). Please settle it before going online again.`,
+      },
+      "status",
+    );
+
+    return true;
+  }
+
+  /**
+   * Net the driver's cash debt against their available earnings
+   * @param {string} driverId - Driver ID
+   * @param {Object} options - { createdBy }
+   * @returns {Promise<Object>} { settled, driver } - driver reloaded after settling
+   */
+  async settleAgainstEarnings(driverId, options = {}) {
+    const settled = await ledgerService.settleCashDebt(driverId, options);
+    const driver = await Driver.findById(driverId);
+    return { settled, driver };
+  }
+
+  /**
+   * Record cash commission paid in by the driver
+   * @param {string} driverId - Driver ID
+   * @param {number} amount - Amount in pounds
+   * @param {Object} options - { note, createdBy }
+   * @returns {Promise<Object>} Updated cash summary
+   */
+  async recordRemittance(driverId, amount, options = {}) {
+    const value = parseFloat(amount);
+    if (!value || isNaN(value) || value <= 0) {
+      throw cashError("Invalid amount");
+    }
+
+    const driver = await Driver.findById(driverId);
+    if (!driver) {
+      throw cashError("Driver not found", 404);
+    }
+    if (value > (driver.earnings?.cashOwed || 0)) {
+      throw cashError(
+        `Amount exceeds cash commission owed (£${(driver.earnings?.cashOwed || 0).toFixed(2)})`,
+      );
+    }
+
+    await ledgerService.recordCashRemittance(driver._id, value, {
+      description: options.note ? `Cash commission paid in: ${options.note}` : undefined,
+      createdBy: options.createdBy,
+    });
+
+    return this.getSummary(await Driver.findById(driverId));
+  }
+}
+
+// Create singleton instance
+const cashSettlementService = new CashSettlementService();
+
+module.exports = cashSettlementService;
@@ -0,0 +1,325 @@
+const Dispute = require("../models/Dispute");
+const Payment = require("../models/Payment");
+const Ride = require("../models/Ride");
+const stripeService = require("./stripeService");
+const ledgerService = require("./ledgerService");
+const earningsHoldService = require("./earningsHoldService");
+const rideTrackService = require("./rideTrackService");
+const socketService = require("./socketService");
+const {
+  CLOSED_DISPUTE_STATUSES,
+  DISPUTE_CONFIG,
+  DISPUTE_TEXT_EVIDENCE_FIELDS,
+} = require("../config/disputeConfig");
+
+function disputeError(message, statusCode = 400, code = null) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (code) error.code = code;
+  return error;
+}
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+const formatDate = (date) => (date ? new Date(date).toISOString() : "unknown");
+
+/**
+ * Dispute Service - Card chargebacks raised through Stripe
+ *
+ * Each charge.dispute.* webhook updates a Dispute and mirrors its status onto
+ * the Payment and Ride. Once Stripe withdraws the funds the loss is booked
+ * to the chargebacks account; depending on DISPUTE_CONFIG.driverClawback the
+ * driver's share comes back out of their earnings (held earnings first), and
+ * is returned if the dispute is won. Admins build and submit evidence from
+ * the ride's own records.
+ */
+class DisputeService {
+  /**
+   * Apply a charge.dispute.* webhook
+   * @param {Object} stripeDispute - Stripe dispute object from the event
+   * @returns {Promise<Object>} Dispute document
+   */
+  async handleDisputeEvent(stripeDispute) {
+    let dispute = await Dispute.findOne({ stripeDisputeId: stripeDispute.id });
+    const previousStatus = dispute?.status;
+
+    if (!dispute) {
+      const payment = await Payment.findOne({
+        $or: [
+          { stripeChargeId: stripeDispute.charge },
+          ...(stripeDispute.payment_intent
+            ? [{ stripePaymentIntentId: stripeDispute.payment_intent }]
+            : []),
+        ],
+      });
+      const ride = payment?.ride ? await Ride.findById(payment.ride).select("driver") : null;
+
+      dispute = new Dispute({
+        stripeDisputeId: stripeDispute.id,
+        stripeChargeId: stripeDispute.charge,
+        stripePaymentIntentId: stripeDispute.payment_intent || undefined,
+        payment: payment?._id,
+        ride: ride?._id,
+        rider: payment?.rider,
+        driver: ride?.driver,
+        amount: stripeService.fromSmallestUnit(stripeDispute.amount),
+        currency: stripeDispute.currency,
+        status: stripeDispute.status,
+      });
+      if (!payment) {
+        console.warn(`Dispute ${stripeDispute.id} is for an unknown charge ${stripeDispute.charge}`);
+      }
+    }
+
+    dispute.status = stripeDispute.status;
+    dispute.reason = stripeDispute.reason;
+    if (stripeDispute.evidence_details?.due_by) {
+      dispute.evidenceDueBy = new Date(stripeDispute.evidence_details.due_by * 1000);
+    }
+
+    // Inquiries ("warning_*") don't move money; a real dispute takes the funds
+    if (!dispute.fundsWithdrawn && !dispute.status.startsWith("warning_")) {
+      await dispute.save();
+      await ledgerService.recordChargeback(dispute);
+      dispute.fundsWithdrawn = true;
+
+      if (DISPUTE_CONFIG.driverClawback === "created") {
+        await this.clawBackDriverEarnings(dispute);
+      }
+    }
+
+    if (CLOSED_DISPUTE_STATUSES.includes(dispute.status) && !dispute.closedAt) {
+      dispute.closedAt = new Date();
+
+      if (dispute.status === "won" && dispute.fundsWithdrawn) {
+        await ledgerService.recordChargeback(dispute, { won: true });
+        await this.reinstateDriverEarnings(dispute);
+      } else if (dispute.status === "lost" && DISPUTE_CONFIG.driverClawback === "lost") {
+        await this.clawBackDriverEarnings(dispute);
+      }
+    }
+
+    await dispute.save();
+
+    const marker = { $set: { dispute: dispute._id, disputeStatus: dispute.status } };
+    if (dispute.payment) await Payment.updateOne({ _id: dispute.payment }, marker);
+    if (dispute.ride) await Ride.updateOne({ _id: dispute.ride }, marker);
+
+    if (previousStatus !== dispute.status) {
+      console.log(
+        `Dispute ${dispute.stripeDisputeId}: ${previousStatus || "new"} -> ${dispute.status}`,
+      );
+      socketService.notifyAdminDisputeUpdate(dispute);
+    }
+
+    return dispute;
+  }
+
+  /**
+   * Take the driver's share of the disputed amount back from their earnings
+   * Held earnings are used first; the rest comes from the available balance
+   * @param {Object} dispute - Dispute document (saved by the caller)
+   */
+  async clawBackDriverEarnings(dispute) {
+    if (!dispute.ride || !dispute.driver || dispute.clawedBackAmount > 0) return;
+
+    const ride = await Ride.findById(dispute.ride).select("fare platformCommission");
+    if (!ride || !ride.fare) return;
+
+    const driverShare = roundMoney(ride.fare - (ride.platformCommission || 0));
+    const share = roundMoney(driverShare * Math.min(dispute.amount / ride.fare, 1));
+    if (share <= 0) return;
+
+    const { reversed } = await earningsHoldService.reverseRideEarnings(
+      ride._id,
+      dispute.amount,
+      {
+        reason: "chargeback",
+        reference: `dispute:${dispute._id}`,
+        to: "chargebacks",
+      },
+    );
+
+    const rest = roundMoney(share - reversed);
+    if (rest > 0) {
+      await ledgerService.clawBackEarnings(dispute.driver, rest, {
+        ride: ride._id,
+        reference: `earnings_clawback:${dispute._id}`,
+      });
+      await earningsHoldService.notifyDriver(dispute.driver);
+    }
+
+    dispute.clawedBackAmount = roundMoney(reversed + rest);
+  }
+
+  /**
+   * Give back earnings clawed back for a dispute the platform won
+   * @param {Object} dispute - Dispute document (saved by the caller)
+   */
+  async reinstateDriverEarnings(dispute) {
+    if (!dispute.driver || !(dispute.clawedBackAmount > 0)) return;
+
+    await ledgerService.clawBackEarnings(dispute.driver, dispute.clawedBackAmount, {
+      reinstate: true,
+      ride: dispute.ride,
+      reference: `earnings_reinstated:${dispute._id}`,
+    });
+    await earningsHoldService.notifyDriver(dispute.driver);
+  }
+
+  /**
+   * Disputes, newest first
+   * @param {Object} options - { page, limit, status }
+   * @returns {Promise<Object>} { disputes, total }
+   */
+  async getDisputes({ page = 1, limit = 20, status } = {}) {
+    const query = {};
+    if (status) query.status = status;
+
+    const [disputes, total] = await Promise.all([
+      Dispute.find(query)
+        .populate("rider", "fullName email")
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Dispute.countDocuments(query),
+    ]);
+
+    return { disputes, total };
+  }
+
+  /**
+   * Evidence Stripe would get from the ride's own records
+   * Ride details, timestamps and the GPS track go in as text; rider/driver
+   * messages and admin notes are added to the free-text field
+   * @param {Object} dispute - Dispute document
+   * @param {Object} input - { messages: [{ from, text, at }], notes }
+   * @returns {Promise<Object>} Stripe evidence fields
+   */
+  async buildEvidence(dispute, { messages = [], notes } = {}) {
+    const evidence = {};
+
+    const payment = dispute.payment
+      ? await Payment.findById(dispute.payment).populate("rider", "fullName email")
+      : null;
+    if (payment?.rider) {
+      evidence.customer_name = payment.rider.fullName;
+      evidence.customer_email_address = payment.rider.email;
+    }
+
+    const text = [];
+    if (dispute.ride) {
+      const ride = await Ride.findById(dispute.ride)
+        .select("+trail")
+        .populate({ path: "driver", populate: { path: "user", select: "fullName" } });
+
+      if (ride) {
+        const completedAt = ride.endTime || ride.updatedAt;
+        evidence.service_date = completedAt.toISOString().split("T")[0];
+        evidence.product_description = [
+          `${ride.vehicleType || "Ride"} ride from ${ride.pickup?.address || "pickup"} to ${ride.dropoff?.address || "drop-off"}`,
+          `driven by ${ride.driver?.user?.fullName || "our driver"}.`,
+          ride.fare ? `Fare charged: £${ride.fare.toFixed(2)}.` : "",
+        ]
+          .filter(Boolean)
+          .join(" ");
+
+        const timeline = rideTrackService
+          .getStatusTimeline(ride)
+          .map((entry) => `${formatDate(entry.at)}  ${entry.status}`);
+
+        const log = ["Ride timeline (UTC):", ...timeline];
+        const trail = await rideTrackService.getTrail(ride);
+        if (trail.sampleCount > 0) {
+          const first = trail.points[0];
+          const last = trail.points[trail.points.length - 1];
+          log.push(
+            "",
+            `GPS track: ${trail.sampleCount} samples, ${trail.distanceKm} km driven`,
+            `First fix ${formatDate(first?.recordedAt)} at ${first?.lat},${first?.lng}`,
+            `Last fix ${formatDate(last?.recordedAt)} at ${last?.lat},${last?.lng}`,
+          );
+        }
+        evidence.access_activity_log = log.join("\n");
+
+        if (ride.specialInstructions) {
+          text.push(`Rider's instructions when booking: "${ride.specialInstructions}"`);
+        }
+        if (ride.rating?.riderRating) {
+          text.push(
+            `Rider rated the trip ${ride.rating.riderRating}/5` +
+              (ride.rating.riderComment ? `: "${ride.rating.riderComment}"` : ""),
+          );
+        }
+      }
+    }
+
+    if (messages.length > 0) {
+      text.push(
+        "Messages between rider and driver:",
+        ...messages.map(
+          (message) => `${formatDate(message.at)}  ${message.from || "unknown"}: ${message.text}`,
+        ),
+      );
+    }
+    if (notes) text.push(notes);
+    if (text.length > 0) evidence.uncategorized_text = text.join("\n");
+
+    return evidence;
+  }
+
+  /**
+   * Send evidence for a dispute to Stripe
+   * @param {string} disputeId - Dispute ID
+   * @param {Object} input - { messages, notes, evidence (field overrides), submit }
+   * @param {string} userId - Admin user ID
+   * @returns {Promise<Object>} Updated Dispute
+   */
+  async submitEvidence(disputeId, input = {}, userId) {
+    const dispute = await Dispute.findById(disputeId);
+    if (!dispute) {
+      throw disputeError("Dispute not found", 404);
+    }
+    if (CLOSED_DISPUTE_STATUSES.includes(dispute.status) || dispute.evidence?.submitted) {
+      throw disputeError("Evidence can no longer be changed for this dispute", 409, "DISPUTE_CLOSED");
+    }
+
+    const overrides = input.evidence || {};
+    const unknown = Object.keys(overrides).filter(
+      (field) => !DISPUTE_TEXT_EVIDENCE_FIELDS.includes(field),
+    );
+    if (unknown.length > 0) {
+      throw disputeError(`Unsupported evidence fields: ${unknown.join(", ")}`);
+    }
+
+    const messages = Array.isArray(input.messages) ? input.messages : [];
+    const fields = {
+      ...(await this.buildEvidence(dispute, { messages, notes: input.notes })),
+      ...overrides,
+    };
+    const submit = input.submit === true || input.submit === "true";
+
+    try {
+      await stripeService.updateDisputeEvidence(dispute.stripeDisputeId, fields, submit);
+    } catch (error) {
+      throw disputeError(error.message, 502, "DISPUTE_EVIDENCE_FAILED");
+    }
+
+    dispute.evidence = {
+      fields,
+      updatedAt: new Date(),
+      updatedBy: userId,
+      submitted: submit,
+      submittedAt: submit ? new Date() : undefined,
+    };
+    await dispute.save();
+
+    return dispute;
+  }
+}
+
+// Create singleton instance
+const disputeService = new DisputeService();
+
+module.exports = disputeService;
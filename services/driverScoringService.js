@@ -0,0 +1,268 @@
+const Ride = require("../models/Ride");
+const RideOffer = require("../models/RideOffer");
+const DispatchSettings = require("../models/DispatchSettings");
+const {
+  DEFAULT_SCORING_WEIGHTS,
+  SCORING_LIMITS,
+} = require("../config/dispatchConfig");
+
+const SCORING_FACTORS = Object.keys(DEFAULT_SCORING_WEIGHTS);
+
+/**
+ * Driver Scoring Service - Ranks matched drivers for dispatch
+ *
+ * Every factor is normalised to 0..1 (1 = best) and combined with the admin
+ * weights into a 0..100 score. The per-factor breakdown is kept so dispatch
+ * decisions can be explained later (stored on each RideOffer).
+ */
+class DriverScoringService {
+  /**
+   * Get the active scoring weights (admin overrides on top of the defaults)
+   * @returns {Promise<Object>} Weight per factor
+   */
+  async getWeights() {
+    const settings = await DispatchSettings.findOne({ key: "default" }).lean();
+    const weights = { ...DEFAULT_SCORING_WEIGHTS };
+
+    for (const factor of SCORING_FACTORS) {
+      const value = settings?.scoringWeights?.[factor];
+      if (typeof value === "number") weights[factor] = value;
+    }
+
+    return weights;
+  }
+
+  /**
+   * Update the scoring weights
+   * @param {Object} updates - Partial map of factor -> weight
+   * @param {string} adminId - Admin user making the change
+   * @returns {Promise<Object>} Active weights after the update
+   */
+  async updateWeights(updates = {}, adminId) {
+    const unknownFactors = Object.keys(updates).filter(
+      (factor) => !SCORING_FACTORS.includes(factor),
+    );
+    if (unknownFactors.length > 0) {
+      const error = new Error(
+        `Unknown scoring factor(s): ${unknownFactors.join(", ")}. Allowed: ${SCORING_FACTORS.join(", ")}`,
+      );
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const weights = { ...(await this.getWeights()) };
+    for (const [factor, rawValue] of Object.entries(updates)) {
+      const value = Number(rawValue);
+      if (rawValue === "" || rawValue === null || isNaN(value) || value < 0) {
+        const error = new Error(`Weight for ${factor} must be a non-negative number`);
+        error.statusCode = 400;
+        throw error;
+      }
+      weights[factor] = value;
+    }
+
+    if (SCORING_FACTORS.every((factor) => weights[factor] === 0)) {
+      const error = new Error("At least one scoring weight must be greater than 0");
+      error.statusCode = 400;
+      throw error;
+    }
+
+    await DispatchSettings.findOneAndUpdate(
+      { key: "default" },
+      { $set: { scoringWeights: weights, updatedBy: adminId } },
+      { upsert: true, new: true, setDefaultsOnInsert: true },
+    );
+
+    return weights;
+  }
+
+  /**
+   * Score and sort matched drivers, best first
+   * @param {Array} candidates - [{ driver, distance, eta, location }] from assignDriverToRide
+   * @param {Object} pickup - { lat, lng }
+   * @param {Object} options - { radiusKm } search radius used for matching
+   * @returns {Promise<Array>} Candidates with score and scoreBreakdown, sorted
+   */
+  async scoreCandidates(candidates, pickup, options = {}) {
+    if (candidates.length === 0) return candidates;
+
+    const radiusKm = options.radiusKm || 10;
+    const driverIds = candidates.map((candidate) => candidate.driver._id);
+
+    const [weights, acceptanceStats, lastCompletedRides] = await Promise.all([
+      this.getWeights(),
+      this.getAcceptanceStats(driverIds),
+      this.getLastCompletedRideTimes(driverIds),
+    ]);
+
+    const totalWeight = SCORING_FACTORS.reduce(
+      (sum, factor) => sum + weights[factor],
+      0,
+    );
+    const now = Date.now();
+
+    for (const candidate of candidates) {
+      const driverId = candidate.driver._id.toString();
+      const { location } = candidate;
+
+      // Acceptance rate is smoothed so drivers with little history sit near 50%
+      const stats = acceptanceStats.get(driverId) || { accepted: 0, total: 0 };
+      const acceptanceRate = (stats.accepted + 1) / (stats.total + 2);
+
+      // Drivers who never completed a ride count as idle for the full cap
+      const lastCompletedAt = lastCompletedRides.get(driverId);
+      const idleMinutes = lastCompletedAt
+        ? (now - lastCompletedAt.getTime()) / 60000
+        : SCORING_LIMITS.maxIdleMinutes;
+
+      const locationAgeSeconds = location?.timestamp
+        ? Math.max(0, (now - new Date(location.timestamp).getTime()) / 1000)
+        : SCORING_LIMITS.maxLocationAgeSeconds;
+
+      const headingOffset = this.getHeadingOffset(location, pickup);
+
+      const factors = {
+        distance: {
+          value: round(candidate.distance, 2), // km
+          score: 1 - clamp(candidate.distance / radiusKm),
+        },
+        rating: {
+          value: candidate.driver.rating ?? null,
+          score: clamp((candidate.driver.rating ?? 0) / 5),
+        },
+        acceptanceRate: {
+          value: round(acceptanceRate, 2),
+          offers: stats.total,
+          score: acceptanceRate,
+        },
+        idleTime: {
+          value: round(idleMinutes, 1), // minutes
+          score: clamp(idleMinutes / SCORING_LIMITS.maxIdleMinutes),
+        },
+        heading: {
+          value: headingOffset === null ? null : round(headingOffset, 0), // degrees off pickup
+          score:
+            headingOffset === null
+              ? 0.5 // Parked or no heading - neither helps nor hurts
+              : (1 + Math.cos((headingOffset * Math.PI) / 180)) / 2,
+        },
+        locationFreshness: {
+          value: round(locationAgeSeconds, 0), // seconds since last GPS fix
+          score:
+            1 - clamp(locationAgeSeconds / SCORING_LIMITS.maxLocationAgeSeconds),
+        },
+      };
+
+      let weightedSum = 0;
+      for (const factor of SCORING_FACTORS) {
+        factors[factor].score = round(factors[factor].score, 3);
+        factors[factor].weight = weights[factor];
+        weightedSum += factors[factor].score * weights[factor];
+      }
+
+      candidate.score = totalWeight > 0 ? round((weightedSum / totalWeight) * 100, 1) : 0;
+      candidate.scoreBreakdown = factors;
+    }
+
+    // Highest score first, nearest driver breaks ties
+    return candidates.sort((a, b) => {
+      if (b.score !== a.score) return b.score - a.score;
+      return a.distance - b.distance;
+    });
+  }
+
+  /**
+   * Accepted vs. answered offers per driver over the lookback window
+   * @param {Array} driverIds - Driver IDs
+   * @returns {Promise<Map>} driverId -> { accepted, total }
+   */
+  async getAcceptanceStats(driverIds) {
+    const since = new Date(
+      Date.now() - SCORING_LIMITS.acceptanceLookbackDays * 24 * 60 * 60 * 1000,
+    );
+
+    // Only offers the driver could have answered count; "taken" and
+    // "cancelled" were closed by someone else
+    const rows = await RideOffer.aggregate([
+      {
+        $match: {
+          driver: { $in: driverIds },
+          outcome: { $in: ["accepted", "rejected", "expired"] },
+          offeredAt: { $gte: since },
+        },
+      },
+      {
+        $group: {
+          _id: "$driver",
+          accepted: { $sum: { $cond: [{ $eq: ["$outcome", "accepted"] }, 1, 0] } },
+          total: { $sum: 1 },
+        },
+      },
+    ]);
+
+    return new Map(
+      rows.map((row) => [
+        row._id.toString(),
+        { accepted: row.accepted, total: row.total },
+      ]),
+    );
+  }
+
+  /**
+   * End time of each driver's most recent completed ride
+   * @param {Array} driverIds - Driver IDs
+   * @returns {Promise<Map>} driverId -> Date
+   */
+  async getLastCompletedRideTimes(driverIds) {
+    const rows = await Ride.aggregate([
+      { $match: { driver: { $in: driverIds }, status: "completed" } },
+      {
+        $group: {
+          _id: "$driver",
+          lastCompletedAt: { $max: { $ifNull: ["$endTime", "$updatedAt"] } },
+        },
+      },
+    ]);
+
+    return new Map(rows.map((row) => [row._id.toString(), row.lastCompletedAt]));
+  }
+
+  /**
+   * Angle between the driver's heading and the direction of the pickup
+   * @param {Object} location - LiveLocation document
+   * @param {Object} pickup - { lat, lng }
+   * @returns {number|null} 0..180 degrees, or null if the heading is unreliable
+   */
+  getHeadingOffset(location, pickup) {
+    if (!location || (location.speed || 0) < SCORING_LIMITS.minHeadingSpeed) {
+      return null;
+    }
+
+    const lat1 = (location.latitude * Math.PI) / 180;
+    const lat2 = (parseFloat(pickup.lat) * Math.PI) / 180;
+    const dLon = ((parseFloat(pickup.lng) - location.longitude) * Math.PI) / 180;
+
+    const y = Math.sin(dLon) * Math.cos(lat2);
+    const x =
+      Math.cos(lat1) * Math.sin(lat2) -
+      Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLon);
+    const bearingToPickup = ((Math.atan2(y, x) * 180) / Math.PI + 360) % 360;
+
+    const offset = Math.abs(bearingToPickup - (location.heading || 0)) % 360;
+    return offset > 180 ? 360 - offset : offset;
+  }
+}
+
+function clamp(value) {
+  return Math.min(Math.max(value, 0), 1);
+}
+
+function round(value, decimals) {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
+// Create singleton instance
+const driverScoringService = new DriverScoringService();
+
+module.exports = driverScoringService;
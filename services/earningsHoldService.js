@@ -0,0 +1,298 @@
+const Driver = require("../models/Driver");
+const Ride = require("../models/Ride");
+const EarningsHold = require("../models/EarningsHold");
+const ledgerService = require("./ledgerService");
+const socketService = require("./socketService");
+const { EARNINGS_HOLD_CONFIG } = require("../config/ledgerConfig");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Earnings Hold Service - Ride earnings maturing from pending to available
+ *
+ * Completing a card, wallet or unpaid ride credits the driver's share to
+ * their pending balance and records an EarningsHold with its release date.
+ * A background job moves matured holds to the available balance; refunds
+ * and chargebacks that arrive first are taken back out of the hold instead.
+ * Ledger references are keyed on the ride, so a release can't post twice.
+ */
+class EarningsHoldService {
+  constructor() {
+    this.releaseTimer = null;
+    this.isProcessing = false;
+  }
+
+  /**
+   * Start releasing matured earnings
+   */
+  start() {
+    if (this.releaseTimer) return;
+
+    this.releaseTimer = setInterval(
+      () => this.releaseDueEarnings(),
+      EARNINGS_HOLD_CONFIG.releaseIntervalMinutes * 60 * 1000,
+    );
+    this.releaseDueEarnings();
+
+    console.log(
+      `⏳ Earnings hold started (${EARNINGS_HOLD_CONFIG.holdDays} day hold, checked every ${EARNINGS_HOLD_CONFIG.releaseIntervalMinutes} min)`,
+    );
+  }
+
+  /**
+   * Stop the release job (for graceful shutdown)
+   */
+  stop() {
+    if (this.releaseTimer) {
+      clearInterval(this.releaseTimer);
+      this.releaseTimer = null;
+    }
+  }
+
+  /**
+   * Whether a ride's earnings are held before the driver can withdraw them
+   * @param {string} paidFrom - wallet, card, cash or receivable
+   * @returns {boolean}
+   */
+  shouldHold(paidFrom) {
+    return EARNINGS_HOLD_CONFIG.holdDays > 0 && paidFrom !== "cash";
+  }
+
+  /**
+   * Charge a completed ride through the ledger, holding the driver's share
+   * @param {Object} ride - Completed ride
+   * @param {string} paidFrom - wallet, card, cash or receivable
+   * @returns {Promise<Object>} { entry, duplicate }
+   */
+  async recordRideEarnings(ride, paidFrom) {
+    const result = await ledgerService.recordRideCharge(ride, paidFrom, {
+      hold: this.shouldHold(paidFrom),
+    });
+
+    // Also runs for a duplicate charge, so a retry recreates a missing hold
+    const heldAmount = result.entry?.metadata?.heldAmount || 0;
+    if (heldAmount > 0) {
+      await EarningsHold.updateOne(
+        { ride: ride._id },
+        {
+          $setOnInsert: {
+            driver: ride.driver._id || ride.driver,
+            amount: heldAmount,
+            releaseAt: new Date(
+              result.entry.createdAt.getTime() + EARNINGS_HOLD_CONFIG.holdDays * DAY_MS,
+            ),
+          },
+        },
+        { upsert: true },
+      );
+    }
+
+    return result;
+  }
+
+  /**
+   * Release every hold whose date has passed
+   */
+  async releaseDueEarnings() {
+    if (this.isProcessing) return;
+    this.isProcessing = true;
+
+    try {
+      let due;
+      do {
+        due = await EarningsHold.find({
+          status: "held",
+          releaseAt: { $lte: new Date() },
+        })
+          .sort({ releaseAt: 1 })
+          .limit(EARNINGS_HOLD_CONFIG.batchSize);
+
+        for (const hold of due) {
+          try {
+            await this.releaseHold(hold);
+          } catch (error) {
+            console.error(`Failed to release earnings for ride ${hold.ride}:`, error.message);
+          }
+        }
+      } while (due.length === EARNINGS_HOLD_CONFIG.batchSize);
+    } catch (error) {
+      console.error("Error releasing held earnings:", error);
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Move what's left of one hold to the driver's available balance
+   * @param {Object} hold - EarningsHold document
+   * @returns {Promise<Object|null>} Released hold, or null if it changed meanwhile
+   */
+  async releaseHold(hold) {
+    // Claim it unchanged, so a reversal can't land between reading the
+    // remaining amount and releasing it
+    const claimed = await EarningsHold.findOneAndUpdate(
+      { _id: hold._id, status: "held", reversedAmount: hold.reversedAmount },
+      { $set: { status: "released", releasedAt: new Date() } },
+      { new: true },
+    );
+    if (!claimed) return null;
+
+    const remaining = roundMoney(claimed.amount - claimed.reversedAmount);
+    if (remaining > 0) {
+      try {
+        await ledgerService.releaseHeldEarnings(claimed.driver, remaining, {
+          ride: claimed.ride,
+        });
+      } catch (error) {
+        await EarningsHold.updateOne(
+          { _id: claimed._id },
+          { $set: { status: "held" }, $unset: { releasedAt: 1 } },
+        );
+        throw error;
+      }
+    }
+
+    await this.notifyDriver(claimed.driver);
+    return claimed;
+  }
+
+  /**
+   * Take the driver's share of a refund or chargeback back from a held ride
+   * Nothing is taken once the earnings have been released - the platform
+   * absorbs it then. A reference already reversed isn't reversed again; its
+   * earlier amount is returned, so a retried caller carries on from there
+   * @param {string} rideId - Ride ID
+   * @param {number} riderAmount - Amount returned to the rider (pounds)
+   * @param {Object} options - { reason, reference, to, createdBy }
+   * @returns {Promise<Object>} { reversed, hold }
+   */
+  async reverseRideEarnings(rideId, riderAmount, options = {}) {
+    const ride = await Ride.findById(rideId).select("fare");
+    if (!ride || !ride.fare) return { reversed: 0, hold: null };
+
+    // A couple of attempts in case a concurrent reversal moved the hold
+    for (let attempt = 0; attempt < 3; attempt++) {
+      const hold = await EarningsHold.findOne({ ride: rideId });
+      const previous =
+        options.reference &&
+        hold?.reversals.find((reversal) => reversal.reference === options.reference);
+      if (previous) return { reversed: previous.amount, hold };
+      if (!hold || hold.status !== "held") return { reversed: 0, hold };
+
+      const remaining = roundMoney(hold.amount - hold.reversedAmount);
+      const share = roundMoney(hold.amount * Math.min(riderAmount / ride.fare, 1));
+      const amount = Math.min(share, remaining);
+      if (amount <= 0) return { reversed: 0, hold };
+
+      const reversedAmount = roundMoney(hold.reversedAmount + amount);
+      const updated = await EarningsHold.findOneAndUpdate(
+        {
+          _id: hold._id,
+          status: "held",
+          reversedAmount: hold.reversedAmount,
+          ...(options.reference && { "reversals.reference": { $ne: options.reference } }),
+        },
+        {
+          $set: {
+            reversedAmount,
+            ...(reversedAmount >= hold.amount && { status: "reversed" }),
+          },
+          $push: {
+            reversals: {
+              amount,
+              reason: options.reason,
+              reference: options.reference,
+            },
+          },
+        },
+        { new: true },
+      );
+      if (!updated) continue;
+
+      try {
+        await ledgerService.reverseHeldEarnings(hold.driver, amount, {
+          ride: rideId,
+          reference: options.reference
+            ? `earnings_reversal:${options.reference}`
+            : undefined,
+          description: options.reason
+            ? `Ride earnings reversed: ${options.reason}`
+            : undefined,
+          to: options.to,
+          createdBy: options.createdBy,
+        });
+      } catch (error) {
+        await EarningsHold.updateOne(
+          { _id: hold._id },
+          {
+            $set: { reversedAmount: hold.reversedAmount, status: "held" },
+            $pull: { reversals: { amount, reference: options.reference } },
+          },
+        );
+        throw error;
+      }
+
+      await this.notifyDriver(hold.driver);
+      return { reversed: amount, hold: updated };
+    }
+
+    throw new Error(`Could not reverse held earnings for ride ${rideId}`);
+  }
+
+  /**
+   * A driver's held rides and when each one matures
+   * @param {string} driverId - Driver ID
+   * @returns {Promise<Object>} { holdDays, totalOnHold, nextReleaseAt, rides }
+   */
+  async getSchedule(driverId) {
+    const holds = await EarningsHold.find({ driver: driverId, status: "held" })
+      .populate("ride", "pickup.address dropoff.address endTime fare")
+      .sort({ releaseAt: 1 })
+      .lean();
+
+    const rides = holds.map((hold) => ({
+      rideId: hold.ride?._id || hold.ride,
+      pickupAddress: hold.ride?.pickup?.address,
+      dropoffAddress: hold.ride?.dropoff?.address,
+      completedAt: hold.ride?.endTime,
+      amount: roundMoney(hold.amount - hold.reversedAmount),
+      reversedAmount: hold.reversedAmount,
+      releaseAt: hold.releaseAt,
+    }));
+
+    return {
+      holdDays: EARNINGS_HOLD_CONFIG.holdDays,
+      totalOnHold: roundMoney(rides.reduce((sum, ride) => sum + ride.amount, 0)),
+      nextReleaseAt: rides.length > 0 ? rides[0].releaseAt : null,
+      rides,
+    };
+  }
+
+  /**
+   * Push the driver's new balances
+   * @param {string} driverId - Driver ID
+   */
+  async notifyDriver(driverId) {
+    try {
+      const driver = await Driver.findById(driverId).select("earnings").lean();
+      if (!driver) return;
+
+      await socketService.notifyDriverEarningsUpdate(driverId.toString(), {
+        availableBalance: driver.earnings?.availableBalance || 0,
+        pendingBalance: driver.earnings?.pendingBalance || 0,
+        payoutInTransit: driver.earnings?.payoutInTransit || 0,
+        totalPaidOut: driver.earnings?.totalPaidOut || 0,
+        currency: driver.earnings?.currency || "gbp",
+      });
+    } catch (error) {
+      console.error("Earnings hold notification failed:", error.message);
+    }
+  }
+}
+
+// Create singleton instance
+const earningsHoldService = new EarningsHoldService();
+
+module.exports = earningsHoldService;
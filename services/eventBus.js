@@ -0,0 +1,61 @@
+const { EventEmitter } = require("events");
+const { DOMAIN_EVENTS } = require("../config/domainEvents");
+
+const KNOWN_EVENTS = new Set(Object.values(DOMAIN_EVENTS));
+
+/**
+ * Event Bus - In-process publish/subscribe for domain events
+ *
+ * Publishing never waits for subscribers: handlers run on the next tick, and
+ * a failing handler is logged without affecting the publisher or the other
+ * handlers. Each instance only sees its own events; anything a handler emits
+ * over Socket.IO still reaches every instance through the socket adapter.
+ */
+class EventBus {
+  constructor() {
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(50);
+  }
+
+  /**
+   * Publish an event
+   * @param {string} type - One of DOMAIN_EVENTS
+   * @param {Object} payload - Event data (see config/domainEvents.js)
+   */
+  publish(type, payload) {
+    if (!KNOWN_EVENTS.has(type)) {
+      throw new Error(`Unknown domain event: ${type}`);
+    }
+
+    const event = { type, payload, occurredAt: new Date() };
+    setImmediate(() => this.emitter.emit(type, event));
+  }
+
+  /**
+   * Run a handler for every event of a type
+   * @param {string} type - One of DOMAIN_EVENTS
+   * @param {Function} handler - Receives { type, payload, occurredAt }; may be async
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(type, handler) {
+    if (!KNOWN_EVENTS.has(type)) {
+      throw new Error(`Unknown domain event: ${type}`);
+    }
+
+    const listener = async (event) => {
+      try {
+        await handler(event);
+      } catch (error) {
+        console.error(`Error handling ${type} event:`, error);
+      }
+    };
+    this.emitter.on(type, listener);
+
+    return () => this.emitter.off(type, listener);
+  }
+}
+
+// Create singleton instance
+const eventBus = new EventBus();
+
+module.exports = eventBus;
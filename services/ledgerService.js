@@ -0,0 +1,994 @@
+const mongoose = require("mongoose");
+const JournalEntry = require("../models/JournalEntry");
+const LedgerAccount = require("../models/LedgerAccount");
+const Wallet = require("../models/Wallet");
+const Driver = require("../models/Driver");
+const Payout = require("../models/Payout");
+const eventBus = require("./eventBus");
+const { DOMAIN_EVENTS } = require("../config/domainEvents");
+const {
+  ACCOUNT_TYPES,
+  OWNER_ACCOUNTS,
+  PLATFORM_ACCOUNTS,
+  WALLET_TRANSACTION_TYPES,
+  DRIVER_BALANCE_FIELDS,
+  DEFAULT_LEDGER_CURRENCY,
+  INSUFFICIENT_FUNDS,
+} = require("../config/ledgerConfig");
+
+function ledgerError(message, statusCode = 400, code = null) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (code) error.code = code;
+  return error;
+}
+
+// Pounds <-> pence
+function toMinor(amount) {
+  return Math.round(Number(amount) * 100);
+}
+
+function fromMinor(amount) {
+  return Math.round(amount) / 100;
+}
+
+/**
+ * Ledger Service - Double-entry bookkeeping for every money movement
+ *
+ * Each movement is one balanced JournalEntry written in a Mongo transaction
+ * together with the LedgerAccount balances it touches and the projections
+ * the apps read (Wallet.balance, Driver.earnings). Projections are always set
+ * from the account balance, never incremented, so reconcile() can restore
+ * them from the journal alone.
+ */
+class LedgerService {
+  /**
+   * Account code for a per-owner account
+   * @param {string} kind - rider_wallet, rider_receivable, driver_available, driver_pending,
+   *   driver_payout_in_transit, driver_cash_owed
+   * @param {string} ownerId - User ID (rider accounts) or Driver ID (driver accounts)
+   * @returns {string}
+   */
+  accountCode(kind, ownerId) {
+    if (!OWNER_ACCOUNTS[kind]) {
+      throw ledgerError(`Unknown ledger account kind: ${kind}`, 500);
+    }
+    return `${kind}:${ownerId}`;
+  }
+
+  /**
+   * Type and owner of an account code
+   * @param {string} code - Account code
+   * @returns {Object} { kind, type, user, driver }
+   */
+  describeAccount(code) {
+    const [kind, ownerId] = code.split(":");
+
+    if (OWNER_ACCOUNTS[kind] && ownerId) {
+      const { type, owner } = OWNER_ACCOUNTS[kind];
+      return {
+        kind,
+        type,
+        user: owner === "User" ? ownerId : undefined,
+        driver: owner === "Driver" ? ownerId : undefined,
+      };
+    }
+
+    if (PLATFORM_ACCOUNTS[code]) {
+      return { kind: code, type: PLATFORM_ACCOUNTS[code] };
+    }
+
+    throw ledgerError(`Unknown ledger account: ${code}`);
+  }
+
+  /**
+   * Post a balanced journal entry
+   * Lines are in major units ({ account, debit } or { account, credit });
+   * `requireFunds: true` on a line aborts the entry if it would leave that
+   * account below zero.
+   * @param {Object} data - { type, reference, lines, description, ride, payment, user, driver, metadata, createdBy }
+   * @returns {Promise<Object>} { entry, duplicate } - duplicate when the reference was already posted
+   */
+  async post(data) {
+    const lines = data.lines
+      .map((line) => ({
+        account: line.account,
+        debit: toMinor(line.debit || 0),
+        credit: toMinor(line.credit || 0),
+        requireFunds: !!line.requireFunds,
+      }))
+      .filter((line) => line.debit > 0 || line.credit > 0);
+
+    const debits = lines.reduce((sum, line) => sum + line.debit, 0);
+    const credits = lines.reduce((sum, line) => sum + line.credit, 0);
+    if (debits !== credits || debits === 0) {
+      throw ledgerError(
+        `Unbalanced ${data.type} entry (debits ${debits}, credits ${credits})`,
+        500,
+      );
+    }
+
+    // Net change per account on its normal side
+    const deltas = new Map();
+    for (const line of lines) {
+      const { type } = this.describeAccount(line.account);
+      const change =
+        ACCOUNT_TYPES[type] === "debit"
+          ? line.debit - line.credit
+          : line.credit - line.debit;
+      const current = deltas.get(line.account) || { change: 0, requireFunds: false };
+      current.change += change;
+      current.requireFunds = current.requireFunds || line.requireFunds;
+      deltas.set(line.account, current);
+    }
+
+    try {
+      let entry;
+      let walletChanges;
+      await mongoose.connection.transaction(async (session) => {
+        walletChanges = [];
+        [entry] = await JournalEntry.create(
+          [
+            {
+              type: data.type,
+              reference: data.reference,
+              lines: lines.map(({ account, debit, credit }) => ({ account, debit, credit })),
+              currency: data.currency || DEFAULT_LEDGER_CURRENCY,
+              description: data.description,
+              ride: data.ride,
+              payment: data.payment,
+              user: data.user,
+              driver: data.driver,
+              metadata: data.metadata,
+              createdBy: data.createdBy,
+            },
+          ],
+          { session },
+        );
+
+        for (const [code, { change, requireFunds }] of deltas) {
+          const { type, user, driver } = this.describeAccount(code);
+          const account = await LedgerAccount.findOneAndUpdate(
+            { code },
+            { $inc: { balance: change }, $setOnInsert: { type, user, driver } },
+            { upsert: true, new: true, session },
+          );
+
+          if (requireFunds && account.balance < 0) {
+            throw ledgerError("Insufficient balance", 400, INSUFFICIENT_FUNDS);
+          }
+
+          await this.applyProjection(entry, account, change, session);
+
+          if (this.describeAccount(code).kind === "rider_wallet") {
+            walletChanges.push({
+              userId: user,
+              balance: fromMinor(account.balance),
+              change: fromMinor(change),
+              entryType: data.type,
+            });
+          }
+        }
+      });
+
+      // Only once committed, so listeners read the new wallet
+      walletChanges.forEach((walletChange) =>
+        eventBus.publish(DOMAIN_EVENTS.WALLET_CHANGED, walletChange),
+      );
+
+      return { entry, duplicate: false };
+    } catch (error) {
+      // Same reference already posted (a retried request) - not an error
+      if (error.code === 11000 && error.keyPattern?.reference) {
+        const entry = await JournalEntry.findOne({ reference: data.reference });
+        return { entry, duplicate: true };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Update the Wallet / Driver.earnings fields that mirror an account
+   * @param {Object} entry - Journal entry being posted
+   * @param {Object} account - LedgerAccount after the change
+   * @param {number} change - Change applied to the account (minor units)
+   * @param {Object} session - Transaction session
+   */
+  async applyProjection(entry, account, change, session) {
+    const { kind } = this.describeAccount(account.code);
+
+    if (kind === "rider_wallet") {
+      const update = { $set: { balance: fromMinor(account.balance) } };
+      const walletType = WALLET_TRANSACTION_TYPES[entry.type];
+      if (walletType) {
+        update.$push = {
+          transactions: {
+            type: walletType,
+            amount: fromMinor(Math.abs(change)),
+            payment: entry.payment,
+            ride: entry.ride,
+            description: entry.description,
+          },
+        };
+      }
+      await Wallet.findOneAndUpdate({ user: account.user }, update, {
+        upsert: true,
+        setDefaultsOnInsert: true,
+        session,
+      });
+      return;
+    }
+
+    if (DRIVER_BALANCE_FIELDS[kind]) {
+      const set = { [`earnings.${DRIVER_BALANCE_FIELDS[kind]}`]: fromMinor(account.balance) };
+
+      // Lifetime counters (not rebuilt - they predate the ledger)
+      const credited = entry.lines
+        .filter((line) => line.account === account.code)
+        .reduce((sum, line) => sum + line.credit, 0);
+      const debited = entry.lines
+        .filter((line) => line.account === account.code)
+        .reduce((sum, line) => sum + line.debit, 0);
+
+      const counters = {};
+      // Held ride earnings count as earned when the ride is charged, not when they mature
+      const earned =
+        (kind === "driver_available" && ["ride_charge", "tip"].includes(entry.type)) ||
+        (kind === "driver_pending" && entry.type === "ride_charge");
+      if (earned && credited > 0) {
+        counters["earnings.totalEarned"] = {
+          $round: [{ $add: [{ $ifNull: ["$earnings.totalEarned", 0] }, fromMinor(credited)] }, 2],
+        };
+      }
+      if (entry.type === "payout" && debited > 0) {
+        counters["earnings.totalPaidOut"] = {
+          $round: [{ $add: [{ $ifNull: ["$earnings.totalPaidOut", 0] }, fromMinor(debited)] }, 2],
+        };
+        set["earnings.lastPayoutAt"] = entry.createdAt;
+      }
+      if (kind === "driver_cash_owed" && entry.metadata?.cashCollected) {
+        counters["earnings.cashCollected"] = {
+          $round: [
+            { $add: [{ $ifNull: ["$earnings.cashCollected", 0] }, entry.metadata.cashCollected] },
+            2,
+          ],
+        };
+      }
+
+      await Driver.updateOne(
+        { _id: account.driver },
+        [{ $set: { ...set, ...counters } }],
+        { session, updatePipeline: true },
+      );
+    }
+  }
+
+  /**
+   * Charge a completed ride and split it between platform and driver
+   * @param {Object} ride - Completed ride (fare, platformCommission, bonuses set)
+   * @param {string} paidFrom - wallet, card, cash or receivable (not collected yet)
+   * @param {Object} options - { hold: credit the driver's share to pending instead of available }
+   * @returns {Promise<Object>} { entry, duplicate }
+   */
+  async recordRideCharge(ride, paidFrom, options = {}) {
+    const riderId = ride.rider._id || ride.rider;
+    const driverId = ride.driver._id || ride.driver;
+
+    const fare = fromMinor(toMinor(ride.fare));
+    const commission = fromMinor(toMinor(ride.platformCommission));
+    const bonus = ride.bonuses || 0;
+    const driverAccount = this.accountCode("driver_available", driverId);
+
+    // Cash is already in the driver's pocket: they keep their share and owe
+    // the platform its commission until it's settled
+    if (paidFrom === "cash") {
+      return this.post({
+        type: "ride_charge",
+        reference: `ride_charge:${ride._id}`,
+        lines: [
+          { account: this.accountCode("driver_cash_owed", driverId), debit: commission },
+          { account: "platform_revenue", credit: commission },
+          { account: "driver_incentives", debit: bonus },
+          { account: driverAccount, credit: bonus },
+        ],
+        description: "Cash ride payment",
+        ride: ride._id,
+        user: riderId,
+        driver: driverId,
+        metadata: { paidFrom, cashCollected: fare },
+      });
+    }
+
+    // Where the fare comes from
+    const source = {
+      wallet: this.accountCode("rider_wallet", riderId),
+      card: "stripe_clearing",
+      receivable: this.accountCode("rider_receivable", riderId),
+    }[paidFrom];
+    if (!source) {
+      throw ledgerError(`Unknown ride payment source: ${paidFrom}`, 500);
+    }
+
+    // Held earnings wait in pending until they mature; bonuses are the
+    // platform's own money, so they're never held
+    const driverShare = fromMinor(toMinor(fare) - toMinor(commission));
+    const shareAccount = options.hold
+      ? this.accountCode("driver_pending", driverId)
+      : driverAccount;
+
+    return this.post({
+      type: "ride_charge",
+      reference: `ride_charge:${ride._id}`,
+      lines: [
+        { account: source, debit: fare, requireFunds: paidFrom === "wallet" },
+        { account: "platform_revenue", credit: commission },
+        { account: shareAccount, credit: driverShare },
+        { account: "driver_incentives", debit: bonus },
+        { account: driverAccount, credit: bonus },
+      ],
+      description: "Ride payment",
+      ride: ride._id,
+      user: riderId,
+      driver: driverId,
+      metadata: { paidFrom, heldAmount: options.hold ? driverShare : 0 },
+    });
+  }
+
+  /**
+   * Make held ride earnings available to withdraw
+   * @param {string} driverId - Driver ID
+   * @param {number} amount - Amount in major units
+   * @param {Object} options - { ride, reference }
+   * @returns {Promise<Object>} { entry, duplicate }
+   */
+  async releaseHeldEarnings(driverId, amount, options = {}) {
+    return this.post({
+      type: "earnings_release",
+      reference: options.reference || `earnings_release:${options.ride}`,
+      lines: [
+        {
+          account: this.accountCode("driver_pending", driverId),
+          debit: amount,
+          requireFunds: true,
+        },
+        { account: this.accountCode("driver_available", driverId), credit: amount },
+      ],
+      description: "Ride earnings released",
+      ride: options.ride,
+      driver: driverId,
+    });
+  }
+
+  /**
+   * Take back held ride earnings after the rider was refunded
+   * The driver's share goes back to whichever account paid the rider:
+   * platform revenue for refunds, chargebacks for disputes
+   * @param {string} driverId - Driver ID
+   * @param {number} amount - Amount in major units
+   * @param {Object} options - { ride, reference, description, to, createdBy }
+   * @returns {Promise<Object>} { entry, duplicate }
+   */
+  async reverseHeldEarnings(driverId, amount, options = {}) {
+    return this.post({
+      type: "earnings_reversal",
+      reference: options.reference || `earnings_reversal:${new mongoose.Types.ObjectId()}`,
+      lines: [
+        {
+          account: this.accountCode("driver_pending", driverId),
+          debit: amount,
+          requireFunds: true,
+        },
+        { account: options.to || "platform_revenue", credit: amount },
+      ],
+      description: options.description || "Ride earnings reversed",
+      ride: options.ride,
+      driver: driverId,
+      createdBy: options.createdBy,
+    });
+  }
+
+  /**
+   * Record Stripe withdrawing (or returning) a disputed payment
+   * @param {Object} dispute - Dispute document
+   * @param {Object} options - { won: the dispute was won and the funds returned }
+   * @returns {Promise<Object>} { entry, duplicate }
+   */
+  async recordChargeback(dispute, options = {}) {
+    const lines = [
+      { account: "chargebacks", debit: dispute.amount },
+      { account: "stripe_clearing", credit: dispute.amount },
+    ];
+
+    return this.post({
+      type: options.won ? "chargeback_reversal" : "chargeback",
+      reference: `${options.won ? "chargeback_reversal" : "chargeback"}:${dispute._id}`,
+      // A won dispute mirrors the original entry
+      lines: options.won
+        ? lines.map(({ account, debit, credit }) => ({ account, debit: credit, credit: debit }))
+        : lines,
+      description: options.won
+        ? `Dispute ${dispute.stripeDisputeId} won - funds returned`
+        : `Dispute ${dispute.stripeDisputeId} - funds withdrawn`,
+      ride: dispute.ride,
+      payment: dispute.payment,
+      user: dispute.rider,
+      driver: dispute.driver,
+    });
+  }
+
+  /**
+   * Take a driver's share of a chargeback from their available earnings
+   * (or give it back when the dispute is won). The balance may go negative;
+   * payouts can't be made until later earnings cover it
+   * @param {string} driverId - Driver ID
+   * @param {number} amount - Amount in major units
+   * @param {Object} options - { reinstate, ride, reference }
+   * @returns {Promise<Object>} { entry, duplicate }
+   */
+  async clawBackEarnings(driverId, amount, options = {}) {
+    const available = this.accountCode("driver_available", driverId);
+    const type = options.reinstate ? "earnings_reinstated" : "earnings_clawback";
+
+    return this.post({
+      type,
+      reference: options.reference || `${type}:${new mongoose.Types.ObjectId()}`,
+      lines: options.reinstate
+        ? [
+            { account: "chargebacks", debit: amount },
+            { account: available, credit: amount },
+          ]
+        : [
+            { account: available, debit: amount },
+            { account: "chargebacks", credit: amount },
+          ],
+      description: options.reinstate
+        ? "Chargeback won - earnings returned"
+        : "Chargeback - ride earnings clawed back",
+      ride: options.ride,
+      driver: driverId,
+    });
+  }
+
+  /**
+   * Record a cancellation fee captured from the rider's card
+   * @param {Object} ride - Cancelled ride
+   * @param {number} amount - Fee in major units
+   * @param {Object} options - { payment }
+   * @returns {Promise<Object>} { entry, duplicate }
+   */
+  async recordCancellationFee(ride, amount, options = {}) {
+    const riderId = ride.rider._id || ride.rider;
+
+    return this.post({
+      type: "cancellation_fee",
+      reference: `cancellation_fee:${ride._id}`,
+      lines: [
+        { account: "stripe_clearing", debit: amount },
+        { account: "platform_revenue", credit: amount },
+      ],
+      description: `Cancellation fee for ride ${ride._id}`,
+      ride: ride._id,
+      payment: options.payment,
+      user: riderId,
+    });
+  }
+
+  /**
+   * Move a tip from the rider's wallet to the driver
+   * @param {Object} ride - Completed ride
+   * @param {number} amount - Tip in major units
+   * @returns {Promise<Object>} { entry, duplicate }
+   */
+  async recordTip(ride, amount) {
+    const riderId = ride.rider._id || ride.rider;
+    const driverId = ride.driver._id || ride.driver;
+
+    return this.post({
+      type: "tip",
+      reference: `tip:${ride._id}`,
+      lines: [
+        { account: this.accountCode("rider_wallet", riderId), debit: amount, requireFunds: true },
+        { account: this.accountCode("driver_available", driverId), credit: amount },
+      ],
+      description: `Tip for ride ${ride._id}`,
+      ride: ride._id,
+      user: riderId,
+      driver: driverId,
+    });
+  }
+
+  /**
+   * Credit a rider's wallet
+   * @param {string} userId - Rider user ID
+   * @param {number} amount - Amount in major units
+   * @param {Object} options - { source: "stripe"|"manual", payment, reference, description, createdBy }
+   * @returns {Promise<Object>} { entry, duplicate }
+   */
+  async recordTopUp(userId, amount, options = {}) {
+    const source = options.source === "stripe" ? "stripe_clearing" : "manual_adjustments";
+
+    return this.post({
+      type: "topup",
+      reference:
+        options.reference || `topup:${options.payment || new mongoose.Types.ObjectId()}`,
+      lines: [
+        { account: source, debit: amount },
+        { account: this.accountCode("rider_wallet", userId), credit: amount },
+      ],
+      description: options.description || "Wallet top-up",
+      payment: options.payment,
+      user: userId,
+      createdBy: options.createdBy,
+    });
+  }
+
+  /**
+   * Refund money to a rider
+   * Wallet refunds are paid by the platform; card refunds go back through
+   * Stripe, out of the wallet for top-ups or out of revenue for rides
+   * @param {string} userId - Rider user ID
+   * @param {number} amount - Amount in major units
+   * @param {Object} options - { to: "wallet"|"card", fromWallet, ride, payment, reference, description }
+   * @returns {Promise<Object>} { entry, duplicate }
+   */
+  async recordRefund(userId, amount, options = {}) {
+    const wallet = this.accountCode("rider_wallet", userId);
+
+    const lines =
+      options.to === "card"
+        ? [
+            options.fromWallet
+              ? { account: wallet, debit: amount }
+              : { account: "platform_revenue", debit: amount },
+            { account: "stripe_clearing", credit: amount },
+          ]
+        : [
+            { account: "platform_revenue", debit: amount },
+            { account: wallet, credit: amount },
+          ];
+
+    return this.post({
+      type: "refund",
+      reference:
+        options.reference ||
+        `refund:${options.payment || options.ride || new mongoose.Types.ObjectId()}`,
+      lines,
+      description: options.description || "Refund",
+      ride: options.ride,
+      payment: options.payment,
+      user: userId,
+    });
+  }
+
+  /**
+   * Record a driver payout
+   * "requested" parks the amount in transit; "paid" sends it out from
+   * available (or from in transit when it was requested first); "failed"
+   * returns an amount in transit to available
+   * @param {string} driverId - Driver ID
+   * @param {number} amount - Amount in major units
+   * @param {Object} options - { stage: "requested"|"paid"|"failed", fromInTransit, afterPaid, reference, createdBy }
+   * @returns {Promise<Object>} { entry, duplicate }
+   */
+  async recordPayout(driverId, amount, options = {}) {
+    const available = this.accountCode("driver_available", driverId);
+    const inTransit = this.accountCode("driver_payout_in_transit", driverId);
+
+    const stages = {
+      requested: {
+        type: "payout_requested",
+        description: "Payout requested",
+        lines: [
+          { account: available, debit: amount, requireFunds: true },
+          { account: inTransit, credit: amount },
+        ],
+      },
+      paid: {
+        type: "payout",
+        description: "Payout",
+        lines: [
+          options.fromInTransit
+            ? { account: inTransit, debit: amount, requireFunds: true }
+            : { account: available, debit: amount, requireFunds: true },
+          { account: "stripe_clearing", credit: amount },
+        ],
+      },
+      failed: {
+        type: "payout_failed",
+        description: "Payout failed - returned to balance",
+        lines: [
+          // A paid payout can still bounce back from the bank
+          options.afterPaid
+            ? { account: "stripe_clearing", debit: amount }
+            : { account: inTransit, debit: amount, requireFunds: true },
+          { account: available, credit: amount },
+        ],
+      },
+    };
+    const stage = stages[options.stage || "paid"];
+    if (!stage) {
+      throw ledgerError(`Unknown payout stage: ${options.stage}`, 500);
+    }
+
+    return this.post({
+      type: stage.type,
+      reference: options.reference || `${stage.type}:${new mongoose.Types.ObjectId()}`,
+      lines: stage.lines,
+      description: stage.description,
+      driver: driverId,
+      createdBy: options.createdBy,
+    });
+  }
+
+  /**
+   * Move payouts still in flight out of the pending balance
+   * Payouts used to be parked in driver_pending alongside held earnings; the
+   * ones not settled yet are moved to driver_payout_in_transit so their
+   * webhooks settle them from there
+   */
+  async ensurePayoutsInTransit() {
+    try {
+      const payouts = await Payout.find({
+        status: { $in: ["requested", "pending", "in_transit"] },
+      })
+        .select("driver amount")
+        .lean();
+      if (payouts.length === 0) return;
+
+      const requested = await JournalEntry.find({
+        reference: { $in: payouts.map((payout) => `payout_requested:${payout._id}`) },
+      })
+        .select("reference lines.account")
+        .lean();
+      const parkedInPending = new Set(
+        requested
+          .filter((entry) => entry.lines.some((line) => line.account.startsWith("driver_pending:")))
+          .map((entry) => entry.reference),
+      );
+
+      let moved = 0;
+      for (const payout of payouts) {
+        if (!parkedInPending.has(`payout_requested:${payout._id}`)) continue;
+
+        const { duplicate } = await this.post({
+          type: "payout_requested",
+          reference: `payout_in_transit:${payout._id}`,
+          lines: [
+            { account: this.accountCode("driver_pending", payout.driver), debit: payout.amount },
+            { account: this.accountCode("driver_payout_in_transit", payout.driver), credit: payout.amount },
+          ],
+          description: "Payout in transit (moved from pending)",
+          driver: payout.driver,
+        });
+        if (!duplicate) moved++;
+      }
+
+      if (moved > 0) console.log(`📒 Moved ${moved} payout(s) in flight out of pending balances`);
+    } catch (error) {
+      console.error("Error moving payouts in transit:", error);
+    }
+  }
+
+  /**
+   * Bring balances that existed before the ledger into it
+   * Posts one opening_balance entry per wallet / driver account that has a
+   * balance but no ledger account yet
+   */
+  async ensureOpeningBalances() {
+    try {
+      const [wallets, drivers] = await Promise.all([
+        Wallet.find({ balance: { $ne: 0 } }).select("user balance").lean(),
+        Driver.find({
+          $or: [
+            { "earnings.availableBalance": { $ne: 0 } },
+            { "earnings.pendingBalance": { $ne: 0 } },
+          ],
+        })
+          .select("earnings")
+          .lean(),
+      ]);
+
+      const balances = [
+        ...wallets.map((wallet) => ({
+          code: this.accountCode("rider_wallet", wallet.user),
+          amount: wallet.balance,
+          user: wallet.user,
+        })),
+        ...drivers.flatMap((driver) => [
+          {
+            code: this.accountCode("driver_available", driver._id),
+            amount: driver.earnings?.availableBalance || 0,
+            driver: driver._id,
+          },
+          {
+            code: this.accountCode("driver_pending", driver._id),
+            amount: driver.earnings?.pendingBalance || 0,
+            driver: driver._id,
+          },
+        ]),
+      ].filter((balance) => toMinor(balance.amount) !== 0);
+
+      if (balances.length === 0) return;
+
+      const existing = await LedgerAccount.find({
+        code: { $in: balances.map((balance) => balance.code) },
+      })
+        .select("code")
+        .lean();
+      const existingCodes = new Set(existing.map((account) => account.code));
+
+      let opened = 0;
+      for (const balance of balances) {
+        if (existingCodes.has(balance.code)) continue;
+
+        const amount = Math.abs(balance.amount);
+        const lines =
+          balance.amount > 0
+            ? [
+                { account: "opening_balance", debit: amount },
+                { account: balance.code, credit: amount },
+              ]
+            : [
+                { account: balance.code, debit: amount },
+                { account: "opening_balance", credit: amount },
+              ];
+
+        await this.post({
+          type: "opening_balance",
+          reference: `opening_balance:${balance.code}`,
+          lines,
+          description: "Balance before ledger",
+          user: balance.user,
+          driver: balance.driver,
+        });
+        opened++;
+      }
+
+      if (opened > 0) console.log(`📒 Opened ${opened} ledger account(s) from existing balances`);
+    } catch (error) {
+      console.error("Error opening ledger balances:", error);
+    }
+  }
+
+  /**
+   * Net cash commission a driver owes against their withdrawable earnings
+   * @param {string} driverId - Driver ID
+   * @param {Object} options - { createdBy }
+   * @returns {Promise<number>} Amount settled in major units (0 if nothing to net)
+   */
+  async settleCashDebt(driverId, options = {}) {
+    const [owedAccount, availableAccount] = await Promise.all([
+      LedgerAccount.findOne({ code: this.accountCode("driver_cash_owed", driverId) }).lean(),
+      LedgerAccount.findOne({ code: this.accountCode("driver_available", driverId) }).lean(),
+    ]);
+
+    const amount = Math.min(owedAccount?.balance || 0, availableAccount?.balance || 0);
+    if (amount <= 0) return 0;
+
+    await this.post({
+      type: "cash_settlement",
+      reference: `cash_settlement:${new mongoose.Types.ObjectId()}`,
+      lines: [
+        { account: this.accountCode("driver_available", driverId), debit: fromMinor(amount), requireFunds: true },
+        { account: this.accountCode("driver_cash_owed", driverId), credit: fromMinor(amount), requireFunds: true },
+      ],
+      description: "Cash commission deducted from earnings",
+      driver: driverId,
+      createdBy: options.createdBy,
+    });
+
+    return fromMinor(amount);
+  }
+
+  /**
+   * Record cash commission a driver paid in directly (e.g. at the office)
+   * @param {string} driverId - Driver ID
+   * @param {number} amount - Amount in major units
+   * @param {Object} options - { reference, description, createdBy }
+   * @returns {Promise<Object>} { entry, duplicate }
+   */
+  async recordCashRemittance(driverId, amount, options = {}) {
+    return this.post({
+      type: "cash_remittance",
+      reference: options.reference || `cash_remittance:${new mongoose.Types.ObjectId()}`,
+      lines: [
+        { account: "cash_remittances", debit: amount },
+        // Can't pay in more than is owed
+        { account: this.accountCode("driver_cash_owed", driverId), credit: amount, requireFunds: true },
+      ],
+      description: options.description || "Cash commission paid in",
+      driver: driverId,
+      createdBy: options.createdBy,
+    });
+  }
+
+  /**
+   * Recompute every account from the journal and compare with the stored
+   * balances and projections
+   * @param {Object} options - { apply: true } to overwrite what doesn't match
+   * @returns {Promise<Object>} Report with trial balance and mismatches
+   */
+  async reconcile({ apply = false } = {}) {
+    const [totals, unbalanced, accounts] = await Promise.all([
+      JournalEntry.aggregate([
+        { $unwind: "$lines" },
+        {
+          $group: {
+            _id: "$lines.account",
+            debit: { $sum: "$lines.debit" },
+            credit: { $sum: "$lines.credit" },
+          },
+        },
+      ]),
+      JournalEntry.aggregate([
+        {
+          $project: {
+            reference: 1,
+            debit: { $sum: "$lines.debit" },
+            credit: { $sum: "$lines.credit" },
+          },
+        },
+        { $match: { $expr: { $ne: ["$debit", "$credit"] } } },
+      ]),
+      LedgerAccount.find({}).lean(),
+    ]);
+
+    const expected = new Map();
+    let totalDebits = 0;
+    let totalCredits = 0;
+    for (const row of totals) {
+      const { type } = this.describeAccount(row._id);
+      expected.set(
+        row._id,
+        ACCOUNT_TYPES[type] === "debit" ? row.debit - row.credit : row.credit - row.debit,
+      );
+      totalDebits += row.debit;
+      totalCredits += row.credit;
+    }
+
+    const mismatches = [];
+    const accountFixes = [];
+
+    // Stored account balances
+    const storedAccounts = new Map(accounts.map((account) => [account.code, account]));
+    for (const code of new Set([...expected.keys(), ...storedAccounts.keys()])) {
+      const expectedBalance = expected.get(code) || 0;
+      const actualBalance = storedAccounts.get(code)?.balance || 0;
+      if (expectedBalance !== actualBalance) {
+        mismatches.push({
+          kind: "ledger_account",
+          id: code,
+          field: "balance",
+          expected: fromMinor(expectedBalance),
+          actual: fromMinor(actualBalance),
+        });
+        const { type, user, driver } = this.describeAccount(code);
+        accountFixes.push({
+          updateOne: {
+            filter: { code },
+            update: { $set: { balance: expectedBalance }, $setOnInsert: { type, user, driver } },
+            upsert: true,
+          },
+        });
+      }
+    }
+
+    const balanceOf = (kind, ownerId) =>
+      fromMinor(expected.get(this.accountCode(kind, ownerId)) || 0);
+
+    // Wallet projections
+    const wallets = await Wallet.find({}).select("user balance").lean();
+    const walletFixes = [];
+    for (const wallet of wallets) {
+      const expectedBalance = balanceOf("rider_wallet", wallet.user);
+      if (toMinor(wallet.balance || 0) !== toMinor(expectedBalance)) {
+        mismatches.push({
+          kind: "wallet",
+          id: wallet._id,
+          user: wallet.user,
+          field: "balance",
+          expected: expectedBalance,
+          actual: wallet.balance,
+        });
+        walletFixes.push({
+          updateOne: { filter: { _id: wallet._id }, update: { $set: { balance: expectedBalance } } },
+        });
+      }
+    }
+
+    // Driver.earnings projections
+    const driverIds = new Set(
+      [...expected.keys()]
+        .map((code) => this.describeAccount(code).driver)
+        .filter(Boolean),
+    );
+    const drivers = await Driver.find({
+      $or: [
+        { _id: { $in: [...driverIds] } },
+        { "earnings.availableBalance": { $ne: 0 } },
+        { "earnings.pendingBalance": { $ne: 0 } },
+        { "earnings.payoutInTransit": { $ne: 0 } },
+        { "earnings.cashOwed": { $ne: 0 } },
+      ],
+    })
+      .select("earnings")
+      .lean();
+
+    const driverFixes = [];
+    for (const driver of drivers) {
+      const set = {};
+      for (const [kind, field] of Object.entries(DRIVER_BALANCE_FIELDS)) {
+        const expectedBalance = balanceOf(kind, driver._id);
+        const actualBalance = driver.earnings?.[field] || 0;
+        if (toMinor(actualBalance) !== toMinor(expectedBalance)) {
+          mismatches.push({
+            kind: "driver",
+            id: driver._id,
+            field: `earnings.${field}`,
+            expected: expectedBalance,
+            actual: actualBalance,
+          });
+          set[`earnings.${field}`] = expectedBalance;
+        }
+      }
+      if (Object.keys(set).length > 0) {
+        driverFixes.push({ updateOne: { filter: { _id: driver._id }, update: { $set: set } } });
+      }
+    }
+
+    if (apply) {
+      if (accountFixes.length > 0) await LedgerAccount.bulkWrite(accountFixes);
+      if (walletFixes.length > 0) await Wallet.bulkWrite(walletFixes);
+      if (driverFixes.length > 0) await Driver.bulkWrite(driverFixes);
+    }
+
+    return {
+      checkedAt: new Date(),
+      trialBalance: {
+        debits: fromMinor(totalDebits),
+        credits: fromMinor(totalCredits),
+        balanced: totalDebits === totalCredits,
+      },
+      unbalancedEntries: unbalanced.map((entry) => entry.reference),
+      accountsChecked: expected.size,
+      walletsChecked: wallets.length,
+      driversChecked: drivers.length,
+      mismatches,
+      applied: apply && mismatches.length > 0,
+    };
+  }
+
+  /**
+   * Journal entries touching an account, newest first
+   * @param {string} code - Account code
+   * @param {Object} options - { page, limit }
+   * @returns {Promise<Object>} { account, entries, total }
+   */
+  async getAccountEntries(code, { page = 1, limit = 50 } = {}) {
+    this.describeAccount(code); // Throws for unknown codes
+
+    const filter = { "lines.account": code };
+    const [account, entries, total] = await Promise.all([
+      LedgerAccount.findOne({ code }).lean(),
+      JournalEntry.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      JournalEntry.countDocuments(filter),
+    ]);
+
+    return {
+      account: account
+        ? { ...account, balance: fromMinor(account.balance) }
+        : { code, balance: 0 },
+      entries,
+      total,
+    };
+  }
+}
+
+// Create singleton instance
+const ledgerService = new LedgerService();
+
+module.exports = ledgerService;
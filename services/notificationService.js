@@ -17,6 +17,10 @@ class NotificationService {
    */
   async sendRideRequestNotification(driver, rideData) {
     const subject = "New Ride Request - GO-CATERHAM";
+    // Use the driver's actual offer window rather than a fixed number
+    const responseSeconds = rideData.expiresAt
+      ? Math.max(0, Math.round((new Date(rideData.expiresAt) - Date.now()) / 1000))
+      : rideData.offerWindowSeconds || 30;
     const message = `
       Hi ${driver.fullName},
 
@@ -27,7 +31,7 @@ class NotificationService {
       Estimated Fare: £${rideData.estimatedFare || "N/A"}
       Vehicle Type: ${rideData.vehicleType || "N/A"}
 
-      Please respond within 15 seconds to accept this ride.
+      Please respond within ${responseSeconds} seconds to accept this ride.
 
       Best regards,
       GO-CATERHAM Team
@@ -0,0 +1,281 @@
+const mongoose = require("mongoose");
+const Driver = require("../models/Driver");
+const Payout = require("../models/Payout");
+const stripeService = require("./stripeService");
+const ledgerService = require("./ledgerService");
+const socketService = require("./socketService");
+
+function payoutError(message, statusCode = 400, code = null) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (code) error.code = code;
+  return error;
+}
+
+// Stripe payout status -> Payout.status
+const STRIPE_PAYOUT_STATUSES = {
+  pending: "pending",
+  in_transit: "in_transit",
+  paid: "paid",
+  failed: "failed",
+  canceled: "canceled",
+};
+
+/**
+ * Payout Service - Driver payouts through Stripe Connect
+ *
+ * The amount is moved from available to payout in transit in the ledger
+ * before the Stripe payout is created - apart from the pending balance, which
+ * only holds ride earnings - and stays there until Stripe reports the outcome:
+ * payout.paid settles it (counted in totalPaidOut), payout.failed or
+ * payout.canceled returns it to the available balance. A failed payout leaves
+ * the money in the driver's Connect account, so its transfer is reversed
+ * before the balance is credited - otherwise the next payout would send it a
+ * second time. When Stripe's answer is unknown (a timeout) the payout stays
+ * "requested" with the funds reserved for the payout.* webhooks to settle.
+ * Ledger references and Stripe idempotency keys are keyed on the Payout ID,
+ * so replayed webhooks and retried calls are no-ops.
+ */
+class PayoutService {
+  /**
+   * Send part of a driver's available balance to their bank
+   * @param {Object} driver - Driver document (Connect onboarding completed)
+   * @param {number} amount - Amount in pounds
+   * @param {Object} options - { requestedBy, source: "driver_request"|"admin"|"schedule", run }
+   * @returns {Promise<Object>} Payout document
+   */
+  async createPayout(driver, amount, options = {}) {
+    const payoutId = new mongoose.Types.ObjectId();
+    const currency = driver.earnings?.currency || "gbp";
+
+    // Reserve the funds first so two requests can't pay out the same balance
+    await ledgerService.recordPayout(driver._id, amount, {
+      stage: "requested",
+      reference: `payout_requested:${payoutId}`,
+      createdBy: options.requestedBy,
+    });
+
+    // Recorded before Stripe is called, so a webhook that beats the response
+    // below still finds it (through the payout metadata)
+    await Payout.create({
+      _id: payoutId,
+      driver: driver._id,
+      stripeAccountId: driver.stripeConnectAccountId,
+      amount,
+      currency,
+      status: "requested",
+      source: options.source || "driver_request",
+      requestedBy: options.requestedBy,
+      run: options.run,
+    });
+    const metadata = { payoutId: payoutId.toString(), driverId: driver._id.toString() };
+
+    // Earnings sit in the platform balance: move them to the driver's
+    // Connect account, then pay them out to their bank
+    let transfer = null;
+    let stripePayout;
+    try {
+      transfer = await stripeService.createTransfer({
+        amount,
+        currency,
+        destination: driver.stripeConnectAccountId,
+        description: "Driver earnings payout",
+        metadata,
+        idempotencyKey: `payout_transfer:${payoutId}`,
+      });
+      // Stored now so a failure webhook can reverse it
+      await Payout.updateOne({ _id: payoutId }, { stripeTransferId: transfer.id });
+
+      stripePayout = await stripeService.createPayout(
+        driver.stripeConnectAccountId,
+        amount,
+        currency,
+        metadata,
+        `payout:${payoutId}`,
+      );
+    } catch (error) {
+      const payout = await Payout.findById(payoutId);
+      payout.failureMessage = error.message;
+
+      // It may have gone through anyway: keep the funds reserved
+      if (!stripeService.wasRejected(error)) {
+        await payout.save();
+        console.error(`Payout ${payoutId} outcome unknown, left for the webhooks:`, error.message);
+        throw payoutError(
+          "The payout could not be confirmed with Stripe yet - it stays pending until it is",
+          502,
+          "PAYOUT_UNCONFIRMED",
+        );
+      }
+
+      // Refused: the balance is only credited back once the transfer is
+      try {
+        await this.reverseTransfer(payout);
+      } catch (reverseError) {
+        await payout.save();
+        console.error(`Transfer ${transfer.id} needs manual reversal:`, reverseError.message);
+        throw payoutError(error.message, 502, "PAYOUT_FAILED");
+      }
+
+      await ledgerService.recordPayout(driver._id, amount, {
+        stage: "failed",
+        reference: `payout_failed:${payoutId}`,
+        createdBy: options.requestedBy,
+      });
+      payout.status = "failed";
+      payout.failedAt = new Date();
+      await payout.save();
+      throw payoutError(error.message, 502, "PAYOUT_FAILED");
+    }
+
+    const details = {
+      stripePayoutId: stripePayout.id,
+      stripeTransferId: transfer.id,
+      currency: stripePayout.currency || currency,
+      ...(stripePayout.arrival_date && {
+        expectedArrivalAt: new Date(stripePayout.arrival_date * 1000),
+      }),
+    };
+    // A webhook may already have moved the status on
+    const payout =
+      (await Payout.findOneAndUpdate(
+        { _id: payoutId, status: "requested" },
+        { ...details, status: STRIPE_PAYOUT_STATUSES[stripePayout.status] || "pending" },
+        { new: true },
+      )) || (await Payout.findByIdAndUpdate(payoutId, details, { new: true }));
+
+    await this.notifyDriver(driver._id, payout);
+
+    return payout;
+  }
+
+  /**
+   * Apply a payout.* webhook to the Payout and the driver's balances
+   * @param {Object} stripePayout - Stripe payout object from the event
+   * @returns {Promise<Object|null>} Updated Payout, or null if it isn't one of ours
+   */
+  async handlePayoutEvent(stripePayout) {
+    let payout = await Payout.findOne({ stripePayoutId: stripePayout.id });
+    if (!payout && stripePayout.metadata?.payoutId) {
+      // Arrived before createPayout stored the Stripe payout ID
+      payout = await Payout.findById(stripePayout.metadata.payoutId);
+      if (payout) payout.stripePayoutId = stripePayout.id;
+    }
+    if (!payout) {
+      // e.g. Stripe's automatic payouts on a connected account
+      console.log(`Ignoring payout ${stripePayout.id} - not created by the platform`);
+      return null;
+    }
+
+    const status = STRIPE_PAYOUT_STATUSES[stripePayout.status];
+    if (!status || status === payout.status) return payout;
+
+    const previousStatus = payout.status;
+
+    // Failed and cancelled payouts are final - their funds are already back
+    if (["failed", "canceled"].includes(previousStatus)) return payout;
+
+    if (status === "paid") {
+      await ledgerService.recordPayout(payout.driver, payout.amount, {
+        stage: "paid",
+        fromInTransit: true,
+        reference: `payout:${payout._id}`,
+      });
+      payout.paidAt = new Date();
+    } else if (status === "failed" || status === "canceled") {
+      // Throws (and the webhook is retried) until the funds are back with the
+      // platform, so the balance is never credited while they're still out
+      await this.reverseTransfer(payout);
+      await ledgerService.recordPayout(payout.driver, payout.amount, {
+        stage: "failed",
+        afterPaid: previousStatus === "paid",
+        reference: `payout_failed:${payout._id}`,
+      });
+      payout.failedAt = new Date();
+      payout.failureCode = stripePayout.failure_code || undefined;
+      payout.failureMessage = stripePayout.failure_message || undefined;
+    }
+
+    payout.status = status;
+    if (stripePayout.arrival_date) {
+      payout.expectedArrivalAt = new Date(stripePayout.arrival_date * 1000);
+    }
+    await payout.save();
+
+    console.log(`Payout ${payout.stripePayoutId}: ${previousStatus} -> ${status}`);
+    await this.notifyDriver(payout.driver, payout);
+
+    return payout;
+  }
+
+  /**
+   * Pull a failed payout's funds back from the driver's Connect account
+   * @param {Object} payout - Payout document
+   */
+  async reverseTransfer(payout) {
+    if (!payout.stripeTransferId || payout.stripeTransferReversalId) return;
+
+    const reversal = await stripeService.reverseTransfer(
+      payout.stripeTransferId,
+      `payout_reversal:${payout._id}`,
+    );
+    payout.stripeTransferReversalId = reversal.id;
+    await payout.save();
+  }
+
+  /**
+   * A driver's payouts, newest first
+   * @param {string} driverId - Driver ID
+   * @param {Object} options - { page, limit, status }
+   * @returns {Promise<Object>} { payouts, total }
+   */
+  async getDriverPayouts(driverId, { page = 1, limit = 20, status } = {}) {
+    const query = { driver: driverId };
+    if (status) query.status = status;
+
+    const [payouts, total] = await Promise.all([
+      Payout.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Payout.countDocuments(query),
+    ]);
+
+    return { payouts, total };
+  }
+
+  /**
+   * Push the driver's balances and the payout's new status
+   * @param {string} driverId - Driver ID
+   * @param {Object} payout - Payout document
+   */
+  async notifyDriver(driverId, payout) {
+    try {
+      const driver = await Driver.findById(driverId).select("earnings").lean();
+      if (!driver) return;
+
+      await socketService.notifyDriverEarningsUpdate(driverId.toString(), {
+        availableBalance: driver.earnings?.availableBalance || 0,
+        pendingBalance: driver.earnings?.pendingBalance || 0,
+        payoutInTransit: driver.earnings?.payoutInTransit || 0,
+        totalPaidOut: driver.earnings?.totalPaidOut || 0,
+        currency: driver.earnings?.currency || "gbp",
+        payout: {
+          id: payout._id,
+          amount: payout.amount,
+          status: payout.status,
+          expectedArrivalAt: payout.expectedArrivalAt,
+          failureMessage: payout.failureMessage,
+        },
+      });
+    } catch (error) {
+      console.error("Payout earnings notification failed:", error.message);
+    }
+  }
+}
+
+// Create singleton instance
+const payoutService = new PayoutService();
+
+module.exports = payoutService;
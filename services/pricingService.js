@@ -0,0 +1,280 @@
+const mongoose = require("mongoose");
+const PricingRule = require("../models/PricingRule");
+const ServiceArea = require("../models/ServiceArea");
+const serviceAreaService = require("./serviceAreaService");
+const {
+  PRICED_VEHICLE_TYPES,
+  DEFAULT_PRICING,
+  DEFAULT_CURRENCY,
+} = require("../config/pricingConfig");
+
+const RATE_FIELDS = [
+  "baseFare",
+  "perMileRate",
+  "perMinuteRate",
+  "minimumFare",
+  "taxRate",
+];
+
+// Concurrent creates can pick the same next version; the loser retries
+const MAX_VERSION_ATTEMPTS = 5;
+
+function pricingError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Pricing Service - Versioned fare tables
+ *
+ * The rule in effect for a trip is the active PricingRule for its vehicle type
+ * with the latest effectiveFrom in the past, preferring a rule for the pickup's
+ * service area over the catch-all rule (serviceArea: null).
+ */
+class PricingService {
+  /**
+   * Create version 1 of each vehicle type's rule if no rules exist yet
+   */
+  async ensureDefaultRules() {
+    try {
+      const count = await PricingRule.estimatedDocumentCount();
+      if (count > 0) return;
+
+      const now = new Date();
+      await PricingRule.insertMany(
+        PRICED_VEHICLE_TYPES.map((vehicleType) => ({
+          vehicleType,
+          version: 1,
+          ...DEFAULT_PRICING[vehicleType],
+          currency: DEFAULT_CURRENCY,
+          effectiveFrom: now,
+          status: "active",
+          activatedAt: now,
+          notes: "Initial pricing",
+        })),
+      );
+      console.log("💷 Created default pricing rules");
+    } catch (error) {
+      console.error("Error creating default pricing rules:", error);
+    }
+  }
+
+  /**
+   * Map driver vehicle types ("suv", "hatchback", ...) onto priced ride types
+   * @param {string} vehicleType - Vehicle type
+   * @returns {string} sedan, SUV or electric
+   */
+  normalizeVehicleType(vehicleType) {
+    if (PRICED_VEHICLE_TYPES.includes(vehicleType)) return vehicleType;
+    if (vehicleType && vehicleType.toLowerCase() === "suv") return "SUV";
+    return "sedan";
+  }
+
+  /**
+   * Find the pricing rule in effect for a vehicle type at a location
+   * @param {string} vehicleType - sedan, SUV or electric
+   * @param {Object} point - { lat, lng } pickup (optional)
+   * @param {Date} at - Time the fare applies to
+   * @returns {Promise<Object|null>} Pricing rule or null if none is active
+   */
+  async getRuleInEffect(vehicleType, point = null, at = new Date()) {
+    const area =
+      point && point.lat != null && point.lng != null
+        ? await serviceAreaService.findAreaForPoint(point.lat, point.lng)
+        : null;
+
+    const rules = await PricingRule.find({
+      vehicleType,
+      status: "active",
+      effectiveFrom: { $lte: at },
+      serviceArea: area ? { $in: [area._id, null] } : null,
+    })
+      .sort({ effectiveFrom: -1, version: -1 })
+      .lean();
+
+    if (area) {
+      const areaRule = rules.find(
+        (rule) => rule.serviceArea && rule.serviceArea.toString() === area._id.toString(),
+      );
+      if (areaRule) return areaRule;
+    }
+
+    return rules.find((rule) => !rule.serviceArea) || null;
+  }
+
+  /**
+   * Pricing rule to use for a fare - a specific version, or the one in effect
+   * Falls back to the built-in defaults so fares never fail for lack of a rule
+   * @param {string} vehicleType - sedan, SUV or electric
+   * @param {Object} point - { lat, lng } pickup
+   * @param {string} ruleId - Specific version to use (e.g. the one a ride was booked with)
+   * @returns {Promise<Object>} Rule (with _id/version null for the built-in defaults)
+   */
+  async resolveRule(vehicleType, point = null, ruleId = null) {
+    const type = this.normalizeVehicleType(vehicleType);
+
+    if (ruleId && mongoose.Types.ObjectId.isValid(ruleId)) {
+      const rule = await PricingRule.findById(ruleId).lean();
+      if (rule) return rule;
+    }
+
+    const rule = await this.getRuleInEffect(type, point);
+    if (rule) return rule;
+
+    console.warn(`⚠️ No active pricing rule for ${type}, using built-in defaults`);
+    return {
+      _id: null,
+      version: null,
+      serviceArea: null,
+      vehicleType: type,
+      ...DEFAULT_PRICING[type],
+      currency: DEFAULT_CURRENCY,
+    };
+  }
+
+  /**
+   * Price a trip with a rule
+   * @param {Object} rule - Pricing rule
+   * @param {Object} trip - { distanceMiles, durationMinutes, surgeMultiplier }
+   * @returns {Object} { fareBreakdown, currency, pricing }
+   */
+  priceTrip(rule, { distanceMiles, durationMinutes, surgeMultiplier = 1 }) {
+    const baseFare = rule.baseFare;
+    const distanceFare = distanceMiles * rule.perMileRate;
+    const timeFare = durationMinutes * rule.perMinuteRate;
+
+    const subtotal = (baseFare + distanceFare + timeFare) * surgeMultiplier;
+    const tax = subtotal * rule.taxRate;
+    const total = Math.max(subtotal + tax, rule.minimumFare);
+
+    return {
+      fareBreakdown: {
+        baseFare: Math.round(baseFare * 100) / 100,
+        distanceFare: Math.round(distanceFare * 100) / 100,
+        timeFare: Math.round(timeFare * 100) / 100,
+        surgeMultiplier,
+        subtotal: Math.round(subtotal * 100) / 100,
+        tax: Math.round(tax * 100) / 100,
+        total: Math.round(total * 100) / 100,
+      },
+      currency: rule.currency || DEFAULT_CURRENCY,
+      pricing: {
+        ruleId: rule._id,
+        version: rule.version,
+        serviceArea: rule.serviceArea || null,
+      },
+    };
+  }
+
+  /**
+   * Create a new draft version of a pricing rule
+   * @param {Object} data - Rule fields from the admin request
+   * @param {string} adminId - Admin user creating the rule
+   * @returns {Promise<Object>} Created rule
+   */
+  async createRule(data, adminId) {
+    const vehicleType = data.vehicleType;
+    if (!PRICED_VEHICLE_TYPES.includes(vehicleType)) {
+      throw pricingError(
+        `Invalid vehicle type. Must be ${PRICED_VEHICLE_TYPES.join(", ")}`,
+      );
+    }
+
+    const rates = {};
+    for (const field of RATE_FIELDS) {
+      const value = parseFloat(data[field]);
+      if (isNaN(value) || value < 0) {
+        throw pricingError(`${field} must be a non-negative number`);
+      }
+      rates[field] = value;
+    }
+    if (rates.taxRate > 1) {
+      throw pricingError("taxRate must be a fraction between 0 and 1 (0.2 = 20%)");
+    }
+
+    let serviceArea = null;
+    if (data.serviceArea) {
+      if (!mongoose.Types.ObjectId.isValid(data.serviceArea)) {
+        throw pricingError("Invalid service area ID");
+      }
+      const area = await ServiceArea.findById(data.serviceArea).select("_id");
+      if (!area) {
+        throw pricingError("Service area not found", 404);
+      }
+      serviceArea = area._id;
+    }
+
+    const effectiveFrom = data.effectiveFrom ? new Date(data.effectiveFrom) : new Date();
+    if (isNaN(effectiveFrom.getTime())) {
+      throw pricingError("effectiveFrom must be a valid date");
+    }
+
+    for (let attempt = 1; ; attempt++) {
+      const latest = await PricingRule.findOne({ vehicleType, serviceArea })
+        .sort({ version: -1 })
+        .select("version");
+
+      try {
+        return await PricingRule.create({
+          vehicleType,
+          serviceArea,
+          version: (latest?.version || 0) + 1,
+          ...rates,
+          currency: data.currency || DEFAULT_CURRENCY,
+          effectiveFrom,
+          notes: data.notes,
+          createdBy: adminId,
+        });
+      } catch (error) {
+        // Another admin took this version number in the meantime
+        if (error.code !== 11000) throw error;
+        if (attempt >= MAX_VERSION_ATTEMPTS) {
+          throw pricingError("Pricing rule is being changed by someone else. Please try again", 409);
+        }
+      }
+    }
+  }
+
+  /**
+   * Activate a draft rule
+   * A rule can't take effect in the past: effectiveFrom moves up to now if needed
+   * @param {string} ruleId - Pricing rule ID
+   * @param {string} adminId - Admin user activating the rule
+   * @returns {Promise<Object>} Activated rule
+   */
+  async activateRule(ruleId, adminId) {
+    const rule = await PricingRule.findById(ruleId);
+    if (!rule) {
+      throw pricingError("Pricing rule not found", 404);
+    }
+    if (rule.status !== "draft") {
+      throw pricingError("Only draft pricing rules can be activated", 409);
+    }
+
+    const now = new Date();
+    const activated = await PricingRule.findOneAndUpdate(
+      { _id: ruleId, status: "draft" },
+      {
+        $set: {
+          status: "active",
+          activatedBy: adminId,
+          activatedAt: now,
+          effectiveFrom: rule.effectiveFrom > now ? rule.effectiveFrom : now,
+        },
+      },
+      { new: true },
+    );
+
+    if (!activated) {
+      throw pricingError("Pricing rule was activated by another request", 409);
+    }
+
+    return activated;
+  }
+}
+
+// Create singleton instance
+const pricingService = new PricingService();
+
+module.exports = pricingService;
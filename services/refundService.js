@@ -0,0 +1,281 @@
+const mongoose = require("mongoose");
+const Payment = require("../models/Payment");
+const Ride = require("../models/Ride");
+const AuditService = require("./auditService");
+const stripeService = require("./stripeService");
+const ledgerService = require("./ledgerService");
+const earningsHoldService = require("./earningsHoldService");
+const { REFUND_REASONS, LEGACY_REFUND_REASONS } = require("../config/refundConfig");
+
+function refundError(message, statusCode = 400, code = null) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (code) error.code = code;
+  return error;
+}
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Refund Service - Partial and repeated refunds of a payment
+ *
+ * A payment can be refunded in several steps until the refunds add up to the
+ * amount charged. Card payments go back through Stripe; wallet-paid rides go
+ * back to the rider's wallet. The amount is reserved on the Payment before
+ * any money moves, so concurrent refunds can't exceed it, and every attempt
+ * (including failures) is written to the audit log. A card refund Stripe
+ * refuses is released again; one whose outcome is unknown stays pending and
+ * reserved. Stripe gets the key refund:<refundId>, so it never applies
+ * the same refund twice.
+ */
+class RefundService {
+  /**
+   * Refund part or all of a payment
+   * @param {string} paymentId - Payment ID
+   * @param {Object} input - { amount (defaults to everything left), reason (or a
+   *   legacy Stripe reason), note }
+   * @param {Object} context - { userId, ipAddress, userAgent } of the admin
+   * @returns {Promise<Object>} { refund, payment }
+   */
+  async refundPayment(paymentId, input = {}, context = {}) {
+    const reason = LEGACY_REFUND_REASONS[input.reason] || input.reason || "other";
+    if (!REFUND_REASONS[reason]) {
+      throw refundError(
+        `Refund reason must be one of: ${Object.keys(REFUND_REASONS).join(", ")}`,
+        400,
+        "INVALID_REFUND_REASON",
+      );
+    }
+
+    const payment = await Payment.findById(paymentId);
+    if (!payment) {
+      throw refundError("Payment not found", 404);
+    }
+    if (!payment.canBeRefunded()) {
+      throw refundError("This payment cannot be refunded");
+    }
+
+    const alreadyRefunded = payment.refundedAmount || 0;
+    const refundable = roundMoney(payment.amount - alreadyRefunded);
+    const amount =
+      input.amount !== undefined && input.amount !== null && input.amount !== ""
+        ? roundMoney(Number(input.amount))
+        : refundable;
+    if (!(amount > 0)) {
+      throw refundError("Refund amount must be greater than 0");
+    }
+    if (amount > refundable) {
+      throw refundError(
+        `Refund amount cannot exceed the £${refundable.toFixed(2)} left to refund`,
+        400,
+        "REFUND_EXCEEDS_PAYMENT",
+      );
+    }
+
+    const destination = payment.paymentMethod === "wallet" ? "wallet" : "card";
+    const refundId = new mongoose.Types.ObjectId();
+    const audit = {
+      refundId,
+      rideId: payment.ride,
+      amount,
+      reason,
+      note: input.note,
+      destination,
+    };
+
+    // Reserve the amount; fails if another refund used it up meanwhile
+    const maxBefore = roundMoney(payment.amount - amount);
+    const reserved = await Payment.findOneAndUpdate(
+      {
+        _id: payment._id,
+        $or: [
+          { refundedAmount: { $lte: maxBefore } },
+          { refundedAmount: { $exists: false } },
+        ],
+      },
+      {
+        $inc: { refundedAmount: amount },
+        $push: {
+          refunds: {
+            _id: refundId,
+            amount,
+            reason,
+            note: input.note,
+            destination,
+            refundedBy: context.userId,
+          },
+        },
+      },
+      { new: true },
+    );
+    if (!reserved) {
+      throw refundError(
+        "The payment was refunded in the meantime - check what's left and retry",
+        409,
+        "REFUND_EXCEEDS_PAYMENT",
+      );
+    }
+
+    let stripeRefund = null;
+    try {
+      if (destination === "card") {
+        stripeRefund = await stripeService.createRefund(
+          payment.stripePaymentIntentId,
+          amount,
+          REFUND_REASONS[reason].stripeReason,
+          `refund:${refundId}`,
+        );
+      } else {
+        await ledgerService.recordRefund(payment.rider, amount, {
+          to: "wallet",
+          ride: payment.ride,
+          payment: payment._id,
+          reference: `refund:${refundId}`,
+          description: `Refund for ride ${payment.ride}`,
+        });
+      }
+    } catch (error) {
+      // Timed out or failed on Stripe's side: the card may have been
+      // refunded, so the amount stays reserved and the refund pending
+      // until someone checks Stripe
+      if (destination === "card" && !stripeService.wasRejected(error)) {
+        await Payment.updateOne(
+          { _id: payment._id, "refunds._id": refundId },
+          { $set: { "refunds.$.failureReason": error.message } },
+        );
+        await this.audit(context, payment, audit, { success: false, errorMessage: error.message });
+        throw refundError(
+          `Stripe didn't confirm refund ${refundId} - it stays pending until checked in Stripe`,
+          502,
+          "REFUND_UNCONFIRMED",
+        );
+      }
+
+      await Payment.updateOne(
+        { _id: payment._id, "refunds._id": refundId },
+        {
+          $inc: { refundedAmount: -amount },
+          $set: { "refunds.$.status": "failed", "refunds.$.failureReason": error.message },
+        },
+      );
+      await this.audit(context, payment, audit, { success: false, errorMessage: error.message });
+      throw refundError(error.message, destination === "card" ? 502 : 500, "REFUND_FAILED");
+    }
+
+    if (destination === "card") {
+      // Back to the card: out of the wallet for top-ups, out of platform
+      // revenue for ride payments. Stripe has already refunded, so a ledger
+      // failure mustn't undo the refund record
+      try {
+        await ledgerService.recordRefund(payment.rider, amount, {
+          to: "card",
+          fromWallet: !payment.ride,
+          ride: payment.ride,
+          payment: payment._id,
+          reference: `refund:${refundId}`,
+          description: `Refund for payment ${payment._id}`,
+        });
+      } catch (ledgerError) {
+        console.error(`Refund ${refundId} succeeded but wasn't posted to the ledger:`, ledgerError);
+      }
+    }
+
+    const fullyRefunded = reserved.refundedAmount >= roundMoney(payment.amount);
+    const updated = await Payment.findOneAndUpdate(
+      { _id: payment._id, "refunds._id": refundId },
+      {
+        $set: {
+          "refunds.$.status": "succeeded",
+          "refunds.$.stripeRefundId": stripeRefund?.id,
+          ...(fullyRefunded && { status: "refunded" }),
+        },
+      },
+      { new: true },
+    );
+
+    if (payment.ride) {
+      await Ride.updateOne({ _id: payment.ride }, { $inc: { refundAmount: amount } });
+
+      // Take the driver's share back if their earnings haven't matured yet
+      try {
+        await earningsHoldService.reverseRideEarnings(payment.ride, amount, {
+          reason: `rider refund (${reason})`,
+          reference: refundId.toString(),
+          createdBy: context.userId,
+        });
+      } catch (holdError) {
+        console.error(`Failed to reverse held earnings for ride ${payment.ride}:`, holdError);
+      }
+    }
+
+    await this.audit(context, payment, { ...audit, stripeRefundId: stripeRefund?.id }, {
+      oldValues: { refundedAmount: alreadyRefunded, status: payment.status },
+      newValues: { refundedAmount: updated.refundedAmount, status: updated.status },
+    });
+
+    return { refund: updated.refunds.id(refundId), payment: updated };
+  }
+
+  /**
+   * Refund history for a ride's payment
+   * @param {string} rideId - Ride ID
+   * @returns {Promise<Object|null>} { ride, payment, refunds } or null if the ride doesn't exist
+   */
+  async getRideRefunds(rideId) {
+    const ride = await Ride.findById(rideId).select(
+      "status fare paymentMethod refundAmount cancellationFee",
+    );
+    if (!ride) return null;
+
+    const payment = await Payment.findOne({ ride: ride._id })
+      .populate("refunds.refundedBy", "fullName email")
+      .lean();
+
+    const refunds = (payment?.refunds || [])
+      .map((refund) => ({
+        ...refund,
+        reasonLabel: REFUND_REASONS[refund.reason]?.label,
+      }))
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+    return {
+      ride,
+      payment: payment
+        ? {
+            id: payment._id,
+            amount: payment.amount,
+            paymentMethod: payment.paymentMethod,
+            status: payment.status,
+            refundedAmount: payment.refundedAmount || 0,
+            refundable: payment.status === "paid"
+              ? roundMoney(payment.amount - (payment.refundedAmount || 0))
+              : 0,
+            // Single refund recorded before refunds[] existed
+            legacyRefund: payment.refundDetails?.refundedAmount ? payment.refundDetails : undefined,
+          }
+        : null,
+      refunds,
+    };
+  }
+
+  /**
+   * Write a refund attempt to the audit log
+   */
+  async audit(context, payment, details, extra = {}) {
+    await AuditService.logAction({
+      userId: context.userId,
+      action: "PROCESS_REFUND",
+      resource: "payment",
+      resourceId: payment._id,
+      details,
+      ipAddress: context.ipAddress || "unknown",
+      userAgent: context.userAgent,
+      ...extra,
+    });
+  }
+}
+
+// Create singleton instance
+const refundService = new RefundService();
+
+module.exports = refundService;
@@ -0,0 +1,401 @@
+const Payment = require("../models/Payment");
+const PaymentMethod = require("../models/PaymentMethod");
+const Rider = require("../models/Rider");
+const stripeService = require("./stripeService");
+const ledgerService = require("./ledgerService");
+const { CARD_HOLD_CONFIG } = require("../config/ledgerConfig");
+
+function ridePaymentError(message, statusCode = 400, code = null) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (code) error.code = code;
+  return error;
+}
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Ride Payment Service - Card-paid rides
+ *
+ * Booking places a manual-capture hold on the rider's default saved card for
+ * the estimated fare plus a buffer. Completion captures the final fare from
+ * that hold (the rest is released); cancellation releases it or captures the
+ * cancellation fee. If the hold is missing, expired or too small, the final
+ * fare is charged to the card off-session instead.
+ *
+ * Each ride has one card Payment whose status follows the hold:
+ * authorized -> capturing -> paid | canceled | failed. Completion claims the
+ * hold ("capturing") before calling Stripe, so two completions can't both
+ * take the money, and captures and charges carry a Stripe idempotency key per
+ * ride so a retry after a timeout returns the first result.
+ */
+class RidePaymentService {
+  /**
+   * Hold to place for an estimated fare
+   * @param {number} estimatedFare - Estimated fare in pounds
+   * @returns {number} Hold amount in pounds
+   */
+  getHoldAmount(estimatedFare) {
+    const buffer = Math.max(
+      (estimatedFare * CARD_HOLD_CONFIG.bufferPercent) / 100,
+      CARD_HOLD_CONFIG.minBuffer,
+    );
+    return roundMoney(estimatedFare + buffer);
+  }
+
+  /**
+   * Rider's Stripe customer and default saved card
+   * @param {string} userId - Rider user ID
+   * @returns {Promise<Object>} { customerId, paymentMethodId } (null values if missing)
+   */
+  async getDefaultCard(userId) {
+    const rider = await Rider.findOne({ user: userId });
+    if (!rider || !rider.stripeCustomerId) {
+      return { customerId: null, paymentMethodId: null };
+    }
+
+    const method = await PaymentMethod.findOne({
+      rider: rider._id,
+      type: "card",
+      status: "active",
+      stripePaymentMethodId: { $exists: true, $ne: null },
+    }).sort({ isDefault: -1, createdAt: -1 });
+
+    return {
+      customerId: rider.stripeCustomerId,
+      paymentMethodId: method ? method.stripePaymentMethodId : null,
+    };
+  }
+
+  /**
+   * Hold the estimated fare on the rider's card before the ride is dispatched
+   * @param {Object} ride - Ride data (must include _id, rider, estimatedFare)
+   * @returns {Promise<Object|null>} Authorized Payment, or null when there's no
+   *   estimate to hold (the fare is then charged at completion)
+   */
+  async authorizeRide(ride) {
+    const { customerId, paymentMethodId } = await this.getDefaultCard(ride.rider);
+    if (!customerId || !paymentMethodId) {
+      throw ridePaymentError(
+        "Add a card before booking a card-paid ride",
+        400,
+        "CARD_REQUIRED",
+      );
+    }
+
+    if (!ride.estimatedFare) return null;
+
+    const amount = this.getHoldAmount(ride.estimatedFare);
+    const metadata = {
+      userId: ride.rider.toString(),
+      rideId: ride._id.toString(),
+      purpose: "ride_payment",
+    };
+
+    let paymentIntent;
+    try {
+      paymentIntent = await stripeService.authorizePayment({
+        amount,
+        customerId,
+        paymentMethodId,
+        description: `Card hold for ride ${ride._id}`,
+        metadata,
+      });
+    } catch (error) {
+      throw ridePaymentError(
+        "Your card could not be authorized. Please use another card or payment method.",
+        402,
+        "CARD_AUTHORIZATION_FAILED",
+      );
+    }
+
+    if (paymentIntent.status !== "requires_capture") {
+      // e.g. the card needs 3-D Secure, which can't happen off-session
+      await stripeService.cancelPaymentIntent(paymentIntent.id).catch(() => {});
+      throw ridePaymentError(
+        "Your card could not be authorized. Please use another card or payment method.",
+        402,
+        "CARD_AUTHORIZATION_FAILED",
+      );
+    }
+
+    return Payment.create({
+      ride: ride._id,
+      rider: ride.rider,
+      amount,
+      status: "authorized",
+      paymentMethod: "card",
+      stripePaymentIntentId: paymentIntent.id,
+      stripeCustomerId: customerId,
+      stripePaymentMethodId: paymentMethodId,
+      description: `Payment for ride ${ride._id}`,
+      metadata,
+    });
+  }
+
+  /**
+   * Take the final fare for a completed card ride
+   * Throws PAYMENT_IN_PROGRESS (409) when another completion is taking the
+   * payment and PAYMENT_UNCONFIRMED (502) when Stripe's answer is unknown -
+   * the completion should be retried rather than treated as unpaid.
+   * @param {Object} ride - Completed ride
+   * @param {number} fare - Final fare in pounds
+   * @returns {Promise<Object>} { paid, payment }
+   */
+  async captureRideFare(ride, fare) {
+    // Claim the hold so a concurrent completion can't capture or release it
+    await Payment.updateOne(
+      { ride: ride._id, paymentMethod: "card", status: "authorized" },
+      { $set: { status: "capturing" } },
+    );
+
+    const payment = await Payment.findOne({ ride: ride._id, paymentMethod: "card" });
+
+    // Already charged by an earlier attempt to complete the ride
+    if (payment && payment.status === "paid") return { paid: true, payment };
+
+    if (payment && payment.status === "capturing") {
+      const captured = await this.captureHold(ride, fare, payment);
+      if (captured) return { paid: true, payment: captured };
+    }
+
+    return this.chargeCard(ride, fare, payment);
+  }
+
+  /**
+   * Capture the final fare from a claimed hold
+   * @returns {Promise<Object|null>} The paid Payment, or null once the hold is
+   *   known to be released (the fare is then charged to the card instead)
+   */
+  async captureHold(ride, fare, hold) {
+    if (fare <= hold.amount) {
+      try {
+        const paymentIntent = await stripeService.capturePaymentIntent(
+          hold.stripePaymentIntentId,
+          fare,
+          `ride_capture:${ride._id}`,
+        );
+        return this.markHoldPaid(hold, paymentIntent);
+      } catch (error) {
+        // Check what actually happened before taking the money another way
+        console.error(`Capture failed for ride ${ride._id}:`, error.message);
+      }
+    }
+
+    let paymentIntent;
+    try {
+      paymentIntent = await stripeService.getPaymentIntent(hold.stripePaymentIntentId);
+    } catch (error) {
+      throw ridePaymentError(
+        "Could not confirm the card payment - please retry",
+        502,
+        "PAYMENT_UNCONFIRMED",
+      );
+    }
+
+    // Captured after all (a timeout, or another completion got there first)
+    if (paymentIntent.status === "succeeded") {
+      return this.markHoldPaid(hold, paymentIntent);
+    }
+
+    // Still held: only released when the fare doesn't fit in it; otherwise
+    // the capture is in flight elsewhere or can be retried
+    if (paymentIntent.status === "requires_capture") {
+      if (fare <= hold.amount) {
+        throw ridePaymentError(
+          "The card payment for this ride is still being taken - please retry",
+          409,
+          "PAYMENT_IN_PROGRESS",
+        );
+      }
+      try {
+        await stripeService.cancelPaymentIntent(hold.stripePaymentIntentId);
+      } catch (error) {
+        throw ridePaymentError(
+          "Could not release the card hold - please retry",
+          502,
+          "PAYMENT_UNCONFIRMED",
+        );
+      }
+    } else if (paymentIntent.status !== "canceled") {
+      throw ridePaymentError(
+        "The card payment for this ride is still being taken - please retry",
+        409,
+        "PAYMENT_IN_PROGRESS",
+      );
+    }
+
+    // Usually an expired authorization - the hold is gone
+    await Payment.updateOne(
+      { _id: hold._id, status: "capturing" },
+      { $set: { status: "canceled" } },
+    );
+    hold.status = "canceled";
+    return null;
+  }
+
+  /**
+   * Record a captured hold as paid
+   */
+  async markHoldPaid(hold, paymentIntent) {
+    const amount = paymentIntent.amount_received
+      ? paymentIntent.amount_received / 100
+      : hold.amount;
+
+    const updated = await Payment.findOneAndUpdate(
+      { _id: hold._id, status: { $in: ["capturing", "canceled"] } },
+      {
+        $set: {
+          status: "paid",
+          amount,
+          stripeChargeId: paymentIntent.latest_charge,
+        },
+      },
+      { new: true },
+    );
+    // Otherwise another completion recorded it first
+    return updated || Payment.findById(hold._id);
+  }
+
+  /**
+   * Charge the rider's default card off-session, reusing the ride's Payment
+   */
+  async chargeCard(ride, fare, payment = null) {
+    const riderId = ride.rider._id || ride.rider;
+    const { customerId, paymentMethodId } = await this.getDefaultCard(riderId);
+
+    if (!payment) {
+      payment = new Payment({
+        ride: ride._id,
+        rider: riderId,
+        paymentMethod: "card",
+        description: `Payment for ride ${ride._id}`,
+      });
+    }
+    payment.amount = fare;
+
+    if (!customerId || !paymentMethodId) {
+      payment.status = "failed";
+      payment.failureReason = "No saved card to charge";
+      await payment.save();
+      return { paid: false, payment };
+    }
+
+    try {
+      // One charge per ride: a retried completion gets the first result back
+      const paymentIntent = await stripeService.createCharge({
+        amount: fare,
+        customerId,
+        paymentMethodId,
+        description: `Payment for ride ${ride._id}`,
+        metadata: {
+          userId: riderId.toString(),
+          rideId: ride._id.toString(),
+          purpose: "ride_payment",
+        },
+        idempotencyKey: `ride_charge:${ride._id}`,
+      });
+
+      payment.stripePaymentIntentId = paymentIntent.id;
+      payment.stripeCustomerId = customerId;
+      payment.stripePaymentMethodId = paymentMethodId;
+
+      if (paymentIntent.status === "succeeded") {
+        payment.status = "paid";
+        payment.stripeChargeId = paymentIntent.latest_charge;
+        await payment.save();
+        return { paid: true, payment };
+      }
+
+      payment.status = "failed";
+      payment.failureReason = `Card charge ${paymentIntent.status}`;
+    } catch (error) {
+      // A timeout may still have charged the card - retry with the same key
+      if (!stripeService.wasRejected(error)) {
+        throw ridePaymentError(
+          "Could not confirm the card payment - please retry",
+          502,
+          "PAYMENT_UNCONFIRMED",
+        );
+      }
+      payment.status = "failed";
+      payment.failureReason = error.message;
+    }
+
+    await payment.save();
+    return { paid: false, payment };
+  }
+
+  /**
+   * Release a cancelled ride's card hold, capturing the cancellation fee if any
+   * @param {Object} ride - Cancelled ride
+   * @param {number} cancellationFee - Fee in pounds (0 releases the whole hold)
+   * @returns {Promise<Object>} { feeCharged, payment }
+   */
+  async releaseRideHold(ride, cancellationFee = 0) {
+    const hold = await Payment.findOne({
+      ride: ride._id,
+      paymentMethod: "card",
+      status: "authorized",
+    });
+    if (!hold) return { feeCharged: 0, payment: null };
+
+    if (cancellationFee > 0 && cancellationFee <= hold.amount) {
+      let paymentIntent = null;
+      try {
+        paymentIntent = await stripeService.capturePaymentIntent(
+          hold.stripePaymentIntentId,
+          cancellationFee,
+        );
+      } catch (error) {
+        console.error(
+          `Cancellation fee capture failed for ride ${ride._id}:`,
+          error.message,
+        );
+      }
+
+      if (paymentIntent) {
+        hold.status = "paid";
+        hold.amount = cancellationFee;
+        hold.stripeChargeId = paymentIntent.latest_charge;
+        hold.description = `Cancellation fee for ride ${ride._id}`;
+        await hold.save();
+
+        await ledgerService.recordCancellationFee(ride, cancellationFee, {
+          payment: hold._id,
+        });
+        return { feeCharged: cancellationFee, payment: hold };
+      }
+    }
+
+    await this.cancelHold(hold);
+    return { feeCharged: 0, payment: hold };
+  }
+
+  /**
+   * Release an authorization without taking any money
+   * @param {Object} payment - Authorized Payment
+   */
+  async cancelHold(payment) {
+    try {
+      await stripeService.cancelPaymentIntent(payment.stripePaymentIntentId);
+    } catch (error) {
+      // Already expired or captured elsewhere - nothing left to release
+      console.error(
+        `Failed to release card hold ${payment.stripePaymentIntentId}:`,
+        error.message,
+      );
+    }
+    // Never overwrite a payment another request has meanwhile captured
+    await Payment.updateOne(
+      { _id: payment._id, status: "authorized" },
+      { $set: { status: "canceled" } },
+    );
+    payment.status = "canceled";
+  }
+}
+
+// Create singleton instance
+const ridePaymentService = new RidePaymentService();
+
+module.exports = ridePaymentService;
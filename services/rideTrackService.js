@@ -0,0 +1,303 @@
+const Ride = require("../models/Ride");
+const RideTrack = require("../models/RideTrack");
+const routingService = require("./routingService");
+const { encodePolyline } = require("../utils/polyline");
+const { calculateDistance } = require("../utils/geo");
+
+// Trail filtering thresholds (see .env.example)
+const TRACKING_CONFIG = {
+  maxSpeedKmh: parseFloat(process.env.TRACKING_MAX_SPEED_KMH) || 160, // Faster jumps are GPS glitches
+  minStepMeters: parseFloat(process.env.TRACKING_MIN_STEP_METERS) || 15, // Smaller moves are jitter
+  maxClockSkewSeconds: 30, // Device timestamps further in the future are clamped to now
+  playbackToleranceMeters: 10, // Downsampling tolerance for admin polylines
+};
+
+const KM_PER_MILE = 1.60934;
+
+/**
+ * Ride Track Service - GPS trail of in-progress rides
+ *
+ * Every driver location update during an in_progress ride is stored as a
+ * RideTrack sample. On completion the trail is filtered (impossible jumps and
+ * stationary jitter removed) and measured, and that distance and duration
+ * price the trip instead of anything the driver app reports.
+ */
+class RideTrackService {
+  /**
+   * Store a location sample if the driver has a ride in progress
+   * @param {string} driverId - Driver ID
+   * @param {Object} sample - { latitude, longitude, speed, heading, timestamp }
+   * @param {Object} ride - The driver's active ride if the caller already loaded it
+   * @returns {Promise<Object|null>} Stored sample, or null when no ride is in progress
+   */
+  async recordSample(driverId, sample, ride = null) {
+    const activeRide =
+      ride && ride.status === "in_progress"
+        ? ride
+        : await Ride.findOne({ driver: driverId, status: "in_progress" }).select(
+            "_id startTime",
+          );
+    if (!activeRide) return null;
+
+    const now = Date.now();
+    let recordedAt = sample.timestamp ? new Date(sample.timestamp) : new Date(now);
+    if (
+      isNaN(recordedAt.getTime()) ||
+      recordedAt.getTime() > now + TRACKING_CONFIG.maxClockSkewSeconds * 1000
+    ) {
+      recordedAt = new Date(now);
+    }
+
+    // Samples buffered from before the trip started don't belong to it
+    if (activeRide.startTime && recordedAt < activeRide.startTime) return null;
+
+    return RideTrack.create({
+      ride: activeRide._id,
+      driver: driverId,
+      latitude: parseFloat(sample.latitude),
+      longitude: parseFloat(sample.longitude),
+      speed: sample.speed != null ? parseFloat(sample.speed) : undefined,
+      heading: sample.heading != null ? parseFloat(sample.heading) : undefined,
+      recordedAt,
+    });
+  }
+
+  /**
+   * Raw samples of a ride in time order
+   * @param {string} rideId - Ride ID
+   * @returns {Promise<Array>}
+   */
+  async getSamples(rideId) {
+    return RideTrack.find({ ride: rideId })
+      .sort({ recordedAt: 1 })
+      .select("latitude longitude speed heading recordedAt")
+      .lean();
+  }
+
+  /**
+   * Drop samples that can't be real movement
+   * - out-of-order or duplicate timestamps
+   * - jumps faster than maxSpeedKmh from the last kept point
+   * - steps shorter than minStepMeters (kept point stays the anchor, so slow
+   *   movement still adds up once it clears the threshold)
+   * @param {Array} samples - Samples sorted by recordedAt
+   * @returns {Object} { points, distanceKm }
+   */
+  filterTrail(samples) {
+    const points = [];
+    let distanceKm = 0;
+
+    for (const sample of samples) {
+      const last = points[points.length - 1];
+      if (!last) {
+        points.push(sample);
+        continue;
+      }
+
+      const seconds = (new Date(sample.recordedAt) - new Date(last.recordedAt)) / 1000;
+      if (seconds <= 0) continue;
+
+      const stepKm = calculateDistance(
+        last.latitude,
+        last.longitude,
+        sample.latitude,
+        sample.longitude,
+      );
+      if (stepKm * 1000 < TRACKING_CONFIG.minStepMeters) continue;
+      if ((stepKm / seconds) * 3600 > TRACKING_CONFIG.maxSpeedKmh) continue;
+
+      points.push(sample);
+      distanceKm += stepKm;
+    }
+
+    return { points, distanceKm };
+  }
+
+  /**
+   * Actual distance and duration of a ride from its GPS trail
+   * Falls back to the routed pickup-to-dropoff distance when the trail is
+   * missing or shorter than the straight line (e.g. the app was backgrounded)
+   * @param {Object} ride - Ride document (pickup, dropoff, startTime)
+   * @param {Date} endedAt - Completion time
+   * @returns {Promise<Object>} { distanceKm, distanceMiles, durationMinutes, source, sampleCount, trail }
+   */
+  async measureTrip(ride, endedAt = new Date()) {
+    const samples = await this.getSamples(ride._id);
+    const { points, distanceKm: trailKm } = this.filterTrail(samples);
+
+    const straightLineKm = calculateDistance(
+      ride.pickup.lat,
+      ride.pickup.lng,
+      ride.dropoff.lat,
+      ride.dropoff.lng,
+    );
+
+    let distanceKm = trailKm;
+    let source = "gps";
+    if (points.length < 2 || trailKm < straightLineKm) {
+      const route = await routingService.getRoute(ride.pickup, ride.dropoff);
+      distanceKm = route.distanceKm;
+      source = "route";
+    }
+
+    const startedAt = ride.startTime || points[0]?.recordedAt;
+    const durationMinutes = startedAt
+      ? Math.max(Math.round((endedAt - new Date(startedAt)) / 60000), 1)
+      : ride.estimatedDuration || 1;
+
+    return {
+      distanceKm: Math.round(distanceKm * 100) / 100,
+      distanceMiles: Math.round((distanceKm / KM_PER_MILE) * 100) / 100,
+      durationMinutes,
+      source,
+      sampleCount: samples.length,
+      trail: points.map((point) => ({
+        lat: point.latitude,
+        lng: point.longitude,
+        recordedAt: point.recordedAt,
+      })),
+    };
+  }
+
+  /**
+   * Downsample a trail with Ramer-Douglas-Peucker, keeping points that bend
+   * the line by more than the tolerance
+   * @param {Array} points - [{ lat, lng, ... }] in time order
+   * @param {number} toleranceMeters - Maximum deviation of dropped points
+   * @returns {Array} Subset of points (first and last always kept)
+   */
+  simplifyTrail(points, toleranceMeters = TRACKING_CONFIG.playbackToleranceMeters) {
+    if (points.length <= 2) return points;
+
+    // Local equirectangular projection in meters is plenty accurate at city scale
+    const refLat = (points[0].lat * Math.PI) / 180;
+    const xy = points.map((point) => ({
+      x: ((point.lng * Math.PI) / 180) * Math.cos(refLat) * 6371000,
+      y: ((point.lat * Math.PI) / 180) * 6371000,
+    }));
+
+    const keep = new Array(points.length).fill(false);
+    keep[0] = true;
+    keep[points.length - 1] = true;
+
+    // Iterative to avoid deep recursion on long trips
+    const stack = [[0, points.length - 1]];
+    while (stack.length > 0) {
+      const [first, last] = stack.pop();
+      let maxDistance = 0;
+      let maxIndex = -1;
+
+      for (let i = first + 1; i < last; i++) {
+        const distance = perpendicularDistance(xy[i], xy[first], xy[last]);
+        if (distance > maxDistance) {
+          maxDistance = distance;
+          maxIndex = i;
+        }
+      }
+
+      if (maxIndex !== -1 && maxDistance > toleranceMeters) {
+        keep[maxIndex] = true;
+        stack.push([first, maxIndex], [maxIndex, last]);
+      }
+    }
+
+    return points.filter((_, index) => keep[index]);
+  }
+
+  /**
+   * Filtered trail of a ride for route playback
+   * Completed rides use the trail stored on the ride; rides still in progress
+   * are read from the live samples
+   * @param {Object} ride - Ride document (selected with +trail)
+   * @returns {Promise<Object>} { points, distanceKm, sampleCount }
+   */
+  async getTrail(ride) {
+    if (ride.trail && ride.trail.length > 0) {
+      let distanceKm = 0;
+      for (let i = 1; i < ride.trail.length; i++) {
+        const from = ride.trail[i - 1];
+        const to = ride.trail[i];
+        distanceKm += calculateDistance(from.lat, from.lng, to.lat, to.lng);
+      }
+      return {
+        points: ride.trail.map((point) => ({
+          lat: point.lat,
+          lng: point.lng,
+          recordedAt: point.recordedAt,
+        })),
+        distanceKm: Math.round(distanceKm * 100) / 100,
+        sampleCount: ride.trail.length,
+      };
+    }
+
+    const samples = await this.getSamples(ride._id);
+    const { points, distanceKm } = this.filterTrail(samples);
+
+    return {
+      points: points.map((point) => ({
+        lat: point.latitude,
+        lng: point.longitude,
+        speed: point.speed,
+        heading: point.heading,
+        recordedAt: point.recordedAt,
+      })),
+      distanceKm: Math.round(distanceKm * 100) / 100,
+      sampleCount: samples.length,
+    };
+  }
+
+  /**
+   * Downsampled, encoded trail for the admin ride view
+   * @param {Object} ride - Ride document (selected with +trail)
+   * @returns {Promise<Object>} { polyline, pointCount, sampleCount, distanceKm, startedAt, endedAt }
+   */
+  async getPlaybackPolyline(ride) {
+    const { points, distanceKm, sampleCount } = await this.getTrail(ride);
+    const simplified = this.simplifyTrail(points);
+
+    return {
+      polyline: simplified.length > 0 ? encodePolyline(simplified) : null,
+      pointCount: simplified.length,
+      sampleCount,
+      distanceKm,
+      startedAt: points[0]?.recordedAt || null,
+      endedAt: points[points.length - 1]?.recordedAt || null,
+    };
+  }
+
+  /**
+   * When the ride entered each status
+   * Rides created before statusHistory existed fall back to their timestamps
+   * @param {Object} ride - Ride document
+   * @returns {Array} [{ status, at }] oldest first
+   */
+  getStatusTimeline(ride) {
+    if (ride.statusHistory && ride.statusHistory.length > 0) {
+      return ride.statusHistory.map((entry) => ({
+        status: entry.status,
+        at: entry.at,
+      }));
+    }
+
+    const timeline = [{ status: "pending", at: ride.createdAt }];
+    if (ride.startTime) timeline.push({ status: "in_progress", at: ride.startTime });
+    if (ride.endTime) timeline.push({ status: "completed", at: ride.endTime });
+    return timeline;
+  }
+}
+
+// Distance from point p to the segment a-b (projected meters)
+function perpendicularDistance(p, a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSquared = dx * dx + dy * dy;
+  if (lengthSquared === 0) return Math.hypot(p.x - a.x, p.y - a.y);
+
+  const t = Math.min(Math.max(((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSquared, 0), 1);
+  return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+}
+
+// Create singleton instance
+const rideTrackService = new RideTrackService();
+
+module.exports = rideTrackService;
@@ -0,0 +1,287 @@
+const axios = require("axios");
+const { calculateDistance } = require("../utils/geo");
+const { ROUTING_CONFIG } = require("../config/routingConfig");
+
+/**
+ * Deterministic estimate without a routing server (also used in tests)
+ */
+class LocalRoutingProvider {
+  constructor() {
+    this.name = "local";
+  }
+
+  async route(from, to) {
+    const distanceKm =
+      calculateDistance(from.lat, from.lng, to.lat, to.lng) *
+      ROUTING_CONFIG.localDetourFactor;
+
+    return {
+      distanceKm,
+      durationMinutes: (distanceKm / ROUTING_CONFIG.localAverageSpeedKmh) * 60,
+    };
+  }
+
+  async routesTo(origins, destination) {
+    return Promise.all(origins.map((origin) => this.route(origin, destination)));
+  }
+}
+
+/**
+ * OSRM HTTP API (/route and /table services)
+ */
+class OsrmRoutingProvider {
+  constructor(baseUrl) {
+    this.name = "osrm";
+    this.baseUrl = baseUrl;
+  }
+
+  async route(from, to) {
+    const coordinates = `${from.lng},${from.lat};${to.lng},${to.lat}`;
+    const { data } = await axios.get(
+      `${this.baseUrl}/route/v1/driving/${coordinates}`,
+      { params: { overview: "false" }, timeout: ROUTING_CONFIG.timeoutMs },
+    );
+
+    if (data.code !== "Ok" || !data.routes?.length) {
+      throw new Error(`OSRM route failed: ${data.code}`);
+    }
+
+    return {
+      distanceKm: data.routes[0].distance / 1000,
+      durationMinutes: data.routes[0].duration / 60,
+    };
+  }
+
+  async routesTo(origins, destination) {
+    const points = [...origins, destination];
+    const coordinates = points.map((p) => `${p.lng},${p.lat}`).join(";");
+    const { data } = await axios.get(
+      `${this.baseUrl}/table/v1/driving/${coordinates}`,
+      {
+        params: {
+          sources: origins.map((_, index) => index).join(";"),
+          destinations: String(origins.length),
+          annotations: "duration,distance",
+        },
+        timeout: ROUTING_CONFIG.timeoutMs,
+      },
+    );
+
+    if (data.code !== "Ok") {
+      throw new Error(`OSRM table failed: ${data.code}`);
+    }
+
+    return origins.map((_, index) => {
+      const duration = data.durations?.[index]?.[0];
+      const distance = data.distances?.[index]?.[0];
+      if (duration == null || distance == null) return null; // Unroutable
+      return { distanceKm: distance / 1000, durationMinutes: duration / 60 };
+    });
+  }
+}
+
+/**
+ * Valhalla HTTP API (/route and /sources_to_targets)
+ */
+class ValhallaRoutingProvider {
+  constructor(baseUrl) {
+    this.name = "valhalla";
+    this.baseUrl = baseUrl;
+  }
+
+  async route(from, to) {
+    const { data } = await axios.post(
+      `${this.baseUrl}/route`,
+      {
+        locations: [
+          { lat: from.lat, lon: from.lng },
+          { lat: to.lat, lon: to.lng },
+        ],
+        costing: "auto",
+        units: "kilometers",
+      },
+      { timeout: ROUTING_CONFIG.timeoutMs },
+    );
+
+    const summary = data.trip?.summary;
+    if (!summary) throw new Error("Valhalla route returned no summary");
+
+    return { distanceKm: summary.length, durationMinutes: summary.time / 60 };
+  }
+
+  async routesTo(origins, destination) {
+    const { data } = await axios.post(
+      `${this.baseUrl}/sources_to_targets`,
+      {
+        sources: origins.map((p) => ({ lat: p.lat, lon: p.lng })),
+        targets: [{ lat: destination.lat, lon: destination.lng }],
+        costing: "auto",
+        units: "kilometers",
+      },
+      { timeout: ROUTING_CONFIG.timeoutMs },
+    );
+
+    return origins.map((_, index) => {
+      const cell = data.sources_to_targets?.[index]?.[0];
+      if (!cell || cell.distance == null || cell.time == null) return null;
+      return { distanceKm: cell.distance, durationMinutes: cell.time / 60 };
+    });
+  }
+}
+
+/**
+ * Routing Service - Road distance and travel time between two points
+ *
+ * Wraps the configured provider with a cache keyed by rounded coordinates and
+ * falls back to the local estimate whenever the provider errors, so fares and
+ * ETAs never fail because a routing server is down. Those fallback estimates
+ * are cached for fallbackCacheSeconds only (see config/routingConfig.js).
+ */
+class RoutingService {
+  constructor() {
+    this.fallback = new LocalRoutingProvider();
+    this.provider = this.createProvider();
+    this.cache = new Map();
+  }
+
+  createProvider() {
+    const { provider, baseUrl } = ROUTING_CONFIG;
+
+    if (provider !== "local" && !baseUrl) {
+      console.warn(
+        `⚠️ ROUTING_PROVIDER=${provider} but ROUTING_BASE_URL is not set, using local estimates`,
+      );
+      return this.fallback;
+    }
+
+    if (provider === "osrm") return new OsrmRoutingProvider(baseUrl);
+    if (provider === "valhalla") return new ValhallaRoutingProvider(baseUrl);
+    return this.fallback;
+  }
+
+  normalizePoint(point) {
+    return { lat: parseFloat(point.lat), lng: parseFloat(point.lng) };
+  }
+
+  cacheKey(from, to) {
+    const precision = ROUTING_CONFIG.coordinatePrecision;
+    return [from.lat, from.lng, to.lat, to.lng]
+      .map((value) => value.toFixed(precision))
+      .join(",");
+  }
+
+  getCached(key) {
+    const entry = this.cache.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.cache.delete(key);
+      return null;
+    }
+    return entry.route;
+  }
+
+  setCached(key, route) {
+    // Maps keep insertion order, so the first key is the oldest entry
+    if (this.cache.size >= ROUTING_CONFIG.cacheMaxEntries) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+
+    // A stand-in for a failed provider: retry the provider soon
+    const seconds =
+      route.provider === this.provider.name
+        ? ROUTING_CONFIG.cacheSeconds
+        : ROUTING_CONFIG.fallbackCacheSeconds;
+    this.cache.set(key, {
+      route,
+      expiresAt: Date.now() + seconds * 1000,
+    });
+  }
+
+  formatRoute(result, providerName) {
+    return {
+      distanceKm: Math.round(result.distanceKm * 100) / 100,
+      durationMinutes: Math.max(Math.round(result.durationMinutes), 0),
+      provider: providerName,
+    };
+  }
+
+  /**
+   * Road distance and duration between two points
+   * @param {Object} from - { lat, lng }
+   * @param {Object} to - { lat, lng }
+   * @returns {Promise<Object>} { distanceKm, durationMinutes, provider }
+   */
+  async getRoute(from, to) {
+    const origin = this.normalizePoint(from);
+    const destination = this.normalizePoint(to);
+    const key = this.cacheKey(origin, destination);
+
+    const cached = this.getCached(key);
+    if (cached) return cached;
+
+    let route;
+    try {
+      route = this.formatRoute(
+        await this.provider.route(origin, destination),
+        this.provider.name,
+      );
+    } catch (error) {
+      console.error(`Routing via ${this.provider.name} failed, using local estimate:`, error.message);
+      route = this.formatRoute(
+        await this.fallback.route(origin, destination),
+        this.fallback.name,
+      );
+    }
+
+    this.setCached(key, route);
+    return route;
+  }
+
+  /**
+   * Routes from many origins to one destination (e.g. drivers to a pickup)
+   * Uncached pairs are fetched in a single matrix request
+   * @param {Array} origins - [{ lat, lng }]
+   * @param {Object} destination - { lat, lng }
+   * @returns {Promise<Array>} Routes in the same order as origins
+   */
+  async getRoutesTo(origins, destination) {
+    const target = this.normalizePoint(destination);
+    const points = origins.map((origin) => this.normalizePoint(origin));
+    const routes = points.map((point) => this.getCached(this.cacheKey(point, target)));
+
+    const missing = points
+      .map((point, index) => ({ point, index }))
+      .filter(({ index }) => !routes[index]);
+    if (missing.length === 0) return routes;
+
+    let results;
+    const providerName = this.provider.name;
+    try {
+      results = await this.provider.routesTo(
+        missing.map(({ point }) => point),
+        target,
+      );
+    } catch (error) {
+      console.error(`Routing matrix via ${this.provider.name} failed, using local estimates:`, error.message);
+      results = [];
+    }
+
+    for (let i = 0; i < missing.length; i++) {
+      const { point, index } = missing[i];
+      const result = results[i]
+        ? this.formatRoute(results[i], providerName)
+        : this.formatRoute(await this.fallback.route(point, target), this.fallback.name);
+
+      this.setCached(this.cacheKey(point, target), result);
+      routes[index] = result;
+    }
+
+    return routes;
+  }
+}
+
+// Create singleton instance
+const routingService = new RoutingService();
+
+module.exports = routingService;
@@ -0,0 +1,352 @@
+const Driver = require("../models/Driver");
+const PayoutRun = require("../models/PayoutRun");
+const payoutService = require("./payoutService");
+const cashSettlementService = require("./cashSettlementService");
+const {
+  PAYOUT_INTERVALS,
+  PAYOUT_SCHEDULE_CONFIG,
+} = require("../config/payoutConfig");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function scheduleError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Scheduled Payout Service - Automatic driver payouts
+ *
+ * Each driver's schedule lives on Driver.payoutSchedule, with nextRunAt
+ * marking when they're due. The job claims due drivers in batches (a lease in
+ * payoutSchedule.lockedUntil keeps other instances away), pays each one out
+ * through payoutService and records every outcome on a PayoutRun so admins
+ * can see what happened.
+ */
+class ScheduledPayoutService {
+  constructor() {
+    this.pollTimer = null;
+    this.isProcessing = false;
+  }
+
+  /**
+   * Start polling for drivers whose payout is due
+   */
+  start() {
+    if (this.pollTimer) return;
+
+    this.pollTimer = setInterval(
+      () => this.processDuePayouts(),
+      PAYOUT_SCHEDULE_CONFIG.pollIntervalMinutes * 60 * 1000,
+    );
+    this.processDuePayouts();
+
+    console.log(
+      `💸 Scheduled payouts started (every ${PAYOUT_SCHEDULE_CONFIG.pollIntervalMinutes} min)`,
+    );
+  }
+
+  /**
+   * Stop polling (for graceful shutdown)
+   */
+  stop() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+  }
+
+  /**
+   * When a schedule next runs after a given time
+   * @param {Object} schedule - { interval, weeklyDay, monthlyDay }
+   * @param {Date} from - Reference time
+   * @returns {Date}
+   */
+  getNextRunAt(schedule, from = new Date()) {
+    const hour = PAYOUT_SCHEDULE_CONFIG.runHourUtc;
+    const year = from.getUTCFullYear();
+    const month = from.getUTCMonth();
+
+    if (schedule.interval === "monthly") {
+      const day = schedule.monthlyDay || 1;
+      let next = new Date(Date.UTC(year, month, day, hour));
+      if (next <= from) next = new Date(Date.UTC(year, month + 1, day, hour));
+      return next;
+    }
+
+    let next = new Date(Date.UTC(year, month, from.getUTCDate(), hour));
+    if (next <= from) next = new Date(next.getTime() + DAY_MS);
+
+    if (schedule.interval === "weekly") {
+      const day = schedule.weeklyDay ?? 1;
+      while (next.getUTCDay() !== day) {
+        next = new Date(next.getTime() + DAY_MS);
+      }
+    }
+
+    return next;
+  }
+
+  /**
+   * A driver's schedule with defaults filled in
+   * @param {Object} driver - Driver document
+   * @returns {Object}
+   */
+  getSchedule(driver) {
+    const schedule = driver.payoutSchedule || {};
+    return {
+      enabled: !!schedule.enabled,
+      interval: schedule.interval || "weekly",
+      weeklyDay: schedule.weeklyDay ?? 1,
+      monthlyDay: schedule.monthlyDay || 1,
+      minimumAmount:
+        schedule.minimumAmount ?? PAYOUT_SCHEDULE_CONFIG.defaultMinimumAmount,
+      nextRunAt: schedule.enabled ? schedule.nextRunAt || null : null,
+      lastRunAt: schedule.lastRunAt || null,
+    };
+  }
+
+  /**
+   * Update a driver's payout schedule
+   * @param {Object} driver - Driver document
+   * @param {Object} updates - { enabled, interval, weeklyDay, monthlyDay, minimumAmount }
+   * @returns {Promise<Object>} Schedule after the update
+   */
+  async updateSchedule(driver, updates = {}) {
+    const schedule = this.getSchedule(driver);
+    // Only store a minimum the driver chose, so the config default still applies otherwise
+    let minimumAmount = driver.payoutSchedule?.minimumAmount;
+
+    if (updates.enabled !== undefined) {
+      schedule.enabled = updates.enabled === true || updates.enabled === "true";
+    }
+    if (updates.interval !== undefined) {
+      if (!PAYOUT_INTERVALS.includes(updates.interval)) {
+        throw scheduleError(`Interval must be one of: ${PAYOUT_INTERVALS.join(", ")}`);
+      }
+      schedule.interval = updates.interval;
+    }
+    if (updates.weeklyDay !== undefined) {
+      const day = Number(updates.weeklyDay);
+      if (!Number.isInteger(day) || day < 0 || day > 6) {
+        throw scheduleError("weeklyDay must be 0 (Sunday) to 6 (Saturday)");
+      }
+      schedule.weeklyDay = day;
+    }
+    if (updates.monthlyDay !== undefined) {
+      const day = Number(updates.monthlyDay);
+      if (!Number.isInteger(day) || day < 1 || day > 28) {
+        throw scheduleError("monthlyDay must be between 1 and 28");
+      }
+      schedule.monthlyDay = day;
+    }
+    if (updates.minimumAmount !== undefined) {
+      const amount = Number(updates.minimumAmount);
+      if (updates.minimumAmount === "" || isNaN(amount) || amount < 0) {
+        throw scheduleError("minimumAmount must be a non-negative number");
+      }
+      minimumAmount = amount;
+    }
+
+    if (schedule.enabled && !driver.stripeOnboardingCompleted) {
+      throw scheduleError("Please complete your bank account setup in Stripe first");
+    }
+
+    driver.payoutSchedule = {
+      ...schedule,
+      minimumAmount,
+      nextRunAt: schedule.enabled ? this.getNextRunAt(schedule) : null,
+      lastRunAt: schedule.lastRunAt,
+      lockedUntil: null,
+    };
+    await driver.save();
+
+    return this.getSchedule(driver);
+  }
+
+  /**
+   * Pay out every driver whose schedule is due, in batches
+   */
+  async processDuePayouts() {
+    if (this.isProcessing) return;
+    this.isProcessing = true;
+
+    let run = null;
+    try {
+      let batch;
+      while ((batch = await this.claimDueDrivers()).length > 0) {
+        if (!run) run = await PayoutRun.create({});
+
+        for (const driver of batch) {
+          const result = await this.payDriver(driver, run);
+          run.results.push(result);
+          run.summary.drivers += 1;
+          run.summary[result.status] += 1;
+          run.summary.totalAmount =
+            Math.round((run.summary.totalAmount + result.amount) * 100) / 100;
+
+          await this.advanceSchedule(driver);
+        }
+
+        // Keep progress visible while a long run is still going
+        await run.save();
+      }
+    } catch (error) {
+      console.error("Error processing scheduled payouts:", error);
+      if (run) {
+        run.status = "failed";
+        run.error = error.message;
+      }
+    } finally {
+      if (run) {
+        if (run.status === "running") run.status = "completed";
+        run.finishedAt = new Date();
+        await run.save().catch((saveError) =>
+          console.error("Failed to save payout run:", saveError),
+        );
+        console.log(
+          `💸 Payout run ${run._id}: ${run.summary.succeeded} paid, ${run.summary.failed} failed, ${run.summary.skipped} skipped`,
+        );
+      }
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Atomically claim up to one batch of drivers whose payout is due
+   * @returns {Promise<Array>} Claimed drivers
+   */
+  async claimDueDrivers() {
+    const now = new Date();
+    const dueQuery = {
+      "payoutSchedule.enabled": true,
+      "payoutSchedule.nextRunAt": { $lte: now },
+      "payoutSchedule.lockedUntil": { $not: { $gt: now } },
+    };
+
+    const candidates = await Driver.find(dueQuery)
+      .select("_id")
+      .sort({ "payoutSchedule.nextRunAt": 1 })
+      .limit(PAYOUT_SCHEDULE_CONFIG.batchSize)
+      .lean();
+
+    const lockedUntil = new Date(
+      now.getTime() + PAYOUT_SCHEDULE_CONFIG.lockSeconds * 1000,
+    );
+    const claimed = [];
+    for (const { _id } of candidates) {
+      // Another instance may have claimed it since the find
+      const driver = await Driver.findOneAndUpdate(
+        { _id, ...dueQuery },
+        { $set: { "payoutSchedule.lockedUntil": lockedUntil } },
+        { new: true },
+      );
+      if (driver) claimed.push(driver);
+    }
+
+    return claimed;
+  }
+
+  /**
+   * Pay one driver their available balance
+   * @param {Object} driver - Claimed driver
+   * @param {Object} run - PayoutRun in progress
+   * @returns {Promise<Object>} Run result for the driver
+   */
+  async payDriver(driver, run) {
+    const result = { driver: driver._id, status: "skipped", amount: 0, cashSettled: 0 };
+
+    try {
+      if (!driver.stripeConnectAccountId || !driver.stripeOnboardingCompleted) {
+        result.reason = "Stripe Connect onboarding not completed";
+        return result;
+      }
+
+      // Cash commission owed comes out of earnings before anything is paid out
+      const settlement = await cashSettlementService.settleAgainstEarnings(driver._id);
+      result.cashSettled = settlement.settled;
+
+      const amount =
+        Math.floor((settlement.driver.earnings.availableBalance || 0) * 100) / 100;
+      const { minimumAmount } = this.getSchedule(driver);
+      if (amount <= 0 || amount < minimumAmount) {
+        result.reason = `Available balance £${amount.toFixed(2)} is below the £${minimumAmount.toFixed(2)} minimum`;
+        return result;
+      }
+
+      const payout = await payoutService.createPayout(settlement.driver, amount, {
+        source: "schedule",
+        run: run._id,
+      });
+
+      result.status = "succeeded";
+      result.amount = amount;
+      result.payout = payout._id;
+    } catch (error) {
+      console.error(`Scheduled payout failed for driver ${driver._id}:`, error.message);
+      result.status = "failed";
+      result.reason = error.message;
+    }
+
+    return result;
+  }
+
+  /**
+   * Move a processed driver to their next run and release the claim
+   * @param {Object} driver - Claimed driver
+   */
+  async advanceSchedule(driver) {
+    const now = new Date();
+    await Driver.updateOne(
+      { _id: driver._id },
+      {
+        $set: {
+          "payoutSchedule.lastRunAt": now,
+          "payoutSchedule.nextRunAt": this.getNextRunAt(this.getSchedule(driver), now),
+          "payoutSchedule.lockedUntil": null,
+        },
+      },
+    );
+  }
+
+  /**
+   * Past payout runs, newest first
+   * @param {Object} options - { page, limit }
+   * @returns {Promise<Object>} { runs, total } - runs without per-driver results
+   */
+  async getRuns({ page = 1, limit = 20 } = {}) {
+    const [runs, total] = await Promise.all([
+      PayoutRun.find({})
+        .select("-results")
+        .sort({ startedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      PayoutRun.countDocuments({}),
+    ]);
+
+    return { runs, total };
+  }
+
+  /**
+   * One payout run with per-driver results
+   * @param {string} runId - PayoutRun ID
+   * @returns {Promise<Object|null>}
+   */
+  async getRun(runId) {
+    return PayoutRun.findById(runId)
+      .populate({
+        path: "results.driver",
+        select: "user",
+        populate: { path: "user", select: "fullName email" },
+      })
+      .populate("results.payout", "stripePayoutId status amount")
+      .lean();
+  }
+}
+
+// Create singleton instance
+const scheduledPayoutService = new ScheduledPayoutService();
+
+module.exports = scheduledPayoutService;
@@ -0,0 +1,306 @@
+const Ride = require("../models/Ride");
+const socketService = require("./socketService");
+const notificationService = require("./notificationService");
+const ridePaymentService = require("./ridePaymentService");
+const eventBus = require("./eventBus");
+const { DOMAIN_EVENTS } = require("../config/domainEvents");
+
+// Scheduled dispatch configuration (minutes/seconds/km, see .env.example)
+const SCHEDULED_DISPATCH_CONFIG = {
+  leadTimeMinutes: parseInt(process.env.SCHEDULED_RIDE_LEAD_MINUTES) || 15,
+  pollIntervalSeconds: parseInt(process.env.SCHEDULED_RIDE_POLL_SECONDS) || 30,
+  retryIntervalSeconds: parseInt(process.env.SCHEDULED_RIDE_RETRY_SECONDS) || 60,
+  baseRadiusKm: parseFloat(process.env.SCHEDULED_RIDE_BASE_RADIUS_KM) || 10,
+  radiusStepKm: parseFloat(process.env.SCHEDULED_RIDE_RADIUS_STEP_KM) || 5,
+  maxRadiusKm: parseFloat(process.env.SCHEDULED_RIDE_MAX_RADIUS_KM) || 30,
+  lockSeconds: 120,
+};
+
+const NO_DRIVER_REASON = "No driver available for scheduled ride";
+
+/**
+ * Scheduled Ride Service - Turns scheduled bookings into live ride requests
+ *
+ * All dispatch state lives on the Ride document (scheduledDispatch), so a
+ * restarted or second server instance picks up exactly where the last one
+ * stopped. The poll timer only decides when to look; it never owns a ride.
+ */
+class ScheduledRideService {
+  constructor() {
+    this.pollTimer = null;
+    this.isProcessing = false;
+  }
+
+  /**
+   * Start polling for scheduled rides that are due for dispatch
+   */
+  start() {
+    if (this.pollTimer) return;
+
+    this.pollTimer = setInterval(
+      () => this.processDueRides(),
+      SCHEDULED_DISPATCH_CONFIG.pollIntervalSeconds * 1000,
+    );
+    this.processDueRides();
+
+    console.log(
+      `🗓️  Scheduled ride dispatcher started (lead time: ${SCHEDULED_DISPATCH_CONFIG.leadTimeMinutes} min)`,
+    );
+  }
+
+  /**
+   * Stop polling (for graceful shutdown)
+   */
+  stop() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+  }
+
+  /**
+   * Dispatch every scheduled ride whose lead time has been reached
+   */
+  async processDueRides() {
+    if (this.isProcessing) return;
+    this.isProcessing = true;
+
+    try {
+      let ride;
+      while ((ride = await this.claimNextDueRide())) {
+        await this.dispatchScheduledRide(ride);
+      }
+    } catch (error) {
+      console.error("Error processing scheduled rides:", error);
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Atomically claim the next due scheduled ride
+   * The lease in scheduledDispatch.lockedUntil keeps other instances away
+   * @returns {Promise<Object|null>} Claimed ride or null if none are due
+   */
+  async claimNextDueRide() {
+    const now = new Date();
+    const dispatchWindowEnd = new Date(
+      now.getTime() + SCHEDULED_DISPATCH_CONFIG.leadTimeMinutes * 60 * 1000,
+    );
+
+    return Ride.findOneAndUpdate(
+      {
+        status: "scheduled",
+        scheduledTime: { $lte: dispatchWindowEnd },
+        "scheduledDispatch.nextAttemptAt": { $not: { $gt: now } },
+        "scheduledDispatch.lockedUntil": { $not: { $gt: now } },
+      },
+      {
+        $set: {
+          "scheduledDispatch.lockedUntil": new Date(
+            now.getTime() + SCHEDULED_DISPATCH_CONFIG.lockSeconds * 1000,
+          ),
+        },
+      },
+      { new: true, sort: { scheduledTime: 1 } },
+    );
+  }
+
+  /**
+   * Search for drivers for a claimed scheduled ride
+   * Each attempt widens the search radius; once pickup time passes without
+   * a driver the ride is cancelled
+   * @param {Object} ride - Claimed ride document
+   */
+  async dispatchScheduledRide(ride) {
+    try {
+      const now = new Date();
+
+      if (ride.scheduledTime <= now) {
+        await this.cancelUnassignedRide(ride._id);
+        return;
+      }
+
+      const attempts = (ride.scheduledDispatch?.attempts || 0) + 1;
+      const radiusKm = Math.min(
+        SCHEDULED_DISPATCH_CONFIG.baseRadiusKm +
+          SCHEDULED_DISPATCH_CONFIG.radiusStepKm * (attempts - 1),
+        SCHEDULED_DISPATCH_CONFIG.maxRadiusKm,
+      );
+
+      // Required lazily - rideController depends on the ride request manager,
+      // which in turn hands timed-out scheduled rides back to this service
+      const {
+        assignDriverToRide,
+        offerRideToDrivers,
+      } = require("../controllers/rideController");
+
+      const { availableDrivers = [] } = await assignDriverToRide(
+        ride._id,
+        ride,
+        { radiusKm },
+      );
+
+      const dispatchUpdate = {
+        "scheduledDispatch.attempts": attempts,
+        "scheduledDispatch.searchRadiusKm": radiusKm,
+        "scheduledDispatch.lastAttemptAt": now,
+        "scheduledDispatch.lockedUntil": null,
+      };
+
+      console.log(
+        `🗓️  Scheduled ride ${ride._id}: attempt ${attempts}, radius ${radiusKm}km, ${availableDrivers.length} driver(s) found`,
+      );
+
+      if (availableDrivers.length === 0) {
+        const nextAttemptAt = new Date(
+          Math.min(
+            now.getTime() + SCHEDULED_DISPATCH_CONFIG.retryIntervalSeconds * 1000,
+            ride.scheduledTime.getTime(),
+          ),
+        );
+
+        const updatedRide = await Ride.findOneAndUpdate(
+          { _id: ride._id, status: "scheduled" },
+          {
+            $set: {
+              ...dispatchUpdate,
+              "scheduledDispatch.nextAttemptAt": nextAttemptAt,
+            },
+          },
+          { new: true },
+        );
+
+        // Only tell the rider once - later retries happen silently
+        if (updatedRide && attempts === 1) {
+          socketService.notifyRideStatus(updatedRide.rider.toString(), "no_drivers", {
+            ...updatedRide.toObject(),
+            message:
+              "No drivers nearby yet. We'll keep searching until your pickup time.",
+          });
+        }
+        return;
+      }
+
+      // Move the ride into live search only if the rider hasn't cancelled it meanwhile
+      const liveRide = await Ride.findOneAndUpdate(
+        { _id: ride._id, status: "scheduled" },
+        { $set: { ...dispatchUpdate, status: "searching" } },
+        { new: true },
+      );
+
+      if (!liveRide) return;
+      eventBus.publish(DOMAIN_EVENTS.RIDE_STATUS_CHANGED, {
+        rideId: liveRide._id,
+        status: liveRide.status,
+        previousStatus: "scheduled",
+      });
+
+      await offerRideToDrivers(liveRide, availableDrivers);
+      await socketService.notifyAdminRideUpdate(liveRide);
+    } catch (error) {
+      // Leave the lease in place so the ride is retried once it expires
+      console.error(`Error dispatching scheduled ride ${ride._id}:`, error);
+    }
+  }
+
+  /**
+   * Hand a scheduled ride whose driver offers all expired back to the scheduler
+   * Called by the ride request manager instead of cancelling the ride
+   * @param {string} rideId - Ride ID
+   * @returns {Promise<Object|null>} Requeued ride, or null if pickup time has passed
+   */
+  async requeueRide(rideId) {
+    const now = new Date();
+
+    const ride = await Ride.findOneAndUpdate(
+      {
+        _id: rideId,
+        status: { $in: ["pending", "searching"] },
+        scheduledTime: { $gt: now },
+      },
+      {
+        $set: {
+          status: "scheduled",
+          driver: null,
+          "scheduledDispatch.nextAttemptAt": new Date(
+            now.getTime() + SCHEDULED_DISPATCH_CONFIG.retryIntervalSeconds * 1000,
+          ),
+          "scheduledDispatch.lockedUntil": null,
+        },
+      },
+      { new: true },
+    );
+
+    if (ride) {
+      console.log(`🗓️  Scheduled ride ${rideId} returned to scheduler for another search`);
+
+      socketService.notifyRideStatus(ride.rider.toString(), "scheduled", {
+        ...ride.toObject(),
+        message:
+          "No driver accepted yet. We'll keep searching before your pickup time.",
+      });
+      await socketService.notifyAdminRideUpdate(ride);
+    }
+
+    return ride;
+  }
+
+  /**
+   * Cancel a scheduled ride that reached pickup time without a driver
+   * @param {string} rideId - Ride ID
+   */
+  async cancelUnassignedRide(rideId) {
+    const ride = await Ride.findOneAndUpdate(
+      { _id: rideId, status: "scheduled" },
+      {
+        $set: {
+          status: "cancelled",
+          cancelledAt: new Date(),
+          cancellationReason: NO_DRIVER_REASON,
+          "scheduledDispatch.lockedUntil": null,
+        },
+      },
+      { new: true },
+    ).populate("rider", "fullName email");
+
+    if (!ride) return null;
+    eventBus.publish(DOMAIN_EVENTS.RIDE_STATUS_CHANGED, {
+      rideId: ride._id,
+      status: ride.status,
+      previousStatus: "scheduled",
+    });
+
+    console.log(`❌ Scheduled ride ${rideId} cancelled - no driver found by pickup time`);
+
+    if (ride.paymentMethod === "card") {
+      await ridePaymentService.releaseRideHold(ride).catch((holdError) =>
+        console.error(`Failed to release card hold for ride ${rideId}:`, holdError),
+      );
+    }
+
+    const riderId = ride.rider._id.toString();
+    socketService.notifyRideCancelled(riderId, NO_DRIVER_REASON, ride);
+    await socketService.notifyAdminRideUpdate(ride);
+
+    try {
+      await notificationService.sendRideCancelledNotification(
+        ride.rider,
+        ride,
+        NO_DRIVER_REASON,
+      );
+    } catch (notificationError) {
+      console.error(
+        "Scheduled ride cancellation notification failed:",
+        notificationError.message,
+      );
+    }
+
+    return ride;
+  }
+}
+
+// Create singleton instance
+const scheduledRideService = new ScheduledRideService();
+
+module.exports = scheduledRideService;
@@ -0,0 +1,197 @@
+const ServiceArea = require("../models/ServiceArea");
+const LiveLocation = require("../models/LiveLocation");
+const {
+  DEFAULT_SERVICE_AREA,
+  OUTSIDE_SERVICE_AREA,
+  LOCATION_REQUIRED,
+  ONLINE_LOCATION_MAX_AGE_SECONDS,
+} = require("../config/serviceAreaConfig");
+
+/**
+ * Service Area Service - Point-in-polygon checks against admin-managed zones
+ *
+ * A point is in service when it falls inside any active ServiceArea. Mongo
+ * does the geometry work through the 2dsphere index on ServiceArea.geometry.
+ */
+class ServiceAreaService {
+  /**
+   * Create the default Surrey area if no service areas exist yet
+   */
+  async ensureDefaultArea() {
+    try {
+      const count = await ServiceArea.estimatedDocumentCount();
+      if (count > 0) return;
+
+      await ServiceArea.create(DEFAULT_SERVICE_AREA);
+      console.log(`🗺️  Created default service area: ${DEFAULT_SERVICE_AREA.name}`);
+    } catch (error) {
+      console.error("Error creating default service area:", error);
+    }
+  }
+
+  /**
+   * Get all active service areas (for map overlays)
+   * @returns {Promise<Array>} [{ _id, name, geometry }]
+   */
+  async getActiveAreas() {
+    return ServiceArea.find({ isActive: true })
+      .select("name geometry")
+      .sort({ name: 1 })
+      .lean();
+  }
+
+  /**
+   * Find the active service area containing a point
+   * Uses $geoIntersects because the polygons are stored and the point is the
+   * query ($geoWithin answers the opposite question: stored points inside a shape)
+   * @param {number} lat - Latitude
+   * @param {number} lng - Longitude
+   * @returns {Promise<Object|null>} Matching area or null when out of service
+   */
+  async findAreaForPoint(lat, lng) {
+    const latitude = parseFloat(lat);
+    const longitude = parseFloat(lng);
+    if (isNaN(latitude) || isNaN(longitude)) return null;
+
+    return ServiceArea.findOne({
+      isActive: true,
+      geometry: {
+        $geoIntersects: {
+          $geometry: { type: "Point", coordinates: [longitude, latitude] },
+        },
+      },
+    })
+      .select("name")
+      .lean();
+  }
+
+  /**
+   * Check whether a point is inside any active service area
+   * @param {number} lat - Latitude
+   * @param {number} lng - Longitude
+   * @returns {Promise<boolean>}
+   */
+  async isInServiceArea(lat, lng) {
+    return !!(await this.findAreaForPoint(lat, lng));
+  }
+
+  /**
+   * Check whether a driver is somewhere they may go online from
+   * Uses the coordinates sent with the request, or else the driver's last
+   * recent GPS fix - a driver with neither can't go online.
+   * @param {string} driverId - Driver ID
+   * @param {Object} coordinates - { latitude, longitude } (optional)
+   * @returns {Promise<Object|null>} { message, code } when refused, null when allowed
+   */
+  async checkDriverCanGoOnline(driverId, { latitude, longitude } = {}) {
+    let position = latitude && longitude ? { latitude, longitude } : null;
+
+    if (!position) {
+      position = await LiveLocation.findOne({
+        driver: driverId,
+        timestamp: { $gte: new Date(Date.now() - ONLINE_LOCATION_MAX_AGE_SECONDS * 1000) },
+      })
+        .sort({ timestamp: -1 })
+        .select("latitude longitude")
+        .lean();
+    }
+
+    if (!position) {
+      return {
+        message: "Your location is required to go online. Please enable GPS and try again",
+        code: LOCATION_REQUIRED,
+      };
+    }
+
+    if (!(await this.isInServiceArea(position.latitude, position.longitude))) {
+      return {
+        message: "You must be inside a service area to go online",
+        code: OUTSIDE_SERVICE_AREA,
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Find the first point that is outside every active service area
+   * @param {Array} points - [{ label, lat, lng }]
+   * @returns {Promise<Object|null>} The offending point, or null if all are in service
+   */
+  async findPointOutsideService(points) {
+    for (const point of points) {
+      if (!(await this.isInServiceArea(point.lat, point.lng))) {
+        return point;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Parse and validate a GeoJSON Polygon/MultiPolygon from a request
+   * @param {Object|string} geometry - GeoJSON object (or JSON string from form data)
+   * @returns {Object} { geometry } on success or { error } with a message
+   */
+  parseGeometry(geometry) {
+    let parsed = geometry;
+    if (typeof parsed === "string") {
+      try {
+        parsed = JSON.parse(parsed);
+      } catch (error) {
+        return { error: "Geometry must be valid GeoJSON" };
+      }
+    }
+
+    if (!parsed || !["Polygon", "MultiPolygon"].includes(parsed.type)) {
+      return { error: "Geometry type must be Polygon or MultiPolygon" };
+    }
+
+    const polygons =
+      parsed.type === "Polygon" ? [parsed.coordinates] : parsed.coordinates;
+
+    if (!Array.isArray(polygons) || polygons.length === 0) {
+      return { error: "Geometry coordinates are required" };
+    }
+
+    for (const polygon of polygons) {
+      if (!Array.isArray(polygon) || polygon.length === 0) {
+        return { error: "Each polygon needs at least one linear ring" };
+      }
+
+      for (const ring of polygon) {
+        if (!Array.isArray(ring) || ring.length < 4) {
+          return { error: "Each ring needs at least 4 [longitude, latitude] positions" };
+        }
+
+        const validPositions = ring.every(
+          (position) =>
+            Array.isArray(position) &&
+            typeof position[0] === "number" &&
+            typeof position[1] === "number" &&
+            position[0] >= -180 &&
+            position[0] <= 180 &&
+            position[1] >= -90 &&
+            position[1] <= 90,
+        );
+        if (!validPositions) {
+          return { error: "Positions must be [longitude, latitude] numbers within range" };
+        }
+
+        const first = ring[0];
+        const last = ring[ring.length - 1];
+        if (first[0] !== last[0] || first[1] !== last[1]) {
+          return { error: "Each ring must be closed (first and last positions equal)" };
+        }
+      }
+    }
+
+    return {
+      geometry: { type: parsed.type, coordinates: parsed.coordinates },
+    };
+  }
+}
+
+// Create singleton instance
+const serviceAreaService = new ServiceAreaService();
+
+module.exports = serviceAreaService;
@@ -0,0 +1,238 @@
+const { SOCKET_CONFIG } = require("../config/socketConfig");
+
+// Take or extend a lease: succeeds if it's free or already ours
+const ACQUIRE_LEASE_SCRIPT = `
+local owner = redis.call("GET", KEYS[1])
+if owner == ARGV[1] then
+  redis.call("PEXPIRE", KEYS[1], ARGV[2])
+  return 1
+end
+if owner then
+  return 0
+end
+redis.call("SET", KEYS[1], ARGV[1], "PX", ARGV[2])
+return 1
+`;
+
+// Only the owner may give a lease up
+const RELEASE_LEASE_SCRIPT = `
+if redis.call("GET", KEYS[1]) == ARGV[1] then
+  return redis.call("DEL", KEYS[1])
+end
+return 0
+`;
+
+/**
+ * Single-process adapter (default, also used in tests)
+ *
+ * Socket.IO keeps its built-in in-memory adapter; presence and leases are
+ * plain Maps, so every lease is granted to this instance.
+ */
+class MemorySocketAdapter {
+  constructor(config = SOCKET_CONFIG) {
+    this.name = "memory";
+    this.instanceId = config.instanceId;
+    this.sockets = new Map(); // Map<socketId, info>
+    this.leases = new Map(); // Map<key, { owner, expiresAt }>
+  }
+
+  async attach() {}
+
+  async close() {
+    this.sockets.clear();
+    this.leases.clear();
+  }
+
+  // -------------------------------------------------------------------
+  // Presence
+  // -------------------------------------------------------------------
+
+  async addSocket(socketId, info) {
+    this.sockets.set(socketId, { ...info, instanceId: this.instanceId });
+  }
+
+  async removeSocket(socketId) {
+    this.sockets.delete(socketId);
+  }
+
+  async refreshSockets() {}
+
+  async listSockets() {
+    return Array.from(this.sockets, ([socketId, info]) => ({ socketId, ...info }));
+  }
+
+  async countUserSockets(userId) {
+    let count = 0;
+    this.sockets.forEach((info) => {
+      if (info.userId === userId) count++;
+    });
+    return count;
+  }
+
+  // -------------------------------------------------------------------
+  // Leases
+  // -------------------------------------------------------------------
+
+  async acquireLease(key, ttlMs) {
+    const lease = this.leases.get(key);
+    if (lease && lease.owner !== this.instanceId && lease.expiresAt > Date.now()) {
+      return false;
+    }
+    this.leases.set(key, { owner: this.instanceId, expiresAt: Date.now() + ttlMs });
+    return true;
+  }
+
+  async releaseLease(key) {
+    if (this.leases.get(key)?.owner === this.instanceId) {
+      this.leases.delete(key);
+    }
+  }
+}
+
+/**
+ * Redis-backed adapter for running several instances
+ *
+ * Emits go through @socket.io/redis-adapter, so io.to(room) reaches sockets
+ * on every instance. Presence is a hash of socket info plus sorted sets
+ * scored by expiry time; each instance refreshes its own sockets on a
+ * heartbeat, so sockets of a crashed instance age out. Leases are keys
+ * holding the owner's instance ID with a TTL.
+ */
+class RedisSocketAdapter {
+  constructor(config = SOCKET_CONFIG) {
+    this.name = "redis";
+    this.config = config;
+    this.instanceId = config.instanceId;
+    this.presenceTtlMs = config.presenceTtlSeconds * 1000;
+    this.client = null;
+    this.subClient = null;
+  }
+
+  key(...parts) {
+    return this.config.keyPrefix + parts.join(":");
+  }
+
+  async attach(io) {
+    // Only needed when running with Redis
+    const { createClient } = require("redis");
+    const { createAdapter } = require("@socket.io/redis-adapter");
+
+    this.client = createClient({ url: this.config.redisUrl });
+    this.subClient = this.client.duplicate();
+    this.client.on("error", (error) => console.error("Redis client error:", error.message));
+    this.subClient.on("error", (error) => console.error("Redis subscriber error:", error.message));
+
+    await Promise.all([this.client.connect(), this.subClient.connect()]);
+    io.adapter(createAdapter(this.client, this.subClient, { key: this.key("io") }));
+
+    console.log(`🔗 Socket.IO Redis adapter attached (instance ${this.instanceId})`);
+  }
+
+  async close() {
+    await Promise.all(
+      [this.client, this.subClient]
+        .filter((client) => client?.isOpen)
+        .map((client) => client.quit()),
+    );
+  }
+
+  // -------------------------------------------------------------------
+  // Presence
+  // -------------------------------------------------------------------
+
+  async addSocket(socketId, info) {
+    const expiresAt = Date.now() + this.presenceTtlMs;
+    await this.client
+      .multi()
+      .hSet(this.key("presence", "info"), socketId, JSON.stringify({ ...info, instanceId: this.instanceId }))
+      .zAdd(this.key("presence", "sockets"), { score: expiresAt, value: socketId })
+      .zAdd(this.key("presence", "user", info.userId), { score: expiresAt, value: socketId })
+      .pExpire(this.key("presence", "user", info.userId), this.presenceTtlMs)
+      .exec();
+  }
+
+  async removeSocket(socketId, userId) {
+    const multi = this.client
+      .multi()
+      .hDel(this.key("presence", "info"), socketId)
+      .zRem(this.key("presence", "sockets"), socketId);
+    if (userId) multi.zRem(this.key("presence", "user", userId), socketId);
+    await multi.exec();
+  }
+
+  /**
+   * Push back the expiry of this instance's sockets and drop any that
+   * another instance stopped refreshing
+   * @param {Array} sockets - [{ socketId, userId }] connected to this instance
+   */
+  async refreshSockets(sockets) {
+    const now = Date.now();
+    const expiresAt = now + this.presenceTtlMs;
+    const multi = this.client.multi();
+
+    for (const { socketId, userId } of sockets) {
+      multi.zAdd(this.key("presence", "sockets"), { score: expiresAt, value: socketId });
+      multi.zAdd(this.key("presence", "user", userId), { score: expiresAt, value: socketId });
+      multi.pExpire(this.key("presence", "user", userId), this.presenceTtlMs);
+    }
+    await multi.exec();
+
+    const stale = await this.client.zRangeByScore(this.key("presence", "sockets"), "-inf", now);
+    if (stale.length > 0) {
+      await this.client
+        .multi()
+        .hDel(this.key("presence", "info"), stale)
+        .zRem(this.key("presence", "sockets"), stale)
+        .exec();
+    }
+  }
+
+  async listSockets() {
+    const socketIds = await this.client.zRangeByScore(
+      this.key("presence", "sockets"),
+      Date.now(),
+      "+inf",
+    );
+    if (socketIds.length === 0) return [];
+
+    const values = await this.client.hmGet(this.key("presence", "info"), socketIds);
+    return socketIds
+      .map((socketId, index) => (values[index] ? { socketId, ...JSON.parse(values[index]) } : null))
+      .filter(Boolean);
+  }
+
+  async countUserSockets(userId) {
+    return this.client.zCount(this.key("presence", "user", userId), Date.now(), "+inf");
+  }
+
+  // -------------------------------------------------------------------
+  // Leases
+  // -------------------------------------------------------------------
+
+  async acquireLease(key, ttlMs) {
+    const acquired = await this.client.eval(ACQUIRE_LEASE_SCRIPT, {
+      keys: [this.key("lease", key)],
+      arguments: [this.instanceId, String(ttlMs)],
+    });
+    return acquired === 1;
+  }
+
+  async releaseLease(key) {
+    await this.client.eval(RELEASE_LEASE_SCRIPT, {
+      keys: [this.key("lease", key)],
+      arguments: [this.instanceId],
+    });
+  }
+}
+
+/**
+ * Adapter for the configured SOCKET_ADAPTER
+ * @param {Object} config - Defaults to SOCKET_CONFIG
+ * @returns {MemorySocketAdapter|RedisSocketAdapter}
+ */
+function createSocketAdapter(config = SOCKET_CONFIG) {
+  if (config.adapter === "redis") return new RedisSocketAdapter(config);
+  return new MemorySocketAdapter(config);
+}
+
+module.exports = { createSocketAdapter, MemorySocketAdapter, RedisSocketAdapter };
@@ -0,0 +1,109 @@
+const Admin = require("../models/Admin");
+const Driver = require("../models/Driver");
+const Ride = require("../models/Ride");
+
+const ADMIN_ROLES = ["admin", "superadmin", "subadmin"];
+
+// Ride statuses during which the rider may follow their driver's location
+const TRACKABLE_RIDE_STATUSES = [
+  "assigned",
+  "accepted",
+  "going-to-pickup",
+  "arrived",
+  "in_progress",
+];
+
+/**
+ * Socket Authorization - Who may join which Socket.IO room
+ *
+ * Subscription events name the user, ride or driver whose updates the
+ * socket wants. Each check compares that target with the socket's
+ * authenticated userId/userRole (set from the JWT on connection) and
+ * returns null when allowed, or the reason it was refused.
+ */
+class SocketAuthorization {
+  isAdmin(socket) {
+    return ADMIN_ROLES.includes(socket.userRole);
+  }
+
+  /**
+   * Personal rooms (wallet, earnings, rewards, ride history, dashboard)
+   * belong to one user only
+   * @param {Object} socket - Authenticated socket
+   * @param {string} userId - Owner of the room
+   * @returns {string|null} Reason for refusal
+   */
+  checkOwner(socket, userId) {
+    if (!userId || String(userId) !== String(socket.userId)) {
+      return "You can only subscribe to your own updates";
+    }
+    return null;
+  }
+
+  /**
+   * The ride's rider, its driver, or an admin
+   * @param {Object} socket - Authenticated socket
+   * @param {string} rideId - Ride ID
+   * @returns {Promise<string|null>} Reason for refusal
+   */
+  async checkRide(socket, rideId) {
+    if (this.isAdmin(socket)) return null;
+
+    const ride = await Ride.findById(rideId).select("rider driver").lean();
+    if (!ride) return "Ride not found";
+    if (String(ride.rider) === String(socket.userId)) return null;
+
+    if (ride.driver) {
+      const driver = await Driver.findById(ride.driver).select("user").lean();
+      if (driver && String(driver.user) === String(socket.userId)) return null;
+    }
+
+    return "You are not part of this ride";
+  }
+
+  /**
+   * A driver's live location: the driver, an admin, or a rider whose ride
+   * the driver is currently on
+   * @param {Object} socket - Authenticated socket
+   * @param {string} driverId - Driver ID
+   * @returns {Promise<string|null>} Reason for refusal
+   */
+  async checkDriverLocation(socket, driverId) {
+    if (this.isAdmin(socket)) return null;
+
+    const driver = await Driver.findById(driverId).select("user").lean();
+    if (!driver) return "Driver not found";
+    if (String(driver.user) === String(socket.userId)) return null;
+
+    const activeRide = await Ride.exists({
+      rider: socket.userId,
+      driver: driver._id,
+      status: { $in: TRACKABLE_RIDE_STATUSES },
+    });
+    if (activeRide) return null;
+
+    return "You can only track the driver of your current ride";
+  }
+
+  /**
+   * Live analytics need an active admin profile, not just an admin role
+   * @param {Object} socket - Authenticated socket
+   * @returns {Promise<string|null>} Reason for refusal
+   */
+  async checkAnalytics(socket) {
+    if (!this.isAdmin(socket)) {
+      return "Only admins can subscribe to analytics";
+    }
+
+    const admin = await Admin.findOne({ user: socket.userId }).select("activeStatus").lean();
+    if (!admin || admin.activeStatus !== "active") {
+      return "Admin profile not found or deactivated";
+    }
+    return null;
+  }
+}
+
+// Create singleton instance
+const socketAuthorization = new SocketAuthorization();
+
+module.exports = socketAuthorization;
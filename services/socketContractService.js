@@ -0,0 +1,132 @@
+const Ajv = require("ajv");
+const {
+  SOCKET_SCHEMA_VERSION,
+  INBOUND_EVENTS,
+  OUTBOUND_EVENTS,
+} = require("../config/socketEventSchemas");
+const { RELIABLE_SOCKET_EVENTS } = require("../config/socketConfig");
+
+/**
+ * Socket Contract Service - Validates socket payloads against their schemas
+ *
+ * Inbound payloads are coerced ("51.5" -> 51.5) and stripped of properties
+ * their schema doesn't list before the handler sees them. Outbound payloads
+ * are validated as the client receives them (JSON), outside production only,
+ * and a mismatch is logged once per event rather than blocking the emit.
+ */
+class SocketContractService {
+  constructor() {
+    this.inboundAjv = new Ajv({
+      allErrors: true,
+      allowUnionTypes: true,
+      coerceTypes: true,
+      removeAdditional: true,
+    });
+    this.outboundAjv = new Ajv({ allErrors: true, allowUnionTypes: true });
+    this.inboundValidators = this.compile(this.inboundAjv, INBOUND_EVENTS);
+    this.outboundValidators = this.compile(this.outboundAjv, OUTBOUND_EVENTS);
+    this.validateOutbound = process.env.NODE_ENV !== "production";
+    // Events already reported as not matching their schema
+    this.reportedOutbound = new Set();
+    // A broadcast hands the same payload to every socket; check it once
+    this.checkedPayloads = new WeakSet();
+  }
+
+  compile(ajv, events) {
+    return new Map(
+      Object.entries(events).map(([event, { schema }]) => [event, ajv.compile(schema)]),
+    );
+  }
+
+  /**
+   * Validate (and normalize in place) the payload of a client event
+   * Events without a contract are let through.
+   * @param {string} event - Event name
+   * @param {*} payload - First argument the client sent
+   * @returns {Object} { valid, errors: [{ path, message }] }
+   */
+  checkInbound(event, payload) {
+    const validate = this.inboundValidators.get(event);
+    if (!validate) return { valid: true, errors: [] };
+
+    const valid = validate(payload === undefined ? null : payload);
+    return { valid, errors: valid ? [] : this.formatErrors(validate.errors) };
+  }
+
+  /**
+   * Log an emitted payload that doesn't match its contract (non-production)
+   * @param {string} event - Event name
+   * @param {*} payload - First argument emitted
+   */
+  checkOutbound(event, payload) {
+    if (!this.validateOutbound) return;
+    if (payload && typeof payload === "object") {
+      if (this.checkedPayloads.has(payload)) return;
+      this.checkedPayloads.add(payload);
+    }
+
+    const validate = this.outboundValidators.get(event);
+    if (!validate) {
+      this.report(event, `Emitted socket event "${event}" has no schema in config/socketEventSchemas.js`);
+      return;
+    }
+
+    let serialized;
+    try {
+      serialized = payload === undefined ? null : JSON.parse(JSON.stringify(payload));
+    } catch (error) {
+      this.report(event, `Socket event "${event}" payload can't be serialized: ${error.message}`);
+      return;
+    }
+
+    if (!validate(serialized)) {
+      const details = this.formatErrors(validate.errors)
+        .map(({ path, message }) => `${path || "(payload)"} ${message}`)
+        .join("; ");
+      this.report(event, `Socket event "${event}" doesn't match its schema: ${details}`);
+    }
+  }
+
+  report(event, warning) {
+    if (this.reportedOutbound.has(event)) return;
+    this.reportedOutbound.add(event);
+    console.warn(`⚠️  [SOCKET CONTRACT] ${warning}`);
+  }
+
+  formatErrors(errors = []) {
+    return errors.map((error) => ({
+      path: error.instancePath,
+      message: error.message,
+    }));
+  }
+
+  /**
+   * Every event contract, for GET /api/v1/realtime/schema
+   * @returns {Object} { version, inbound, outbound }
+   */
+  getCatalogue() {
+    const describe = (events) =>
+      Object.fromEntries(
+        Object.entries(events).map(([event, { version, description, schema }]) => [
+          event,
+          {
+            version,
+            description,
+            ...(RELIABLE_SOCKET_EVENTS.includes(event) && { reliable: true }),
+            schema,
+          },
+        ]),
+      );
+
+    return {
+      version: SOCKET_SCHEMA_VERSION,
+      inbound: describe(INBOUND_EVENTS),
+      outbound: describe(OUTBOUND_EVENTS),
+    };
+  }
+}
+
+// Create singleton instance
+const socketContractService = new SocketContractService();
+
+module.exports = socketContractService;
@@ -0,0 +1,167 @@
+const SocketCursor = require("../models/SocketCursor");
+const SocketOutboxEvent = require("../models/SocketOutboxEvent");
+const { SOCKET_CONFIG, RELIABLE_SOCKET_EVENTS } = require("../config/socketConfig");
+
+function deliveryError(message, statusCode = 400, code = null) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (code) error.code = code;
+  return error;
+}
+
+/**
+ * Socket Delivery Service - Sequence numbers, outbox and replay
+ *
+ * Every reliable event sent to a user gets the next number in that user's
+ * sequence and is kept in a bounded outbox. Apps acknowledge the highest
+ * sequence they've processed ("ack"), and after a reconnect send the last
+ * one they saw ("resume") to get everything newer replayed in order.
+ * A user can be connected from several devices sharing one sequence, so an
+ * ack never removes events - another device may not have them yet. The
+ * outbox is only pruned by size and age (SOCKET_CONFIG.outbox*).
+ * Sequences live in Mongo, so they are shared by every API instance.
+ */
+class SocketDeliveryService {
+  constructor() {
+    // Per-user chain of pending records, so sequence order is emit order
+    this.pending = new Map(); // Map<userId, Promise>
+  }
+
+  /**
+   * Whether an event is recorded for replay
+   * @param {string} event - Socket event name
+   * @returns {boolean}
+   */
+  isReliable(event) {
+    return RELIABLE_SOCKET_EVENTS.includes(event);
+  }
+
+  /**
+   * Record an event in the user's outbox
+   * Records for the same user resolve in the order they were made.
+   * @param {string} userId - Recipient user ID
+   * @param {string} event - Socket event name
+   * @param {Object} payload - Event data
+   * @returns {Promise<number>} Sequence number assigned to the event
+   */
+  record(userId, event, payload) {
+    const key = String(userId);
+    const previous = this.pending.get(key) || Promise.resolve();
+    const next = previous
+      .catch(() => {})
+      .then(() => this.append(key, event, payload));
+
+    this.pending.set(key, next);
+    next
+      .finally(() => {
+        if (this.pending.get(key) === next) this.pending.delete(key);
+      })
+      .catch(() => {});
+
+    return next;
+  }
+
+  /**
+   * Assign the next sequence number and store the event
+   */
+  async append(userId, event, payload) {
+    // Stored as the client would receive it (Mongoose documents -> plain JSON)
+    const stored = payload === undefined ? null : JSON.parse(JSON.stringify(payload));
+
+    const cursor = await SocketCursor.findOneAndUpdate(
+      { user: userId },
+      { $inc: { lastSeq: 1 } },
+      { upsert: true, new: true, setDefaultsOnInsert: true },
+    );
+    const seq = cursor.lastSeq;
+
+    await SocketOutboxEvent.create({
+      user: userId,
+      seq,
+      event,
+      payload: stored,
+      expiresAt: new Date(Date.now() + SOCKET_CONFIG.outboxRetentionHours * 60 * 60 * 1000),
+    });
+
+    if (seq > SOCKET_CONFIG.outboxMaxEventsPerUser) {
+      await SocketOutboxEvent.deleteMany({
+        user: userId,
+        seq: { $lte: seq - SOCKET_CONFIG.outboxMaxEventsPerUser },
+      });
+    }
+
+    return seq;
+  }
+
+  /**
+   * Mark everything up to a sequence number as processed by the user's apps
+   * Only moves the default starting point of a resume without lastSeq.
+   * @param {string} userId - User ID
+   * @param {number} seq - Highest sequence number processed
+   * @returns {Promise<number>} The user's acknowledged sequence number
+   */
+  async acknowledge(userId, seq) {
+    if (!Number.isInteger(seq) || seq < 0) {
+      throw deliveryError("seq must be a non-negative integer", 400, "INVALID_SEQUENCE");
+    }
+
+    const cursor = await SocketCursor.findOne({ user: userId });
+    if (!cursor) return 0;
+    if (seq > cursor.lastSeq) {
+      throw deliveryError(
+        `seq ${seq} is ahead of the latest event (${cursor.lastSeq})`,
+        400,
+        "INVALID_SEQUENCE",
+      );
+    }
+
+    // Acknowledgements from several devices may arrive out of order
+    const updated = await SocketCursor.findOneAndUpdate(
+      { user: userId, ackedSeq: { $lt: seq } },
+      { $set: { ackedSeq: seq } },
+      { new: true },
+    );
+    return updated ? updated.ackedSeq : cursor.ackedSeq;
+  }
+
+  /**
+   * Events the user missed since a sequence number
+   * Without lastSeq, replays everything after the last acknowledgement.
+   * @param {string} userId - User ID
+   * @param {number} [lastSeq] - Last sequence number the app saw
+   * @returns {Promise<Object>} { events, fromSeq, latestSeq, complete } -
+   *   complete is false when some missed events were already pruned, in
+   *   which case the app should reload its state over REST
+   */
+  async getMissedEvents(userId, lastSeq) {
+    if (lastSeq !== undefined && lastSeq !== null && (!Number.isInteger(lastSeq) || lastSeq < 0)) {
+      throw deliveryError("lastSeq must be a non-negative integer", 400, "INVALID_SEQUENCE");
+    }
+
+    const cursor = await SocketCursor.findOne({ user: userId }).lean();
+    const latestSeq = cursor?.lastSeq || 0;
+    const fromSeq = lastSeq ?? cursor?.ackedSeq ?? 0;
+
+    // The app knows a newer sequence than we have (e.g. a reset database)
+    if (fromSeq >= latestSeq) {
+      return { events: [], fromSeq, latestSeq, complete: fromSeq === latestSeq };
+    }
+
+    const events = await SocketOutboxEvent.find({ user: userId, seq: { $gt: fromSeq } })
+      .sort({ seq: 1 })
+      .select("seq event payload createdAt")
+      .lean();
+
+    return {
+      events,
+      fromSeq,
+      latestSeq,
+      complete: events.length === latestSeq - fromSeq,
+    };
+  }
+}
+
+// Create singleton instance
+const socketDeliveryService = new SocketDeliveryService();
+
+module.exports = socketDeliveryService;
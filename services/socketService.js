@@ -11,25 +11,25 @@ const Payment = require("../models/Payment");
 const PaymentMethod = require("../models/PaymentMethod");
 const RewardTransaction = require("../models/RewardTransaction");
 const { verifyToken } = require("../utils/jwt");
+const serviceAreaService = require("./serviceAreaService");
+const rideTrackService = require("./rideTrackService");
+const { MemorySocketAdapter } = require("./socketAdapter");
+const socketAuthorization = require("./socketAuthorization");
+const socketDeliveryService = require("./socketDeliveryService");
+const socketContractService = require("./socketContractService");
+const eventBus = require("./eventBus");
+const { SOCKET_CONFIG } = require("../config/socketConfig");
+const { DOMAIN_EVENTS } = require("../config/domainEvents");
+const { SOCKET_SCHEMA_VERSION } = require("../config/socketEventSchemas");
 const mongoose = require("mongoose");
+const { calculateDistance } = require("../utils/geo");
+
+// Rides whose live state (driver location, ETAs, fare) is pushed to subscribers
+const ACTIVE_RIDE_STATUSES = ["assigned", "accepted", "arrived", "in_progress"];
 
 // ===================================================================
-// HELPER FUNCTIONS - Distance and ETA calculations
+// HELPER FUNCTIONS - ETA calculations
 // ===================================================================
-function calculateDistance(lat1, lon1, lat2, lon2) {
-  const R = 6371; // Earth's radius in kilometers
-  const dLat = ((lat2 - lat1) * Math.PI) / 180;
-  const dLon = ((lon2 - lon1) * Math.PI) / 180;
-  const a =
-    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-    Math.cos((lat1 * Math.PI) / 180) *
-      Math.cos((lat2 * Math.PI) / 180) *
-      Math.sin(dLon / 2) *
-      Math.sin(dLon / 2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  return R * c; // Distance in kilometers
-}
-
 function calculateETA(distanceKm, speedKmh = 30) {
   if (distanceKm <= 0) return 0;
   const timeHours = distanceKm / speedKmh;
@@ -42,8 +42,13 @@ function calculateETA(distanceKm, speedKmh = 30) {
 class SocketService {
   constructor() {
     this.io = null;
-    this.activeRideIntervals = new Map();
-    this.driverLocationCheckInterval = null;
+    // Presence and ride job leases; shared between instances with Redis
+    this.adapter = new MemorySocketAdapter();
+    this.presenceHeartbeatInterval = null;
+    // Unsubscribe functions for domain events
+    this.eventSubscriptions = [];
+    // Pending "send your location" reminders per online driver
+    this.locationReminderTimers = new Map(); // Map<driverId, Timeout>
     // Cache rider locations for real-time driver updates
     this.riderLocations = new Map(); // Map<riderId, {latitude, longitude, timestamp}>
   }
@@ -156,21 +161,53 @@ class SocketService {
   /**
    * Initialize socket service with io instance
    * @param {Object} io - Socket.io instance
+   * @param {Object} adapter - Socket adapter (see socketAdapter.js), in-memory by default
    */
-  initialize(io) {
+  initialize(io, adapter) {
     this.io = io;
+    if (adapter) this.adapter = adapter;
     this.setupSocketHandlers();
-    this.startPeriodicRiderDashboardUpdates();
-    this.startDriverLocationPolling();
+    this.startPresenceHeartbeat();
+    this.subscribeToDomainEvents();
+    this.scheduleRemindersForOnlineDrivers().catch((error) =>
+      console.error("Error scheduling location reminders:", error),
+    );
+  }
+
+  /**
+   * Keep this instance's sockets in the shared presence store
+   * Sockets stop being listed once their instance stops refreshing them
+   */
+  startPresenceHeartbeat() {
+    this.presenceHeartbeatInterval = setInterval(async () => {
+      try {
+        const sockets = [];
+        this.io.sockets.sockets.forEach((socket) => {
+          if (socket.userId) {
+            sockets.push({ socketId: socket.id, userId: socket.userId });
+          }
+        });
+        await this.adapter.refreshSockets(sockets);
+      } catch (error) {
+        console.error("Error refreshing socket presence:", error.message);
+      }
+    }, SOCKET_CONFIG.presenceHeartbeatSeconds * 1000);
+  }
+
+  /**
+   * Stop the presence heartbeat (for graceful shutdown)
+   */
+  stopPresenceHeartbeat() {
+    if (this.presenceHeartbeatInterval) {
+      clearInterval(this.presenceHeartbeatInterval);
+      this.presenceHeartbeatInterval = null;
+    }
   }
 
   /**
    * Setup socket event handlers
    */
   setupSocketHandlers() {
-    // Track connected users for logging
-    this.connectedUsers = this.connectedUsers || new Map();
-
     this.io.on("connection", async (socket) => {
       const timestamp = this.getCurrentTimestampISO();
       console.log(`\n${"=".repeat(60)}`);
@@ -220,20 +257,26 @@ class SocketService {
         socket.userName = userName;
         socket.userRole = userRole;
 
-        // Track connected user
-        this.connectedUsers.set(socket.id, {
-          userId,
-          userName,
-          userRole,
-          connectedAt: new Date(),
-          transport: socket.conn.transport.name,
-        });
+        socket.connectedAt = Date.now();
+
+        // Track connected user (visible to every instance)
+        this.adapter
+          .addSocket(socket.id, {
+            userId,
+            userName,
+            userRole,
+            connectedAt: socket.connectedAt,
+            transport: socket.conn.transport.name,
+          })
+          .catch((error) =>
+            console.error(`Failed to record presence for ${socket.id}:`, error.message),
+          );
 
         console.log(`   ✅ Auth Success`);
         console.log(`   User ID: ${userId}`);
         console.log(`   User Name: ${userName}`);
         console.log(`   User Role: ${userRole}`);
-        console.log(`   Total Connected: ${this.connectedUsers.size}`);
+        console.log(`   Connected To This Instance: ${this.io.sockets.sockets.size}`);
         console.log(`${"=".repeat(60)}\n`);
 
         // Send connection acknowledgment to client
@@ -241,6 +284,7 @@ class SocketService {
           message: "Connected successfully",
           userId: userId,
           socketId: socket.id,
+          schemaVersion: SOCKET_SCHEMA_VERSION,
           timestamp: this.getCurrentTimestampISO(),
         });
       } catch (error) {
@@ -254,6 +298,35 @@ class SocketService {
         return;
       }
 
+      // Check every client event against its contract before its handler
+      // runs (see config/socketEventSchemas.js); invalid ones are dropped
+      socket.use(([event, payload, ...rest], next) => {
+        const { valid, errors } = socketContractService.checkInbound(event, payload);
+        if (valid) return next();
+
+        console.log(
+          `🚫 [INVALID PAYLOAD] ${event} - User: ${socket.userName || socket.userId}: ${errors.map((e) => `${e.path || "(payload)"} ${e.message}`).join("; ")}`,
+        );
+        const failure = {
+          event,
+          message: `Invalid ${event} payload`,
+          code: "INVALID_PAYLOAD",
+          errors,
+          timestamp: this.getCurrentTimestampISO(),
+        };
+        socket.emit("validation_error", failure);
+
+        const callback = [payload, ...rest].pop();
+        if (typeof callback === "function") callback(failure);
+      });
+
+      // Outside production, report emitted payloads that break their contract
+      if (socketContractService.validateOutbound) {
+        socket.onAnyOutgoing((event, payload) => {
+          socketContractService.checkOutbound(event, payload);
+        });
+      }
+
       // Handle ping from client (custom heartbeat for mobile apps)
       socket.on("ping_server", (data) => {
         socket.emit("pong_server", {
@@ -269,11 +342,47 @@ class SocketService {
         );
       });
 
+      // Run a subscription's access check (see socketAuthorization.js);
+      // every refusal is sent as the same subscription_error
+      const authorizeSubscription = async (event, check) => {
+        let reason;
+        try {
+          reason = await check();
+        } catch (error) {
+          console.error(`Error authorizing ${event} for user ${socket.userId}:`, error);
+          reason = "Could not verify access to this subscription";
+        }
+        if (!reason) return true;
+
+        console.log(
+          `🚫 [SUBSCRIPTION DENIED] ${event} - User: ${socket.userName || socket.userId} (${socket.userRole}): ${reason}`,
+        );
+        socket.emit("subscription_error", {
+          event,
+          message: reason,
+          code: "SUBSCRIPTION_FORBIDDEN",
+          timestamp: this.getCurrentTimestampISO(),
+        });
+        return false;
+      };
 
       // Dashboard subscription for real-time updates
       // Support both 'subscribe_dashboard' and 'subscribe_to_dashboard' event names
       const handleDashboardSubscription = async (data) => {
         const { userId, userType, latitude, longitude } = data;
+        const normalizedUserId = typeof userId === "object" && userId !== null
+          ? userId._id?.toString() || userId.id?.toString() || userId
+          : userId;
+
+        if (
+          userId &&
+          !(await authorizeSubscription("subscribe_dashboard", () =>
+            socketAuthorization.checkOwner(socket, normalizedUserId),
+          ))
+        ) {
+          return;
+        }
+
         if (userId && userType === "driver") {
           // API Contract: Join 'driver-driverId' room (plus old format for compatibility)
           // Note: We need driverId but we have userId - find Driver doc
@@ -320,10 +429,6 @@ class SocketService {
         } else if (userId && userType === "rider") {
           // API Contract: Join 'rider-riderId' room (plus userId format for compatibility)
           const Rider = require("../models/Rider");
-          const normalizedUserId = typeof userId === "object" && userId !== null
-            ? userId._id?.toString() || userId.id?.toString() || userId
-            : userId;
-
           const riderDoc = await Rider.findOne({ user: normalizedUserId });
 
           socket.join(`rider-${normalizedUserId}`); // userId format
@@ -468,7 +573,7 @@ class SocketService {
       // =====================================================
 
       // Rider subscribes to specific driver's location updates
-      socket.on("rider_subscribe_driver", (data) => {
+      socket.on("rider_subscribe_driver", async (data) => {
         const { driverId } = data;
         const riderId = socket.userId;
 
@@ -480,6 +585,14 @@ class SocketService {
           return;
         }
 
+        if (
+          !(await authorizeSubscription("rider_subscribe_driver", () =>
+            socketAuthorization.checkDriverLocation(socket, driverId),
+          ))
+        ) {
+          return;
+        }
+
         // Join the driver's location room
         socket.join(`driver_location:${driverId}`);
         console.log(
@@ -519,7 +632,7 @@ class SocketService {
       });
 
       // Rider subscribes to ride updates (for tracking ride status)
-      socket.on("subscribe_ride", (data) => {
+      socket.on("subscribe_ride", async (data) => {
         const { rideId } = data;
         const riderId = socket.userId;
 
@@ -531,6 +644,14 @@ class SocketService {
           return;
         }
 
+        if (
+          !(await authorizeSubscription("subscribe_ride", () =>
+            socketAuthorization.checkRide(socket, rideId),
+          ))
+        ) {
+          return;
+        }
+
         // Join the ride's status room
         socket.join(`ride_status_${rideId}_${riderId}`);
         console.log(
@@ -558,8 +679,13 @@ class SocketService {
       });
 
       // Wallet subscription for real-time updates
-      socket.on("subscribe_wallet", (userId) => {
-        if (userId) {
+      socket.on("subscribe_wallet", async (userId) => {
+        if (
+          userId &&
+          (await authorizeSubscription("subscribe_wallet", () =>
+            socketAuthorization.checkOwner(socket, userId),
+          ))
+        ) {
           socket.join(`wallet_${userId}`);
           console.log(`User ${userId} subscribed to wallet updates`);
         }
@@ -572,8 +698,13 @@ class SocketService {
       });
 
       // Ride history subscription for real-time updates
-      socket.on("subscribe_ride_history", (userId) => {
-        if (userId) {
+      socket.on("subscribe_ride_history", async (userId) => {
+        if (
+          userId &&
+          (await authorizeSubscription("subscribe_ride_history", () =>
+            socketAuthorization.checkOwner(socket, userId),
+          ))
+        ) {
           socket.join(`ride_history_${userId}`);
           console.log(`User ${userId} subscribed to ride history updates`);
         }
@@ -586,8 +717,13 @@ class SocketService {
       });
 
       // Earnings subscription for real-time updates
-      socket.on("subscribe_earnings", (userId) => {
-        if (userId) {
+      socket.on("subscribe_earnings", async (userId) => {
+        if (
+          userId &&
+          (await authorizeSubscription("subscribe_earnings", () =>
+            socketAuthorization.checkOwner(socket, userId),
+          ))
+        ) {
           socket.join(`earnings_${userId}`);
           console.log(`User ${userId} subscribed to earnings updates`);
         }
@@ -600,8 +736,13 @@ class SocketService {
       });
 
       // Rewards subscription for real-time updates
-      socket.on("subscribe_rewards", (userId) => {
-        if (userId) {
+      socket.on("subscribe_rewards", async (userId) => {
+        if (
+          userId &&
+          (await authorizeSubscription("subscribe_rewards", () =>
+            socketAuthorization.checkOwner(socket, userId),
+          ))
+        ) {
           socket.join(`rewards_${userId}`);
           console.log(`User ${userId} subscribed to rewards updates`);
         }
@@ -614,12 +755,12 @@ class SocketService {
       });
 
       // Analytics subscription for admin real-time updates
-      socket.on("subscribe_analytics", () => {
-        // Only allow admins to subscribe
+      socket.on("subscribe_analytics", async () => {
+        // Only allow active admins to subscribe
         if (
-          socket.userRole === "admin" ||
-          socket.userRole === "superadmin" ||
-          socket.userRole === "subadmin"
+          await authorizeSubscription("subscribe_analytics", () =>
+            socketAuthorization.checkAnalytics(socket),
+          )
         ) {
           socket.join("admin_analytics");
           console.log(
@@ -633,7 +774,7 @@ class SocketService {
         } else {
           socket.emit("analytics_subscribed", {
             success: false,
-            message: "Only admins can subscribe to analytics",
+            message: "Not allowed to subscribe to analytics",
             timestamp: this.getCurrentTimestamp(),
           });
         }
@@ -647,48 +788,85 @@ class SocketService {
         );
       });
 
-      socket.on("disconnect", (reason) => {
+      // Replay reliable events missed while offline (see socketDeliveryService.js)
+      // Data: { lastSeq } - omit to replay everything not yet acknowledged
+      socket.on("resume", async (data, callback) => {
+        try {
+          const lastSeq = data?.lastSeq;
+          // Having seen lastSeq implies everything up to it was processed;
+          // a lastSeq we don't know is handled by getMissedEvents below
+          if (lastSeq !== undefined && lastSeq !== null) {
+            await socketDeliveryService.acknowledge(socket.userId, lastSeq).catch(() => {});
+          }
+
+          const { events, fromSeq, latestSeq, complete } =
+            await socketDeliveryService.getMissedEvents(socket.userId, lastSeq);
+
+          events.forEach(({ seq, event, payload }) => {
+            socket.emit(event, this.withSequence(payload, seq, true));
+          });
+
+          const summary = {
+            fromSeq,
+            latestSeq,
+            replayed: events.length,
+            complete,
+            timestamp: this.getCurrentTimestampISO(),
+          };
+          socket.emit("resume_complete", summary);
+          if (typeof callback === "function") callback(summary);
+
+          console.log(
+            `🔁 [RESUME] User: ${socket.userId} - replayed ${events.length} event(s) after seq ${fromSeq}`,
+          );
+        } catch (error) {
+          const failure = {
+            message: error.statusCode ? error.message : "Could not replay missed events",
+            code: error.code || "RESUME_FAILED",
+            timestamp: this.getCurrentTimestampISO(),
+          };
+          if (!error.statusCode) console.error(`Resume failed for user ${socket.userId}:`, error);
+          socket.emit("resume_error", failure);
+          if (typeof callback === "function") callback(failure);
+        }
+      });
+
+      // Acknowledge reliable events up to and including a sequence number
+      // Data: { seq }
+      socket.on("ack", async (data, callback) => {
+        try {
+          const ackedSeq = await socketDeliveryService.acknowledge(socket.userId, data?.seq);
+          if (typeof callback === "function") callback({ ackedSeq });
+        } catch (error) {
+          const failure = {
+            message: error.statusCode ? error.message : "Could not record acknowledgement",
+            code: error.code || "ACK_FAILED",
+            timestamp: this.getCurrentTimestampISO(),
+          };
+          if (!error.statusCode) console.error(`Ack failed for user ${socket.userId}:`, error);
+          socket.emit("ack_error", failure);
+          if (typeof callback === "function") callback(failure);
+        }
+      });
+
+      socket.on("disconnect", async (reason) => {
         const timestamp = this.getCurrentTimestampISO();
-        const connectedInfo = this.connectedUsers?.get(socket.id);
-        const connectionDuration = connectedInfo
-          ? Math.round((Date.now() - connectedInfo.connectedAt) / 1000)
+        const connectionDuration = socket.connectedAt
+          ? Math.round((Date.now() - socket.connectedAt) / 1000)
           : 0;
 
         // Remove from tracked users
-        this.connectedUsers?.delete(socket.id);
+        try {
+          await this.adapter.removeSocket(socket.id, socket.userId);
+        } catch (error) {
+          console.error(`Failed to clear presence for ${socket.id}:`, error.message);
+        }
 
         // Clean up rider location cache if this was a rider
         if (socket.userId && socket.userRole === "rider") {
           this.riderLocations.delete(socket.userId);
         }
 
-        // CRITICAL FIX: Clear all active ride intervals for this user
-        // This prevents duplicate intervals when user reconnects
-        if (socket.userId) {
-          // Find and clear all intervals for this user
-          const intervalsToDelete = [];
-          this.activeRideIntervals.forEach((interval, key) => {
-            // Convert key to string before checking
-            const keyString = String(key);
-            if (keyString.includes(socket.userId.toString())) {
-              clearInterval(interval);
-              intervalsToDelete.push(key);
-              console.log(`⚠️  Cleared interval on disconnect: ${keyString}`);
-            }
-          });
-
-          // Delete the cleared intervals from the map
-          intervalsToDelete.forEach((key) => {
-            this.activeRideIntervals.delete(key);
-          });
-
-          if (intervalsToDelete.length > 0) {
-            console.log(
-              `✅ Cleaned up ${intervalsToDelete.length} active ride interval(s) for user ${socket.userId}`,
-            );
-          }
-        }
-
         console.log(`\n${"=".repeat(60)}`);
         console.log(`🔌 [WEBSOCKET DISCONNECTED]`);
         console.log(`   Socket ID: ${socket.id}`);
@@ -699,7 +877,7 @@ class SocketService {
         console.log(`   Session Duration: ${connectionDuration} seconds`);
         console.log(`   Time: ${timestamp}`);
         console.log(
-          `   Remaining Connected: ${this.connectedUsers?.size || 0}`,
+          `   Remaining On This Instance: ${this.io.sockets.sockets.size}`,
         );
 
         // Log disconnection reason explanation
@@ -729,162 +907,278 @@ class SocketService {
     });
   }
 
+  // ===================================================================
+  // DOMAIN EVENTS - Real-time pushes driven by changes, not polling
+  // ===================================================================
+
   /**
-   * Start periodic rider dashboard updates
+   * Subscribe to the domain events that drive real-time pushes
+   * (see services/eventBus.js)
    */
-  startPeriodicRiderDashboardUpdates() {
-    // Update rider dashboards every 30 seconds
-    setInterval(async () => {
-      try {
-        if (this.io) {
-          // Get all rider dashboard rooms
-          const rooms = Array.from(this.io.sockets.adapter.rooms.keys()).filter(
-            (room) => room.startsWith("rider_dashboard_"),
-          );
-
-          for (const room of rooms) {
-            const riderId = room.replace("rider_dashboard_", "");
+  subscribeToDomainEvents() {
+    if (this.eventSubscriptions.length > 0) return;
 
-            // For periodic updates, we need rider location data
-            // This is a simplified approach - in production, you'd store rider locations
-            // For now, we'll skip periodic updates that require location data
-            // and only send general updates if needed
+    this.eventSubscriptions = [
+      eventBus.subscribe(DOMAIN_EVENTS.RIDE_STATUS_CHANGED, ({ payload }) =>
+        this.pushRideUpdate(payload.rideId),
+      ),
+      eventBus.subscribe(DOMAIN_EVENTS.DRIVER_LOCATION_CHANGED, ({ payload }) =>
+        this.handleDriverLocationChanged(payload),
+      ),
+      eventBus.subscribe(DOMAIN_EVENTS.DRIVER_STATUS_CHANGED, ({ payload }) =>
+        this.handleDriverStatusChanged(payload),
+      ),
+      eventBus.subscribe(DOMAIN_EVENTS.WALLET_CHANGED, ({ payload }) =>
+        this.handleWalletChanged(payload),
+      ),
+    ];
+  }
 
-            // You could send periodic stats updates here if rider location is cached
-            // this.sendPeriodicRiderStatsUpdate(riderId);
-          }
-        }
-      } catch (error) {
-        console.error("Error in periodic rider dashboard updates:", error);
-      }
-    }, 30000); // 30 seconds
+  /**
+   * Stop reacting to domain events (for graceful shutdown)
+   */
+  unsubscribeFromDomainEvents() {
+    this.eventSubscriptions.forEach((unsubscribe) => unsubscribe());
+    this.eventSubscriptions = [];
+    this.locationReminderTimers.forEach((timer) => clearTimeout(timer));
+    this.locationReminderTimers.clear();
   }
 
   /**
-   * Start driver location polling - checks for online drivers without recent location updates
-   * and sends reminders to update their location
+   * Fan a driver's new location out to nearby riders, ride subscribers and
+   * riders following the driver, and refresh their current ride's ETAs
+   * @param {Object} location - driver.location_changed payload
    */
-  startDriverLocationPolling() {
-    // Check every 60 seconds for online drivers without recent locations
-    this.driverLocationCheckInterval = setInterval(async () => {
-      try {
-        // Find all online drivers
-        const onlineDrivers = await Driver.find({
-          status: "online",
-          isApproved: "approved",
-          activeStatus: "active",
-        }).populate("user", "fullName");
-
-        if (onlineDrivers.length === 0) {
-          return;
-        }
+  async handleDriverLocationChanged(location) {
+    const driverId = location.driverId.toString();
+    const { latitude, longitude } = location;
 
-        const twoMinutesAgo = new Date(Date.now() - 2 * 60 * 1000);
-        const fiveMinutesAgo = new Date(Date.now() - 5 * 60 * 1000);
+    if (!latitude || !longitude || isNaN(latitude) || isNaN(longitude)) {
+      console.error("Invalid driver location coordinates:", {
+        driverId,
+        latitude,
+        longitude,
+        message: "Coordinates must be valid numbers",
+      });
+      return;
+    }
 
-        for (const driver of onlineDrivers) {
-          // Check if driver has recent location
-          const recentLocation = await LiveLocation.findOne({
-            driver: driver._id,
-            timestamp: { $gte: twoMinutesAgo },
-          });
+    const coordinates = {
+      latitude,
+      longitude,
+      heading: location.heading || 0,
+      speed: location.speed || 0,
+    };
 
-          if (!recentLocation) {
-            // Check if they have any location at all
-            const anyLocation = await LiveLocation.findOne({
-              driver: driver._id,
-            }).sort({ timestamp: -1 });
+    await this.notifyNearbyRidersAboutDriverUpdate(driverId, coordinates);
+    await this.notifyRideSubscribersAboutDriverLocation(driverId, {
+      ...coordinates,
+      timestamp: location.timestamp,
+    });
 
-            let warningType = "no_location";
-            let message =
-              "You are online but we don't have your location. Please enable GPS to receive ride requests.";
+    // Broadcast to all riders who subscribed to this specific driver's location
+    // (Required by BACKEND_REQUIREMENTS.md - rider_subscribe_driver event)
+    this.broadcastDriverLocationToSubscribers(driverId, coordinates);
 
-            if (anyLocation) {
-              const locationAge = Math.round(
-                (Date.now() - new Date(anyLocation.timestamp)) / 1000 / 60,
-              );
+    const activeRides = await Ride.find({
+      driver: driverId,
+      status: { $in: ACTIVE_RIDE_STATUSES },
+    }).select("_id");
+    for (const ride of activeRides) {
+      await this.pushRideUpdate(ride._id);
+    }
 
-              if (anyLocation.timestamp < fiveMinutesAgo) {
-                warningType = "stale_location";
-                message = `Your location is ${locationAge} minutes old. Please enable GPS to receive ride requests.`;
-              } else {
-                // Location is between 2-5 minutes old - send soft reminder
-                warningType = "location_update_needed";
-                message =
-                  "Please ensure your GPS is enabled for accurate location tracking.";
-              }
-            }
+    // The reminder countdown restarts with every update
+    this.scheduleLocationReminder(
+      driverId,
+      SOCKET_CONFIG.locationReminderSeconds * 1000,
+    );
+  }
 
-            // Send location reminder to driver via WebSocket
-            // IMPORTANT: Use driver.user (User ID) not driver._id (Driver ID)
-            // because sockets join rooms using User ID from JWT token
-            const driverUserId = driver.user?.toString() || driver.user;
-            console.log(
-              `DEBUG [LocationPolling]: Sending location reminder to driver ${driver._id} (User: ${driverUserId}, ${driver.user?.fullName || "Unknown"}): ${warningType}`,
-            );
+  /**
+   * Start or stop watching a driver for missing location updates
+   * @param {Object} change - driver.status_changed payload
+   */
+  handleDriverStatusChanged({ driverId, status }) {
+    if (status === "online") {
+      this.scheduleLocationReminder(
+        driverId.toString(),
+        SOCKET_CONFIG.locationReminderSeconds * 1000,
+      );
+    } else {
+      this.cancelLocationReminder(driverId.toString());
+    }
+  }
 
-            this.notifyUser(driverUserId, "location_reminder", {
-              type: warningType,
-              message: message,
-              requiresAction: warningType !== "location_update_needed",
-              lastLocationAge: anyLocation
-                ? Math.round(
-                    (Date.now() - new Date(anyLocation.timestamp)) / 1000 / 60,
-                  )
-                : null,
-              timestamp: this.getCurrentTimestamp(),
-            });
+  /**
+   * Watch drivers who were already online when this instance started - their
+   * status change was handled (and its timer lost) before a restart
+   */
+  async scheduleRemindersForOnlineDrivers() {
+    const drivers = await Driver.find({
+      status: "online",
+      isApproved: "approved",
+      activeStatus: "active",
+    }).select("_id");
 
-            // Also send to dashboard subscribers (using User ID)
-            this.notifyDashboard(driverUserId, "location_reminder", {
-              type: warningType,
-              message: message,
-              requiresAction: warningType !== "location_update_needed",
-              timestamp: this.getCurrentTimestamp(),
-            });
-          }
-        }
-      } catch (error) {
-        console.error("Error in driver location polling:", error);
-      }
-    }, 60000); // Check every 60 seconds
+    drivers.forEach((driver) =>
+      this.scheduleLocationReminder(
+        driver._id.toString(),
+        SOCKET_CONFIG.locationReminderSeconds * 1000,
+      ),
+    );
+  }
 
-    console.log("Driver location polling started - checking every 60 seconds");
+  /**
+   * Push a rider's wallet after its balance changed
+   * @param {Object} change - wallet.changed payload
+   */
+  async handleWalletChanged({ userId }) {
+    const wallet = await Wallet.findOne({ user: userId });
+    if (!wallet) return;
+
+    this.notifyWalletUpdate(userId.toString(), {
+      _id: wallet._id,
+      balance: wallet.balance,
+      currency: wallet.currency,
+      transactions: wallet.transactions,
+      updatedAt: wallet.updatedAt,
+    });
   }
 
   /**
-   * Stop driver location polling
+   * Remind an online driver to send their location if nothing arrives
+   * within delayMs. Restarted on every location update, so reminders only go
+   * out once updates have actually stopped
+   * @param {string} driverId - Driver ID
+   * @param {number} delayMs - Time until the reminder
    */
-  stopDriverLocationPolling() {
-    if (this.driverLocationCheckInterval) {
-      clearInterval(this.driverLocationCheckInterval);
-      this.driverLocationCheckInterval = null;
-      console.log("Driver location polling stopped");
+  scheduleLocationReminder(driverId, delayMs) {
+    this.cancelLocationReminder(driverId);
+
+    this.locationReminderTimers.set(
+      driverId,
+      setTimeout(() => {
+        this.locationReminderTimers.delete(driverId);
+        this.sendLocationReminder(driverId).catch((error) =>
+          console.error(`Error sending location reminder to driver ${driverId}:`, error),
+        );
+      }, delayMs),
+    );
+  }
+
+  /**
+   * Stop watching a driver's location (they went offline)
+   * @param {string} driverId - Driver ID
+   */
+  cancelLocationReminder(driverId) {
+    const timer = this.locationReminderTimers.get(driverId);
+    if (timer) {
+      clearTimeout(timer);
+      this.locationReminderTimers.delete(driverId);
     }
   }
 
   /**
-   * Get count of connected WebSocket users
-   * @returns {Object} Connection statistics
+   * Remind a driver who is still online that their location is missing or
+   * old, and keep reminding until it arrives or they go offline
+   * @param {string} driverId - Driver ID
    */
-  getConnectionStats() {
-    const stats = {
-      totalConnected: this.connectedUsers?.size || 0,
-      users: [],
-    };
+  async sendLocationReminder(driverId) {
+    const driver = await Driver.findOne({
+      _id: driverId,
+      status: "online",
+      isApproved: "approved",
+      activeStatus: "active",
+    }).populate("user", "fullName");
+    if (!driver) return;
+
+    const reminderMs = SOCKET_CONFIG.locationReminderSeconds * 1000;
+    const staleMs = SOCKET_CONFIG.locationStaleSeconds * 1000;
+
+    const lastLocation = await LiveLocation.findOne({
+      driver: driver._id,
+    }).sort({ timestamp: -1 });
+    const locationAgeMs = lastLocation
+      ? Date.now() - new Date(lastLocation.timestamp)
+      : null;
+
+    // A newer location reached another instance meanwhile
+    if (locationAgeMs !== null && locationAgeMs < reminderMs) {
+      this.scheduleLocationReminder(driverId, reminderMs - locationAgeMs);
+      return;
+    }
 
-    if (this.connectedUsers) {
-      this.connectedUsers.forEach((info, socketId) => {
-        stats.users.push({
-          socketId,
-          ...info,
-          connectedFor:
-            Math.round((Date.now() - info.connectedAt) / 1000) + " seconds",
-        });
+    let warningType = "no_location";
+    let message =
+      "You are online but we don't have your location. Please enable GPS to receive ride requests.";
+    const locationAge =
+      locationAgeMs !== null ? Math.round(locationAgeMs / 1000 / 60) : null;
+
+    if (lastLocation) {
+      if (locationAgeMs >= staleMs) {
+        warningType = "stale_location";
+        message = `Your location is ${locationAge} minutes old. Please enable GPS to receive ride requests.`;
+      } else {
+        // Location is between 2-5 minutes old - send soft reminder
+        warningType = "location_update_needed";
+        message =
+          "Please ensure your GPS is enabled for accurate location tracking.";
+      }
+    }
+
+    // Other instances may hold a timer for the same driver; one reminds
+    if (await this.adapter.acquireLease(`location_reminder:${driverId}`, reminderMs)) {
+      // Send location reminder to driver via WebSocket
+      // IMPORTANT: Use driver.user (User ID) not driver._id (Driver ID)
+      // because sockets join rooms using User ID from JWT token
+      const driverUserId = driver.user?._id?.toString() || driver.user?.toString();
+      console.log(
+        `DEBUG [LocationReminder]: Sending location reminder to driver ${driver._id} (User: ${driverUserId}, ${driver.user?.fullName || "Unknown"}): ${warningType}`,
+      );
+
+      this.notifyUser(driverUserId, "location_reminder", {
+        type: warningType,
+        message: message,
+        requiresAction: warningType !== "location_update_needed",
+        lastLocationAge: locationAge,
+        timestamp: this.getCurrentTimestamp(),
+      });
+
+      // Also send to dashboard subscribers (using User ID)
+      this.notifyDashboard(driverUserId, "location_reminder", {
+        type: warningType,
+        message: message,
+        requiresAction: warningType !== "location_update_needed",
+        timestamp: this.getCurrentTimestamp(),
       });
     }
 
-    return stats;
+    // Next reminder when the location turns stale, then every stale period
+    this.scheduleLocationReminder(
+      driverId,
+      warningType === "location_update_needed"
+        ? staleMs - locationAgeMs
+        : staleMs,
+    );
+  }
+
+  /**
+   * Get count of connected WebSocket users across all instances
+   * @returns {Promise<Object>} Connection statistics
+   */
+  async getConnectionStats() {
+    const sockets = await this.adapter.listSockets();
+
+    return {
+      totalConnected: sockets.length,
+      users: sockets.map((info) => ({
+        ...info,
+        connectedAt: new Date(info.connectedAt),
+        connectedFor:
+          Math.round((Date.now() - info.connectedAt) / 1000) + " seconds",
+      })),
+    };
   }
 
   /**
@@ -905,17 +1199,14 @@ class SocketService {
           "fullName phone",
         );
 
-        socket.emit("driver_location_update", {
-          driverId: driverId,
-          latitude: location.latitude,
-          longitude: location.longitude,
-          heading: location.heading || 0,
-          speed: location.speed || 0,
-          driverName: driver?.user?.fullName || "Unknown Driver",
-          vehicleType: driver?.vehicleType || "sedan",
-          vehicleNumber: driver?.numberPlateOfVehicle || null,
-          timestamp: location.timestamp.toISOString(),
-        });
+        socket.emit(
+          "driver_location_update",
+          this.buildDriverLocationUpdate(driverId, location, {
+            driverName: driver?.user?.fullName || "Unknown Driver",
+            vehicleType: driver?.vehicleType || "sedan",
+            vehicleNumber: driver?.numberPlateOfVehicle || null,
+          }),
+        );
 
         console.log(
           `📍 [SEND DRIVER LOCATION] Sent current location of driver ${driverId} to rider`,
@@ -926,6 +1217,26 @@ class SocketService {
     }
   }
 
+  /**
+   * driver_location_update payload - the same core fields whoever sends it
+   * (see config/socketEventSchemas.js)
+   * @param {string} driverId - Driver ID
+   * @param {Object} location - { latitude|lat, longitude|lng, heading, speed, timestamp }
+   * @param {Object} details - Extra fields for this audience (rideId, distance, ...)
+   * @returns {Object} Event payload
+   */
+  buildDriverLocationUpdate(driverId, location, details = {}) {
+    return {
+      driverId: driverId.toString(),
+      latitude: Number(location.latitude ?? location.lat),
+      longitude: Number(location.longitude ?? location.lng),
+      heading: Number(location.heading) || 0,
+      speed: Number(location.speed) || 0,
+      timestamp: new Date(location.timestamp || location.lastUpdated || Date.now()).toISOString(),
+      ...details,
+    };
+  }
+
   /**
    * Broadcast driver location to all subscribed riders
    * @param {string} driverId - Driver ID
@@ -959,14 +1270,9 @@ class SocketService {
         });
       }
 
-      this.io.to(roomName).emit("driver_location_update", {
-        driverId: driverId,
-        latitude: locationData.latitude,
-        longitude: locationData.longitude,
-        heading: locationData.heading || 0,
-        speed: locationData.speed || 0,
-        timestamp: this.getCurrentTimestampISO(),
-      });
+      this.io
+        .to(roomName)
+        .emit("driver_location_update", this.buildDriverLocationUpdate(driverId, locationData));
 
       console.log(`   ✅ Broadcast sent to ${subscriberCount} subscriber(s)`);
       console.log(`${"=".repeat(60)}\n`);
@@ -976,8 +1282,8 @@ class SocketService {
   /**
    * Log current connection status to console
    */
-  logConnectionStatus() {
-    const stats = this.getConnectionStats();
+  async logConnectionStatus() {
+    const stats = await this.getConnectionStats();
     console.log(`\n📡 [WEBSOCKET STATUS]`);
     console.log(`   Total Connected: ${stats.totalConnected}`);
     if (stats.users.length > 0) {
@@ -1030,8 +1336,8 @@ class SocketService {
         return null; // Return gracefully instead of throwing - user might not be a driver
       }
 
-      // Only update location if driver is online
-      if (driver.status !== "online") {
+      // Only update location if driver is online (or busy on a ride)
+      if (!["online", "busy"].includes(driver.status)) {
         console.log(
           `DEBUG [SocketLocation]: Driver ${driver._id} is not online (status: ${driver.status})`,
         );
@@ -1042,8 +1348,9 @@ class SocketService {
         driver: driver._id,
         latitude: lat,
         longitude: lng,
-        heading: heading ? parseFloat(heading) : 0,
-        speed: speed ? parseFloat(speed) : 0,
+        // Out of range (devices send -1 when unknown) is stored as 0
+        heading: heading >= 0 && heading <= 360 ? parseFloat(heading) : 0,
+        speed: speed > 0 ? parseFloat(speed) : 0,
         timestamp: this.getCurrentTimestamp(),
         location: {
           type: "Point",
@@ -1091,66 +1398,23 @@ class SocketService {
         },
       );
 
-      // Notify nearby riders about driver location update
-      // Validate coordinates before sending
-      if (
-        locationData.latitude &&
-        locationData.longitude &&
-        !isNaN(locationData.latitude) &&
-        !isNaN(locationData.longitude)
-      ) {
-        await this.notifyNearbyRidersAboutDriverUpdate(driver._id.toString(), {
-          latitude: locationData.latitude,
-          longitude: locationData.longitude,
-          heading: locationData.heading,
-          speed: locationData.speed,
-        });
-      } else {
+      // Keep the trail of an in-progress ride for fare calculation
+      try {
+        await rideTrackService.recordSample(driver._id, locationData);
+      } catch (trackError) {
         console.error(
-          "Invalid driver location coordinates for nearby riders:",
-          {
-            driverId: driver._id.toString(),
-            latitude: locationData.latitude,
-            longitude: locationData.longitude,
-            message: "Coordinates must be valid numbers",
-          },
+          `ERROR [SocketLocation]: Failed to record ride track for driver ${driver._id}:`,
+          trackError.message,
         );
       }
 
-      // Notify subscribers of active rides about location updates
-      // Validate coordinates before sending
-      if (
-        locationData.latitude &&
-        locationData.longitude &&
-        !isNaN(locationData.latitude) &&
-        !isNaN(locationData.longitude)
-      ) {
-        await this.notifyRideSubscribersAboutDriverLocation(
-          driver._id.toString(),
-          {
-            latitude: locationData.latitude,
-            longitude: locationData.longitude,
-            heading: locationData.heading,
-            speed: locationData.speed,
-            timestamp: locationData.timestamp,
-          },
-        );
-      } else {
-        console.error("Invalid driver location coordinates:", {
-          driverId: driver._id.toString(),
-          latitude: locationData.latitude,
-          longitude: locationData.longitude,
-          message: "Coordinates must be valid numbers",
-        });
-      }
-
-      // Broadcast to all riders who subscribed to this specific driver's location
-      // (Required by BACKEND_REQUIREMENTS.md - rider_subscribe_driver event)
-      this.broadcastDriverLocationToSubscribers(driver._id.toString(), {
+      eventBus.publish(DOMAIN_EVENTS.DRIVER_LOCATION_CHANGED, {
+        driverId: driver._id,
         latitude: locationData.latitude,
         longitude: locationData.longitude,
         heading: locationData.heading,
         speed: locationData.speed,
+        timestamp: locationData.timestamp,
       });
 
       return locationResult;
@@ -1186,26 +1450,79 @@ class SocketService {
         return;
       }
 
-      // API Contract: Use 'rider-riderId' + 'rider-userId' formats
-      this.io.to(normalizedUserId).emit(event, data);
-      this.io.to(`rider-${normalizedUserId}`).emit(event, data); // userId format
-      this.io.to(`rider_dashboard_${normalizedUserId}`).emit(event, data); // backward compatibility
-
-      // Also send to riderId room if available (only if userId is a valid ObjectId)
-      if (mongoose.Types.ObjectId.isValid(normalizedUserId)) {
-        this.getRiderIdFromUserId(normalizedUserId).then((riderId) => {
-          if (riderId) {
-            this.io.to(`rider-${riderId}`).emit(event, data);
-          }
-        }).catch((error) => {
-          console.log(`DEBUG [notifyUser]: Could not resolve riderId for user ${normalizedUserId}: ${error.message}`);
-        });
-      }
+      this.deliver(normalizedUserId, event, data, (payload) =>
+        this.emitToUser(normalizedUserId, event, payload),
+      );
 
       console.log(`Notification sent to user ${normalizedUserId}: ${event}`);
     }
   }
 
+  /**
+   * Send an event to one user, recording it for replay if it's reliable
+   * Reliable events carry the user's next sequence number; if recording
+   * fails the event still goes out, just without one.
+   * @param {string} userId - Normalized User ID
+   * @param {string} event - Event name
+   * @param {Object} data - Event data
+   * @param {Function} emit - Sends the (sequenced) payload to the user's rooms
+   */
+  deliver(userId, event, data, emit) {
+    if (
+      !socketDeliveryService.isReliable(event) ||
+      !mongoose.Types.ObjectId.isValid(userId)
+    ) {
+      emit(data);
+      return;
+    }
+
+    socketDeliveryService
+      .record(userId, event, data)
+      .then((seq) => emit(this.withSequence(data, seq)))
+      .catch((error) => {
+        console.error(`Failed to record ${event} for user ${userId}:`, error.message);
+        emit(data);
+      });
+  }
+
+  /**
+   * Emit to every room a user's apps may be listening on
+   * @param {string} userId - Normalized User ID
+   * @param {string} event - Event name
+   * @param {Object} data - Event data
+   */
+  emitToUser(userId, event, data) {
+    // API Contract: Use 'rider-riderId' + 'rider-userId' formats
+    this.io.to(userId).emit(event, data);
+    this.io.to(`rider-${userId}`).emit(event, data); // userId format
+    this.io.to(`rider_dashboard_${userId}`).emit(event, data); // backward compatibility
+
+    // Also send to riderId room if available (only if userId is a valid ObjectId)
+    if (mongoose.Types.ObjectId.isValid(userId)) {
+      this.getRiderIdFromUserId(userId).then((riderId) => {
+        if (riderId) {
+          this.io.to(`rider-${riderId}`).emit(event, data);
+        }
+      }).catch((error) => {
+        console.log(`DEBUG [notifyUser]: Could not resolve riderId for user ${userId}: ${error.message}`);
+      });
+    }
+  }
+
+  /**
+   * Add the delivery sequence number to an event payload
+   * @param {Object} data - Event data
+   * @param {number} seq - Sequence number from socketDeliveryService
+   * @param {boolean} replayed - Sent again on "resume"
+   * @returns {Object} Payload with seq (and replayed)
+   */
+  withSequence(data, seq, replayed = false) {
+    if (!data || typeof data !== "object" || Array.isArray(data)) {
+      return { data, seq, ...(replayed && { replayed }) };
+    }
+    return { ...data, seq, ...(replayed && { replayed }) };
+  }
+
   /**
    * Send notification to dashboard subscribers
    * @param {string} userId - User ID
@@ -1374,6 +1691,9 @@ class SocketService {
       // Extract first name from full name
       const firstName = user.fullName ? user.fullName.split(" ")[0] : "User";
 
+      // Active service areas for the map overlay
+      const serviceAreas = await serviceAreaService.getActiveAreas();
+
       const dashboardData = {
         welcomeMessage: `Welcome back, ${firstName}!`,
         stats: {
@@ -1391,44 +1711,8 @@ class SocketService {
         },
         nearbyDrivers,
         mapConfig: {
-          surreyBoundary: {
-            type: "Polygon",
-            coordinates: [
-              [
-                [-0.7647820542412376, 51.23981446058468],
-                [-0.7875715012305591, 51.3374427274924],
-                [-0.6234890626433867, 51.38724570115019],
-                [-0.5528255976095124, 51.44765326621072],
-                [-0.4912946943742895, 51.4369998383697],
-                [-0.4730633156372619, 51.460434099370985],
-                [-0.4969920002292554, 51.49591764082311],
-                [-0.41599643381312035, 51.48302961671584],
-                [-0.4034623609311154, 51.447536045839286],
-                [-0.35446553057650476, 51.40490731265197],
-                [-0.3350946905903527, 51.35227709578001],
-                [-0.27242432621378043, 51.39205851269867],
-                [-0.23596156893145803, 51.37214590110136],
-                [-0.18810419974732895, 51.34279330808303],
-                [-0.12999168002420447, 51.315737863375745],
-                [-0.05478725214481983, 51.348487158103154],
-                [0.005236573648232934, 51.30684028123139],
-                [0.08385939444977453, 51.320372623128776],
-                [0.10095132645901117, 51.230557277238916],
-                [0.07471019312615113, 51.14568596968138],
-                [-0.09279059902101494, 51.11922959976991],
-                [-0.13840415849489318, 51.15779247389932],
-                [-0.20107452358979572, 51.16493836684967],
-                [-0.2990681842990739, 51.12204640044169],
-                [-0.47454520463912786, 51.0991543868395],
-                [-0.6885988502547775, 51.033302729867955],
-                [-0.7375956806094166, 51.09059298445487],
-                [-0.7803726437674072, 51.11666890149371],
-                [-0.8088591650132173, 51.1567073053445],
-                [-0.8452124718280913, 51.192817893194615],
-                [-0.7647820542412376, 51.23981446058468],
-              ],
-            ],
-          },
+          serviceAreas,
+          surreyBoundary: serviceAreas[0]?.geometry || null, // Kept for older app builds
           userLocation: {
             latitude: parseFloat(latitude),
             longitude: parseFloat(longitude),
@@ -1501,68 +1785,6 @@ class SocketService {
         `DEBUG [getNearbyDriversForRiderDashboard]: Looking for drivers near (${userLat}, ${userLon}) for rider ${riderId || "unknown"}`,
       );
 
-      // Surrey boundary coordinates (approximate polygon for Surrey, UK)
-      const SURREY_BOUNDARY = {
-        type: "Polygon",
-        coordinates: [
-          [
-            [-0.7647820542412376, 51.23981446058468],
-            [-0.7875715012305591, 51.3374427274924],
-            [-0.6234890626433867, 51.38724570115019],
-            [-0.5528255976095124, 51.44765326621072],
-            [-0.4912946943742895, 51.4369998383697],
-            [-0.4730633156372619, 51.460434099370985],
-            [-0.4969920002292554, 51.49591764082311],
-            [-0.41599643381312035, 51.48302961671584],
-            [-0.4034623609311154, 51.447536045839286],
-            [-0.35446553057650476, 51.40490731265197],
-            [-0.3350946905903527, 51.35227709578001],
-            [-0.27242432621378043, 51.39205851269867],
-            [-0.23596156893145803, 51.37214590110136],
-            [-0.18810419974732895, 51.34279330808303],
-            [-0.12999168002420447, 51.315737863375745],
-            [-0.05478725214481983, 51.348487158103154],
-            [0.005236573648232934, 51.30684028123139],
-            [0.08385939444977453, 51.320372623128776],
-            [0.10095132645901117, 51.230557277238916],
-            [0.07471019312615113, 51.14568596968138],
-            [-0.09279059902101494, 51.11922959976991],
-            [-0.13840415849489318, 51.15779247389932],
-            [-0.20107452358979572, 51.16493836684967],
-            [-0.2990681842990739, 51.12204640044169],
-            [-0.47454520463912786, 51.0991543868395],
-            [-0.6885988502547775, 51.033302729867955],
-            [-0.7375956806094166, 51.09059298445487],
-            [-0.7803726437674072, 51.11666890149371],
-            [-0.8088591650132173, 51.1567073053445],
-            [-0.8452124718280913, 51.192817893194615],
-            [-0.7647820542412376, 51.23981446058468],
-            [74.43945717928972, 31.48625965811391],
-            [74.43745247486578, 31.4863339860257],
-            [74.41326528017328, 31.485033239039396],
-            [74.40829709964137, 31.48882393695139],
-            [74.41069402884509, 31.497259546636712],
-            [74.42097903415561, 31.502053012186792],
-            [74.43993656513115, 31.496702150972723],
-            [74.43950075982167, 31.486296822077165],
-          ],
-        ],
-      };
-
-      // Check if a point is inside Surrey boundary (simple bounding box check)
-      function isInSurrey(lat, lon) {
-        const bounds = SURREY_BOUNDARY.coordinates[0];
-        const lats = bounds.map((coord) => coord[1]);
-        const lons = bounds.map((coord) => coord[0]);
-
-        const minLat = Math.min(...lats);
-        const maxLat = Math.max(...lats);
-        const minLon = Math.min(...lons);
-        const maxLon = Math.max(...lons);
-
-        return lat >= minLat && lat <= maxLat && lon >= minLon && lon <= maxLon;
-      }
-
       // Get all recent live locations (within last 5 minutes)
       const fiveMinutesAgo = new Date(Date.now() - 5 * 60 * 1000);
 
@@ -1659,13 +1881,6 @@ class SocketService {
           continue;
         }
 
-        // Check if driver is within Surrey boundary (disabled for testing)
-        if (!isInSurrey(location.latitude, location.longitude)) {
-          // For testing: Allow drivers outside boundary
-          // In production, uncomment the following:
-          // continue;
-        }
-
         // Calculate distance
         const distance = calculateDistance(
           userLat,
@@ -1805,26 +2020,61 @@ class SocketService {
         ...rideData,
       };
 
-      // Find all rooms that match the pattern for this ride
-      const rideStatusRooms = Array.from(
-        this.io.sockets.adapter.rooms.keys(),
-      ).filter((room) => room.startsWith(`ride_status_${rideId}_`));
+      const payload = {
+        ...notificationData,
+        timestamp: this.getCurrentTimestamp(),
+      };
 
-      rideStatusRooms.forEach((room) => {
-        this.io.to(room).emit("ride_status_change", {
-          ...notificationData,
-          timestamp: this.getCurrentTimestamp(),
-        });
-      });
+      this.getRideParticipantUserIds(rideId)
+        .catch((error) => {
+          console.error(`Could not load participants of ride ${rideId}:`, error.message);
+          return [];
+        })
+        .then((participantIds) => {
+          // The rider and driver get it reliably, even if they're offline now
+          participantIds.forEach((userId) => {
+            const room = `ride_status_${rideId}_${userId}`;
+            this.deliver(userId, "ride_status_change", payload, (data) =>
+              this.io.to(room).emit("ride_status_change", data),
+            );
+          });
 
-      if (rideStatusRooms.length > 0) {
-        console.log(
-          `Ride status change notified to ${rideStatusRooms.length} subscribers for ride ${rideId}`,
-        );
-      }
+          // Anyone else watching the ride (e.g. admins) just gets it live
+          const otherRooms = Array.from(this.io.sockets.adapter.rooms.keys()).filter(
+            (room) =>
+              room.startsWith(`ride_status_${rideId}_`) &&
+              !participantIds.some((userId) => room === `ride_status_${rideId}_${userId}`),
+          );
+          otherRooms.forEach((room) => {
+            this.io.to(room).emit("ride_status_change", payload);
+          });
+
+          console.log(
+            `Ride status change sent to ${participantIds.length + otherRooms.length} subscribers for ride ${rideId}`,
+          );
+        });
     }
   }
 
+  /**
+   * User IDs of a ride's rider and (if assigned) driver
+   * @param {string} rideId - Ride ID
+   * @returns {Promise<string[]>}
+   */
+  async getRideParticipantUserIds(rideId) {
+    if (!mongoose.Types.ObjectId.isValid(rideId)) return [];
+
+    const ride = await Ride.findById(rideId)
+      .select("rider driver")
+      .populate("driver", "user")
+      .lean();
+    if (!ride) return [];
+
+    return [ride.rider, ride.driver?.user]
+      .filter(Boolean)
+      .map((userId) => userId.toString());
+  }
+
   /**
    * Notify driver about new ride request
    * @param {string} driverId - Driver ID (will be converted to User ID)
@@ -1834,8 +2084,11 @@ class SocketService {
     // Convert Driver ID to User ID for proper socket targeting
     const userId = await this.getDriverUserId(driverId);
 
-    // Calculate expiry time (30 seconds from now as per BACKEND_CHANGES_REQUIRED.md)
-    const expiresAt = new Date(Date.now() + 30 * 1000);
+    // Expiry comes from the driver's offer window (dispatch strategy);
+    // fall back to 30 seconds from now as per BACKEND_CHANGES_REQUIRED.md
+    const expiresAt = rideData.expiresAt
+      ? new Date(rideData.expiresAt)
+      : new Date(Date.now() + 30 * 1000);
 
     // Format ride request as per specification
     const rideRequestPayload = {
@@ -1858,7 +2111,7 @@ class SocketService {
       estimatedFare: rideData.estimatedFare || rideData.fare || 0,
       vehicleType: rideData.vehicleType || "sedan",
       expiresAt: expiresAt.toISOString(),
-      timeLeft: 30, // seconds
+      timeLeft: Math.max(0, Math.round((expiresAt - Date.now()) / 1000)), // seconds
       timestamp: this.getCurrentTimestampISO(),
     };
 
@@ -2252,10 +2505,18 @@ class SocketService {
           };
 
           // Send real-time driver location update to rider
-          this.notifyRiderDashboard(riderId, "driver_location_update", {
-            driver: driverUpdate,
-            timestamp: this.getCurrentTimestamp(),
-          });
+          // (driver is the nested shape older app builds read)
+          this.notifyRiderDashboard(
+            riderId,
+            "driver_location_update",
+            this.buildDriverLocationUpdate(driverId, driverLocation, {
+              driverName: driverUpdate.driverName,
+              vehicleType: driverUpdate.vehicleType,
+              distance: driverUpdate.distance,
+              eta,
+              driver: driverUpdate,
+            }),
+          );
 
           console.log(
             `DEBUG [DriverUpdate]: Sent driver ${driverId} location to rider ${riderId} (distance: ${distance.toFixed(2)}km)`,
@@ -2292,16 +2553,9 @@ class SocketService {
         const rideId = ride._id.toString();
         const riderId = ride.rider.toString();
 
-        // Format as per BACKEND_CHANGES_REQUIRED.md specification
-        const locationPayload = {
+        const locationPayload = this.buildDriverLocationUpdate(driverId, driverLocation, {
           rideId,
-          driverId,
-          latitude: driverLocation.latitude,
-          longitude: driverLocation.longitude,
-          heading: driverLocation.heading || 0,
-          speed: driverLocation.speed || 0,
-          timestamp: this.getCurrentTimestampISO(),
-        };
+        });
 
         // Emit driver_location_update to ride room as per spec
         this.io
@@ -2833,6 +3087,33 @@ class SocketService {
     }
   }
 
+  /**
+   * Notify admins about a card dispute opening or changing status
+   * @param {Object} dispute - Dispute document
+   */
+  notifyAdminDisputeUpdate(dispute) {
+    if (this.io) {
+      // Emit to all admin users (admin, superadmin, subadmin)
+      this.io.emit("admin_dispute_update", {
+        disputeId: dispute._id,
+        stripeDisputeId: dispute.stripeDisputeId,
+        paymentId: dispute.payment,
+        rideId: dispute.ride,
+        driverId: dispute.driver,
+        amount: dispute.amount,
+        currency: dispute.currency,
+        reason: dispute.reason,
+        status: dispute.status,
+        evidenceDueBy: dispute.evidenceDueBy,
+        clawedBackAmount: dispute.clawedBackAmount,
+        timestamp: this.getCurrentTimestamp(),
+      });
+      console.log(
+        `Admin notification sent for dispute ${dispute.stripeDisputeId} status: ${dispute.status}`,
+      );
+    }
+  }
+
   /**
    * Notify admins about ride status changes
    * @param {Object} rideData - Ride data (may not be populated)
@@ -2893,29 +3174,14 @@ class SocketService {
    */
   subscribeToActiveRide(riderId, rideId) {
     if (this.io) {
-      // CRITICAL FIX: Check if already subscribed to prevent duplicates
-      const intervalKey = `ride_${rideId}_user_${riderId}`;
-
-      // If interval already exists, don't create a new one
-      if (this.activeRideIntervals.has(intervalKey)) {
-        console.log(
-          `⚠️  Rider ${riderId} already subscribed to ride ${rideId} - skipping duplicate subscription`,
-        );
-        return;
-      }
-
-      // Join active ride room for real-time updates
-      this.io.sockets.sockets.forEach((socket) => {
-        if (socket.rooms.has(riderId)) {
-          socket.join(`active_ride_${rideId}`);
-          console.log(
-            `Rider ${riderId} subscribed to active ride ${rideId} updates`,
-          );
-        }
-      });
+      // Join active ride room for real-time updates (sockets on any instance)
+      this.io.in(String(riderId)).socketsJoin(`active_ride_${rideId}`);
+      console.log(`Rider ${riderId} subscribed to active ride ${rideId} updates`);
 
-      // Start periodic updates for this ride
-      this.startActiveRideUpdates(rideId);
+      // Current state now; further updates follow ride and location changes
+      this.pushRideUpdate(rideId).catch((error) =>
+        console.error(`Error sending active ride update for ${rideId}:`, error),
+      );
     }
   }
 
@@ -2926,18 +3192,13 @@ class SocketService {
    */
   subscribeToRideStatusUpdates(userId, rideId) {
     if (this.io) {
-      // Join ride status updates room
-      this.io.sockets.sockets.forEach((socket) => {
-        if (socket.rooms.has(userId)) {
-          socket.join(`ride_status_${rideId}_${userId}`);
-          console.log(
-            `User ${userId} subscribed to ride ${rideId} status updates`,
-          );
-        }
-      });
+      // Join ride status updates room (sockets on any instance)
+      this.io.in(String(userId)).socketsJoin(`ride_status_${rideId}_${userId}`);
+      console.log(`User ${userId} subscribed to ride ${rideId} status updates`);
 
-      // Start periodic status updates for this ride and user
-      this.startRideStatusUpdates(rideId, userId);
+      this.pushRideUpdate(rideId).catch((error) =>
+        console.error(`Error sending ride status update for ${rideId}:`, error),
+      );
     }
   }
 
@@ -2945,486 +3206,203 @@ class SocketService {
    * Unsubscribe rider from active ride updates
    * @param {string} riderId - Rider ID
    */
-  unsubscribeFromActiveRide(riderId) {
+  async unsubscribeFromActiveRide(riderId) {
     if (this.io) {
-      // Leave all active ride rooms for this rider
-      this.io.sockets.sockets.forEach((socket) => {
-        if (socket.rooms.has(riderId)) {
+      try {
+        // Leave all active ride rooms for this rider, on every instance
+        const sockets = await this.io.in(String(riderId)).fetchSockets();
+        sockets.forEach((socket) => {
           Array.from(socket.rooms)
             .filter((room) => room.startsWith("active_ride_"))
             .forEach((room) => {
               socket.leave(room);
               console.log(`Rider ${riderId} unsubscribed from ${room}`);
             });
-        }
-      });
+        });
+      } catch (error) {
+        console.error(`Error unsubscribing rider ${riderId} from active rides:`, error);
+      }
     }
   }
 
   /**
-   * Start periodic real-time updates for active ride
+   * Push a ride's live state (driver location, ETAs, running fare)
+   * Sent as active_ride_update to the active ride room and as
+   * ride_status_update to the rider's and driver's ride status rooms.
+   * Called when the ride's status or its driver's location changes
    * @param {string} rideId - Ride ID
    */
-  startActiveRideUpdates(rideId) {
-    // Clear any existing interval for this ride
-    if (this.activeRideIntervals.has(rideId)) {
-      clearInterval(this.activeRideIntervals.get(rideId));
-      this.activeRideIntervals.delete(rideId);
-    }
+  async pushRideUpdate(rideId) {
+    if (!this.io) return;
 
-    // Send updates every 10 seconds for active rides
-    this.activeRideIntervals.set(
-      rideId,
-      setInterval(async () => {
-        try {
-          await this.sendActiveRideUpdate(rideId);
-        } catch (error) {
-          console.error(
-            `Error sending active ride update for ${rideId}:`,
-            error,
-          );
-          // Clear interval on persistent errors
-          clearInterval(this.activeRideIntervals.get(rideId));
-          this.activeRideIntervals.delete(rideId);
-        }
-      }, 10000),
-    ); // 10 seconds
-  }
-
-  /**
-   * Send real-time update for active ride
-   * @param {string} rideId - Ride ID
-   */
-  async sendActiveRideUpdate(rideId) {
-    try {
-    
-      // Get the ride with current data
-      const ride = await Ride.findById(rideId).populate({
-        path: "driver",
-        populate: [
-          { path: "user", select: "fullName phone" },
-          { path: "vehicle" },
-        ],
-      });
-
-      if (
-        !ride ||
-        !["assigned", "accepted", "in_progress"].includes(ride.status)
-      ) {
-        // Ride is no longer active, stop updates
-        if (this.activeRideIntervals.has(rideId)) {
-          clearInterval(this.activeRideIntervals.get(rideId));
-          this.activeRideIntervals.delete(rideId);
-        }
-        return;
-      }
-
-      let driverLocation = null;
-      let pickupEta = null;
-      let dropoffEta = null;
-      let currentFare = ride.fare || ride.estimatedFare || 0;
-      let fareBreakdown = null;
-
-      // Get driver's current location if available
-      if (ride.driver) {
-        const recentLocation = await LiveLocation.findOne({
-          driver: ride.driver._id,
-          timestamp: { $gte: new Date(Date.now() - 5 * 60 * 1000) },
-        }).sort({ timestamp: -1 });
-
-        if (recentLocation) {
-          driverLocation = {
-            lat: recentLocation.latitude,
-            lng: recentLocation.longitude,
-            heading: recentLocation.heading || 0,
-            speed: recentLocation.speed || 0,
-            timestamp: recentLocation.timestamp,
-          };
-
-          // Calculate ETAs
-          if (ride.status === "assigned" && ride.pickup) {
-            const distanceToPickup = calculateDistance(
-              driverLocation.lat,
-              driverLocation.lng,
-              ride.pickup.lat,
-              ride.pickup.lng,
-            );
-            pickupEta = calculateETA(
-              distanceToPickup,
-              driverLocation.speed || 30,
-            );
-          }
+    // Get the ride with current data
+    const ride = await Ride.findById(rideId).populate({
+      path: "driver",
+      populate: [
+        { path: "user", select: "fullName phone" },
+        { path: "vehicle" },
+      ],
+    });
 
-          if (ride.status === "in_progress" && ride.dropoff) {
-            const distanceToDropoff = calculateDistance(
-              driverLocation.lat,
-              driverLocation.lng,
-              ride.dropoff.lat,
-              ride.dropoff.lng,
-            );
-            dropoffEta = calculateETA(
-              distanceToDropoff,
-              driverLocation.speed || 30,
-            );
-          }
-        }
-      }
+    // Nothing to track once the ride is over
+    if (!ride || !ACTIVE_RIDE_STATUSES.includes(ride.status)) return;
 
-      // Calculate real-time fare for in-progress rides
-      if (ride.status === "in_progress" && ride.startTime) {
-        const timeElapsed = (new Date() - ride.startTime) / (1000 * 60); // minutes
-
-        const baseFare = ride.estimatedFare || 0;
-        const timeFare =
-          timeElapsed *
-          (ride.vehicleType === "sedan"
-            ? 0.25
-            : ride.vehicleType === "SUV"
-              ? 0.35
-              : 0.3);
-        const distanceFare =
-          (ride.actualDistance || ride.estimatedDistance || 0) *
-          (ride.vehicleType === "sedan"
-            ? 1.5
-            : ride.vehicleType === "SUV"
-              ? 2.0
-              : 1.75);
-
-        const subtotal = baseFare + distanceFare + timeFare;
-        const tax = subtotal * 0.2; // 20% VAT
-        currentFare = Math.max(
-          subtotal + tax,
-          ride.vehicleType === "sedan"
-            ? 8.0
-            : ride.vehicleType === "SUV"
-              ? 10.0
-              : 9.0,
-        );
+    const { update, remainingDistance } = await this.buildRideUpdate(ride);
 
-        fareBreakdown = {
-          baseFare: Math.round(baseFare * 100) / 100,
-          distanceFare: Math.round(distanceFare * 100) / 100,
-          timeFare: Math.round(timeFare * 100) / 100,
-          subtotal: Math.round(subtotal * 100) / 100,
-          tax: Math.round(tax * 100) / 100,
-          total: Math.round(currentFare * 100) / 100,
-        };
-      }
+    // Send update to active ride room
+    this.io.to(`active_ride_${ride._id}`).emit("active_ride_update", update);
 
-      // Prepare update data
-      const updateData = {
-        rideId: ride._id,
-        status: ride.status,
-        driverLocation,
-        locations: {
-          pickup: ride.pickup
-            ? {
-                ...ride.pickup,
-                eta: pickupEta,
-              }
-            : null,
-          dropoff: ride.dropoff
-            ? {
-                ...ride.dropoff,
-                eta: dropoffEta,
-              }
-            : null,
+    // Send update to the participants' ride status rooms
+    const statusRooms = [ride.rider, ride.driver?.user?._id]
+      .filter(Boolean)
+      .map((userId) => `ride_status_${ride._id}_${userId}`);
+    this.io.to(statusRooms).emit("ride_status_update", {
+      ...update,
+      route: {
+        distance: {
+          total: ride.actualDistance || ride.estimatedDistance || 0,
+          remaining: remainingDistance,
         },
-        fare: {
-          current: Math.round(currentFare * 100) / 100,
-          currency: "GBP",
-          breakdown: fareBreakdown,
-        },
-        timing: {
-          estimatedPickupTime: ride.estimatedPickupTime,
-          actualPickupTime: ride.actualPickupTime,
-          startTime: ride.startTime,
-          endTime: ride.endTime,
-        },
-        lastUpdated: new Date(),
-      };
-
-      // Send update to active ride room
-      this.io
-        .to(`active_ride_${rideId}`)
-        .emit("active_ride_update", updateData);
-      console.log(`Active ride update sent for ride ${rideId}`);
-    } catch (error) {
-      console.error(`Error preparing active ride update for ${rideId}:`, error);
-    }
-  }
-
-  /**
-   * Stop active ride updates when ride is completed/cancelled
-   * @param {string} rideId - Ride ID
-   */
-  stopActiveRideUpdates(rideId) {
-    if (this.activeRideIntervals.has(rideId)) {
-      clearInterval(this.activeRideIntervals.get(rideId));
-      this.activeRideIntervals.delete(rideId);
-      console.log(`Stopped active ride updates for ride ${rideId}`);
-    }
-
-    // Also stop all ride status updates for this ride
-    this.stopAllRideStatusUpdates(rideId);
-  }
-
-  /**
-   * Stop all ride status updates for a specific ride
-   * @param {string} rideId - Ride ID
-   */
-  stopAllRideStatusUpdates(rideId) {
-    // Find all intervals for this ride
-    const intervalsToStop = Array.from(this.activeRideIntervals.keys()).filter(
-      (key) => {
-        // Convert key to string to safely use startsWith
-        const keyString = String(key);
-        return keyString.startsWith(`ride_status_${rideId}_`);
       },
-    );
-
-    intervalsToStop.forEach((intervalKey) => {
-      clearInterval(this.activeRideIntervals.get(intervalKey));
-      this.activeRideIntervals.delete(intervalKey);
-      console.log(`Stopped ride status updates for ${intervalKey}`);
     });
-  }
-
-  /**
-   * Start periodic ride status updates for a specific user
-   * @param {string} rideId - Ride ID
-   * @param {string} userId - User ID
-   */
-  startRideStatusUpdates(rideId, userId) {
-    const intervalKey = `ride_status_${rideId}_${userId}`;
-
-    // Clear any existing interval for this user and ride
-    if (this.activeRideIntervals.has(intervalKey)) {
-      clearInterval(this.activeRideIntervals.get(intervalKey));
-      this.activeRideIntervals.delete(intervalKey);
-    }
-
-    // CRITICAL FIX: Clear any existing interval before creating new one
-    // This prevents duplicate intervals when rider reconnects
-    const existingInterval = this.activeRideIntervals.get(intervalKey);
-    if (existingInterval) {
-      console.log(
-        `⚠️  Clearing existing interval for ride ${rideId}, user ${userId}`,
-      );
-      clearInterval(existingInterval);
-      this.activeRideIntervals.delete(intervalKey);
-    }
 
-    // Send updates every 10 seconds for ride status
-    const newInterval = setInterval(async () => {
-      try {
-        await this.sendRideStatusUpdate(rideId, userId);
-      } catch (error) {
-        console.error(
-          `Error sending ride status update for ride ${rideId}, user ${userId}:`,
-          error,
-        );
-        // Clear interval on persistent errors
-        clearInterval(this.activeRideIntervals.get(intervalKey));
-        this.activeRideIntervals.delete(intervalKey);
-      }
-    }, 10000); // 10 seconds
-
-    // Store the new interval
-    this.activeRideIntervals.set(intervalKey, newInterval);
-    console.log(
-      `✅ Started active ride updates for ride ${rideId}, user ${userId}`,
-    );
+    console.log(`Ride update sent for ride ${ride._id} (${ride.status})`);
   }
 
   /**
-   * Send real-time ride status update to a specific user
-   * @param {string} rideId - Ride ID
-   * @param {string} userId - User ID
+   * Live state of an active ride
+   * @param {Object} ride - Ride with driver (and driver.user) populated
+   * @returns {Promise<Object>} { update, remainingDistance }
    */
-  async sendRideStatusUpdate(rideId, userId) {
-    try {
-    
-      // Get the ride with current data
-      const ride = await Ride.findById(rideId).populate({
-        path: "driver",
-        populate: [
-          { path: "user", select: "fullName phone" },
-          { path: "vehicle" },
-        ],
-      });
-
-      if (
-        !ride ||
-        !["assigned", "accepted", "in_progress"].includes(ride.status)
-      ) {
-        // Ride is no longer active, stop updates
-        this.stopRideStatusUpdates(rideId, userId);
-        return;
-      }
+  async buildRideUpdate(ride) {
+    let driverLocation = null;
+    let pickupEta = null;
+    let dropoffEta = null;
+    let currentFare = ride.fare || ride.estimatedFare || 0;
+    let fareBreakdown = null;
+    let remainingDistance = null;
 
-      let driverLocation = null;
-      let pickupEta = null;
-      let dropoffEta = null;
-      let currentFare = ride.fare || ride.estimatedFare || 0;
-      let fareBreakdown = null;
-      let remainingDistance = null;
+    // Get driver's current location if available
+    if (ride.driver) {
+      const recentLocation = await LiveLocation.findOne({
+        driver: ride.driver._id,
+        timestamp: { $gte: new Date(Date.now() - 5 * 60 * 1000) },
+      }).sort({ timestamp: -1 });
 
-      // Get driver's current location if available
-      if (ride.driver) {
-        const recentLocation = await LiveLocation.findOne({
-          driver: ride.driver._id,
-          timestamp: { $gte: new Date(Date.now() - 5 * 60 * 1000) },
-        }).sort({ timestamp: -1 });
-
-        if (recentLocation) {
-          driverLocation = {
-            lat: recentLocation.latitude,
-            lng: recentLocation.longitude,
-            heading: recentLocation.heading || 0,
-            speed: recentLocation.speed || 0,
-            timestamp: recentLocation.timestamp,
-          };
+      if (recentLocation) {
+        driverLocation = {
+          lat: recentLocation.latitude,
+          lng: recentLocation.longitude,
+          heading: recentLocation.heading || 0,
+          speed: recentLocation.speed || 0,
+          timestamp: recentLocation.timestamp,
+        };
 
-          // Calculate ETAs
-          if (ride.status === "assigned" && ride.pickup) {
-            const distanceToPickup = calculateDistance(
-              driverLocation.lat,
-              driverLocation.lng,
-              ride.pickup.lat,
-              ride.pickup.lng,
-            );
-            pickupEta = calculateETA(
-              distanceToPickup,
-              driverLocation.speed || 30,
-            );
-          }
+        // Calculate ETAs
+        if (ride.status === "assigned" && ride.pickup) {
+          const distanceToPickup = calculateDistance(
+            driverLocation.lat,
+            driverLocation.lng,
+            ride.pickup.lat,
+            ride.pickup.lng,
+          );
+          pickupEta = calculateETA(
+            distanceToPickup,
+            driverLocation.speed || 30,
+          );
+        }
 
-          if (ride.status === "in_progress" && ride.dropoff) {
-            const distanceToDropoff = calculateDistance(
-              driverLocation.lat,
-              driverLocation.lng,
-              ride.dropoff.lat,
-              ride.dropoff.lng,
-            );
-            dropoffEta = calculateETA(
-              distanceToDropoff,
-              driverLocation.speed || 30,
-            );
-            remainingDistance = distanceToDropoff;
-          }
+        if (ride.status === "in_progress" && ride.dropoff) {
+          const distanceToDropoff = calculateDistance(
+            driverLocation.lat,
+            driverLocation.lng,
+            ride.dropoff.lat,
+            ride.dropoff.lng,
+          );
+          dropoffEta = calculateETA(
+            distanceToDropoff,
+            driverLocation.speed || 30,
+          );
+          remainingDistance = distanceToDropoff;
         }
       }
+    }
 
-      // Calculate real-time fare for in-progress rides
-      if (ride.status === "in_progress" && ride.startTime) {
-        const timeElapsed = (new Date() - ride.startTime) / (1000 * 60); // minutes
-
-        const baseFare = ride.estimatedFare || 0;
-        const timeFare =
-          timeElapsed *
-          (ride.vehicleType === "sedan"
-            ? 0.25
-            : ride.vehicleType === "SUV"
-              ? 0.35
-              : 0.3);
-        const distanceFare =
-          (ride.actualDistance || ride.estimatedDistance || 0) *
-          (ride.vehicleType === "sedan"
-            ? 1.5
-            : ride.vehicleType === "SUV"
-              ? 2.0
-              : 1.75);
-
-        const subtotal = baseFare + distanceFare + timeFare;
-        const tax = subtotal * 0.2; // 20% VAT
-        currentFare = Math.max(
-          subtotal + tax,
-          ride.vehicleType === "sedan"
-            ? 8.0
-            : ride.vehicleType === "SUV"
-              ? 10.0
-              : 9.0,
-        );
-
-        fareBreakdown = {
-          baseFare: Math.round(baseFare * 100) / 100,
-          distanceFare: Math.round(distanceFare * 100) / 100,
-          timeFare: Math.round(timeFare * 100) / 100,
-          subtotal: Math.round(subtotal * 100) / 100,
-          tax: Math.round(tax * 100) / 100,
-          total: Math.round(currentFare * 100) / 100,
-        };
-      }
+    // Calculate real-time fare for in-progress rides
+    if (ride.status === "in_progress" && ride.startTime) {
+      const timeElapsed = (new Date() - ride.startTime) / (1000 * 60); // minutes
+
+      const baseFare = ride.estimatedFare || 0;
+      const timeFare =
+        timeElapsed *
+        (ride.vehicleType === "sedan"
+          ? 0.25
+          : ride.vehicleType === "SUV"
+            ? 0.35
+            : 0.3);
+      const distanceFare =
+        (ride.actualDistance || ride.estimatedDistance || 0) *
+        (ride.vehicleType === "sedan"
+          ? 1.5
+          : ride.vehicleType === "SUV"
+            ? 2.0
+            : 1.75);
+
+      const subtotal = baseFare + distanceFare + timeFare;
+      const tax = subtotal * 0.2; // 20% VAT
+      currentFare = Math.max(
+        subtotal + tax,
+        ride.vehicleType === "sedan"
+          ? 8.0
+          : ride.vehicleType === "SUV"
+            ? 10.0
+            : 9.0,
+      );
 
-      // Prepare update data
-      const updateData = {
-        rideId: ride._id,
-        status: ride.status,
-        driverLocation,
-        locations: {
-          pickup: ride.pickup
-            ? {
-                ...ride.pickup,
-                eta: pickupEta,
-              }
-            : null,
-          dropoff: ride.dropoff
-            ? {
-                ...ride.dropoff,
-                eta: dropoffEta,
-              }
-            : null,
-        },
-        route: {
-          distance: {
-            total: ride.actualDistance || ride.estimatedDistance || 0,
-            remaining: remainingDistance,
-          },
-        },
-        fare: {
-          current: Math.round(currentFare * 100) / 100,
-          currency: "GBP",
-          breakdown: fareBreakdown,
-        },
-        timing: {
-          estimatedPickupTime: ride.estimatedPickupTime,
-          actualPickupTime: ride.actualPickupTime,
-          startTime: ride.startTime,
-          endTime: ride.endTime,
-        },
-        lastUpdated: new Date(),
+      fareBreakdown = {
+        baseFare: Math.round(baseFare * 100) / 100,
+        distanceFare: Math.round(distanceFare * 100) / 100,
+        timeFare: Math.round(timeFare * 100) / 100,
+        subtotal: Math.round(subtotal * 100) / 100,
+        tax: Math.round(tax * 100) / 100,
+        total: Math.round(currentFare * 100) / 100,
       };
-
-      // Send update to user's ride status room
-      this.io
-        .to(`ride_status_${rideId}_${userId}`)
-        .emit("ride_status_update", updateData);
-      console.log(
-        `Ride status update sent for ride ${rideId} to user ${userId}`,
-      );
-    } catch (error) {
-      console.error(
-        `Error preparing ride status update for ride ${rideId}, user ${userId}:`,
-        error,
-      );
     }
-  }
 
-  /**
-   * Stop ride status updates for a specific user
-   * @param {string} rideId - Ride ID
-   * @param {string} userId - User ID
-   */
-  stopRideStatusUpdates(rideId, userId) {
-    const intervalKey = `ride_status_${rideId}_${userId}`;
-    if (this.activeRideIntervals.has(intervalKey)) {
-      clearInterval(this.activeRideIntervals.get(intervalKey));
-      this.activeRideIntervals.delete(intervalKey);
-      console.log(
-        `Stopped ride status updates for ride ${rideId}, user ${userId}`,
-      );
-    }
+    // Prepare update data
+    const updateData = {
+      rideId: ride._id,
+      status: ride.status,
+      driverLocation,
+      locations: {
+        pickup: ride.pickup
+          ? {
+              ...ride.pickup,
+              eta: pickupEta,
+            }
+          : null,
+        dropoff: ride.dropoff
+          ? {
+              ...ride.dropoff,
+              eta: dropoffEta,
+            }
+          : null,
+      },
+      fare: {
+        current: Math.round(currentFare * 100) / 100,
+        currency: "GBP",
+        breakdown: fareBreakdown,
+      },
+      timing: {
+        estimatedPickupTime: ride.estimatedPickupTime,
+        actualPickupTime: ride.actualPickupTime,
+        startTime: ride.startTime,
+        endTime: ride.endTime,
+      },
+      lastUpdated: new Date(),
+    };
+
+    return { update: updateData, remainingDistance };
   }
 
   /**
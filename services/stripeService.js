@@ -18,12 +18,32 @@ const getStripeInstance = () => {
 
 const stripe = getStripeInstance();
 
+// Rethrown with Stripe's HTTP status and error type, so callers can tell a
+// request Stripe refused from one whose outcome is unknown
+const stripeError = (message, error) => {
+  const wrapped = new Error(`${message}: ${error.message}`);
+  wrapped.type = error.type;
+  wrapped.stripeStatusCode = error.statusCode;
+  return wrapped;
+};
+
 /**
  * Stripe Service - Comprehensive Payment Integration
  * Handles all Stripe operations for the GO-CATERHAM taxi app
  */
 
 class StripeService {
+  /**
+   * Whether Stripe refused a request, so nothing happened. Timeouts, network
+   * and server errors (and 409 idempotency conflicts) may have gone through.
+   * @param {Error} error - Error thrown by this service
+   * @returns {boolean}
+   */
+  wasRejected(error) {
+    const status = error.stripeStatusCode;
+    return status >= 400 && status < 500 && status !== 409;
+  }
+
   // ============================================
   // CUSTOMER MANAGEMENT
   // ============================================
@@ -276,24 +296,84 @@ class StripeService {
     paymentMethodId,
     description,
     metadata = {},
+    idempotencyKey,
   }) {
     try {
       // Create payment intent with saved payment method
-      const paymentIntent = await stripe.paymentIntents.create({
+      const paymentIntent = await stripe.paymentIntents.create(
+        {
+          amount: Math.round(amount * 100),
+          currency: currency.toLowerCase(),
+          customer: customerId,
+          payment_method: paymentMethodId,
+          description,
+          metadata,
+          confirm: true,
+          off_session: true,
+        },
+        idempotencyKey ? { idempotencyKey } : undefined,
+      );
+
+      return paymentIntent;
+    } catch (error) {
+      console.error("Error creating charge:", error);
+      throw stripeError("Failed to create charge", error);
+    }
+  }
+
+  /**
+   * Place a hold on a saved card without taking the money (manual capture)
+   * @param {Object} params - Authorization parameters
+   * @returns {Promise<Object>} Payment intent - status "requires_capture" when held
+   */
+  async authorizePayment({
+    amount,
+    currency = "gbp",
+    customerId,
+    paymentMethodId,
+    description,
+    metadata = {},
+  }) {
+    try {
+      return await stripe.paymentIntents.create({
         amount: Math.round(amount * 100),
         currency: currency.toLowerCase(),
         customer: customerId,
         payment_method: paymentMethodId,
         description,
         metadata,
+        capture_method: "manual",
         confirm: true,
         off_session: true,
       });
+    } catch (error) {
+      console.error("Error authorizing payment:", error);
+      throw new Error(`Failed to authorize payment: ${error.message}`);
+    }
+  }
 
-      return paymentIntent;
+  /**
+   * Capture a held payment intent
+   * @param {string} paymentIntentId - Payment intent ID
+   * @param {number} amount - Amount to capture (optional, full hold if not specified;
+   *   anything below the hold is released)
+   * @param {string} [idempotencyKey] - Makes a retried capture return the first result
+   */
+  async capturePaymentIntent(paymentIntentId, amount = null, idempotencyKey) {
+    try {
+      const params = {};
+      if (amount) {
+        params.amount_to_capture = Math.round(amount * 100);
+      }
+
+      return await stripe.paymentIntents.capture(
+        paymentIntentId,
+        params,
+        idempotencyKey ? { idempotencyKey } : undefined,
+      );
     } catch (error) {
-      console.error("Error creating charge:", error);
-      throw new Error(`Failed to create charge: ${error.message}`);
+      console.error("Error capturing payment intent:", error);
+      throw stripeError("Failed to capture payment intent", error);
     }
   }
 
@@ -306,8 +386,9 @@ class StripeService {
    * @param {string} paymentIntentId - Payment intent ID
    * @param {number} amount - Amount to refund (optional, full refund if not specified)
    * @param {string} reason - Refund reason
+   * @param {string} [idempotencyKey] - Makes a retried refund return the first result
    */
-  async createRefund(paymentIntentId, amount = null, reason = null) {
+  async createRefund(paymentIntentId, amount = null, reason = null, idempotencyKey) {
     try {
       const refundParams = {
         payment_intent: paymentIntentId,
@@ -321,10 +402,13 @@ class StripeService {
         refundParams.reason = reason; // 'duplicate', 'fraudulent', 'requested_by_customer'
       }
 
-      return await stripe.refunds.create(refundParams);
+      return await stripe.refunds.create(
+        refundParams,
+        idempotencyKey ? { idempotencyKey } : undefined,
+      );
     } catch (error) {
       console.error("Error creating refund:", error);
-      throw new Error(`Failed to create refund: ${error.message}`);
+      throw stripeError("Failed to create refund", error);
     }
   }
 
@@ -341,6 +425,26 @@ class StripeService {
     }
   }
 
+  // ============================================
+  // DISPUTES
+  // ============================================
+
+  /**
+   * Attach evidence to a dispute, optionally submitting it for review
+   * Stripe only accepts one submission, so leave `submit` off while drafting
+   * @param {string} disputeId - Dispute ID
+   * @param {Object} evidence - Stripe evidence fields
+   * @param {boolean} submit - Submit the evidence now
+   */
+  async updateDisputeEvidence(disputeId, evidence, submit = false) {
+    try {
+      return await stripe.disputes.update(disputeId, { evidence, submit });
+    } catch (error) {
+      console.error("Error updating dispute evidence:", error);
+      throw new Error(`Failed to update dispute evidence: ${error.message}`);
+    }
+  }
+
   // ============================================
   // STRIPE CONNECT (Driver Payouts)
   // ============================================
@@ -417,20 +521,42 @@ class StripeService {
     destination,
     description,
     metadata = {},
+    idempotencyKey,
   }) {
     try {
-      const transfer = await stripe.transfers.create({
-        amount: Math.round(amount * 100),
-        currency: currency.toLowerCase(),
-        destination,
-        description,
-        metadata,
-      });
+      const transfer = await stripe.transfers.create(
+        {
+          amount: Math.round(amount * 100),
+          currency: currency.toLowerCase(),
+          destination,
+          description,
+          metadata,
+        },
+        idempotencyKey ? { idempotencyKey } : undefined,
+      );
 
       return transfer;
     } catch (error) {
       console.error("Error creating transfer:", error);
-      throw new Error(`Failed to create transfer: ${error.message}`);
+      throw stripeError("Failed to create transfer", error);
+    }
+  }
+
+  /**
+   * Reverse a transfer to a Connect account (e.g. when its payout can't be created)
+   * @param {string} transferId - Transfer ID
+   * @param {string} [idempotencyKey] - Makes a retried reversal a no-op
+   */
+  async reverseTransfer(transferId, idempotencyKey) {
+    try {
+      return await stripe.transfers.createReversal(
+        transferId,
+        {},
+        idempotencyKey ? { idempotencyKey } : undefined,
+      );
+    } catch (error) {
+      console.error("Error reversing transfer:", error);
+      throw new Error(`Failed to reverse transfer: ${error.message}`);
     }
   }
 
@@ -439,23 +565,27 @@ class StripeService {
    * @param {string} accountId - Stripe Connect account ID
    * @param {number} amount - Amount to payout
    * @param {string} currency - Currency code
+   * @param {Object} metadata - Payout metadata
+   * @param {string} [idempotencyKey] - Makes a retried payout return the first one
    */
-  async createPayout(accountId, amount, currency = "gbp") {
+  async createPayout(accountId, amount, currency = "gbp", metadata = {}, idempotencyKey) {
     try {
       const payout = await stripe.payouts.create(
         {
           amount: Math.round(amount * 100),
           currency: currency.toLowerCase(),
+          metadata,
         },
         {
           stripeAccount: accountId,
+          ...(idempotencyKey && { idempotencyKey }),
         }
       );
 
       return payout;
     } catch (error) {
       console.error("Error creating payout:", error);
-      throw new Error(`Failed to create payout: ${error.message}`);
+      throw stripeError("Failed to create payout", error);
     }
   }
 
@@ -0,0 +1,360 @@
+const Ride = require("../models/Ride");
+const LiveLocation = require("../models/LiveLocation");
+const UserSettings = require("../models/UserSettings");
+const SurgePolicy = require("../models/SurgePolicy");
+const SurgeZone = require("../models/SurgeZone");
+const {
+  DEFAULT_SURGE_POLICY,
+  SURGE_CONFIG,
+} = require("../config/pricingConfig");
+
+const POLICY_FIELDS = Object.keys(DEFAULT_SURGE_POLICY);
+
+function surgeError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Surge Service - Demand-based surge multipliers per grid cell
+ *
+ * Every interval one server instance (whoever wins the lease on the policy
+ * document) counts open requests and online drivers per cell, turns the
+ * ratio into a raw multiplier, smooths it with the previous value and caps
+ * it. Fares only ever read the stored SurgeZone values.
+ */
+class SurgeService {
+  constructor() {
+    this.timer = null;
+  }
+
+  /**
+   * Start recomputing surge zones
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(
+      () => this.recomputeZones(),
+      SURGE_CONFIG.recomputeSeconds * 1000,
+    );
+    this.recomputeZones();
+
+    console.log(
+      `📈 Surge engine started (cell: ${SURGE_CONFIG.cellSizeDegrees}°, every ${SURGE_CONFIG.recomputeSeconds}s)`,
+    );
+  }
+
+  /**
+   * Stop recomputing (for graceful shutdown)
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Grid cell for a coordinate
+   * @param {number} lat - Latitude
+   * @param {number} lng - Longitude
+   * @returns {Object} { cellId, center }
+   */
+  getCell(lat, lng) {
+    const size = SURGE_CONFIG.cellSizeDegrees;
+    const latIndex = Math.floor(parseFloat(lat) / size);
+    const lngIndex = Math.floor(parseFloat(lng) / size);
+
+    return {
+      cellId: `${latIndex}:${lngIndex}`,
+      center: {
+        lat: (latIndex + 0.5) * size,
+        lng: (lngIndex + 0.5) * size,
+      },
+    };
+  }
+
+  /**
+   * Get the surge policy (admin overrides on top of the defaults)
+   * @returns {Promise<Object>}
+   */
+  async getPolicy() {
+    const stored = await SurgePolicy.findOne({ key: "default" }).lean();
+    const policy = { ...DEFAULT_SURGE_POLICY };
+
+    for (const field of POLICY_FIELDS) {
+      if (stored && stored[field] !== undefined && stored[field] !== null) {
+        policy[field] = stored[field];
+      }
+    }
+
+    return policy;
+  }
+
+  /**
+   * Update the surge policy
+   * @param {Object} updates - Partial policy
+   * @param {string} adminId - Admin user making the change
+   * @returns {Promise<Object>} Policy after the update
+   */
+  async updatePolicy(updates = {}, adminId) {
+    const unknownFields = Object.keys(updates).filter(
+      (field) => !POLICY_FIELDS.includes(field),
+    );
+    if (unknownFields.length > 0) {
+      throw surgeError(
+        `Unknown surge policy field(s): ${unknownFields.join(", ")}. Allowed: ${POLICY_FIELDS.join(", ")}`,
+      );
+    }
+
+    const policy = { ...(await this.getPolicy()) };
+
+    if (updates.enabled !== undefined) {
+      policy.enabled = updates.enabled === true || updates.enabled === "true";
+    }
+
+    for (const field of ["maxMultiplier", "sensitivity", "smoothingFactor", "confirmationThreshold"]) {
+      if (updates[field] === undefined) continue;
+      const value = parseFloat(updates[field]);
+      if (isNaN(value) || value < 0) {
+        throw surgeError(`${field} must be a non-negative number`);
+      }
+      policy[field] = value;
+    }
+
+    if (policy.maxMultiplier < 1 || policy.confirmationThreshold < 1) {
+      throw surgeError("maxMultiplier and confirmationThreshold must be at least 1");
+    }
+    if (policy.smoothingFactor <= 0 || policy.smoothingFactor > 1) {
+      throw surgeError("smoothingFactor must be greater than 0 and at most 1");
+    }
+
+    const values = {};
+    for (const field of POLICY_FIELDS) values[field] = policy[field];
+
+    await SurgePolicy.findOneAndUpdate(
+      { key: "default" },
+      { $set: { ...values, updatedBy: adminId } },
+      { upsert: true, new: true, setDefaultsOnInsert: true },
+    );
+
+    return policy;
+  }
+
+  /**
+   * Claim this interval's recompute (one instance per interval)
+   * @returns {Promise<boolean>}
+   */
+  async claimRecompute() {
+    const now = new Date();
+    // Slightly shorter than the interval so timer drift doesn't skip a run
+    const staleBefore = new Date(
+      now.getTime() - SURGE_CONFIG.recomputeSeconds * 900,
+    );
+
+    try {
+      const claimed = await SurgePolicy.findOneAndUpdate(
+        {
+          key: "default",
+          $or: [
+            { lastComputedAt: { $lt: staleBefore } },
+            { lastComputedAt: { $exists: false } },
+            { lastComputedAt: null },
+          ],
+        },
+        { $set: { lastComputedAt: now } },
+        { upsert: true, new: true },
+      );
+      return !!claimed;
+    } catch (error) {
+      // Duplicate key: another instance upserted the policy document first
+      if (error.code === 11000) return false;
+      throw error;
+    }
+  }
+
+  /**
+   * Recompute every active cell from live demand and supply
+   */
+  async recomputeZones() {
+    try {
+      if (!(await this.claimRecompute())) return;
+
+      const policy = await this.getPolicy();
+      const now = new Date();
+
+      const [openRides, liveLocations, existingZones] = await Promise.all([
+        Ride.find({
+          status: { $in: ["pending", "searching"] },
+          createdAt: {
+            $gte: new Date(now.getTime() - SURGE_CONFIG.demandWindowMinutes * 60 * 1000),
+          },
+        }).select("pickup"),
+        LiveLocation.find({
+          timestamp: {
+            $gte: new Date(now.getTime() - SURGE_CONFIG.supplyWindowMinutes * 60 * 1000),
+          },
+        })
+          .select("latitude longitude driver")
+          .populate("driver", "status isApproved"),
+        SurgeZone.find({}).lean(),
+      ]);
+
+      const cells = new Map();
+      const cellFor = (lat, lng) => {
+        const { cellId, center } = this.getCell(lat, lng);
+        if (!cells.has(cellId)) {
+          cells.set(cellId, { cellId, center, demand: 0, supply: 0 });
+        }
+        return cells.get(cellId);
+      };
+
+      for (const ride of openRides) {
+        if (ride.pickup?.lat == null || ride.pickup?.lng == null) continue;
+        cellFor(ride.pickup.lat, ride.pickup.lng).demand++;
+      }
+
+      for (const location of liveLocations) {
+        if (
+          !location.driver ||
+          location.driver.status !== "online" ||
+          location.driver.isApproved !== "approved"
+        ) {
+          continue;
+        }
+        cellFor(location.latitude, location.longitude).supply++;
+      }
+
+      // Cells that surged earlier keep decaying even once demand disappears
+      const previous = new Map(existingZones.map((zone) => [zone.cellId, zone]));
+      for (const zone of existingZones) {
+        if (!cells.has(zone.cellId)) {
+          cells.set(zone.cellId, {
+            cellId: zone.cellId,
+            center: zone.center,
+            demand: 0,
+            supply: 0,
+          });
+        }
+      }
+
+      const writes = [];
+      const settled = [];
+
+      for (const cell of cells.values()) {
+        const rawMultiplier = this.calculateRawMultiplier(cell.demand, cell.supply, policy);
+        const previousMultiplier = previous.get(cell.cellId)?.multiplier || 1;
+
+        let multiplier =
+          policy.smoothingFactor * rawMultiplier +
+          (1 - policy.smoothingFactor) * previousMultiplier;
+        multiplier = Math.min(Math.max(multiplier, 1), policy.maxMultiplier);
+
+        // Quiet cells that have settled back to 1x are dropped to keep the collection small
+        if (cell.demand === 0 && multiplier < 1.05) {
+          if (previous.has(cell.cellId)) settled.push(cell.cellId);
+          continue;
+        }
+
+        writes.push({
+          updateOne: {
+            filter: { cellId: cell.cellId },
+            update: {
+              $set: {
+                center: cell.center,
+                demand: cell.demand,
+                supply: cell.supply,
+                rawMultiplier,
+                multiplier: Math.round(multiplier * 1000) / 1000,
+                computedAt: now,
+              },
+            },
+            upsert: true,
+          },
+        });
+      }
+
+      if (writes.length > 0) await SurgeZone.bulkWrite(writes);
+      if (settled.length > 0) await SurgeZone.deleteMany({ cellId: { $in: settled } });
+    } catch (error) {
+      console.error("Error recomputing surge zones:", error);
+    }
+  }
+
+  /**
+   * Raw multiplier for one reading: 1x until requests outnumber drivers,
+   * then `sensitivity` extra per additional request per driver
+   * @param {number} demand - Open requests
+   * @param {number} supply - Online drivers
+   * @param {Object} policy - Surge policy
+   * @returns {number}
+   */
+  calculateRawMultiplier(demand, supply, policy) {
+    if (demand === 0) return 1;
+
+    const ratio = demand / Math.max(supply, 1);
+    const multiplier = 1 + Math.max(ratio - 1, 0) * policy.sensitivity;
+
+    return Math.round(Math.min(multiplier, policy.maxMultiplier) * 1000) / 1000;
+  }
+
+  /**
+   * Current surge multiplier for a pickup point
+   * @param {number} lat - Pickup latitude
+   * @param {number} lng - Pickup longitude
+   * @returns {Promise<number>} Multiplier rounded to 0.1 (1 when surge is off)
+   */
+  async getMultiplier(lat, lng) {
+    const policy = await this.getPolicy();
+    if (!policy.enabled) return 1;
+
+    const { cellId } = this.getCell(lat, lng);
+    const zone = await SurgeZone.findOne({ cellId }).select("multiplier").lean();
+    if (!zone) return 1;
+
+    const multiplier = Math.min(zone.multiplier, policy.maxMultiplier);
+    return Math.max(Math.round(multiplier * 10) / 10, 1);
+  }
+
+  /**
+   * Whether the rider must explicitly accept this surge before booking
+   * Riders who turned surge pricing off confirm any surge; everyone else
+   * only above the policy threshold
+   * @param {string} userId - Rider user ID
+   * @param {number} multiplier - Surge multiplier being charged
+   * @returns {Promise<Object>} { requiresConfirmation, threshold }
+   */
+  async getConfirmationRequirement(userId, multiplier) {
+    if (multiplier <= 1) {
+      return { requiresConfirmation: false, threshold: null };
+    }
+
+    const [policy, settings] = await Promise.all([
+      this.getPolicy(),
+      UserSettings.findOne({ user: userId })
+        .select("preferences.ridePreferences.enableSurgePricing")
+        .lean(),
+    ]);
+
+    const surgeEnabled =
+      settings?.preferences?.ridePreferences?.enableSurgePricing !== false;
+    const threshold = surgeEnabled ? policy.confirmationThreshold : 1;
+
+    return { requiresConfirmation: multiplier > threshold, threshold };
+  }
+
+  /**
+   * Current zones for the admin map
+   * @returns {Promise<Array>}
+   */
+  async getZones() {
+    return SurgeZone.find({}).sort({ multiplier: -1 }).lean();
+  }
+}
+
+// Create singleton instance
+const surgeService = new SurgeService();
+
+module.exports = surgeService;
@@ -0,0 +1,228 @@
+const mongoose = require("mongoose");
+const Payment = require("../models/Payment");
+const PaymentMethod = require("../models/PaymentMethod");
+const Rider = require("../models/Rider");
+const User = require("../models/User");
+const Wallet = require("../models/Wallet");
+const stripeService = require("./stripeService");
+const ledgerService = require("./ledgerService");
+const socketService = require("./socketService");
+const { WALLET_TOPUP_LIMITS } = require("../config/ledgerConfig");
+
+function topUpError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Wallet Top-Up Service - Wallet credits backed by a Stripe payment
+ *
+ * A top-up starts as a pending Payment (purpose "wallet_topup") tied to a
+ * PaymentIntent. The wallet is only credited once Stripe reports the intent
+ * succeeded - from the confirm endpoint, the payment_intent.succeeded webhook
+ * or straight away for an off-session charge on a saved card. The ledger
+ * entry is keyed on the payment, so whichever path runs second is a no-op.
+ */
+class WalletTopUpService {
+  /**
+   * Start a top-up
+   * @param {string} userId - Rider user ID
+   * @param {Object} options - { amount, currency, paymentMethodId } - paymentMethodId
+   *   (saved PaymentMethod ID or Stripe pm_ ID) charges a saved card off-session
+   * @returns {Promise<Object>} { payment, clientSecret, credited }
+   */
+  async createTopUp(userId, { amount, currency = "gbp", paymentMethodId } = {}) {
+    const numAmount = parseFloat(amount);
+    if (!numAmount || isNaN(numAmount) || numAmount <= 0) {
+      throw topUpError("Invalid amount");
+    }
+    if (numAmount < WALLET_TOPUP_LIMITS.min || numAmount > WALLET_TOPUP_LIMITS.max) {
+      throw topUpError(
+        `Top-up amount must be between £${WALLET_TOPUP_LIMITS.min} and £${WALLET_TOPUP_LIMITS.max}`,
+      );
+    }
+    if (!stripeService.isCurrencySupported(currency)) {
+      throw topUpError(`Currency ${currency} is not supported`);
+    }
+
+    const [user, rider] = await Promise.all([
+      User.findById(userId),
+      Rider.findOne({ user: userId }),
+    ]);
+    if (!user || !rider) {
+      throw topUpError("Rider profile not found", 404);
+    }
+
+    if (!rider.stripeCustomerId) {
+      rider.stripeCustomerId = await stripeService.createOrGetCustomer({
+        _id: user._id,
+        email: user.email,
+        name: user.fullName,
+        phone: user.phone,
+        role: "rider",
+      });
+      rider.stripeCustomerCreatedAt = new Date();
+      await rider.save();
+    }
+
+    const metadata = {
+      userId: user._id.toString(),
+      riderId: rider._id.toString(),
+      purpose: "wallet_topup",
+    };
+
+    if (paymentMethodId) {
+      return this.chargeSavedMethod(user, rider, numAmount, currency, paymentMethodId, metadata);
+    }
+
+    const paymentIntent = await stripeService.createPaymentIntent({
+      amount: numAmount,
+      currency,
+      customerId: rider.stripeCustomerId,
+      description: "Wallet top-up",
+      metadata,
+    });
+
+    const payment = await Payment.create({
+      rider: user._id,
+      amount: numAmount,
+      currency,
+      status: "pending",
+      paymentMethod: "card",
+      stripePaymentIntentId: paymentIntent.paymentIntentId,
+      stripeCustomerId: rider.stripeCustomerId,
+      description: "Wallet top-up",
+      metadata,
+    });
+
+    return { payment, clientSecret: paymentIntent.clientSecret, credited: false };
+  }
+
+  /**
+   * Charge a saved card off-session and credit the wallet if it succeeds
+   */
+  async chargeSavedMethod(user, rider, amount, currency, paymentMethodId, metadata) {
+    const savedMethod = await PaymentMethod.findOne({
+      rider: rider._id,
+      status: "active",
+      $or: [
+        { stripePaymentMethodId: paymentMethodId },
+        ...(mongoose.Types.ObjectId.isValid(paymentMethodId) ? [{ _id: paymentMethodId }] : []),
+      ],
+    });
+    if (!savedMethod || !savedMethod.stripePaymentMethodId) {
+      throw topUpError("Payment method not found", 404);
+    }
+
+    // Recorded before charging so a webhook for this intent always finds it
+    const payment = await Payment.create({
+      rider: user._id,
+      amount,
+      currency,
+      status: "pending",
+      paymentMethod: "card",
+      stripeCustomerId: rider.stripeCustomerId,
+      stripePaymentMethodId: savedMethod.stripePaymentMethodId,
+      description: "Wallet top-up",
+      metadata,
+    });
+
+    let paymentIntent;
+    try {
+      paymentIntent = await stripeService.createCharge({
+        amount,
+        currency,
+        customerId: rider.stripeCustomerId,
+        paymentMethodId: savedMethod.stripePaymentMethodId,
+        description: "Wallet top-up",
+        metadata: { ...metadata, paymentId: payment._id.toString() },
+      });
+    } catch (error) {
+      payment.status = "failed";
+      payment.failureReason = error.message;
+      await payment.save();
+      throw topUpError("Card was declined or needs authentication. Please top up with card details instead.", 402);
+    }
+
+    payment.stripePaymentIntentId = paymentIntent.id;
+    await payment.save();
+
+    if (paymentIntent.status !== "succeeded") {
+      return { payment, clientSecret: paymentIntent.client_secret, credited: false };
+    }
+
+    const { credited } = await this.completeTopUp(payment, paymentIntent);
+    return { payment, clientSecret: null, credited };
+  }
+
+  /**
+   * Mark a top-up paid and credit the wallet (safe to call more than once)
+   * @param {Object} payment - Payment document (purpose "wallet_topup")
+   * @param {Object} paymentIntent - Stripe PaymentIntent, status "succeeded"
+   * @returns {Promise<Object>} { credited } - false when this payment was already credited
+   */
+  async completeTopUp(payment, paymentIntent) {
+    if (paymentIntent.status !== "succeeded") {
+      throw topUpError("Payment has not succeeded", 409);
+    }
+
+    // Never trust the client-side amount: credit what Stripe actually received
+    const amount = paymentIntent.amount_received
+      ? paymentIntent.amount_received / 100
+      : payment.amount;
+
+    await Payment.updateOne(
+      { _id: payment._id, status: { $ne: "paid" } },
+      { $set: { status: "paid", stripeChargeId: paymentIntent.latest_charge } },
+    );
+
+    const { duplicate } = await ledgerService.recordTopUp(payment.rider, amount, {
+      source: "stripe",
+      payment: payment._id,
+      description: "Wallet top-up via Stripe",
+    });
+
+    if (!duplicate) {
+      await this.notifyWallet(payment.rider);
+    }
+
+    return { credited: !duplicate };
+  }
+
+  /**
+   * Push the credited wallet's newest transaction to the rider (the wallet
+   * itself is pushed on the ledger's wallet.changed event)
+   * @param {string} userId - Rider user ID
+   */
+  async notifyWallet(userId) {
+    const wallet = await Wallet.findOne({ user: userId });
+    if (!wallet) return;
+
+    const newTransaction = wallet.transactions[wallet.transactions.length - 1];
+    if (newTransaction) {
+      socketService.notifyWalletTransaction(userId.toString(), {
+        type: newTransaction.type,
+        amount: newTransaction.amount,
+        payment: newTransaction.payment,
+        description: newTransaction.description,
+        _id: newTransaction._id,
+        timestamp: new Date(),
+      });
+    }
+  }
+
+  /**
+   * Whether a payment is a wallet top-up
+   * @param {Object} payment - Payment document
+   * @returns {boolean}
+   */
+  isTopUp(payment) {
+    return !payment.ride && payment.metadata?.get("purpose") === "wallet_topup";
+  }
+}
+
+// Create singleton instance
+const walletTopUpService = new WalletTopUpService();
+
+module.exports = walletTopUpService;
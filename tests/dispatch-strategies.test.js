@@ -0,0 +1,164 @@
+/**
+ * Test Script: Dispatch Strategy Selection
+ *
+ * Checks how config/dispatchConfig.js picks a strategy for a ride: defaults,
+ * DISPATCH_RULES matching by vehicle type and pickup region, invalid rules
+ * and the wave size / offer window of each strategy
+ *
+ * Prerequisites: none (no server or database needed)
+ *
+ * Usage: node tests/dispatch-strategies.test.js
+ */
+
+const path = require('path');
+
+const CONFIG_PATH = path.join(__dirname, '..', 'config', 'dispatchConfig.js');
+
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  cyan: '\x1b[36m'
+};
+
+function log(message, color = 'reset') {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+function logSuccess(message) {
+  log(`✅ ${message}`, 'green');
+}
+
+function logError(message) {
+  log(`❌ ${message}`, 'red');
+}
+
+function logStep(step, message) {
+  log(`\n[Step ${step}] ${message}`, 'cyan');
+}
+
+const results = { passed: 0, failed: 0 };
+
+function check(description, actual, expected) {
+  if (actual === expected) {
+    results.passed++;
+    logSuccess(description);
+  } else {
+    results.failed++;
+    logError(`${description} - expected ${expected}, got ${actual}`);
+  }
+}
+
+// The config reads the environment once, when it's loaded
+function loadConfig(env = {}) {
+  const keys = ['DISPATCH_RULES', 'DISPATCH_DEFAULT_STRATEGY', 'DISPATCH_BATCH_SIZE'];
+  const saved = Object.fromEntries(keys.map((key) => [key, process.env[key]]));
+
+  keys.forEach((key) => delete process.env[key]);
+  Object.assign(process.env, env);
+  delete require.cache[CONFIG_PATH];
+
+  try {
+    return require(CONFIG_PATH);
+  } finally {
+    keys.forEach((key) => {
+      if (saved[key] === undefined) delete process.env[key];
+      else process.env[key] = saved[key];
+    });
+  }
+}
+
+// Pickups inside and outside a 5km region around Croydon
+const CROYDON = { lat: 51.3762, lng: -0.0982 };
+const NEAR_CROYDON = { lat: 51.39, lng: -0.1 };
+const GUILDFORD = { lat: 51.2362, lng: -0.5704 };
+
+function testDefaults() {
+  logStep(1, 'Defaults without DISPATCH_RULES');
+
+  const { resolveDispatchStrategy, getDispatchStrategy } = loadConfig();
+
+  check('Rides default to broadcast', resolveDispatchStrategy({ vehicleType: 'Saloon', pickup: CROYDON }).name, 'broadcast');
+  check('Sequential offers one driver at a time', getDispatchStrategy('sequential').batchSize, 1);
+  check('Batched waves default to 3 drivers', getDispatchStrategy('batched').batchSize, 3);
+  check('Broadcast offers every matched driver', getDispatchStrategy('broadcast').batchSize, Infinity);
+  check('Sequential window defaults to 20s', getDispatchStrategy('sequential').offerWindowSeconds, 20);
+  check('Unknown strategy names fall back to the default', getDispatchStrategy('nearest').name, 'broadcast');
+}
+
+function testEnvironmentOverrides() {
+  logStep(2, 'Default strategy and wave size from the environment');
+
+  const { resolveDispatchStrategy, getDispatchStrategy } = loadConfig({
+    DISPATCH_DEFAULT_STRATEGY: 'batched',
+    DISPATCH_BATCH_SIZE: '5'
+  });
+
+  check('DISPATCH_DEFAULT_STRATEGY is used for unmatched rides', resolveDispatchStrategy({ vehicleType: 'Saloon' }).name, 'batched');
+  check('DISPATCH_BATCH_SIZE sets the batched wave size', getDispatchStrategy('batched').batchSize, 5);
+
+  const invalid = loadConfig({ DISPATCH_DEFAULT_STRATEGY: 'fastest' });
+  check('An unknown default strategy is ignored', invalid.getDispatchStrategy().name, 'broadcast');
+}
+
+function testRules() {
+  logStep(3, 'DISPATCH_RULES by vehicle type and region (first match wins)');
+
+  const { resolveDispatchStrategy } = loadConfig({
+    DISPATCH_RULES: JSON.stringify([
+      { vehicleType: 'SUV', strategy: 'batched' },
+      { region: { ...CROYDON, radiusKm: 5 }, strategy: 'sequential' },
+      { vehicleType: 'Saloon', strategy: 'unknown' }
+    ])
+  });
+
+  check('Vehicle type rule matches', resolveDispatchStrategy({ vehicleType: 'SUV', pickup: GUILDFORD }).name, 'batched');
+  check('Earlier rule wins over a matching region', resolveDispatchStrategy({ vehicleType: 'SUV', pickup: NEAR_CROYDON }).name, 'batched');
+  check('Region rule matches a pickup inside the radius', resolveDispatchStrategy({ vehicleType: 'Saloon', pickup: NEAR_CROYDON }).name, 'sequential');
+  check('Region rule skips a pickup outside the radius', resolveDispatchStrategy({ vehicleType: 'Saloon', pickup: GUILDFORD }).name, 'broadcast');
+  check('Region rule skips a ride without a pickup', resolveDispatchStrategy({ vehicleType: 'Saloon' }).name, 'broadcast');
+  check('String coordinates are accepted', resolveDispatchStrategy({
+    vehicleType: 'Saloon',
+    pickup: { lat: String(NEAR_CROYDON.lat), lng: String(NEAR_CROYDON.lng) }
+  }).name, 'sequential');
+  check('Resolved strategies carry their offer window', resolveDispatchStrategy({ vehicleType: 'SUV' }).offerWindowSeconds, 25);
+}
+
+function testInvalidRules() {
+  logStep(4, 'Invalid DISPATCH_RULES');
+
+  const originalError = console.error;
+  console.error = () => {};
+  let config;
+  try {
+    config = loadConfig({ DISPATCH_RULES: '{not json' });
+  } finally {
+    console.error = originalError;
+  }
+  check('Malformed JSON falls back to the default', config.resolveDispatchStrategy({ vehicleType: 'SUV' }).name, 'broadcast');
+
+  const notArray = loadConfig({ DISPATCH_RULES: JSON.stringify({ vehicleType: 'SUV', strategy: 'batched' }) });
+  check('A non-array value is ignored', notArray.resolveDispatchStrategy({ vehicleType: 'SUV' }).name, 'broadcast');
+}
+
+function runTests() {
+  log('\n' + '='.repeat(60), 'cyan');
+  log('🧪 DISPATCH STRATEGY TEST SUITE', 'cyan');
+  log('='.repeat(60), 'cyan');
+
+  testDefaults();
+  testEnvironmentOverrides();
+  testRules();
+  testInvalidRules();
+
+  log('\n' + '='.repeat(60), 'cyan');
+  log(`Passed: ${results.passed}`, 'green');
+  log(`Failed: ${results.failed}`, results.failed > 0 ? 'red' : 'green');
+  log('='.repeat(60), 'cyan');
+
+  process.exit(results.failed > 0 ? 1 : 0);
+}
+
+runTests();
@@ -0,0 +1,308 @@
+/**
+ * Test Script: Idempotency Keys
+ *
+ * Mounts middlewares/idempotency.js on a small Express app and checks that a
+ * retried request replays the stored response instead of running again, a
+ * key reused for a different payload gets 422, a retry while the original is
+ * still running gets 409 (also after the client gave up waiting), a retry
+ * takes over a key whose lease ran out, and server errors are not stored
+ *
+ * Prerequisites:
+ * 1. TEST_MONGO_URI pointing at a throwaway MongoDB database
+ *    (see tests/testDatabase.js - it is dropped after the run)
+ *
+ * Usage: node tests/idempotency.test.js
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const express = require('express');
+const mongoose = require('mongoose');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const idempotency = require('../middlewares/idempotency');
+const { sendSuccess, sendError } = require('../utils/responseHelper');
+const { connectTestDatabase, closeTestDatabase } = require('./testDatabase');
+
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  cyan: '\x1b[36m'
+};
+
+function log(message, color = 'reset') {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+function logSuccess(message) {
+  log(`✅ ${message}`, 'green');
+}
+
+function logError(message) {
+  log(`❌ ${message}`, 'red');
+}
+
+function logStep(step, message) {
+  log(`\n[Step ${step}] ${message}`, 'cyan');
+}
+
+const results = { passed: 0, failed: 0 };
+
+function check(description, actual, expected) {
+  if (actual === expected) {
+    results.passed++;
+    logSuccess(description);
+  } else {
+    results.failed++;
+    logError(`${description} - expected ${expected}, got ${actual}`);
+  }
+}
+
+// A promise that the test resolves when it's ready
+function createGate() {
+  let open;
+  const promise = new Promise((resolve) => {
+    open = resolve;
+  });
+  return { promise, open };
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const userId = new mongoose.Types.ObjectId();
+const handlerCalls = { charge: 0, slow: 0, flaky: 0 };
+let slowStarted = createGate();
+let slowRelease = createGate();
+
+function createApp() {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = { id: userId.toString() };
+    next();
+  });
+
+  app.post('/charge', idempotency(), (req, res) => {
+    handlerCalls.charge++;
+    sendSuccess(res, { charge: handlerCalls.charge, amount: req.body.amount }, 'Charged', 201);
+  });
+
+  // Holds the response until the test opens the gate
+  app.post('/slow', idempotency(), async (req, res) => {
+    slowStarted.open();
+    await slowRelease.promise;
+    handlerCalls.slow++;
+    sendSuccess(res, { charge: handlerCalls.slow }, 'Charged', 201);
+  });
+
+  // Fails the first time, succeeds after
+  app.post('/flaky', idempotency(), (req, res) => {
+    handlerCalls.flaky++;
+    if (handlerCalls.flaky === 1) {
+      return sendError(res, 'Payment provider unavailable', 502);
+    }
+    sendSuccess(res, { charge: handlerCalls.flaky }, 'Charged', 201);
+  });
+
+  return app;
+}
+
+let client;
+
+function post(path, body, key, options = {}) {
+  return client.post(path, body, {
+    headers: key ? { 'Idempotency-Key': key } : {},
+    ...options
+  });
+}
+
+// Waits for the middleware to store (or drop) the response after it is sent
+async function waitForKey(key, status) {
+  for (let i = 0; i < 50; i++) {
+    const record = await IdempotencyKey.findOne({ user: userId, key }).lean();
+    if (status ? record?.status === status : !record) return true;
+    await sleep(20);
+  }
+  return false;
+}
+
+async function testReplay() {
+  logStep(1, 'A retry replays the stored response');
+
+  const key = crypto.randomUUID();
+  const first = await post('/charge', { amount: 12.5 }, key);
+  check('First request runs the handler', first.status, 201);
+  check('First response has no replay header', first.headers['idempotent-replayed'], undefined);
+  await waitForKey(key, 'completed');
+
+  const retry = await post('/charge', { amount: 12.5 }, key);
+  check('Retry gets the same status', retry.status, 201);
+  check('Retry gets the same body', JSON.stringify(retry.data), JSON.stringify(first.data));
+  check('Retry is marked as replayed', retry.headers['idempotent-replayed'], 'true');
+  check('Handler ran once', handlerCalls.charge, 1);
+
+  const noKey = await post('/charge', { amount: 12.5 });
+  check('Requests without a key are not deduplicated', noKey.data.data.charge, 2);
+}
+
+async function testKeyReuse() {
+  logStep(2, 'A key reused for a different payload is refused');
+
+  const key = crypto.randomUUID();
+  await post('/charge', { amount: 10 }, key);
+  await waitForKey(key, 'completed');
+  const callsBefore = handlerCalls.charge;
+
+  const reused = await post('/charge', { amount: 99 }, key);
+  check('Different body gets 422', reused.status, 422);
+  check('Error code is IDEMPOTENCY_KEY_REUSED', reused.data.code, 'IDEMPOTENCY_KEY_REUSED');
+  check('Handler did not run', handlerCalls.charge, callsBefore);
+
+  const otherPath = await post('/slow', { amount: 10 }, key);
+  check('Same body on another endpoint gets 422', otherPath.status, 422);
+
+  const longKey = await post('/charge', { amount: 10 }, 'k'.repeat(256));
+  check('An over-long key gets 400 IDEMPOTENCY_KEY_INVALID', longKey.data.code, 'IDEMPOTENCY_KEY_INVALID');
+}
+
+async function testConcurrentRequest() {
+  logStep(3, 'A retry while the original is running gets 409');
+
+  slowStarted = createGate();
+  slowRelease = createGate();
+  const key = crypto.randomUUID();
+
+  const original = post('/slow', { amount: 5 }, key);
+  await slowStarted.promise;
+
+  const concurrent = await post('/slow', { amount: 5 }, key);
+  check('Concurrent retry gets 409', concurrent.status, 409);
+  check('Error code is IDEMPOTENCY_KEY_IN_PROGRESS', concurrent.data.code, 'IDEMPOTENCY_KEY_IN_PROGRESS');
+
+  slowRelease.open();
+  const response = await original;
+  check('Original request completes', response.status, 201);
+  check('Handler ran once', handlerCalls.slow, 1);
+}
+
+async function testClientAbort() {
+  logStep(4, 'The key stays locked after the client disconnects');
+
+  slowStarted = createGate();
+  slowRelease = createGate();
+  const key = crypto.randomUUID();
+  const controller = new AbortController();
+
+  const aborted = post('/slow', { amount: 7 }, key, { signal: controller.signal }).catch((error) => error);
+  await slowStarted.promise;
+  controller.abort();
+  await aborted;
+  await sleep(100);
+
+  const retry = await post('/slow', { amount: 7 }, key);
+  check('Retry while the handler still runs gets 409', retry.status, 409);
+  check('Handler has not run a second time', handlerCalls.slow, 1);
+
+  slowRelease.open();
+  check('Response is stored once the handler finishes', await waitForKey(key, 'completed'), true);
+
+  const replay = await post('/slow', { amount: 7 }, key);
+  check('Later retry replays the response', replay.headers['idempotent-replayed'], 'true');
+  check('Replayed body is the aborted request\'s result', replay.data.data.charge, 2);
+  check('Aborted request ran the handler exactly once', handlerCalls.slow, 2);
+}
+
+async function testExpiredLease() {
+  logStep(5, 'A retry takes over a key whose lease ran out');
+
+  slowStarted = createGate();
+  slowRelease = createGate();
+  const key = crypto.randomUUID();
+  const callsBefore = handlerCalls.slow;
+
+  const original = post('/slow', { amount: 8 }, key);
+  await slowStarted.promise;
+
+  // As if the server running the original had died
+  await IdempotencyKey.updateOne({ user: userId, key }, { $set: { lockedUntil: new Date(0) } });
+
+  slowStarted = createGate();
+  const takeover = post('/slow', { amount: 8 }, key);
+  await slowStarted.promise;
+  logSuccess('Retry after the lease ran out reaches the handler');
+
+  const concurrent = await post('/slow', { amount: 8 }, key);
+  check('A retry during the new lease gets 409', concurrent.status, 409);
+
+  slowRelease.open();
+  const [originalResponse, takeoverResponse] = await Promise.all([original, takeover]);
+  check('Original still gets its response', originalResponse.status, 201);
+  check('Takeover gets its response', takeoverResponse.status, 201);
+  check('Handler ran for both', handlerCalls.slow, callsBefore + 2);
+  check('Key is completed', await waitForKey(key, 'completed'), true);
+
+  const replay = await post('/slow', { amount: 8 }, key);
+  check(
+    'Replay is the takeover\'s response, not the stale original\'s',
+    replay.data.data.charge,
+    takeoverResponse.data.data.charge
+  );
+}
+
+async function testServerError() {
+  logStep(6, 'Server errors are not stored');
+
+  const key = crypto.randomUUID();
+  const failed = await post('/flaky', { amount: 3 }, key);
+  check('First attempt fails with 502', failed.status, 502);
+  check('Key is released', await waitForKey(key, null), true);
+
+  const retry = await post('/flaky', { amount: 3 }, key);
+  check('Retry runs the handler again', retry.status, 201);
+  check('Retry is not a replay', retry.headers['idempotent-replayed'], undefined);
+  check('Handler ran twice', handlerCalls.flaky, 2);
+}
+
+async function runTests() {
+  log('\n' + '='.repeat(60), 'cyan');
+  log('🧪 IDEMPOTENCY KEY TEST SUITE', 'cyan');
+  log('='.repeat(60), 'cyan');
+
+  let server;
+  try {
+    await connectTestDatabase();
+
+    server = createApp().listen(0);
+    await new Promise((resolve) => server.once('listening', resolve));
+    client = axios.create({
+      baseURL: `http://127.0.0.1:${server.address().port}`,
+      validateStatus: () => true
+    });
+
+    await testReplay();
+    await testKeyReuse();
+    await testConcurrentRequest();
+    await testClientAbort();
+    await testExpiredLease();
+    await testServerError();
+  } catch (error) {
+    results.failed++;
+    logError(`Unexpected error: ${error.message}`);
+    console.error(error);
+  } finally {
+    slowRelease.open();
+    if (server) await new Promise((resolve) => server.close(resolve));
+    await closeTestDatabase();
+  }
+
+  log('\n' + '='.repeat(60), 'cyan');
+  log(`Passed: ${results.passed}`, 'green');
+  log(`Failed: ${results.failed}`, results.failed > 0 ? 'red' : 'green');
+  log('='.repeat(60), 'cyan');
+
+  process.exit(results.failed > 0 ? 1 : 0);
+}
+
+runTests();
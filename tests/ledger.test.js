@@ -0,0 +1,288 @@
+/**
+ * Test Script: Double-Entry Ledger
+ *
+ * Posts journal entries through ledgerService and checks that every entry
+ * balances, duplicates and overdrafts are refused without side effects, ride
+ * fares are split between platform and driver, payouts in flight are kept
+ * apart from held earnings, and the trial balance and projections
+ * (Wallet.balance) reconcile with the journal
+ *
+ * Prerequisites:
+ * 1. TEST_MONGO_URI pointing at a throwaway MongoDB replica set database
+ *    (see tests/testDatabase.js - it is dropped after the run)
+ *
+ * Usage: node tests/ledger.test.js
+ */
+
+const mongoose = require('mongoose');
+const JournalEntry = require('../models/JournalEntry');
+const LedgerAccount = require('../models/LedgerAccount');
+const Wallet = require('../models/Wallet');
+const ledgerService = require('../services/ledgerService');
+const { INSUFFICIENT_FUNDS } = require('../config/ledgerConfig');
+const { connectTestDatabase, closeTestDatabase } = require('./testDatabase');
+
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  cyan: '\x1b[36m'
+};
+
+function log(message, color = 'reset') {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+function logSuccess(message) {
+  log(`✅ ${message}`, 'green');
+}
+
+function logError(message) {
+  log(`❌ ${message}`, 'red');
+}
+
+function logStep(step, message) {
+  log(`\n[Step ${step}] ${message}`, 'cyan');
+}
+
+const results = { passed: 0, failed: 0 };
+
+function check(description, actual, expected) {
+  if (actual === expected) {
+    results.passed++;
+    logSuccess(description);
+  } else {
+    results.failed++;
+    logError(`${description} - expected ${expected}, got ${actual}`);
+  }
+}
+
+async function expectError(promise) {
+  try {
+    await promise;
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+// Account balance in pence (0 for an account that was never posted to)
+async function balanceOf(code) {
+  const account = await LedgerAccount.findOne({ code }).lean();
+  return account ? account.balance : 0;
+}
+
+function isBalanced(entry) {
+  const debits = entry.lines.reduce((sum, line) => sum + line.debit, 0);
+  const credits = entry.lines.reduce((sum, line) => sum + line.credit, 0);
+  return debits === credits && debits > 0;
+}
+
+const riderId = new mongoose.Types.ObjectId();
+const driverId = new mongoose.Types.ObjectId();
+const walletAccount = ledgerService.accountCode('rider_wallet', riderId);
+const availableAccount = ledgerService.accountCode('driver_available', driverId);
+const pendingAccount = ledgerService.accountCode('driver_pending', driverId);
+const inTransitAccount = ledgerService.accountCode('driver_payout_in_transit', driverId);
+
+async function testUnbalancedEntries() {
+  logStep(1, 'Unbalanced entries are refused');
+
+  const error = await expectError(
+    ledgerService.post({
+      type: 'adjustment',
+      reference: 'test:unbalanced',
+      lines: [
+        { account: 'manual_adjustments', debit: 10 },
+        { account: walletAccount, credit: 9.99 }
+      ]
+    })
+  );
+  check('Debits != credits throws', !!error && /Unbalanced/.test(error.message), true);
+  check('Nothing is written', await JournalEntry.countDocuments({ reference: 'test:unbalanced' }), 0);
+
+  const empty = await expectError(
+    ledgerService.post({
+      type: 'adjustment',
+      reference: 'test:empty',
+      lines: [
+        { account: 'manual_adjustments', debit: 0 },
+        { account: walletAccount, credit: 0 }
+      ]
+    })
+  );
+  check('An all-zero entry throws', !!empty, true);
+}
+
+async function testTopUp() {
+  logStep(2, 'Top-up credits the wallet once');
+
+  const { entry, duplicate } = await ledgerService.recordTopUp(riderId, 20, {
+    source: 'stripe',
+    reference: 'test:topup'
+  });
+  check('Entry is new', duplicate, false);
+  check('Entry balances', isBalanced(entry), true);
+  check('Wallet account holds £20.00', await balanceOf(walletAccount), 2000);
+  check('Stripe clearing holds £20.00', await balanceOf('stripe_clearing'), 2000);
+
+  const wallet = await Wallet.findOne({ user: riderId }).lean();
+  check('Wallet.balance projection is £20', wallet?.balance, 20);
+  check('Wallet shows one top-up transaction', wallet?.transactions.filter((tx) => tx.type === 'topup').length, 1);
+
+  const replay = await ledgerService.recordTopUp(riderId, 20, {
+    source: 'stripe',
+    reference: 'test:topup'
+  });
+  check('Same reference is reported as a duplicate', replay.duplicate, true);
+  check('Duplicate returns the original entry', replay.entry._id.toString(), entry._id.toString());
+  check('Wallet is not credited twice', await balanceOf(walletAccount), 2000);
+}
+
+async function testOverdraft() {
+  logStep(3, 'A wallet fare larger than the balance is refused');
+
+  const ride = {
+    _id: new mongoose.Types.ObjectId(),
+    rider: riderId,
+    driver: driverId,
+    fare: 25,
+    platformCommission: 5,
+    bonuses: 0.5
+  };
+  const error = await expectError(ledgerService.recordRideCharge(ride, 'wallet'));
+
+  check('Fails with INSUFFICIENT_FUNDS', error?.code, INSUFFICIENT_FUNDS);
+  check('Wallet balance is unchanged', await balanceOf(walletAccount), 2000);
+  check('Driver was not credited', await balanceOf(availableAccount), 0);
+  check('No entry was kept', await JournalEntry.countDocuments({ reference: `ride_charge:${ride._id}` }), 0);
+}
+
+async function testRideCharge() {
+  logStep(4, 'Ride fares are split between platform and driver');
+
+  const walletRide = {
+    _id: new mongoose.Types.ObjectId(),
+    rider: riderId,
+    driver: driverId,
+    fare: 12.5,
+    platformCommission: 2.5,
+    bonuses: 0.5
+  };
+  const { entry } = await ledgerService.recordRideCharge(walletRide, 'wallet');
+
+  check('Entry balances', isBalanced(entry), true);
+  check('Wallet pays the fare (£20 - £12.50)', await balanceOf(walletAccount), 750);
+  check('Platform keeps the commission', await balanceOf('platform_revenue'), 250);
+  check('Driver gets fare - commission + bonus', await balanceOf(availableAccount), 1050);
+  check('Bonus is booked as an incentive expense', await balanceOf('driver_incentives'), 50);
+
+  const cardRide = {
+    _id: new mongoose.Types.ObjectId(),
+    rider: riderId,
+    driver: driverId,
+    fare: 10,
+    platformCommission: 2,
+    bonuses: 0.5
+  };
+  const held = await ledgerService.recordRideCharge(cardRide, 'card', { hold: true });
+
+  check('Held entry balances', isBalanced(held.entry), true);
+  check('Held share goes to pending', await balanceOf(pendingAccount), 800);
+  check('Bonus is never held', await balanceOf(availableAccount), 1100);
+  check('Card fare comes through Stripe clearing', await balanceOf('stripe_clearing'), 3000);
+}
+
+async function testPayouts() {
+  logStep(5, 'Payouts in flight are kept apart from held earnings');
+
+  const payoutId = new mongoose.Types.ObjectId();
+  await ledgerService.recordPayout(driverId, 6, {
+    stage: 'requested',
+    reference: `payout_requested:${payoutId}`
+  });
+  check('Requested payout leaves available', await balanceOf(availableAccount), 500);
+  check('Requested payout is in transit', await balanceOf(inTransitAccount), 600);
+  check('Held earnings are untouched', await balanceOf(pendingAccount), 800);
+
+  await ledgerService.recordPayout(driverId, 6, {
+    stage: 'paid',
+    fromInTransit: true,
+    reference: `payout:${payoutId}`
+  });
+  check('Paid payout leaves transit', await balanceOf(inTransitAccount), 0);
+  check('Paid payout goes out through Stripe clearing', await balanceOf('stripe_clearing'), 2400);
+
+  const failedId = new mongoose.Types.ObjectId();
+  await ledgerService.recordPayout(driverId, 2, {
+    stage: 'requested',
+    reference: `payout_requested:${failedId}`
+  });
+  await ledgerService.recordPayout(driverId, 2, {
+    stage: 'failed',
+    reference: `payout_failed:${failedId}`
+  });
+  check('Failed payout returns to available', await balanceOf(availableAccount), 500);
+  check('Nothing is left in transit', await balanceOf(inTransitAccount), 0);
+  check('Held earnings are still untouched', await balanceOf(pendingAccount), 800);
+
+  const overdraft = await expectError(
+    ledgerService.recordPayout(driverId, 5.01, {
+      stage: 'requested',
+      reference: `payout_requested:${new mongoose.Types.ObjectId()}`
+    })
+  );
+  check('Held earnings can\'t be paid out', overdraft?.code, INSUFFICIENT_FUNDS);
+}
+
+async function testReconcile() {
+  logStep(6, 'Trial balance and projections reconcile');
+
+  const report = await ledgerService.reconcile();
+
+  check('Total debits equal total credits', report.trialBalance.balanced, true);
+  check('No unbalanced entries', report.unbalancedEntries.length, 0);
+  check('Stored balances and projections match the journal', report.mismatches.length, 0);
+
+  // A projection edited outside the ledger is detected and repaired
+  await Wallet.updateOne({ user: riderId }, { $set: { balance: 999 } });
+  const drifted = await ledgerService.reconcile({ apply: true });
+  check('Drifted wallet is reported', drifted.mismatches.some((m) => m.kind === 'wallet'), true);
+
+  const wallet = await Wallet.findOne({ user: riderId }).lean();
+  check('Drifted wallet is restored from the journal', wallet.balance, 7.5);
+}
+
+async function runTests() {
+  log('\n' + '='.repeat(60), 'cyan');
+  log('🧪 LEDGER TEST SUITE', 'cyan');
+  log('='.repeat(60), 'cyan');
+
+  try {
+    await connectTestDatabase();
+
+    await testUnbalancedEntries();
+    await testTopUp();
+    await testOverdraft();
+    await testRideCharge();
+    await testPayouts();
+    await testReconcile();
+  } catch (error) {
+    results.failed++;
+    logError(`Unexpected error: ${error.message}`);
+    console.error(error);
+  } finally {
+    await closeTestDatabase();
+  }
+
+  log('\n' + '='.repeat(60), 'cyan');
+  log(`Passed: ${results.passed}`, 'green');
+  log(`Failed: ${results.failed}`, results.failed > 0 ? 'red' : 'green');
+  log('='.repeat(60), 'cyan');
+
+  process.exit(results.failed > 0 ? 1 : 0);
+}
+
+runTests();
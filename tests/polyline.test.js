@@ -0,0 +1,170 @@
+/**
+ * Test Script: Encoded Polylines
+ *
+ * Checks utils/polyline.js against Google's reference example, that
+ * appending points one at a time (live trail updates) gives the same string
+ * as encoding the whole trail, and that trails decode back to their points
+ *
+ * Prerequisites: none (no server or database needed)
+ *
+ * Usage: node tests/polyline.test.js
+ */
+
+const { encodePoint, encodePolyline } = require('../utils/polyline');
+
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  cyan: '\x1b[36m'
+};
+
+function log(message, color = 'reset') {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+function logSuccess(message) {
+  log(`✅ ${message}`, 'green');
+}
+
+function logError(message) {
+  log(`❌ ${message}`, 'red');
+}
+
+function logStep(step, message) {
+  log(`\n[Step ${step}] ${message}`, 'cyan');
+}
+
+const results = { passed: 0, failed: 0 };
+
+function check(description, passed, details = '') {
+  if (passed) {
+    results.passed++;
+    logSuccess(description);
+  } else {
+    results.failed++;
+    logError(`${description}${details ? ` - ${details}` : ''}`);
+  }
+}
+
+// Reference decoder (precision 5), as used by map SDKs
+function decodePolyline(encoded) {
+  const points = [];
+  let index = 0;
+  let lat = 0;
+  let lng = 0;
+
+  const nextValue = () => {
+    let result = 0;
+    let shift = 0;
+    let byte;
+    do {
+      byte = encoded.charCodeAt(index++) - 63;
+      result |= (byte & 0x1f) << shift;
+      shift += 5;
+    } while (byte >= 0x20);
+    return result & 1 ? ~(result >> 1) : result >> 1;
+  };
+
+  while (index < encoded.length) {
+    lat += nextValue();
+    lng += nextValue();
+    points.push({ lat: lat / 1e5, lng: lng / 1e5 });
+  }
+
+  return points;
+}
+
+// A short trail through Guildford
+const TRAIL = [
+  { lat: 51.23621, lng: -0.57038 },
+  { lat: 51.23702, lng: -0.56911 },
+  { lat: 51.23815, lng: -0.56754 },
+  { lat: 51.23815, lng: -0.56754 }, // Stationary fix
+  { lat: 51.23977, lng: -0.56502 },
+  { lat: 51.24103, lng: -0.56331 }
+];
+
+function testReferenceExample() {
+  logStep(1, "Google's reference polyline");
+
+  const encoded = encodePolyline([
+    { lat: 38.5, lng: -120.2 },
+    { lat: 40.7, lng: -120.95 },
+    { lat: 43.252, lng: -126.453 }
+  ]);
+  const expected = '_p~iF~ps|U_ulLnnqC_mqNvxq`@';
+
+  check('Matches the documented encoding', encoded === expected, `got ${encoded}`);
+  check('An empty trail encodes to an empty string', encodePolyline([]) === '');
+  check('A single point is encoded against (0, 0)', encodePolyline([{ lat: 38.5, lng: -120.2 }]) === '_p~iF~ps|U');
+}
+
+function testIncrementalEncoding() {
+  logStep(2, 'Appending points one at a time');
+
+  let streamed = '';
+  TRAIL.forEach((point, i) => {
+    streamed += encodePoint(point.lat, point.lng, i > 0 ? TRAIL[i - 1] : null);
+  });
+
+  check('Appended segments equal the full encoding', streamed === encodePolyline(TRAIL));
+}
+
+function testRoundTrip() {
+  logStep(3, 'Decoding back to the original points');
+
+  const decoded = decodePolyline(encodePolyline(TRAIL));
+  check('Every point is decoded', decoded.length === TRAIL.length, `got ${decoded.length}`);
+
+  const maxError = Math.max(
+    ...decoded.map((point, i) =>
+      Math.max(Math.abs(point.lat - TRAIL[i].lat), Math.abs(point.lng - TRAIL[i].lng))
+    )
+  );
+  check('Points survive to 5 decimal places', maxError <= 0.5e-5 + 1e-12, `max error ${maxError}`);
+
+  // Rounding to 5 decimals must not drift along a long trail
+  const longTrail = Array.from({ length: 500 }, (_, i) => ({
+    lat: 51.2 + i * 0.0000137,
+    lng: -0.6 + i * 0.0000219
+  }));
+  const last = decodePolyline(encodePolyline(longTrail)).pop();
+  const expectedLast = longTrail[longTrail.length - 1];
+  check(
+    'No drift over a 500-point trail',
+    Math.abs(last.lat - expectedLast.lat) <= 0.5e-5 + 1e-12 &&
+      Math.abs(last.lng - expectedLast.lng) <= 0.5e-5 + 1e-12,
+    `last point ${last.lat},${last.lng}`
+  );
+
+  const southWest = [{ lat: -33.86882, lng: 151.20929 }, { lat: -33.87, lng: 151.2 }];
+  const decodedSouthWest = decodePolyline(encodePolyline(southWest));
+  check(
+    'Negative latitudes and deltas round-trip',
+    decodedSouthWest.every((point, i) =>
+      Math.abs(point.lat - southWest[i].lat) < 1e-5 && Math.abs(point.lng - southWest[i].lng) < 1e-5
+    )
+  );
+}
+
+function runTests() {
+  log('\n' + '='.repeat(60), 'cyan');
+  log('🧪 POLYLINE ENCODING TEST SUITE', 'cyan');
+  log('='.repeat(60), 'cyan');
+
+  testReferenceExample();
+  testIncrementalEncoding();
+  testRoundTrip();
+
+  log('\n' + '='.repeat(60), 'cyan');
+  log(`Passed: ${results.passed}`, 'green');
+  log(`Failed: ${results.failed}`, results.failed > 0 ? 'red' : 'green');
+  log('='.repeat(60), 'cyan');
+
+  process.exit(results.failed > 0 ? 1 : 0);
+}
+
+runTests();
@@ -0,0 +1,229 @@
+/**
+ * Test Script: Refund Limits
+ *
+ * Refunds a £20 wallet-paid ride through refundService in several steps and
+ * checks that refunds can never add up to more than was charged - including
+ * two refunds racing for the same money - that each one reaches the rider's
+ * wallet, and that the payment is marked refunded once nothing is left
+ *
+ * Prerequisites:
+ * 1. TEST_MONGO_URI pointing at a throwaway MongoDB replica set database
+ *    (see tests/testDatabase.js - it is dropped after the run)
+ * 2. Stripe keys in .env (stripeService needs one to load; wallet refunds
+ *    never call Stripe)
+ *
+ * Usage: node tests/refund-limits.test.js
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Payment = require('../models/Payment');
+const LedgerAccount = require('../models/LedgerAccount');
+const AuditLog = require('../models/AuditLog');
+const refundService = require('../services/refundService');
+const ledgerService = require('../services/ledgerService');
+const { connectTestDatabase, closeTestDatabase } = require('./testDatabase');
+
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  cyan: '\x1b[36m'
+};
+
+function log(message, color = 'reset') {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+function logSuccess(message) {
+  log(`✅ ${message}`, 'green');
+}
+
+function logError(message) {
+  log(`❌ ${message}`, 'red');
+}
+
+function logStep(step, message) {
+  log(`\n[Step ${step}] ${message}`, 'cyan');
+}
+
+const results = { passed: 0, failed: 0 };
+
+function check(description, actual, expected) {
+  if (actual === expected) {
+    results.passed++;
+    logSuccess(description);
+  } else {
+    results.failed++;
+    logError(`${description} - expected ${expected}, got ${actual}`);
+  }
+}
+
+async function expectError(promise) {
+  try {
+    await promise;
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+const riderId = new mongoose.Types.ObjectId();
+const adminId = new mongoose.Types.ObjectId();
+const walletAccount = ledgerService.accountCode('rider_wallet', riderId);
+const context = { userId: adminId, ipAddress: '127.0.0.1', userAgent: 'refund-limits.test' };
+let payment;
+
+// Rider wallet balance in pence
+async function walletBalance() {
+  const account = await LedgerAccount.findOne({ code: walletAccount }).lean();
+  return account ? account.balance : 0;
+}
+
+async function refundedAmount() {
+  const current = await Payment.findById(payment._id).lean();
+  return current.refundedAmount;
+}
+
+async function testInvalidRequests() {
+  logStep(1, 'Invalid refunds are refused before anything is reserved');
+
+  const badReason = await expectError(
+    refundService.refundPayment(payment._id, { amount: 5, reason: 'changed_my_mind' }, context)
+  );
+  check('Unknown reason gets INVALID_REFUND_REASON', badReason?.code, 'INVALID_REFUND_REASON');
+  check('Unknown reason is a 400', badReason?.statusCode, 400);
+
+  for (const amount of [0, -5, 'abc']) {
+    const error = await expectError(
+      refundService.refundPayment(payment._id, { amount, reason: 'fare_adjustment' }, context)
+    );
+    check(`Amount ${JSON.stringify(amount)} is refused with 400`, error?.statusCode, 400);
+  }
+
+  const missing = await expectError(
+    refundService.refundPayment(new mongoose.Types.ObjectId(), { amount: 5 }, context)
+  );
+  check('Unknown payment is a 404', missing?.statusCode, 404);
+
+  check('Nothing was reserved', await refundedAmount(), 0);
+  check('Wallet was not credited', await walletBalance(), 0);
+}
+
+async function testPartialRefund() {
+  logStep(2, 'A partial refund goes to the wallet');
+
+  const { refund, payment: updated } = await refundService.refundPayment(
+    payment._id,
+    { amount: 5, reason: 'fare_adjustment', note: 'Longer route than quoted' },
+    context
+  );
+
+  check('Refund succeeded', refund.status, 'succeeded');
+  check('Refund went to the wallet', refund.destination, 'wallet');
+  check('£5 is recorded against the payment', updated.refundedAmount, 5);
+  check('Payment is still paid', updated.status, 'paid');
+  check('Wallet holds £5', await walletBalance(), 500);
+  check(
+    'Refund is audited',
+    await AuditLog.countDocuments({ action: 'PROCESS_REFUND', resourceId: payment._id, success: true }),
+    1
+  );
+}
+
+async function testOverLimit() {
+  logStep(3, 'A refund larger than what is left is refused');
+
+  const error = await expectError(
+    refundService.refundPayment(payment._id, { amount: 15.01, reason: 'fare_adjustment' }, context)
+  );
+  check('Fails with REFUND_EXCEEDS_PAYMENT', error?.code, 'REFUND_EXCEEDS_PAYMENT');
+  check('Is a 400', error?.statusCode, 400);
+  check('Message shows the £15.00 left', /£15\.00/.test(error?.message), true);
+  check('Nothing more was reserved', await refundedAmount(), 5);
+  check('Wallet is unchanged', await walletBalance(), 500);
+}
+
+async function testConcurrentRefunds() {
+  logStep(4, 'Two refunds racing for the same money');
+
+  // £10 + £10 against the £15 left: only one can win
+  const outcomes = await Promise.allSettled([
+    refundService.refundPayment(payment._id, { amount: 10, reason: 'service_quality' }, context),
+    refundService.refundPayment(payment._id, { amount: 10, reason: 'service_quality' }, context)
+  ]);
+  const succeeded = outcomes.filter((outcome) => outcome.status === 'fulfilled');
+  const rejected = outcomes.filter((outcome) => outcome.status === 'rejected');
+
+  check('One refund succeeds', succeeded.length, 1);
+  check('The other is refused', rejected[0]?.reason?.code, 'REFUND_EXCEEDS_PAYMENT');
+  check('Refunds add up to £15', await refundedAmount(), 15);
+  check('Wallet holds £15', await walletBalance(), 1500);
+
+  const current = await Payment.findById(payment._id).lean();
+  check('Only the winning refund is recorded', current.refunds.length, 2);
+}
+
+async function testFullRefund() {
+  logStep(5, 'Refunding the rest marks the payment refunded');
+
+  // No amount: refund everything that's left
+  const { refund, payment: updated } = await refundService.refundPayment(
+    payment._id,
+    { reason: 'ride_not_completed' },
+    context
+  );
+
+  check('Refunds the £5 left', refund.amount, 5);
+  check('Refunds add up to the £20 charged', updated.refundedAmount, 20);
+  check('Payment is refunded', updated.status, 'refunded');
+  check('Wallet holds the full £20', await walletBalance(), 2000);
+
+  const error = await expectError(
+    refundService.refundPayment(payment._id, { amount: 1, reason: 'fare_adjustment' }, context)
+  );
+  check('A further refund is refused', error?.message, 'This payment cannot be refunded');
+  check('Wallet is unchanged', await walletBalance(), 2000);
+}
+
+async function runTests() {
+  log('\n' + '='.repeat(60), 'cyan');
+  log('🧪 REFUND LIMITS TEST SUITE', 'cyan');
+  log('='.repeat(60), 'cyan');
+
+  try {
+    await connectTestDatabase();
+
+    payment = await Payment.create({
+      ride: new mongoose.Types.ObjectId(),
+      rider: riderId,
+      amount: 20,
+      currency: 'gbp',
+      status: 'paid',
+      paymentMethod: 'wallet'
+    });
+
+    await testInvalidRequests();
+    await testPartialRefund();
+    await testOverLimit();
+    await testConcurrentRefunds();
+    await testFullRefund();
+  } catch (error) {
+    results.failed++;
+    logError(`Unexpected error: ${error.message}`);
+    console.error(error);
+  } finally {
+    await closeTestDatabase();
+  }
+
+  log('\n' + '='.repeat(60), 'cyan');
+  log(`Passed: ${results.passed}`, 'green');
+  log(`Failed: ${results.failed}`, results.failed > 0 ? 'red' : 'green');
+  log('='.repeat(60), 'cyan');
+
+  process.exit(results.failed > 0 ? 1 : 0);
+}
+
+runTests();
@@ -0,0 +1,422 @@
+/**
+ * Test Script: Card Ride Payments
+ *
+ * Runs ridePaymentService against an in-memory stand-in for stripeService
+ * and checks the card hold lifecycle: the hold placed at booking, capturing
+ * the final fare, a capture whose reply was lost, a lapsed hold charged to
+ * the card instead (also when that reply is lost), a fare above the hold, two
+ * completions racing for the same hold, and releasing the hold on cancel.
+ * Stripe must never be asked to take the fare twice.
+ *
+ * Prerequisites:
+ * 1. TEST_MONGO_URI pointing at a throwaway MongoDB replica set database
+ *    (see tests/testDatabase.js - it is dropped after the run)
+ *
+ * Usage: node tests/ride-card-payments.test.js
+ */
+
+const mongoose = require('mongoose');
+
+// ============================================
+// STRIPE STAND-IN
+// ============================================
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function stripeFailure(message, statusCode) {
+  const error = new Error(message);
+  error.stripeStatusCode = statusCode;
+  return error;
+}
+
+// PaymentIntents plus what Stripe actually did (not what the client heard)
+const fakeStripe = {
+  intents: new Map(),
+  idempotencyKeys: new Map(),
+  executed: { capture: 0, charge: 0, cancel: 0 },
+  // The next call of this kind goes through at Stripe but its reply is lost
+  dropNextResponse: null,
+  // How long a capture takes at Stripe
+  captureDelayMs: 0,
+  nextId: 1,
+
+  createIntent(fields) {
+    const intent = {
+      id: `pi_test_${this.nextId++}`,
+      amount_received: 0,
+      latest_charge: null,
+      ...fields
+    };
+    this.intents.set(intent.id, intent);
+    return { ...intent };
+  },
+
+  // Same key, same result; a key whose request is still running gets 409
+  async idempotent(key, run) {
+    if (!key) return run();
+
+    const known = this.idempotencyKeys.get(key);
+    if (known === 'in_flight') {
+      throw stripeFailure('There is currently another in-progress request using this Idempotent Key', 409);
+    }
+    if (known) {
+      if (known.error) throw known.error;
+      return known.result;
+    }
+
+    this.idempotencyKeys.set(key, 'in_flight');
+    try {
+      const result = await run();
+      this.idempotencyKeys.set(key, { result });
+      return result;
+    } catch (error) {
+      this.idempotencyKeys.set(key, { error });
+      throw error;
+    }
+  },
+
+  reply(kind, result) {
+    if (this.dropNextResponse === kind) {
+      this.dropNextResponse = null;
+      throw new Error('Request timed out');
+    }
+    return result;
+  },
+
+  // The authorization lapsed (Stripe cancels uncaptured holds after 7 days)
+  expire(paymentIntentId) {
+    this.intents.get(paymentIntentId).status = 'canceled';
+  },
+
+  wasRejected(error) {
+    const status = error.stripeStatusCode;
+    return status >= 400 && status < 500 && status !== 409;
+  },
+
+  async authorizePayment({ amount }) {
+    return this.createIntent({ amount: Math.round(amount * 100), status: 'requires_capture' });
+  },
+
+  async capturePaymentIntent(paymentIntentId, amount, idempotencyKey) {
+    const result = await this.idempotent(idempotencyKey, async () => {
+      await sleep(this.captureDelayMs);
+      const intent = this.intents.get(paymentIntentId);
+      if (intent.status !== 'requires_capture') {
+        throw stripeFailure(`This PaymentIntent could not be captured because it has a status of ${intent.status}.`, 400);
+      }
+      this.executed.capture++;
+      Object.assign(intent, {
+        status: 'succeeded',
+        amount_received: Math.round(amount * 100),
+        latest_charge: `ch_${intent.id}`
+      });
+      return { ...intent };
+    });
+    return this.reply('capture', result);
+  },
+
+  async createCharge({ amount, idempotencyKey }) {
+    const result = await this.idempotent(idempotencyKey, async () => {
+      this.executed.charge++;
+      const intent = this.createIntent({
+        amount: Math.round(amount * 100),
+        amount_received: Math.round(amount * 100),
+        status: 'succeeded'
+      });
+      intent.latest_charge = `ch_${intent.id}`;
+      this.intents.get(intent.id).latest_charge = intent.latest_charge;
+      return intent;
+    });
+    return this.reply('charge', result);
+  },
+
+  async cancelPaymentIntent(paymentIntentId) {
+    const intent = this.intents.get(paymentIntentId);
+    if (intent.status !== 'requires_capture') {
+      throw stripeFailure(`This PaymentIntent could not be canceled because it has a status of ${intent.status}.`, 400);
+    }
+    this.executed.cancel++;
+    intent.status = 'canceled';
+    return { ...intent };
+  },
+
+  async getPaymentIntent(paymentIntentId) {
+    return { ...this.intents.get(paymentIntentId) };
+  }
+};
+
+require.cache[require.resolve('../services/stripeService')] = {
+  id: require.resolve('../services/stripeService'),
+  filename: require.resolve('../services/stripeService'),
+  loaded: true,
+  exports: fakeStripe
+};
+
+const Payment = require('../models/Payment');
+const Rider = require('../models/Rider');
+const PaymentMethod = require('../models/PaymentMethod');
+const JournalEntry = require('../models/JournalEntry');
+const ridePaymentService = require('../services/ridePaymentService');
+const { connectTestDatabase, closeTestDatabase } = require('./testDatabase');
+
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  cyan: '\x1b[36m'
+};
+
+function log(message, color = 'reset') {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+function logSuccess(message) {
+  log(`✅ ${message}`, 'green');
+}
+
+function logError(message) {
+  log(`❌ ${message}`, 'red');
+}
+
+function logStep(step, message) {
+  log(`\n[Step ${step}] ${message}`, 'cyan');
+}
+
+const results = { passed: 0, failed: 0 };
+
+function check(description, actual, expected) {
+  if (actual === expected) {
+    results.passed++;
+    logSuccess(description);
+  } else {
+    results.failed++;
+    logError(`${description} - expected ${expected}, got ${actual}`);
+  }
+}
+
+async function expectError(promise) {
+  try {
+    await promise;
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+const riderUserId = new mongoose.Types.ObjectId();
+
+// A card ride booked with this estimate, holding estimate + buffer
+async function bookRide(estimatedFare) {
+  const ride = { _id: new mongoose.Types.ObjectId(), rider: riderUserId, estimatedFare };
+  const hold = await ridePaymentService.authorizeRide(ride);
+  return { ride, hold };
+}
+
+const paymentFor = (ride) => Payment.findOne({ ride: ride._id }).lean();
+
+// Stripe calls made while running fn
+async function stripeCallsDuring(fn) {
+  const before = { ...fakeStripe.executed };
+  const outcome = await fn();
+  const calls = Object.fromEntries(
+    Object.keys(before).map((kind) => [kind, fakeStripe.executed[kind] - before[kind]])
+  );
+  return { outcome, calls };
+}
+
+async function testHoldAtBooking() {
+  logStep(1, 'Booking holds the estimate plus a buffer');
+
+  const { ride, hold } = await bookRide(20);
+  check('Payment is authorized', hold.status, 'authorized');
+  check('Hold is £20 + 25% buffer', hold.amount, 25);
+  check('Stripe holds the card', fakeStripe.intents.get(hold.stripePaymentIntentId).status, 'requires_capture');
+  check('One payment per ride', await Payment.countDocuments({ ride: ride._id }), 1);
+
+  const noCard = await expectError(
+    ridePaymentService.authorizeRide({ _id: new mongoose.Types.ObjectId(), rider: new mongoose.Types.ObjectId(), estimatedFare: 10 })
+  );
+  check('A rider without a card gets CARD_REQUIRED', noCard?.code, 'CARD_REQUIRED');
+}
+
+async function testCapture() {
+  logStep(2, 'Completion captures the final fare once');
+
+  const { ride, hold } = await bookRide(20);
+  const { outcome, calls } = await stripeCallsDuring(() => ridePaymentService.captureRideFare(ride, 18.4));
+
+  check('Fare is paid', outcome.paid, true);
+  check('Captured once', calls.capture, 1);
+  check('Card not charged separately', calls.charge, 0);
+  check('Payment records the final fare', (await paymentFor(ride)).amount, 18.4);
+  check('Only the final fare was taken', fakeStripe.intents.get(hold.stripePaymentIntentId).amount_received, 1840);
+
+  const retry = await stripeCallsDuring(() => ridePaymentService.captureRideFare(ride, 18.4));
+  check('A retried completion is paid', retry.outcome.paid, true);
+  check('A retried completion makes no Stripe calls', retry.calls.capture + retry.calls.charge, 0);
+
+  const cancelled = await ridePaymentService.releaseRideHold(ride);
+  check('Cancelling afterwards finds no hold to release', cancelled.payment, null);
+  check('The payment stays paid', (await paymentFor(ride)).status, 'paid');
+}
+
+async function testLostCaptureReply() {
+  logStep(3, 'A capture that went through but timed out is not charged again');
+
+  const { ride } = await bookRide(20);
+  fakeStripe.dropNextResponse = 'capture';
+  const { outcome, calls } = await stripeCallsDuring(() => ridePaymentService.captureRideFare(ride, 15));
+
+  check('Fare is paid', outcome.paid, true);
+  check('Captured once', calls.capture, 1);
+  check('Card not charged again', calls.charge, 0);
+  check('Payment is paid', (await paymentFor(ride)).status, 'paid');
+}
+
+async function testLapsedHold() {
+  logStep(4, 'A lapsed hold is charged to the card instead');
+
+  const { ride, hold } = await bookRide(20);
+  fakeStripe.expire(hold.stripePaymentIntentId);
+  const { outcome, calls } = await stripeCallsDuring(() => ridePaymentService.captureRideFare(ride, 15));
+
+  check('Fare is paid', outcome.paid, true);
+  check('Card is charged once', calls.charge, 1);
+  check('Nothing was captured', calls.capture, 0);
+
+  const payment = await paymentFor(ride);
+  check('The ride\'s payment is reused', payment._id.toString(), hold._id.toString());
+  check('Payment points at the new charge', payment.stripePaymentIntentId !== hold.stripePaymentIntentId, true);
+  check('Payment records the fare', payment.amount, 15);
+}
+
+async function testLostChargeReply() {
+  logStep(5, 'A charge that went through but timed out is retried safely');
+
+  const { ride, hold } = await bookRide(20);
+  fakeStripe.expire(hold.stripePaymentIntentId);
+  fakeStripe.dropNextResponse = 'charge';
+
+  const first = await stripeCallsDuring(() => expectError(ridePaymentService.captureRideFare(ride, 15)));
+  check('Unknown outcome gets PAYMENT_UNCONFIRMED', first.outcome?.code, 'PAYMENT_UNCONFIRMED');
+  check('Stripe charged the card', first.calls.charge, 1);
+  check('Payment is not marked failed', (await paymentFor(ride)).status !== 'failed', true);
+
+  const retry = await stripeCallsDuring(() => ridePaymentService.captureRideFare(ride, 15));
+  check('Retried completion is paid', retry.outcome.paid, true);
+  check('Retry does not charge again', retry.calls.charge, 0);
+  check('Payment is paid', (await paymentFor(ride)).status, 'paid');
+}
+
+async function testFareAboveHold() {
+  logStep(6, 'A fare above the hold releases it and charges the card');
+
+  const { ride, hold } = await bookRide(10);
+  const { outcome, calls } = await stripeCallsDuring(() => ridePaymentService.captureRideFare(ride, 22));
+
+  check('Fare is paid', outcome.paid, true);
+  check('Hold is released', fakeStripe.intents.get(hold.stripePaymentIntentId).status, 'canceled');
+  check('Card is charged once', calls.charge, 1);
+  check('Payment records the full fare', (await paymentFor(ride)).amount, 22);
+}
+
+async function testConcurrentCompletions() {
+  logStep(7, 'Two completions racing for the same hold');
+
+  const { ride } = await bookRide(20);
+  fakeStripe.captureDelayMs = 50;
+  let race;
+  try {
+    race = await stripeCallsDuring(() =>
+      Promise.allSettled([
+        ridePaymentService.captureRideFare(ride, 12),
+        ridePaymentService.captureRideFare(ride, 12)
+      ])
+    );
+  } finally {
+    fakeStripe.captureDelayMs = 0;
+  }
+
+  const paid = race.outcome.filter((outcome) => outcome.status === 'fulfilled' && outcome.value.paid);
+  const inProgress = race.outcome.filter(
+    (outcome) => outcome.status === 'rejected' && outcome.reason.code === 'PAYMENT_IN_PROGRESS'
+  );
+  check('Captured once', race.calls.capture, 1);
+  check('Card not charged', race.calls.charge, 0);
+  check('Hold not released', race.calls.cancel, 0);
+  check('Each completion is paid or told to retry', paid.length + inProgress.length, 2);
+  check('At least one completion is paid', paid.length >= 1, true);
+
+  const payment = await paymentFor(ride);
+  check('Payment is paid', payment.status, 'paid');
+  check('Payment records the fare', payment.amount, 12);
+
+  const retry = await ridePaymentService.captureRideFare(ride, 12);
+  check('The losing completion is paid on retry', retry.paid, true);
+}
+
+async function testReleaseOnCancel() {
+  logStep(8, 'Cancelling releases the hold or takes the fee');
+
+  const { ride, hold } = await bookRide(20);
+  const released = await ridePaymentService.releaseRideHold(ride, 0);
+  check('No fee is charged', released.feeCharged, 0);
+  check('Payment is canceled', (await paymentFor(ride)).status, 'canceled');
+  check('Stripe releases the hold', fakeStripe.intents.get(hold.stripePaymentIntentId).status, 'canceled');
+
+  const feeRide = await bookRide(20);
+  const withFee = await ridePaymentService.releaseRideHold(feeRide.ride, 3);
+  check('Cancellation fee is captured', withFee.feeCharged, 3);
+  check('Payment records the fee', (await paymentFor(feeRide.ride)).amount, 3);
+  check(
+    'Fee is posted to the ledger',
+    await JournalEntry.countDocuments({ reference: `cancellation_fee:${feeRide.ride._id}` }),
+    1
+  );
+}
+
+async function runTests() {
+  log('\n' + '='.repeat(60), 'cyan');
+  log('🧪 CARD RIDE PAYMENT TEST SUITE', 'cyan');
+  log('='.repeat(60), 'cyan');
+
+  try {
+    await connectTestDatabase();
+
+    const rider = await Rider.create({ user: riderUserId, stripeCustomerId: 'cus_test_rider' });
+    await PaymentMethod.create({
+      rider: rider._id,
+      type: 'card',
+      provider: 'stripe',
+      isDefault: true,
+      stripePaymentMethodId: 'pm_card_visa',
+      card: { last4: '4242', brand: 'visa', expiryMonth: 12, expiryYear: 2030, cardholderName: 'Test Rider' }
+    });
+
+    await testHoldAtBooking();
+    await testCapture();
+    await testLostCaptureReply();
+    await testLapsedHold();
+    await testLostChargeReply();
+    await testFareAboveHold();
+    await testConcurrentCompletions();
+    await testReleaseOnCancel();
+  } catch (error) {
+    results.failed++;
+    logError(`Unexpected error: ${error.message}`);
+    console.error(error);
+  } finally {
+    await closeTestDatabase();
+  }
+
+  log('\n' + '='.repeat(60), 'cyan');
+  log(`Passed: ${results.passed}`, 'green');
+  log(`Failed: ${results.failed}`, results.failed > 0 ? 'red' : 'green');
+  log('='.repeat(60), 'cyan');
+
+  process.exit(results.failed > 0 ? 1 : 0);
+}
+
+runTests();
@@ -0,0 +1,198 @@
+/**
+ * Test Script: Socket Event Resume and Ack
+ *
+ * Records reliable socket events through socketDeliveryService and checks
+ * that they get consecutive sequence numbers in emit order, that a resume
+ * replays everything after the given (or acknowledged) sequence, that acks
+ * never remove events another device still needs, and that a resume past
+ * the pruned part of the outbox is reported as incomplete
+ *
+ * Prerequisites:
+ * 1. TEST_MONGO_URI pointing at a throwaway MongoDB database
+ *    (see tests/testDatabase.js - it is dropped after the run)
+ *
+ * Usage: node tests/socket-resume.test.js
+ */
+
+const mongoose = require('mongoose');
+const SocketOutboxEvent = require('../models/SocketOutboxEvent');
+const socketDeliveryService = require('../services/socketDeliveryService');
+const { SOCKET_CONFIG } = require('../config/socketConfig');
+const { connectTestDatabase, closeTestDatabase } = require('./testDatabase');
+
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  cyan: '\x1b[36m'
+};
+
+function log(message, color = 'reset') {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+function logSuccess(message) {
+  log(`✅ ${message}`, 'green');
+}
+
+function logError(message) {
+  log(`❌ ${message}`, 'red');
+}
+
+function logStep(step, message) {
+  log(`\n[Step ${step}] ${message}`, 'cyan');
+}
+
+const results = { passed: 0, failed: 0 };
+
+function check(description, actual, expected) {
+  if (actual === expected) {
+    results.passed++;
+    logSuccess(description);
+  } else {
+    results.failed++;
+    logError(`${description} - expected ${expected}, got ${actual}`);
+  }
+}
+
+async function expectError(promise) {
+  try {
+    await promise;
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+const seqsOf = (events) => events.map((event) => event.seq).join(',');
+
+const riderId = new mongoose.Types.ObjectId().toString();
+const RIDE_EVENTS = ['ride_accepted', 'driver_arrived', 'ride_started', 'ride_completed', 'payment_processed'];
+
+async function testRecordOrder() {
+  logStep(1, 'Events are numbered in the order they are emitted');
+
+  check('Ride updates are reliable', socketDeliveryService.isReliable('ride_started'), true);
+  check('Location pings are not', socketDeliveryService.isReliable('driver_location_update'), false);
+
+  // Emitted back to back without waiting, as the socket handlers do
+  const seqs = await Promise.all(
+    RIDE_EVENTS.map((event, i) =>
+      socketDeliveryService.record(riderId, event, { step: i + 1, at: new Date(Date.UTC(2026, 0, 1, 9, i)) })
+    )
+  );
+  check('Sequence numbers are consecutive', seqs.join(','), '1,2,3,4,5');
+
+  const stored = await SocketOutboxEvent.find({ user: riderId }).sort({ seq: 1 }).lean();
+  check('Each event keeps its sequence', stored.map((event) => event.event).join(','), RIDE_EVENTS.join(','));
+  check('Payloads are stored as plain JSON', stored[0].payload.at, '2026-01-01T09:00:00.000Z');
+}
+
+async function testResume() {
+  logStep(2, 'Resume replays everything after lastSeq');
+
+  const fromStart = await socketDeliveryService.getMissedEvents(riderId, 0);
+  check('Resume from 0 replays every event', seqsOf(fromStart.events), '1,2,3,4,5');
+  check('Replay is complete', fromStart.complete, true);
+  check('Latest sequence is reported', fromStart.latestSeq, 5);
+
+  const fromThree = await socketDeliveryService.getMissedEvents(riderId, 3);
+  check('Resume from 3 replays 4 and 5', seqsOf(fromThree.events), '4,5');
+  check('Payloads are replayed', fromThree.events[0].payload.step, 4);
+
+  const upToDate = await socketDeliveryService.getMissedEvents(riderId, 5);
+  check('An up-to-date app gets nothing', upToDate.events.length, 0);
+  check('An up-to-date app is complete', upToDate.complete, true);
+
+  const ahead = await socketDeliveryService.getMissedEvents(riderId, 9);
+  check('A sequence ahead of the server is not complete', ahead.complete, false);
+
+  const invalid = await expectError(socketDeliveryService.getMissedEvents(riderId, -1));
+  check('A negative lastSeq gets INVALID_SEQUENCE', invalid?.code, 'INVALID_SEQUENCE');
+}
+
+async function testAcknowledge() {
+  logStep(3, 'Acks move the resume point but keep the events');
+
+  check('Ack up to 3', await socketDeliveryService.acknowledge(riderId, 3), 3);
+
+  const fromAck = await socketDeliveryService.getMissedEvents(riderId);
+  check('Resume without lastSeq starts after the ack', fromAck.fromSeq, 3);
+  check('Events after the ack are replayed', seqsOf(fromAck.events), '4,5');
+
+  // A second device that was offline the whole time
+  const otherDevice = await socketDeliveryService.getMissedEvents(riderId, 0);
+  check('Acked events are still there for another device', seqsOf(otherDevice.events), '1,2,3,4,5');
+  check('Another device still gets a complete replay', otherDevice.complete, true);
+
+  check('A late, lower ack keeps the highest', await socketDeliveryService.acknowledge(riderId, 2), 3);
+
+  const ahead = await expectError(socketDeliveryService.acknowledge(riderId, 6));
+  check('An ack ahead of the latest event gets INVALID_SEQUENCE', ahead?.code, 'INVALID_SEQUENCE');
+
+  const negative = await expectError(socketDeliveryService.acknowledge(riderId, -1));
+  check('A negative ack gets INVALID_SEQUENCE', negative?.code, 'INVALID_SEQUENCE');
+
+  const newUser = new mongoose.Types.ObjectId().toString();
+  check('An ack from a user without events is a no-op', await socketDeliveryService.acknowledge(newUser, 0), 0);
+}
+
+async function testPruning() {
+  logStep(4, 'Resuming past the pruned outbox is incomplete');
+
+  const driverId = new mongoose.Types.ObjectId().toString();
+  const maxEvents = SOCKET_CONFIG.outboxMaxEventsPerUser;
+  SOCKET_CONFIG.outboxMaxEventsPerUser = 3;
+
+  try {
+    for (let i = 1; i <= 5; i++) {
+      await socketDeliveryService.record(driverId, 'ride_request', { request: i });
+    }
+  } finally {
+    SOCKET_CONFIG.outboxMaxEventsPerUser = maxEvents;
+  }
+
+  check('Only the newest 3 events are kept', await SocketOutboxEvent.countDocuments({ user: driverId }), 3);
+
+  const fromStart = await socketDeliveryService.getMissedEvents(driverId, 0);
+  check('What is left is replayed', seqsOf(fromStart.events), '3,4,5');
+  check('Replay from before the pruned events is not complete', fromStart.complete, false);
+
+  const fromTwo = await socketDeliveryService.getMissedEvents(driverId, 2);
+  check('Replay from the oldest kept event is complete', fromTwo.complete, true);
+
+  const rider = await socketDeliveryService.getMissedEvents(riderId, 0);
+  check('Other users are not pruned', seqsOf(rider.events), '1,2,3,4,5');
+}
+
+async function runTests() {
+  log('\n' + '='.repeat(60), 'cyan');
+  log('🧪 SOCKET RESUME / ACK TEST SUITE', 'cyan');
+  log('='.repeat(60), 'cyan');
+
+  try {
+    await connectTestDatabase();
+
+    await testRecordOrder();
+    await testResume();
+    await testAcknowledge();
+    await testPruning();
+  } catch (error) {
+    results.failed++;
+    logError(`Unexpected error: ${error.message}`);
+    console.error(error);
+  } finally {
+    await closeTestDatabase();
+  }
+
+  log('\n' + '='.repeat(60), 'cyan');
+  log(`Passed: ${results.passed}`, 'green');
+  log(`Failed: ${results.failed}`, results.failed > 0 ? 'red' : 'green');
+  log('='.repeat(60), 'cyan');
+
+  process.exit(results.failed > 0 ? 1 : 0);
+}
+
+runTests();
@@ -0,0 +1,39 @@
+/**
+ * Throwaway database for the service-level test scripts
+ *
+ * Connects to TEST_MONGO_URI, which must be a replica set (the ledger posts
+ * in transactions) and must not be the app's own database: it is emptied
+ * before the tests run and dropped when they finish.
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+async function connectTestDatabase() {
+  const uri = process.env.TEST_MONGO_URI;
+  if (!uri) {
+    throw new Error('TEST_MONGO_URI is not set (e.g. mongodb://localhost:27017/tapaxi-test?replicaSet=rs0)');
+  }
+  if (uri === process.env.MONGO_URI) {
+    throw new Error('TEST_MONGO_URI must not point at the app database (MONGO_URI) - it gets dropped');
+  }
+
+  await mongoose.connect(uri);
+
+  // Let the models finish building their indexes before they're dropped
+  const models = mongoose.modelNames().map((name) => mongoose.model(name));
+  await Promise.all(models.map((model) => model.init()));
+  await mongoose.connection.dropDatabase();
+  await Promise.all(models.map((model) => model.createIndexes()));
+}
+
+async function closeTestDatabase() {
+  if (mongoose.connection.readyState !== 1) return;
+  await mongoose.connection.dropDatabase();
+  await mongoose.disconnect();
+}
+
+module.exports = {
+  connectTestDatabase,
+  closeTestDatabase,
+};
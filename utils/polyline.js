@@ -0,0 +1,57 @@
+/**
+ * Encoded Polyline Helpers
+ * Google encoded polyline format (precision 5), decodable by Google Maps,
+ * Mapbox and @mapbox/polyline
+ */
+
+// Encode one signed coordinate delta (already scaled by 1e5)
+function encodeValue(value) {
+  let shifted = value < 0 ? ~(value << 1) : value << 1;
+  let encoded = "";
+
+  while (shifted >= 0x20) {
+    encoded += String.fromCharCode((0x20 | (shifted & 0x1f)) + 63);
+    shifted >>= 5;
+  }
+  encoded += String.fromCharCode(shifted + 63);
+
+  return encoded;
+}
+
+/**
+ * Encode a point relative to the previous point of the polyline
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @param {Object} previous - { lat, lng } of the previous point (omit for the first point)
+ * @returns {string}
+ */
+function encodePoint(lat, lng, previous = null) {
+  const latInt = Math.round(lat * 1e5);
+  const lngInt = Math.round(lng * 1e5);
+  const prevLatInt = previous ? Math.round(previous.lat * 1e5) : 0;
+  const prevLngInt = previous ? Math.round(previous.lng * 1e5) : 0;
+
+  return encodeValue(latInt - prevLatInt) + encodeValue(lngInt - prevLngInt);
+}
+
+/**
+ * Encode a list of points as a polyline
+ * @param {Array} points - [{ lat, lng }]
+ * @returns {string}
+ */
+function encodePolyline(points) {
+  let encoded = "";
+  let previous = null;
+
+  for (const point of points) {
+    encoded += encodePoint(point.lat, point.lng, previous);
+    previous = point;
+  }
+
+  return encoded;
+}
+
+module.exports = {
+  encodePoint,
+  encodePolyline,
+};
@@ -1,52 +1,187 @@
 const Ride = require("../models/Ride");
 const Driver = require("../models/Driver");
+const RideOffer = require("../models/RideOffer");
 const socketService = require("../services/socketService");
+const scheduledRideService = require("../services/scheduledRideService");
+const ridePaymentService = require("../services/ridePaymentService");
+const eventBus = require("../services/eventBus");
+const { DOMAIN_EVENTS } = require("../config/domainEvents");
+const { getDispatchStrategy } = require("../config/dispatchConfig");
+
+// How often the sweeper looks for expired offers
+const OFFER_SWEEP_INTERVAL_MS =
+  (parseInt(process.env.RIDE_OFFER_SWEEP_SECONDS) || 5) * 1000;
+
+// Ride statuses in which a ride is still waiting for a driver
+const OPEN_RIDE_STATUSES = ["pending", "searching", "assigned"];
 
 /**
  * Ride Request Manager - Handles automatic rejection and real-time delivery
+ *
+ * Every offer to a driver is a RideOffer document, so outstanding requests
+ * survive restarts and are shared by every server instance. Drivers are
+ * offered the ride in waves sized by the dispatch strategy (see
+ * config/dispatchConfig.js); when a wave is rejected or expires the next one
+ * goes out, and the ride is auto-rejected once the queue runs dry.
  */
 class RideRequestManager {
   constructor() {
-    this.activeTimers = new Map(); // rideId -> timeout
-    this.requestQueue = new Map(); // rideId -> driver queue
+    this.sweepTimer = null;
+    this.isSweeping = false;
+  }
+
+  /**
+   * Start the expired offer sweeper
+   */
+  start() {
+    if (this.sweepTimer) return;
+
+    this.sweepTimer = setInterval(
+      () => this.sweepExpiredOffers(),
+      OFFER_SWEEP_INTERVAL_MS,
+    );
+    this.sweepExpiredOffers();
+
+    console.log(
+      `🕐 Ride offer sweeper started (every ${OFFER_SWEEP_INTERVAL_MS / 1000} seconds)`,
+    );
+  }
+
+  /**
+   * Start a ride request by queueing offers and sending the first wave
+   * @param {string} rideId - Ride ID
+   * @param {Array} candidates - Matched drivers, best first: [{ driverId, distance, eta, score, scoreBreakdown }]
+   * @param {Object} strategy - Dispatch strategy from config/dispatchConfig
+   * @returns {Promise<Array>} Offers sent in the first wave
+   */
+  async startRideRequest(rideId, candidates = [], strategy = getDispatchStrategy()) {
+    // Supersede any offers still open from a previous search for this ride
+    await this.cancelRideRequest(rideId);
+
+    await RideOffer.insertMany(
+      candidates.map((candidate, index) => ({
+        ride: rideId,
+        driver: candidate.driverId,
+        position: index + 1,
+        strategy: strategy.name,
+        offerWindowSeconds: strategy.offerWindowSeconds,
+        distance: candidate.distance,
+        eta: candidate.eta,
+        score: candidate.score,
+        scoreBreakdown: candidate.scoreBreakdown,
+        outcome: "queued",
+      })),
+    );
+
+    console.log(
+      `🕐 Queued ride ${rideId} for ${candidates.length} driver(s) using ${strategy.name} dispatch`,
+    );
+
+    return this.offerNextWave(rideId);
   }
 
   /**
-   * Start a ride request with automatic rejection timer
+   * Send the next wave of queued offers for a ride
+   * Wave size and offer window come from the strategy stored on the offers
    * @param {string} rideId - Ride ID
-   * @param {Array} availableDrivers - Array of driver IDs to notify
+   * @returns {Promise<Array>} Offers sent (empty if the queue is exhausted)
    */
-  startRideRequest(rideId, availableDrivers = []) {
-    // Clear any existing timer for this ride
-    this.clearTimer(rideId);
+  async offerNextWave(rideId) {
+    const ride = await Ride.findById(rideId).populate(
+      "rider",
+      "fullName phone profilePicture",
+    );
+
+    // Nothing to offer if the ride was accepted or cancelled meanwhile
+    if (!ride || !OPEN_RIDE_STATUSES.includes(ride.status)) {
+      await this.cancelRideRequest(rideId);
+      return [];
+    }
 
-    // Set up automatic rejection after 30 seconds
-    const timer = setTimeout(async () => {
-      console.log('⏰ Timeout fired for ride:', rideId);
-      await this.autoRejectRide(rideId);
-    }, 30000); // 30 seconds
+    const firstQueued = await RideOffer.findOne({
+      ride: rideId,
+      outcome: "queued",
+    }).sort({ position: 1 });
+
+    if (!firstQueued) return [];
+
+    // All offers of one request share the strategy they were queued with
+    const { batchSize } = getDispatchStrategy(firstQueued.strategy);
+    const offeredAt = new Date();
+    const expiresAt = new Date(
+      offeredAt.getTime() + firstQueued.offerWindowSeconds * 1000,
+    );
+    const sentOffers = [];
+
+    // Claim queued offers one by one so concurrent callers can't send the same offer twice
+    while (sentOffers.length < batchSize) {
+      const offer = await RideOffer.findOneAndUpdate(
+        { ride: rideId, outcome: "queued" },
+        { outcome: "pending", offeredAt, expiresAt },
+        { new: true, sort: { position: 1 } },
+      );
 
-    this.activeTimers.set(rideId, timer);
-    this.requestQueue.set(rideId, [...availableDrivers]);
+      if (!offer) break;
+      sentOffers.push(offer);
+    }
 
-    console.log(`🕐 Setting timeout for ride: ${rideId} (30 seconds)`);
+    sentOffers.forEach((offer) => this.notifyOfferedDriver(ride, offer));
+
+    console.log(
+      `🕐 Offered ride ${rideId} to ${sentOffers.length} driver(s) (${firstQueued.strategy}, ${firstQueued.offerWindowSeconds}s window)`,
+    );
+
+    return sentOffers;
   }
 
   /**
-   * Accept a ride request (clear timer and assign driver)
+   * Send a ride request to a driver for an offer that just went out
+   * @param {Object} ride - Ride document (rider populated)
+   * @param {Object} offer - RideOffer document
+   */
+  notifyOfferedDriver(ride, offer) {
+    const driverId = offer.driver.toString();
+
+    socketService
+      .notifyRideRequest(driverId, {
+        ...ride.toObject(),
+        riderName: ride.rider?.fullName || "Unknown Rider",
+        distance: offer.distance,
+        eta: offer.eta,
+        expiresAt: offer.expiresAt,
+      })
+      .catch((error) =>
+        console.error(`Failed to send ride request ${ride._id} to driver ${driverId}:`, error),
+      );
+
+    // Send real-time dashboard update for nearby ride requests
+    socketService
+      .notifyNearbyRideRequests(driverId, [
+        {
+          id: ride._id,
+          pickupLocation: ride.pickup,
+          dropoffLocation: ride.dropoff,
+          estimatedFare: ride.estimatedFare,
+          vehicleType: ride.vehicleType,
+          distance: offer.distance,
+          estimatedTimeToPickup: offer.eta,
+          expiresAt: offer.expiresAt,
+          timeLeft: offer.offerWindowSeconds,
+          createdAt: ride.createdAt,
+        },
+      ])
+      .catch((error) =>
+        console.error(`Failed to update nearby ride requests for driver ${driverId}:`, error),
+      );
+  }
+
+  /**
+   * Accept a ride request (close offers and assign driver)
    * @param {string} rideId - Ride ID
-   * @param {string} driverId - Driver ID who accepted
+   * @param {string} driverUserId - User ID of the driver who accepted
    */
   async acceptRide(rideId, driverUserId) {
     console.log('✅ Driver accepting ride:', rideId);
-    console.log('🚫 Clearing timeout for ride:', rideId);
-    
-    // CRITICAL: Clear the timer IMMEDIATELY before doing anything else
-    // This prevents race condition where timeout fires while we're updating
-    this.clearTimer(rideId);
-    
-    // Also remove from request queue immediately
-    this.requestQueue.delete(rideId);
 
     try {
       // Find the driver document by user ID
@@ -55,13 +190,70 @@ class RideRequestManager {
         throw new Error("Driver not found");
       }
 
-      // Update ride status to accepted when driver accepts (per doc.md requirements)
-      await Ride.findByIdAndUpdate(rideId, {
+      const respondedAt = new Date();
+
+      // Only a driver holding a live offer may accept: not one still queued
+      // in a cascade, not one whose offer expired, and not anyone else
+      const ownOffer = await RideOffer.findOneAndUpdate(
+        {
+          ride: rideId,
+          driver: driver._id,
+          outcome: "pending",
+          expiresAt: { $gt: respondedAt },
+        },
+        { outcome: "accepted", respondedAt },
+        { new: true },
+      );
+
+      if (!ownOffer) {
+        const offered = await RideOffer.exists({
+          ride: rideId,
+          driver: driver._id,
+          outcome: { $ne: "queued" },
+        });
+        const error = new Error(
+          offered
+            ? "Your offer for this ride has expired or is no longer open"
+            : "This ride has not been offered to you",
+        );
+        error.statusCode = offered ? 409 : 403;
+        throw error;
+      }
+
+      // CRITICAL: Claim the ride atomically so two drivers (or a driver and
+      // the sweeper, possibly on different instances) can't both win it
+      const claimedRide = await Ride.findOneAndUpdate(
+        { _id: rideId, status: { $in: OPEN_RIDE_STATUSES } },
+        {
+          status: "accepted",
+          driver: driver._id, // Use driver document ID, not user ID
+          acceptedAt: respondedAt,
+        },
+      );
+
+      if (!claimedRide) {
+        await RideOffer.updateOne({ _id: ownOffer._id }, { outcome: "taken" });
+        const error = new Error("Ride is no longer available");
+        error.statusCode = 409;
+        throw error;
+      }
+      eventBus.publish(DOMAIN_EVENTS.RIDE_STATUS_CHANGED, {
+        rideId: claimedRide._id,
         status: "accepted",
-        driver: driver._id, // Use driver document ID, not user ID
-        acceptedAt: new Date(),
+        previousStatus: claimedRide.status,
       });
 
+      // Everyone else who saw the request lost the ride; queued drivers never saw it
+      const otherOffers = await RideOffer.find({
+        ride: rideId,
+        outcome: "pending",
+      });
+      await RideOffer.updateMany(
+        { ride: rideId, outcome: "pending" },
+        { outcome: "taken", respondedAt },
+      );
+      await this.cancelRideRequest(rideId);
+
       // Fetch the updated ride with populated fields
       const ride = await Ride.findById(rideId).populate([
         { path: "rider" },
@@ -71,17 +263,12 @@ class RideRequestManager {
         },
       ]);
 
-      console.log(
-        "DEBUG: Ride populated rider:",
-        ride.rider,
-        "type:",
-        typeof ride.rider,
-        "toString:",
-        ride.rider.toString()
-      );
-
       // Update driver status to busy
       await Driver.findByIdAndUpdate(driver._id, { status: "busy" });
+      eventBus.publish(DOMAIN_EVENTS.DRIVER_STATUS_CHANGED, {
+        driverId: driver._id,
+        status: "busy",
+      });
 
       // Notify admins about ride status change
       await socketService.notifyAdminRideUpdate(ride);
@@ -92,21 +279,13 @@ class RideRequestManager {
       const riderId = ride.rider._id
         ? ride.rider._id.toString()
         : ride.rider.toString();
-      console.log("DEBUG: Using riderId:", riderId);
       socketService.notifyDriverAssigned(riderId, ride.driver, ride);
 
       // Send real-time notification to other drivers (ride taken)
-      const otherDrivers = this.requestQueue.get(rideId) || [];
-      console.log("DEBUG: Other drivers in queue:", otherDrivers);
-      otherDrivers.forEach((otherDriverId) => {
-        if (otherDriverId !== driverUserId) {
-          socketService.notifyRideTaken(otherDriverId, rideId);
-        }
+      otherOffers.forEach((offer) => {
+        socketService.notifyRideTaken(offer.driver.toString(), rideId);
       });
 
-      // Remove from queue after notifications
-      this.requestQueue.delete(rideId);
-
       return ride;
     } catch (error) {
       console.error("Error accepting ride:", error);
@@ -116,81 +295,160 @@ class RideRequestManager {
 
   /**
    * Reject a ride request (offer to next driver)
+   * Once everyone in the current wave has answered or timed out, the next
+   * wave of the cascade goes out. Only a driver holding a live offer can
+   * reject (403 if it wasn't offered to them, 409 if the offer has closed)
    * @param {string} rideId - Ride ID
-   * @param {string} driverId - Driver ID who rejected
+   * @param {string} driverUserId - User ID of the driver who rejected
    */
-  async rejectRide(rideId, driverId) {
+  async rejectRide(rideId, driverUserId) {
     try {
-      const driverQueue = this.requestQueue.get(rideId) || [];
+      const driver = await Driver.findOne({ user: driverUserId });
+      if (!driver) {
+        throw new Error("Driver not found");
+      }
 
-      // Remove this driver from queue
-      const updatedQueue = driverQueue.filter((id) => id !== driverId);
-      this.requestQueue.set(rideId, updatedQueue);
+      // Record this driver's answer - only a driver holding a live offer can
+      // move the ride on to the next wave
+      const respondedAt = new Date();
+      const ownOffer = await RideOffer.findOneAndUpdate(
+        {
+          ride: rideId,
+          driver: driver._id,
+          outcome: "pending",
+          expiresAt: { $gt: respondedAt },
+        },
+        { outcome: "rejected", respondedAt },
+      );
+
+      if (!ownOffer) {
+        const offered = await RideOffer.exists({
+          ride: rideId,
+          driver: driver._id,
+          outcome: { $ne: "queued" },
+        });
+        const error = new Error(
+          offered
+            ? "Your offer for this ride has expired or is no longer open"
+            : "This ride has not been offered to you",
+        );
+        error.statusCode = offered ? 409 : 403;
+        throw error;
+      }
+
+      // Other drivers in this wave can still answer
+      const waveStillOpen = await RideOffer.exists({
+        ride: rideId,
+        outcome: "pending",
+        expiresAt: { $gt: new Date() },
+      });
+
+      if (waveStillOpen) {
+        console.log(
+          `Ride ${rideId} rejected by driver ${driver._id}, waiting on the rest of the wave`
+        );
+        return;
+      }
+
+      // Offer to next driver(s) in queue
+      const nextWave = await this.offerNextWave(rideId);
 
       // If queue is empty, auto-reject the ride
-      if (updatedQueue.length === 0) {
+      if (nextWave.length === 0) {
         await this.autoRejectRide(rideId);
         return;
       }
 
-      // Offer to next driver in queue
-      const nextDriverId = updatedQueue[0];
-
       console.log(
-        `Ride ${rideId} rejected by driver ${driverId}, offering to next driver ${nextDriverId}`
+        `Ride ${rideId} rejected by driver ${driver._id}, offered to next ${nextWave.length} driver(s)`
       );
-
-      // Fetch full ride details for notification
-      const ride = await Ride.findById(rideId);
-      console.log("DEBUG: Sending full ride to next driver:", !!ride);
-
-      // Send real-time notification to next driver
-      socketService.notifyRideRequest(nextDriverId, ride);
     } catch (error) {
       console.error("Error rejecting ride:", error);
       throw error;
     }
   }
 
+  /**
+   * Expire offers whose response window has passed
+   * Each offer is claimed atomically, so concurrent sweepers never double-handle one
+   */
+  async sweepExpiredOffers() {
+    if (this.isSweeping) return;
+    this.isSweeping = true;
+
+    try {
+      const affectedRides = new Set();
+      let offer;
+
+      while (
+        (offer = await RideOffer.findOneAndUpdate(
+          { outcome: "pending", expiresAt: { $lte: new Date() } },
+          { outcome: "expired", respondedAt: new Date() },
+        ))
+      ) {
+        affectedRides.add(offer.ride.toString());
+      }
+
+      for (const rideId of affectedRides) {
+        const stillPending = await RideOffer.exists({
+          ride: rideId,
+          outcome: "pending",
+        });
+
+        if (stillPending) continue;
+
+        // Wave timed out - move on down the cascade
+        const nextWave = await this.offerNextWave(rideId);
+
+        if (nextWave.length === 0) {
+          console.log('⏰ All offers expired for ride:', rideId);
+          await this.autoRejectRide(rideId);
+        }
+      }
+    } catch (error) {
+      console.error("Error sweeping expired ride offers:", error);
+    } finally {
+      this.isSweeping = false;
+    }
+  }
+
   /**
    * Automatically reject a ride after timeout
    * @param {string} rideId - Ride ID
    */
   async autoRejectRide(rideId) {
     try {
-      // SAFETY CHECK: If ride is not in our active queue, it was already handled
-      if (!this.requestQueue.has(rideId)) {
-        console.log('⚠️ Ride not in queue, already handled (accepted or cancelled)');
-        return null;
-      }
-
-      // Clear timer
-      this.clearTimer(rideId);
+      // Close whatever is still open for this ride
+      await RideOffer.updateMany(
+        { ride: rideId, outcome: { $in: ["queued", "pending"] } },
+        { outcome: "expired", respondedAt: new Date() },
+      );
 
       // Fetch current ride status before cancelling
       const currentRide = await Ride.findById(rideId);
-      
+
       console.log('⏰ Timeout handler executing for ride:', rideId);
       console.log('📊 Current ride status:', currentRide?.status);
-      console.log('🔍 Will cancel?', currentRide?.status === 'searching' || currentRide?.status === 'pending');
-      
-      // CRITICAL FIX: Only cancel if ride is still in pending/searching state
-      // If driver has already accepted (status = 'accepted'), don't cancel!
+
       if (!currentRide) {
         console.log('⚠️ Ride not found, skipping cancellation');
         return null;
       }
-      
-      if (currentRide.status === 'accepted' || currentRide.status === 'going-to-pickup' || currentRide.status === 'arrived' || currentRide.status === 'in_progress' || currentRide.status === 'completed') {
-        console.log('✅ Ride already accepted/in progress, skipping auto-cancellation');
-        // Remove from queue but don't cancel
-        this.requestQueue.delete(rideId);
-        return currentRide;
+
+      // Scheduled rides go back to the scheduler for a wider search until
+      // their pickup time instead of being cancelled outright
+      if (currentRide.scheduledTime && currentRide.scheduledTime > new Date()) {
+        const requeuedRide = await scheduledRideService.requeueRide(rideId);
+        if (requeuedRide) {
+          return requeuedRide;
+        }
       }
 
-      // Update ride status only if still pending
-      const ride = await Ride.findByIdAndUpdate(
-        rideId,
+      // CRITICAL FIX: Only cancel if ride is still in pending/searching state
+      // The status condition makes this a no-op if a driver accepted meanwhile
+      // or another instance already cancelled it
+      const ride = await Ride.findOneAndUpdate(
+        { _id: rideId, status: { $in: ["pending", "searching"] } },
         {
           status: "cancelled",
           cancelledAt: new Date(),
@@ -199,18 +457,31 @@ class RideRequestManager {
         { new: true }
       );
 
-      // Remove from queue
-      this.requestQueue.delete(rideId);
+      if (!ride) {
+        console.log('✅ Ride already accepted or handled, skipping auto-cancellation');
+        return currentRide;
+      }
+      eventBus.publish(DOMAIN_EVENTS.RIDE_STATUS_CHANGED, {
+        rideId: ride._id,
+        status: ride.status,
+        previousStatus: currentRide.status,
+      });
 
       console.log(
-        `❌ Ride ${rideId} automatically cancelled - no driver response within 30 seconds`
+        `❌ Ride ${rideId} automatically cancelled - no driver accepted the request`
       );
 
+      // No fee when we couldn't find a driver - release any card hold
+      if (ride.paymentMethod === "card") {
+        await ridePaymentService.releaseRideHold(ride).catch((holdError) =>
+          console.error(`Failed to release card hold for ride ${rideId}:`, holdError)
+        );
+      }
+
       // Send notification to rider about cancellation
       const riderId = ride.rider._id
         ? ride.rider._id.toString()
         : ride.rider.toString();
-      console.log("DEBUG: Auto-reject riderId:", riderId);
       socketService.notifyRideCancelled(riderId, "No driver available", ride);
 
       // Notify admins about ride cancellation
@@ -224,59 +495,61 @@ class RideRequestManager {
   }
 
   /**
-   * Get time left for a ride request
+   * Close all open offers for a ride (e.g. when the rider cancels)
    * @param {string} rideId - Ride ID
-   * @returns {number} Seconds left (0 if expired)
    */
-  getTimeLeft(rideId) {
-    // This is a simplified implementation
-    // In a real system, you'd track start time and calculate remaining time
-    return 15; // Placeholder - would need proper implementation
+  async cancelRideRequest(rideId) {
+    await RideOffer.updateMany(
+      { ride: rideId, outcome: { $in: ["queued", "pending"] } },
+      { outcome: "cancelled", respondedAt: new Date() },
+    );
   }
 
   /**
-   * Clear timer for a ride
+   * Get time left for a ride request
    * @param {string} rideId - Ride ID
+   * @returns {Promise<number>} Seconds left (0 if expired)
    */
-  clearTimer(rideId) {
-    const timer = this.activeTimers.get(rideId);
-    if (timer) {
-      clearTimeout(timer);
-      this.activeTimers.delete(rideId);
-    }
+  async getTimeLeft(rideId) {
+    const offer = await RideOffer.findOne({
+      ride: rideId,
+      outcome: "pending",
+    }).sort({ expiresAt: -1 });
+
+    if (!offer) return 0;
+
+    return Math.max(0, Math.round((offer.expiresAt - Date.now()) / 1000));
   }
 
   /**
-   * Clean up all timers (for graceful shutdown)
+   * Stop the sweeper (for graceful shutdown)
+   * Offers stay in the database and are picked up again on restart
    */
   cleanup() {
-    for (const timer of this.activeTimers.values()) {
-      clearTimeout(timer);
+    if (this.sweepTimer) {
+      clearInterval(this.sweepTimer);
+      this.sweepTimer = null;
     }
-    this.activeTimers.clear();
-    this.requestQueue.clear();
     console.log("RideRequestManager cleaned up");
   }
 
   /**
    * Get active ride requests for a driver
    * @param {string} driverId - Driver ID
-   * @returns {Array} Array of active ride requests for this driver
+   * @returns {Promise<Array>} Array of active ride requests for this driver
    */
-  getActiveRequestsForDriver(driverId) {
-    const activeRequests = [];
-
-    for (const [rideId, driverQueue] of this.requestQueue.entries()) {
-      if (driverQueue.includes(driverId)) {
-        activeRequests.push({
-          rideId,
-          timeLeft: this.getTimeLeft(rideId),
-          position: driverQueue.indexOf(driverId) + 1,
-        });
-      }
-    }
-
-    return activeRequests;
+  async getActiveRequestsForDriver(driverId) {
+    const offers = await RideOffer.find({
+      driver: driverId,
+      outcome: "pending",
+      expiresAt: { $gt: new Date() },
+    }).sort({ offeredAt: -1 });
+
+    return offers.map((offer) => ({
+      rideId: offer.ride,
+      timeLeft: Math.max(0, Math.round((offer.expiresAt - Date.now()) / 1000)),
+      position: offer.position,
+    }));
   }
 }
 